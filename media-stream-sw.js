@@ -0,0 +1,92 @@
+/**
+ * Media Stream Service Worker
+ * Serves stored files at media-stream/<fileId> straight from IndexedDB. Range requests read
+ * only the chunks they cover, so <video> and <audio> can play and seek multi-GB files that
+ * are never loaded into memory as a whole; plain requests (downloads) are streamed.
+ *
+ * Lives in the site root so its scope covers index.html.
+ */
+
+importScripts('scripts/storage-manager.js');
+
+const STREAM_PATH = '/media-stream/';
+// Open-ended ranges ("bytes=0-") are answered a window at a time; the browser asks for the rest
+const MAX_RANGE_BYTES = 16 * 1024 * 1024;
+
+const backend = new IndexedDBBackend();
+
+self.addEventListener('install', () => self.skipWaiting());
+
+// Control the open page right away instead of after a reload
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    const streamIndex = url.pathname.indexOf(STREAM_PATH);
+    if (url.origin !== self.location.origin || streamIndex === -1) return;
+
+    const fileId = decodeURIComponent(url.pathname.slice(streamIndex + STREAM_PATH.length));
+    event.respondWith(serveFile(fileId, event.request.headers.get('Range')));
+});
+
+async function serveFile(fileId, rangeHeader) {
+    try {
+        const head = await backend.readRange(fileId, 0, 0);
+        const match = rangeHeader && /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+        if (!match) {
+            return new Response(createStream(fileId, head.size), {
+                status: 200,
+                headers: {
+                    'Content-Type': head.type || 'application/octet-stream',
+                    'Content-Length': String(head.size),
+                    'Accept-Ranges': 'bytes'
+                }
+            });
+        }
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(head.size - Number(match[2]), 0);
+            end = head.size;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? head.size : Number(match[2]) + 1;
+        }
+        end = Math.min(end, head.size, start + MAX_RANGE_BYTES);
+
+        if (start >= head.size || end <= start) {
+            return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${head.size}` } });
+        }
+
+        const range = await backend.readRange(fileId, start, end);
+        return new Response(range.blob, {
+            status: 206,
+            headers: {
+                'Content-Type': range.type || 'application/octet-stream',
+                'Content-Length': String(range.end - range.start),
+                'Content-Range': `bytes ${range.start}-${range.end - 1}/${range.size}`,
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    } catch (error) {
+        return new Response(error.message, { status: 404 });
+    }
+}
+
+function createStream(fileId, size) {
+    let offset = 0;
+    return new ReadableStream({
+        async pull(controller) {
+            if (offset >= size) {
+                controller.close();
+                return;
+            }
+            const range = await backend.readRange(fileId, offset, offset + backend.chunkSize);
+            controller.enqueue(new Uint8Array(await range.blob.arrayBuffer()));
+            offset = range.end;
+        }
+    });
+}
@@ -0,0 +1,32 @@
+// Authentication Configuration
+// Picks the provider AuthSystem (auth.js) logs users in with:
+//   'local'    - PIN accounts stored in this browser (default, works offline)
+//   'firebase' - Firebase Authentication, for login from any device (see firebase-config.js)
+//   'oidc'     - An OpenID Connect identity provider (Keycloak, Auth0, a local mock IdP, ...)
+// Existing sessions keep the provider they were created with until logout.
+
+const authConfig = {
+    provider: 'local',
+
+    // Used when provider is 'oidc'. Register a public client (no secret) with the
+    // authorization code flow and PKCE, and allow login.html as its redirect URI
+    oidc: {
+        issuer: 'http://localhost:8080/default',
+        clientId: 'data-bhandaar',
+        scope: 'openid profile email',
+        // Claim used as the username (falls back to sub)
+        usernameClaim: 'preferred_username',
+        // Shown on the login button: LOGIN_WITH_SSO
+        label: 'SSO'
+    }
+};
+
+// Example for a local mock IdP (https://github.com/navikt/mock-oauth2-server):
+//   docker run -p 8080:8080 ghcr.io/navikt/mock-oauth2-server:2.1.10
+// Any client id is accepted, and its login page lets you type the username.
+// Serve the app from http://localhost (not file://) so the redirect back works.
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.authConfig = authConfig;
+}
@@ -0,0 +1,450 @@
+/**
+ * Auth Providers
+ * Where AuthSystem (auth.js) checks credentials. The login page, sessions and logout are
+ * AuthSystem's; a provider only answers who the user is. Which provider is used comes from
+ * authConfig.provider (auth-config.js).
+ *
+ * A provider has:
+ *   name                                  Stored in the session, so logout reaches the same provider
+ *   usesPin                               Whether the login form asks for a username and PIN
+ *   canSignup                             Whether the signup form is offered
+ *   async init()                          Set up; throws when the provider can't be used
+ *   async authenticate(username, pin)     PIN providers: { success, user: { username }, message }
+ *   async signup(username, pin)           Same result as authenticate
+ *   async changePin(username, currentPin, newPin)    { success, message }
+ *   async startLogin()                    Redirect providers: leave for the identity provider
+ *   async completeLogin()                 Redirect providers: result of the redirect back, or null
+ *   async logout(session)                 Sign out; may return a URL to go to instead of login.html
+ *
+ * LocalAuthProvider and OIDCAuthProvider are here; FirebaseAuthProvider is in auth-firebase.js.
+ */
+
+/**
+ * Accounts stored in this browser (data_bhandaar_users), with PINs hashed by PBKDF2 and
+ * repeated failed logins locked out
+ */
+class LocalAuthProvider {
+    /**
+     * @param {Object} options - { pinIterations, maxFailedLogins, lockoutMs, maxLockoutMs }
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.usesPin = true;
+        this.canSignup = true;
+        this.users = new Map();
+        // PINs are stored as salted PBKDF2-SHA-256 hashes
+        this.pinIterations = options.pinIterations || 600000;
+        // After maxFailedLogins wrong PINs in a row the username is locked, for lockoutMs at
+        // first and twice as long for every further failure, up to maxLockoutMs
+        this.maxFailedLogins = options.maxFailedLogins || 5;
+        this.lockoutMs = options.lockoutMs || 30 * 1000;
+        this.maxLockoutMs = options.maxLockoutMs || 15 * 60 * 1000;
+        this.loginAttemptsKey = 'data_bhandaar_login_attempts';
+    }
+
+    async init() {
+        // Load users from localStorage or initialize with demo data
+        await this.loadUsers();
+    }
+
+    async loadUsers() {
+        const storedUsers = localStorage.getItem('data_bhandaar_users');
+        if (storedUsers) {
+            try {
+                const usersArray = JSON.parse(storedUsers);
+                this.users = new Map(usersArray);
+                console.log('Loaded users:', this.users.size);
+            } catch (e) {
+                console.error('Error loading users:', e);
+                await this.initializeDefaultUsers();
+            }
+        } else {
+            await this.initializeDefaultUsers();
+        }
+    }
+
+    async initializeDefaultUsers() {
+        // Initialize with demo user
+        this.users.set('admin', {
+            pin: await this.hashPin('1234'),
+            createdAt: new Date().toISOString(),
+            storageKey: 'admin'
+        });
+        this.users.set('demo', {
+            pin: await this.hashPin('0000'),
+            createdAt: new Date().toISOString(),
+            storageKey: 'demo'
+        });
+        this.saveUsers();
+        console.log('Initialized default users');
+    }
+
+    saveUsers() {
+        try {
+            localStorage.setItem('data_bhandaar_users', JSON.stringify([...this.users]));
+        } catch (e) {
+            console.error('Error saving users:', e);
+        }
+    }
+
+    async authenticate(username, pin) {
+        // Simulate API call delay
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        const lockedFor = this.getLockoutRemaining(username);
+        if (lockedFor > 0) {
+            return { success: false, message: `ACCOUNT_LOCKED_TRY_AGAIN_IN_${Math.ceil(lockedFor / 1000)}S`, lockedFor };
+        }
+
+        // An unknown name gets the same answer as a wrong PIN, after the same PBKDF2 work, so
+        // neither the message nor the time taken tells which usernames exist
+        const user = this.users.get(username);
+        let valid = false;
+        try {
+            if (user) {
+                valid = await this.verifyPin(username, user, pin);
+            } else {
+                await this.verifyPin(username, { pin: this.getDummyPinHash() }, pin);
+            }
+        } catch (error) {
+            console.error('Error verifying PIN:', error.message);
+            return { success: false, message: 'SECURE_CONTEXT_REQUIRED' };
+        }
+
+        if (!valid) {
+            const lockout = this.recordFailedLogin(username);
+            return lockout > 0
+                ? { success: false, message: `INVALID_CREDENTIALS_ACCOUNT_LOCKED_FOR_${Math.ceil(lockout / 1000)}S`, lockedFor: lockout }
+                : { success: false, message: 'INVALID_CREDENTIALS' };
+        }
+
+        this.clearFailedLogins(username);
+        return { success: true, user: { username } };
+    }
+
+    // A stored hash no PIN matches, checked against for unknown usernames
+    getDummyPinHash() {
+        if (!this.dummyPinHash) {
+            const random = length => btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(length))));
+            this.dummyPinHash = { algorithm: 'PBKDF2-SHA-256', salt: random(16), iterations: this.pinIterations, hash: random(32) };
+        }
+        return this.dummyPinHash;
+    }
+
+    async signup(username, pin) {
+        // Simulate API call delay
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        if (this.users.has(username)) {
+            return { success: false, message: 'USERNAME_ALREADY_EXISTS' };
+        }
+
+        try {
+            const newUser = {
+                pin: await this.hashPin(pin),
+                createdAt: new Date().toISOString(),
+                storageKey: username
+            };
+
+            console.log('Creating new user:', username);
+            this.users.set(username, newUser);
+            this.saveUsers();
+
+            console.log('User created successfully:', username);
+            return { success: true, user: { username } };
+        } catch (error) {
+            console.error('Error creating user:', error);
+            return { success: false, message: 'ACCOUNT_CREATION_FAILED' };
+        }
+    }
+
+    async changePin(username, currentPin, newPin) {
+        const authResult = await this.authenticate(username, currentPin);
+        if (!authResult.success) {
+            return authResult;
+        }
+
+        const user = this.users.get(username);
+        user.pin = await this.hashPin(newPin);
+        user.pinChangedAt = new Date().toISOString();
+        this.saveUsers();
+        return { success: true };
+    }
+
+    async logout() {
+        return null;
+    }
+
+    /**
+     * Check a PIN against the stored hash. Users saved before PBKDF2 hashing (a string pin)
+     * and hashes with fewer iterations than pinIterations are re-hashed on a correct PIN
+     */
+    async verifyPin(username, user, pin) {
+        if (typeof user.pin === 'string') {
+            if (user.pin !== this.legacyHashPin(pin)) return false;
+        } else {
+            const { hash } = await this.hashPin(pin, user.pin);
+            if (!this.constantTimeEqual(hash, user.pin.hash)) return false;
+            if (user.pin.iterations >= this.pinIterations) return true;
+        }
+
+        user.pin = await this.hashPin(pin);
+        this.users.set(username, user);
+        this.saveUsers();
+        console.log('Upgraded PIN hash for:', username);
+        return true;
+    }
+
+    /**
+     * Hash a PIN with PBKDF2-SHA-256
+     * @param {Object} params - { salt, iterations } of a stored hash to compare with; a new salt by default
+     * @returns {Promise<Object>} { algorithm, salt, iterations, hash } (salt and hash base64)
+     */
+    async hashPin(pin, params = {}) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('PIN hashing needs Web Crypto (https or localhost)');
+        }
+
+        const salt = params.salt || btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+        const iterations = params.iterations || this.pinIterations;
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: Uint8Array.from(atob(salt), c => c.charCodeAt(0)), iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return { algorithm: 'PBKDF2-SHA-256', salt, iterations, hash: btoa(String.fromCharCode(...new Uint8Array(bits))) };
+    }
+
+    // The reversed base64 PIN stored before PBKDF2 hashing, only used to migrate those users
+    legacyHashPin(pin) {
+        return btoa(pin).split('').reverse().join('');
+    }
+
+    constantTimeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Failed logins by username, kept in localStorage so reloading the page doesn't reset them:
+     * { username: { failures, lockedUntil } }
+     */
+    loadLoginAttempts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.loginAttemptsKey) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveLoginAttempts(attempts) {
+        try {
+            localStorage.setItem(this.loginAttemptsKey, JSON.stringify(attempts));
+        } catch (e) {
+            console.error('Error saving login attempts:', e);
+        }
+    }
+
+    // Milliseconds until the username can try again, 0 when it isn't locked
+    getLockoutRemaining(username) {
+        const entry = this.loadLoginAttempts()[username];
+        return entry && entry.lockedUntil ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+    }
+
+    /**
+     * Count a failed login
+     * @returns {number} Lockout in milliseconds this failure started, 0 for none
+     */
+    recordFailedLogin(username) {
+        const attempts = this.loadLoginAttempts();
+        const entry = attempts[username] || { failures: 0 };
+        entry.failures++;
+
+        let lockout = 0;
+        if (entry.failures >= this.maxFailedLogins) {
+            lockout = Math.min(this.lockoutMs * 2 ** (entry.failures - this.maxFailedLogins), this.maxLockoutMs);
+            entry.lockedUntil = Date.now() + lockout;
+        }
+        attempts[username] = entry;
+        this.saveLoginAttempts(attempts);
+        return lockout;
+    }
+
+    clearFailedLogins(username) {
+        const attempts = this.loadLoginAttempts();
+        if (!attempts[username]) return;
+        delete attempts[username];
+        this.saveLoginAttempts(attempts);
+    }
+}
+
+/**
+ * OpenID Connect login with the authorization code flow and PKCE, for any identity provider
+ * that publishes /.well-known/openid-configuration and accepts a public client (no secret).
+ * The ID token comes straight from the token endpoint, so its claims are checked (issuer,
+ * audience, expiry, nonce) but its signature isn't (OpenID Connect Core 3.1.3.7)
+ */
+class OIDCAuthProvider {
+    /**
+     * @param {Object} options - { issuer, clientId, redirectUri, scope, usernameClaim, postLogoutRedirectUri, label }
+     */
+    constructor(options = {}) {
+        this.name = 'oidc';
+        this.usesPin = false;
+        this.canSignup = false;
+        this.issuer = (options.issuer || '').replace(/\/$/, '');
+        this.clientId = options.clientId;
+        this.redirectUri = options.redirectUri || new URL('login.html', window.location.href).href;
+        this.postLogoutRedirectUri = options.postLogoutRedirectUri || this.redirectUri;
+        this.scope = options.scope || 'openid profile email';
+        this.usernameClaim = options.usernameClaim || 'preferred_username';
+        this.label = options.label || 'SSO';
+        // State, nonce and PKCE verifier of the login in progress, for the redirect back
+        this.pendingKey = 'data_bhandaar_oidc_login';
+        this.metadata = null;
+    }
+
+    async init() {
+        if (!this.issuer || !this.clientId) {
+            throw new Error('OIDC needs authConfig.oidc.issuer and clientId');
+        }
+        const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw new Error(`OIDC discovery failed: HTTP ${response.status}`);
+        }
+        this.metadata = await response.json();
+    }
+
+    async startLogin() {
+        const pending = {
+            state: this.randomString(),
+            nonce: this.randomString(),
+            verifier: this.randomString(48)
+        };
+        sessionStorage.setItem(this.pendingKey, JSON.stringify(pending));
+
+        const challenge = this.base64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(pending.verifier))));
+        const url = new URL(this.metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scope,
+            state: pending.state,
+            nonce: pending.nonce,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        }).toString();
+        window.location.href = url.href;
+    }
+
+    /**
+     * Finish a login when the identity provider sent the browser back with ?code or ?error
+     * @returns {Promise<Object|null>} { success, user, idToken, message }, or null when this isn't a redirect back
+     */
+    async completeLogin() {
+        const params = new URLSearchParams(window.location.search || '');
+        if (!params.has('code') && !params.has('error')) return null;
+
+        const pending = JSON.parse(sessionStorage.getItem(this.pendingKey) || 'null');
+        sessionStorage.removeItem(this.pendingKey);
+        // The code can be used once: take it out of the address bar and history
+        window.history.replaceState(null, '', window.location.pathname);
+
+        if (params.has('error')) {
+            console.error('OIDC login error:', params.get('error'), params.get('error_description') || '');
+            return { success: false, message: `SSO_${params.get('error').toUpperCase()}` };
+        }
+        if (!pending || params.get('state') !== pending.state) {
+            return { success: false, message: 'SSO_STATE_MISMATCH_TRY_AGAIN' };
+        }
+
+        try {
+            const response = await fetch(this.metadata.token_endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    grant_type: 'authorization_code',
+                    code: params.get('code'),
+                    redirect_uri: this.redirectUri,
+                    client_id: this.clientId,
+                    code_verifier: pending.verifier
+                }).toString()
+            });
+            const tokens = await response.json();
+            if (!response.ok || !tokens.id_token) {
+                throw new Error(tokens.error_description || tokens.error || `HTTP ${response.status}`);
+            }
+
+            const claims = this.validateIdToken(tokens.id_token, pending.nonce);
+            const username = claims[this.usernameClaim] || claims.sub;
+            console.log('OIDC login for:', username);
+            return { success: true, user: { username, email: claims.email, sub: claims.sub }, idToken: tokens.id_token };
+        } catch (error) {
+            console.error('OIDC token exchange failed:', error.message);
+            return { success: false, message: 'SSO_LOGIN_FAILED' };
+        }
+    }
+
+    validateIdToken(idToken, nonce) {
+        const payload = idToken.split('.')[1];
+        if (!payload) {
+            throw new Error('Malformed ID token');
+        }
+        const claims = JSON.parse(new TextDecoder().decode(this.fromBase64Url(payload)));
+        const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+        if (claims.iss !== this.metadata.issuer) throw new Error(`ID token issuer ${claims.iss} is not ${this.metadata.issuer}`);
+        if (!audience.includes(this.clientId)) throw new Error('ID token is for another client');
+        if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('ID token expired');
+        if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+        return claims;
+    }
+
+    async authenticate() {
+        return { success: false, message: 'PIN_NOT_AVAILABLE_WITH_SSO_LOGIN' };
+    }
+
+    async signup() {
+        return { success: false, message: 'SIGNUP_THROUGH_YOUR_IDENTITY_PROVIDER' };
+    }
+
+    async changePin() {
+        return { success: false, message: 'PIN_NOT_AVAILABLE_WITH_SSO_LOGIN' };
+    }
+
+    // Ends the identity provider's session too when it supports RP-initiated logout
+    async logout(session) {
+        if (!this.metadata || !this.metadata.end_session_endpoint) return null;
+        const url = new URL(this.metadata.end_session_endpoint);
+        url.search = new URLSearchParams({
+            client_id: this.clientId,
+            post_logout_redirect_uri: this.postLogoutRedirectUri,
+            ...(session && session.idToken ? { id_token_hint: session.idToken } : {})
+        }).toString();
+        return url.href;
+    }
+
+    randomString(bytes = 32) {
+        return this.base64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    base64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalAuthProvider, OIDCAuthProvider };
+}
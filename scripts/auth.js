@@ -1,64 +1,72 @@
 // Enhanced Authentication System
+// The login page, sessions and logout, whichever way users log in. Credentials are checked by
+// an auth provider (auth-providers.js, auth-firebase.js) picked by authConfig.provider
 class AuthSystem {
-    constructor() {
-        this.users = new Map();
+    /**
+     * @param {Object} config - authConfig (auth-config.js); local accounts without one
+     */
+    constructor(config = window.authConfig || { provider: 'local' }) {
+        this.config = config;
+        this.providerReady = null;
         this.sessions = new Map();
         this.storageSystem = null;
+        // Keys of users who encrypt their files are unlocked with the PIN at login
+        this.encryption = typeof FileEncryption !== 'undefined' && FileEncryption.isSupported() ? new FileEncryption() : null;
         this.init();
     }
 
     async init() {
-        // Load users from localStorage or initialize with demo data
-        this.loadUsers();
-        
         // Check if we're on login page or main app
         if (window.location.pathname.includes('login.html') || 
             window.location.pathname === '/login.html' ||
             document.getElementById('loginForm')) {
             this.setupLoginPageListeners();
-        } else {
-            // We're on the main app, check authentication
-            this.checkAndRedirect();
-        }
-    }
 
-    loadUsers() {
-        const storedUsers = localStorage.getItem('data_bhandaar_users');
-        if (storedUsers) {
-            try {
-                const usersArray = JSON.parse(storedUsers);
-                this.users = new Map(usersArray);
-                console.log('Loaded users:', Array.from(this.users.keys()));
-            } catch (e) {
-                console.error('Error loading users:', e);
-                this.initializeDefaultUsers();
+            const provider = await this.getProvider();
+            this.showProviderLogin(provider);
+            // Back from a redirect provider's login page
+            if (provider.completeLogin) {
+                const result = await provider.completeLogin();
+                if (result) {
+                    await this.finishLogin(provider, result, null, document.getElementById('errorMessage'));
+                }
             }
         } else {
-            this.initializeDefaultUsers();
+            // We're on the main app, check authentication
+            if (this.checkAndRedirect()) {
+                this.startSessionMonitor();
+            }
         }
     }
 
-    initializeDefaultUsers() {
-        // Initialize with demo user
-        this.users.set('admin', {
-            pin: this.hashPin('1234'),
-            createdAt: new Date().toISOString(),
-            storageKey: 'admin'
-        });
-        this.users.set('demo', {
-            pin: this.hashPin('0000'),
-            createdAt: new Date().toISOString(),
-            storageKey: 'demo'
-        });
-        this.saveUsers();
-        console.log('Initialized default users');
+    /**
+     * The auth provider, set up on first use: the one the current session was created with,
+     * otherwise authConfig.provider
+     * @returns {Promise<Object>} Provider (see auth-providers.js for the interface)
+     */
+    getProvider() {
+        if (!this.providerReady) {
+            const session = AuthSystem.getValidSession();
+            this.providerReady = this.createProvider((session && session.provider) || this.config.provider || 'local');
+        }
+        return this.providerReady;
     }
 
-    saveUsers() {
+    // A provider that can't be set up (Firebase SDK not reachable, OIDC issuer down) falls back to local accounts
+    async createProvider(name) {
+        const Provider = AuthSystem.providers[name];
         try {
-            localStorage.setItem('data_bhandaar_users', JSON.stringify([...this.users]));
-        } catch (e) {
-            console.error('Error saving users:', e);
+            if (!Provider) {
+                throw new Error(`Unknown auth provider: ${name}`);
+            }
+            const provider = new Provider(this.config[name]);
+            await provider.init();
+            console.log('Auth provider:', provider.name);
+            return provider;
+        } catch (error) {
+            if (name === 'local') throw error;
+            console.warn(`Auth provider ${name} unavailable (${error.message}), falling back to local accounts`);
+            return await this.createProvider('local');
         }
     }
 
@@ -86,6 +94,28 @@ class AuthSystem {
 
         // Clear any existing session when on login page
         this.clearSession();
+
+        // Sent here by an expired session (see AuthSystem.endSession)
+        if (new URLSearchParams(window.location.search || '').get('session') === 'expired') {
+            this.showError(document.getElementById('errorMessage'), 'SESSION_EXPIRED_PLEASE_LOGIN_AGAIN');
+        }
+    }
+
+    // Providers without PINs log in with one button; providers without signup hide the link to it
+    showProviderLogin(provider) {
+        const loginForm = document.getElementById('loginForm');
+        if (!loginForm) return;
+
+        if (!provider.usesPin) {
+            loginForm.querySelectorAll('.form-group').forEach(group => { group.style.display = 'none'; });
+            loginForm.querySelectorAll('input').forEach(input => { input.required = false; });
+            const loginText = loginForm.querySelector('.login-btn .btn-text');
+            if (loginText) loginText.textContent = `LOGIN_WITH_${provider.label}`;
+        }
+        if (!provider.canSignup) {
+            const authSwitch = loginForm.querySelector('.auth-switch');
+            if (authSwitch) authSwitch.style.display = 'none';
+        }
     }
 
     switchToSignup() {
@@ -118,6 +148,13 @@ class AuthSystem {
     async handleLogin(e) {
         e.preventDefault();
         console.log('Login form submitted');
+
+        // Redirect providers: off to the identity provider, back to init() afterwards
+        const provider = await this.getProvider();
+        if (!provider.usesPin) {
+            await provider.startLogin();
+            return;
+        }
         
         const usernameInput = document.getElementById('username');
         const passwordInput = document.getElementById('password');
@@ -131,7 +168,7 @@ class AuthSystem {
         const username = usernameInput.value.trim();
         const pin = passwordInput.value.trim();
 
-        console.log('Login attempt:', { username, pin });
+        console.log('Login attempt:', username);
 
         if (!username || !pin) {
             this.showError(errorMessage, 'PLEASE_FILL_ALL_FIELDS');
@@ -151,8 +188,7 @@ class AuthSystem {
             loginBtn.disabled = true;
         }
 
-        // Simulate authentication process
-        const authResult = await this.authenticateUser(username, pin);
+        const authResult = await provider.authenticate(username, pin);
         
         // Restore button state
         if (loginBtn) {
@@ -161,18 +197,40 @@ class AuthSystem {
         }
 
         if (authResult.success) {
-            this.showError(errorMessage, 'ACCESS_GRANTED_REDIRECTING...', 'success');
-            this.createSession(username);
-            
-            // Redirect after short delay
-            setTimeout(() => {
-                window.location.href = 'index.html';
-            }, 1000);
+            await this.finishLogin(provider, authResult, pin, errorMessage);
         } else {
             this.showError(errorMessage, authResult.message);
         }
     }
 
+    /**
+     * Start the session of a successful login or signup and go to the app
+     * @param {Object} result - { user: { username, ... }, idToken } from the provider
+     * @param {string} pin - Unlocks the user's encryption keys; null for providers without PINs
+     */
+    async finishLogin(provider, result, pin, errorMessage, message = 'ACCESS_GRANTED_REDIRECTING...') {
+        if (!result.success) {
+            this.showError(errorMessage, result.message);
+            return;
+        }
+
+        this.showError(errorMessage, message, 'success');
+        this.createSession(result.user.username, {
+            provider: provider.name,
+            ...(result.user.email ? { email: result.user.email } : {}),
+            // OIDC logout names the session to end at the identity provider
+            ...(result.idToken ? { idToken: result.idToken } : {})
+        });
+        if (pin) {
+            await this.unlockEncryption(result.user.username, pin);
+        }
+
+        // Redirect after short delay
+        setTimeout(() => {
+            window.location.href = 'index.html';
+        }, 1000);
+    }
+
     async handleSignup(e) {
         e.preventDefault();
         console.log('Signup form submitted');
@@ -191,7 +249,7 @@ class AuthSystem {
         const pin = passwordInput.value.trim();
         const confirmPin = confirmPasswordInput.value.trim();
 
-        console.log('Signup attempt:', { username, pin, confirmPin });
+        console.log('Signup attempt:', username);
 
         if (!username || !pin || !confirmPin) {
             this.showError(errorMessage, 'PLEASE_FILL_ALL_FIELDS');
@@ -209,12 +267,6 @@ class AuthSystem {
             return;
         }
 
-        // Check if username already exists
-        if (this.users.has(username)) {
-            this.showError(errorMessage, 'USERNAME_ALREADY_EXISTS');
-            return;
-        }
-
         // Show loading state
         const signupBtn = document.querySelector('.signup-form .login-btn');
         if (signupBtn) {
@@ -222,8 +274,11 @@ class AuthSystem {
             signupBtn.disabled = true;
         }
 
-        // Create new user
-        const signupResult = await this.createUser(username, pin);
+        // Create new user (the provider refuses names that are taken)
+        const provider = await this.getProvider();
+        const signupResult = provider.canSignup
+            ? await provider.signup(username, pin)
+            : { success: false, message: 'SIGNUP_NOT_AVAILABLE' };
         
         // Restore button state
         if (signupBtn) {
@@ -231,17 +286,7 @@ class AuthSystem {
             signupBtn.disabled = false;
         }
 
-        if (signupResult.success) {
-            this.showError(errorMessage, 'ACCOUNT_CREATED_REDIRECTING...', 'success');
-            this.createSession(username);
-            
-            // Redirect after short delay
-            setTimeout(() => {
-                window.location.href = 'index.html';
-            }, 1000);
-        } else {
-            this.showError(errorMessage, signupResult.message);
-        }
+        await this.finishLogin(provider, signupResult, pin, errorMessage, 'ACCOUNT_CREATED_REDIRECTING...');
     }
 
     validateLoginInputs(username, pin) {
@@ -254,7 +299,7 @@ class AuthSystem {
         const isValid = validationPatterns.username.test(username) &&
                        validationPatterns.pin.test(pin);
         
-        console.log('Login validation:', { username, pin, isValid });
+        console.log('Login validation:', { username, isValid });
         return isValid;
     }
 
@@ -268,69 +313,68 @@ class AuthSystem {
                        validationPatterns.pin.test(pin) &&
                        validationPatterns.pin.test(confirmPin);
         
-        console.log('Signup validation:', { username, pin, confirmPin, isValid });
+        console.log('Signup validation:', { username, isValid });
         return isValid;
     }
 
+    // Check a user's PIN with the provider, without logging in (used to confirm encryption changes)
     async authenticateUser(username, pin) {
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        console.log('Authenticating user:', username);
-        console.log('Available users:', Array.from(this.users.keys()));
+        const provider = await this.getProvider();
+        return await provider.authenticate(username, pin);
+    }
 
-        const user = this.users.get(username);
-        
-        if (!user) {
-            console.log('User not found:', username);
-            return { success: false, message: 'USER_NOT_FOUND' };
+    /**
+     * Change a user's PIN. When the user encrypts their files, the data keys are re-wrapped
+     * for the new PIN in the same step, so the files stay readable without re-encrypting them
+     */
+    async changePin(username, currentPin, newPin) {
+        if (!/^\d{4}$/.test(newPin)) {
+            return { success: false, message: 'INVALID_INPUT_FORMAT' };
         }
 
-        const hashedPin = this.hashPin(pin);
-        console.log('Pin comparison:', { inputPin: pin, storedPin: user.pin, hashedInput: hashedPin });
-
-        if (user.pin !== hashedPin) {
-            console.log('Invalid pin for user:', username);
-            return { success: false, message: 'INVALID_PIN' };
+        const provider = await this.getProvider();
+        const result = await provider.changePin(username, currentPin, newPin);
+        if (!result.success) {
+            return result;
         }
 
-        console.log('Authentication successful for:', username);
-        return { success: true, user: { username } };
-    }
-
-    async createUser(username, pin) {
-        // Simulate API call delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-
         try {
-            const newUser = {
-                pin: this.hashPin(pin),
-                createdAt: new Date().toISOString(),
-                storageKey: username
-            };
-
-            console.log('Creating new user:', username);
-            this.users.set(username, newUser);
-            this.saveUsers();
-
-            console.log('User created successfully:', username);
-            return { success: true, user: { username } };
+            if (this.encryption && this.encryption.hasKeyring(username)) {
+                await this.encryption.rekey(username, currentPin, newPin);
+            }
         } catch (error) {
-            console.error('Error creating user:', error);
-            return { success: false, message: 'ACCOUNT_CREATION_FAILED' };
+            // Keep the login PIN and the encryption PIN the same
+            console.error('Error re-keying encryption:', error.message);
+            await provider.changePin(username, newPin, currentPin);
+            return { success: false, message: 'ENCRYPTION_REKEY_FAILED' };
         }
+        return { success: true };
     }
 
-    hashPin(pin) {
-        // Simple hash for demo purposes (use proper hashing in production)
-        return btoa(pin).split('').reverse().join('');
+    // Unwrap the user's encryption keys for this browser tab; users without encryption are skipped
+    async unlockEncryption(username, pin) {
+        if (!this.encryption || !this.encryption.hasKeyring(username)) return false;
+        try {
+            return await this.encryption.unlock(username, pin);
+        } catch (error) {
+            console.error('Error unlocking encrypted files:', error.message);
+            return false;
+        }
     }
 
-    createSession(username) {
+    /**
+     * @param {Object} details - Extra session fields: provider (the provider name, 'local' by default), email, idToken
+     */
+    createSession(username, details = {}) {
+        const now = Date.now();
         const session = {
             username,
-            loginTime: new Date().toISOString(),
-            token: this.generateToken()
+            provider: 'local',
+            ...details,
+            loginTime: new Date(now).toISOString(),
+            token: this.generateToken(),
+            lastActivity: now,
+            expiresAt: AuthSystem.sessionExpiry(now, now)
         };
         
         console.log('Creating session for:', username);
@@ -349,6 +393,7 @@ class AuthSystem {
         try {
             localStorage.removeItem('data_bhandaar_session');
             localStorage.removeItem('data_bhandaar_current_user');
+            if (this.encryption) this.encryption.lockAll();
             console.log('Session cleared');
         } catch (e) {
             console.error('Error clearing session:', e);
@@ -376,62 +421,164 @@ class AuthSystem {
         }
     }
 
+    // The session of the main app; without a valid one the browser goes to the login page
     checkAndRedirect() {
-        const session = this.getCurrentSession();
-        if (!session) {
-            console.log('No active session, redirecting to login');
-            window.location.href = 'login.html';
-            return null;
+        const session = AuthSystem.checkAuth();
+        if (session) {
+            console.log('Active session found for:', session.username);
         }
-        
-        console.log('Active session found for:', session.username);
         return session;
     }
 
     getCurrentSession() {
+        return AuthSystem.getValidSession();
+    }
+
+    /**
+     * Keep the session of the main app alive while the user is active, end it when it expires,
+     * and follow logins and logouts of other tabs
+     */
+    startSessionMonitor() {
+        // Opening the app counts as activity
+        AuthSystem.renewSession();
+
+        let lastCheck = 0;
+        const onActivity = () => {
+            // Events like mousemove fire constantly; the stored session is looked at every few seconds
+            if (Date.now() - lastCheck < 5000) return;
+            lastCheck = Date.now();
+            AuthSystem.renewSession();
+        };
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true });
+        });
+
+        const username = this.getCurrentUser();
+        this.sessionTimer = setInterval(() => {
+            if (!AuthSystem.getValidSession()) {
+                clearInterval(this.sessionTimer);
+                AuthSystem.endSession('expired');
+            }
+        }, AuthSystem.sessionCheckIntervalMs);
+
+        // Another tab logged out, timed out or logged in as someone else. storage events only
+        // reach other tabs, so this tab's own changes don't come back here
+        window.addEventListener('storage', (e) => {
+            if (e.key !== 'data_bhandaar_session' && e.key !== null) return;
+            const session = AuthSystem.getValidSession();
+            if (!session) {
+                window.location.href = 'login.html';
+            } else if (session.username !== username) {
+                window.location.reload();
+            }
+        });
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.authChannel = new BroadcastChannel(AuthSystem.channelName);
+            this.authChannel.onmessage = (e) => {
+                // This tab's own endSession posts from another channel object; it is already leaving
+                if (e.data && e.data.type === 'logout' && e.data.tabId !== AuthSystem.tabId) {
+                    window.location.href = 'login.html';
+                }
+            };
+        }
+    }
+
+    /**
+     * The stored session, or null when there is none or it has expired. Sessions saved before
+     * expiry was added have no expiresAt and count as expired
+     */
+    static getValidSession() {
         try {
-            const session = localStorage.getItem('data_bhandaar_session');
-            return session ? JSON.parse(session) : null;
+            const stored = localStorage.getItem('data_bhandaar_session');
+            const session = stored ? JSON.parse(stored) : null;
+            if (!session || typeof session.expiresAt !== 'number' || Date.now() >= session.expiresAt) {
+                return null;
+            }
+            return session;
         } catch (e) {
             console.error('Error getting session:', e);
             return null;
         }
     }
 
+    /**
+     * End of a session last active at lastActivity: the idle timeout after the last activity,
+     * but never later than maxSessionMs after login
+     */
+    static sessionExpiry(loginTime, lastActivity) {
+        return Math.min(lastActivity + AuthSystem.sessionIdleTimeoutMs, loginTime + AuthSystem.maxSessionMs);
+    }
+
+    // Slide the expiry forward on activity; written at most once per sessionRenewIntervalMs
+    static renewSession() {
+        const session = AuthSystem.getValidSession();
+        if (!session) return null;
+
+        const now = Date.now();
+        if (now - session.lastActivity < AuthSystem.sessionRenewIntervalMs) return session;
+
+        session.lastActivity = now;
+        session.expiresAt = AuthSystem.sessionExpiry(Date.parse(session.loginTime), now);
+        try {
+            localStorage.setItem('data_bhandaar_session', JSON.stringify(session));
+        } catch (e) {
+            console.error('Error renewing session:', e);
+        }
+        return session;
+    }
+
+    /**
+     * Remove the session, tell the other tabs, and go to the login page
+     * @param {string} reason - 'expired' shows SESSION_EXPIRED on the login page
+     * @param {string} redirectTo - Where to go instead, such as an identity provider's logout page
+     */
+    static endSession(reason, redirectTo) {
+        try {
+            localStorage.removeItem('data_bhandaar_session');
+            localStorage.removeItem('data_bhandaar_current_user');
+            // Encryption keys unlocked for this tab
+            if (typeof FileEncryption !== 'undefined') new FileEncryption().lockAll();
+            if (typeof BroadcastChannel !== 'undefined') {
+                const channel = new BroadcastChannel(AuthSystem.channelName);
+                channel.postMessage({ type: 'logout', tabId: AuthSystem.tabId });
+                channel.close();
+            }
+            console.log(reason === 'expired' ? 'Session expired' : 'Logout successful');
+        } catch (e) {
+            console.error('Error during logout:', e);
+        }
+        window.location.href = redirectTo || (reason === 'expired' ? 'login.html?session=expired' : 'login.html');
+    }
+
     getCurrentUser() {
         const session = this.getCurrentSession();
         return session ? session.username : null;
     }
 
     static checkAuth() {
-        try {
-            const session = localStorage.getItem('data_bhandaar_session');
-            if (!session) {
-                console.log('No session found, redirecting to login');
-                if (!window.location.pathname.includes('login.html')) {
-                    window.location.href = 'login.html';
-                }
-                return null;
-            }
-            return JSON.parse(session);
-        } catch (e) {
-            console.error('Error checking auth:', e);
+        const session = AuthSystem.getValidSession();
+        if (!session) {
+            console.log('No valid session found, redirecting to login');
             if (!window.location.pathname.includes('login.html')) {
-                window.location.href = 'login.html';
+                window.location.href = localStorage.getItem('data_bhandaar_session') ? 'login.html?session=expired' : 'login.html';
             }
             return null;
         }
+        return session;
     }
 
-    static logout() {
+    // Sign out of the session's provider too, then end the session in every tab
+    async logout() {
+        const session = AuthSystem.getValidSession();
+        let redirectTo = null;
         try {
-            localStorage.removeItem('data_bhandaar_session');
-            localStorage.removeItem('data_bhandaar_current_user');
-            console.log('Logout successful');
-        } catch (e) {
-            console.error('Error during logout:', e);
+            const provider = await this.getProvider();
+            redirectTo = await provider.logout(session);
+        } catch (error) {
+            console.error('Error signing out of the auth provider:', error.message);
         }
-        window.location.href = 'login.html';
+        AuthSystem.endSession(null, redirectTo);
     }
 
     // Initialize storage system separately
@@ -449,6 +596,22 @@ class AuthSystem {
     }
 }
 
+// Session limits: ended after sessionIdleTimeoutMs without activity and maxSessionMs after
+// login at the latest. Activity renews the stored session at most every sessionRenewIntervalMs
+AuthSystem.sessionIdleTimeoutMs = 30 * 60 * 1000;
+AuthSystem.maxSessionMs = 12 * 60 * 60 * 1000;
+AuthSystem.sessionRenewIntervalMs = 60 * 1000;
+AuthSystem.sessionCheckIntervalMs = 30 * 1000;
+// BroadcastChannel that tells every open tab about a logout
+AuthSystem.channelName = 'data_bhandaar_auth';
+AuthSystem.tabId = Math.random().toString(36).substr(2, 9);
+
+// Auth providers by authConfig.provider name; a page only has the providers whose scripts it loads
+AuthSystem.providers = {};
+if (typeof LocalAuthProvider !== 'undefined') AuthSystem.providers.local = LocalAuthProvider;
+if (typeof FirebaseAuthProvider !== 'undefined') AuthSystem.providers.firebase = FirebaseAuthProvider;
+if (typeof OIDCAuthProvider !== 'undefined') AuthSystem.providers.oidc = OIDCAuthProvider;
+
 // Initialize auth system immediately
 const authSystem = new AuthSystem();
 
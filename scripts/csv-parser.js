@@ -0,0 +1,279 @@
+/**
+ * CSV Parser Utility
+ * Parses CSV/TSV text into typed records that JSONConverter can convert like JSON
+ */
+
+class CSVParser {
+    constructor() {
+        this.candidateDelimiters = [',', '\t', ';', '|'];
+    }
+
+    /**
+     * Parse CSV/TSV text into records
+     * @param {String} text - Raw file content
+     * @param {Object} options - { delimiter, hasHeader, inferTypes }
+     * @returns {Object} { records, columns, delimiter, hasHeader, columnTypes, rowCount }
+     */
+    parse(text, options = {}) {
+        // Strip UTF-8 BOM left by spreadsheet exports
+        const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        const delimiter = options.delimiter || this.detectDelimiter(content);
+        const rows = this.parseRows(content, delimiter)
+            .filter(row => !(row.length === 1 && row[0].trim() === ''));
+
+        if (rows.length === 0) {
+            return { records: [], columns: [], delimiter, hasHeader: false, columnTypes: {}, rowCount: 0 };
+        }
+
+        const hasHeader = options.hasHeader !== undefined ? options.hasHeader : this.detectHeader(rows);
+        const width = Math.max(...rows.map(row => row.length));
+        const columns = this._buildColumnNames(hasHeader ? rows[0] : [], width);
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+
+        const inferTypes = options.inferTypes !== false;
+        const columnTypes = {};
+        columns.forEach((column, i) => {
+            columnTypes[column] = inferTypes
+                ? this.inferColumnType(dataRows.map(row => row[i]))
+                : 'string';
+        });
+
+        const records = dataRows.map(row => {
+            const record = {};
+            columns.forEach((column, i) => {
+                record[column] = this.convertValue(row[i], columnTypes[column]);
+            });
+            return record;
+        });
+
+        return {
+            records,
+            columns,
+            delimiter,
+            hasHeader,
+            columnTypes,
+            rowCount: records.length
+        };
+    }
+
+    /**
+     * Split text into rows of fields (RFC 4180: quoted fields, "" escapes, embedded newlines)
+     * @param {String} text - Raw content
+     * @param {String} delimiter - Field delimiter
+     * @returns {Array<Array<String>>} Rows of raw string fields
+     */
+    parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                // Opening quote (leading whitespace before it is dropped)
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (inQuotes) {
+            throw new Error('Unterminated quoted field in CSV');
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Pick the delimiter that gives the most consistent multi-column split of the first lines
+     */
+    detectDelimiter(text) {
+        const sample = text.slice(0, 64 * 1024);
+        let best = { delimiter: ',', score: 0 };
+
+        this.candidateDelimiters.forEach(delimiter => {
+            let rows;
+            try {
+                rows = this.parseRows(sample, delimiter).slice(0, 20);
+            } catch (error) {
+                // Sample may cut a quoted field in half; drop the last partial row
+                rows = this.parseRows(sample.slice(0, sample.lastIndexOf('\n')), delimiter).slice(0, 20);
+            }
+            rows = rows.filter(row => !(row.length === 1 && row[0] === ''));
+            if (rows.length === 0) return;
+
+            const counts = rows.map(row => row.length);
+            const first = counts[0];
+            if (first < 2) return;
+
+            const consistent = counts.filter(count => count === first).length / counts.length;
+            const score = consistent * first;
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Decide whether the first row is a header: its cells are distinct non-empty labels
+     * and at least one column is typed (number/boolean) below but textual in the first row
+     */
+    detectHeader(rows) {
+        if (rows.length < 2) {
+            return rows.length === 1 && rows[0].every(cell => this._looksLikeLabel(cell));
+        }
+
+        const first = rows[0];
+        if (!first.every(cell => cell.trim() !== '')) return false;
+        if (new Set(first.map(cell => cell.trim().toLowerCase())).size !== first.length) return false;
+
+        const body = rows.slice(1, 51);
+        let typedColumnWithLabel = false;
+        let allLabels = true;
+
+        first.forEach((cell, i) => {
+            const firstType = this.inferColumnType([cell]);
+            const bodyType = this.inferColumnType(body.map(row => row[i]));
+            if (firstType === 'string' && bodyType !== 'string' && bodyType !== 'null') {
+                typedColumnWithLabel = true;
+            }
+            if (!this._looksLikeLabel(cell)) allLabels = false;
+        });
+
+        if (typedColumnWithLabel) return true;
+
+        // All-text tables: treat as header when the first row looks like identifiers
+        // and none of its values reappear in the body of the same column
+        const repeats = first.some((cell, i) => body.some(row => row[i] === cell));
+        return allLabels && !repeats;
+    }
+
+    _looksLikeLabel(cell) {
+        const value = (cell || '').trim();
+        return value !== '' && value.length <= 64 && /^[A-Za-z_][\w\s.\-()#/]*$/.test(value);
+    }
+
+    /**
+     * Infer a column type from all of its raw values
+     * @returns {String} 'integer' | 'number' | 'boolean' | 'string' | 'null'
+     */
+    inferColumnType(values) {
+        let type = 'null';
+
+        for (const raw of values) {
+            const value = raw === undefined ? '' : raw.trim();
+            if (this._isNullToken(value)) continue;
+
+            let valueType;
+            if (/^-?(0|[1-9]\d*)$/.test(value) && Number.isSafeInteger(Number(value))) {
+                valueType = 'integer';
+            } else if (/^-?(0|[1-9]\d*)?(\.\d+)?([eE][+-]?\d+)?$/.test(value) && /\d/.test(value)) {
+                valueType = 'number';
+            } else if (/^(true|false)$/i.test(value)) {
+                valueType = 'boolean';
+            } else {
+                return 'string';
+            }
+
+            if (type === 'null') {
+                type = valueType;
+            } else if (type !== valueType) {
+                // Integers widen to numbers; anything else mixed is text
+                if ((type === 'integer' && valueType === 'number') || (type === 'number' && valueType === 'integer')) {
+                    type = 'number';
+                } else {
+                    return 'string';
+                }
+            }
+        }
+
+        return type;
+    }
+
+    /**
+     * Convert a raw field into the column's inferred type
+     */
+    convertValue(raw, type) {
+        if (raw === undefined) return null;
+        const value = type === 'string' ? raw : raw.trim();
+
+        if (this._isNullToken(value.trim())) return null;
+
+        switch (type) {
+            case 'integer':
+            case 'number':
+                return Number(value);
+            case 'boolean':
+                return value.toLowerCase() === 'true';
+            default:
+                return value;
+        }
+    }
+
+    _isNullToken(value) {
+        return value === '' || /^(null|nan|n\/a)$/i.test(value);
+    }
+
+    /**
+     * Turn header cells into unique, non-empty keys (column_N like parseSQLFile for missing names)
+     */
+    _buildColumnNames(headerCells, width) {
+        const seen = {};
+        const names = [];
+
+        for (let i = 0; i < width; i++) {
+            let name = (headerCells[i] || '').trim() || `column_${i + 1}`;
+            if (seen[name]) {
+                seen[name]++;
+                name = `${name}_${seen[name]}`;
+            } else {
+                seen[name] = 1;
+            }
+            names.push(name);
+        }
+
+        return names;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVParser;
+}
@@ -0,0 +1,315 @@
+/**
+ * File Encryption
+ * Optional per-user encryption at rest with Web Crypto. Each user who turns it on gets a random
+ * AES-GCM data key; the key is stored wrapped (encrypted) by a key derived from their PIN with
+ * PBKDF2, so nothing in localStorage or IndexedDB can be read without the PIN.
+ *
+ * Keyrings live in localStorage under data_bhandaar_keyrings:
+ *   { username: { kdf: { salt, iterations, hash }, currentKeyId, keys: [{ keyId, iv, wrapped }], disabled } }
+ * Unlocked data keys are kept in sessionStorage (data_bhandaar_keys) for the current tab
+ * only, and removed on logout. A keyring can hold more than one key while files are being
+ * re-encrypted after a key rotation; records name the key they were encrypted with.
+ */
+
+class FileEncryption {
+    /**
+     * @param {Object} options - { iterations: PBKDF2 iterations (default 600000) }
+     */
+    constructor(options = {}) {
+        this.iterations = options.iterations || 600000;
+        this.keyringKey = 'data_bhandaar_keyrings';
+        this.sessionKey = 'data_bhandaar_keys';
+        // Imported CryptoKeys by raw key (base64), so each key is imported once
+        this.importedKeys = new Map();
+    }
+
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    // Error for encrypted data while the user's keys are locked (name EncryptionLockedError)
+    static lockedError(action = 'read') {
+        const error = new Error(`Encrypted file: unlock with your PIN to ${action} it`);
+        error.name = 'EncryptionLockedError';
+        return error;
+    }
+
+    // Whether new files of this user are encrypted
+    isEnabled(username) {
+        const keyring = this.getKeyring(username);
+        return !!keyring && !keyring.disabled;
+    }
+
+    hasKeyring(username) {
+        return !!this.getKeyring(username);
+    }
+
+    // All keys of the keyring are available in this tab
+    isUnlocked(username) {
+        const keyring = this.getKeyring(username);
+        if (!keyring) return true;
+        const sessionKeys = this.loadSessionKeys()[username] || {};
+        return keyring.keys.every(key => sessionKeys[key.keyId]);
+    }
+
+    currentKeyId(username) {
+        const keyring = this.getKeyring(username);
+        return keyring ? keyring.currentKeyId : null;
+    }
+
+    /**
+     * Turn encryption on: create the keyring with a new data key, unlocked for this tab.
+     * Existing files stay as they are until they are re-encrypted (StorageManager.reencryptFiles)
+     */
+    async enable(username, pin) {
+        const keyring = this.getKeyring(username);
+        if (keyring && !keyring.disabled) {
+            throw new Error('Encryption is already enabled');
+        }
+        if (keyring) {
+            // Turned off but not every file was decrypted yet: keep the keys, use them again
+            await this.unlock(username, pin);
+            delete keyring.disabled;
+            this.saveKeyring(username, keyring);
+            return keyring;
+        }
+
+        const kdf = { salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))), iterations: this.iterations, hash: 'SHA-256' };
+        const wrappingKey = await this.deriveWrappingKey(pin, kdf);
+        const key = await this.createDataKey(username, wrappingKey);
+        const created = { kdf, currentKeyId: key.keyId, keys: [key], createdAt: new Date().toISOString() };
+        this.saveKeyring(username, created);
+        return created;
+    }
+
+    /**
+     * Unwrap every key of the keyring with the PIN and keep them for this tab
+     */
+    async unlock(username, pin) {
+        const keyring = this.getKeyring(username);
+        if (!keyring) return false;
+
+        const wrappingKey = await this.deriveWrappingKey(pin, keyring.kdf);
+        const unwrapped = {};
+        for (const key of keyring.keys) {
+            unwrapped[key.keyId] = this.toBase64(await this.unwrap(wrappingKey, key));
+        }
+        this.saveSessionKeys(username, unwrapped);
+        return true;
+    }
+
+    lock(username) {
+        const sessionKeys = this.loadSessionKeys();
+        delete sessionKeys[username];
+        sessionStorage.setItem(this.sessionKey, JSON.stringify(sessionKeys));
+    }
+
+    lockAll() {
+        sessionStorage.removeItem(this.sessionKey);
+    }
+
+    /**
+     * Re-wrap the data keys for a new PIN. The data keys themselves don't change, so no file
+     * has to be re-encrypted; use rotate() for a new data key
+     */
+    async rekey(username, oldPin, newPin) {
+        const keyring = this.getKeyring(username);
+        if (!keyring) return false;
+
+        const oldWrappingKey = await this.deriveWrappingKey(oldPin, keyring.kdf);
+        const kdf = { salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))), iterations: this.iterations, hash: 'SHA-256' };
+        const newWrappingKey = await this.deriveWrappingKey(newPin, kdf);
+
+        const keys = [];
+        for (const key of keyring.keys) {
+            const raw = await this.unwrap(oldWrappingKey, key);
+            keys.push({ keyId: key.keyId, ...(await this.wrap(newWrappingKey, raw)) });
+        }
+        this.saveKeyring(username, { ...keyring, kdf, keys });
+        return true;
+    }
+
+    /**
+     * Add a new data key and make it current. Older keys stay in the keyring until every file
+     * has been re-encrypted with the new one (see finish())
+     */
+    async rotate(username, pin) {
+        const keyring = this.getKeyring(username);
+        if (!keyring || keyring.disabled) {
+            throw new Error('Encryption is not enabled');
+        }
+
+        await this.unlock(username, pin);
+        const wrappingKey = await this.deriveWrappingKey(pin, keyring.kdf);
+        const key = await this.createDataKey(username, wrappingKey);
+        this.saveKeyring(username, { ...keyring, currentKeyId: key.keyId, keys: [...keyring.keys, key] });
+        return key.keyId;
+    }
+
+    /**
+     * Stop encrypting new files. The keyring stays until every file has been decrypted
+     */
+    disable(username) {
+        const keyring = this.getKeyring(username);
+        if (!keyring) return;
+        this.saveKeyring(username, { ...keyring, disabled: true });
+    }
+
+    /**
+     * Drop keys no stored file uses any more, once files have been re-encrypted. A disabled
+     * keyring without files that need it is removed
+     * @param {Array} usedKeyIds - Keys still named by stored records
+     */
+    finish(username, usedKeyIds) {
+        const keyring = this.getKeyring(username);
+        if (!keyring) return;
+
+        const used = new Set(usedKeyIds);
+        if (keyring.disabled && used.size === 0) {
+            this.removeKeyring(username);
+            this.lock(username);
+            return;
+        }
+
+        const keys = keyring.keys.filter(key => key.keyId === keyring.currentKeyId || used.has(key.keyId));
+        this.saveKeyring(username, { ...keyring, keys });
+    }
+
+    /**
+     * Encrypt with the current key, or with keyId
+     * @returns {Promise<Object>} { keyId, data: ArrayBuffer (12-byte IV followed by the ciphertext) }
+     */
+    async encrypt(username, data, keyId = this.currentKeyId(username)) {
+        const key = await this.getKey(username, keyId);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+
+        const result = new Uint8Array(iv.length + ciphertext.length);
+        result.set(iv);
+        result.set(ciphertext, iv.length);
+        return { keyId, data: result.buffer };
+    }
+
+    async decrypt(username, keyId, data) {
+        const key = await this.getKey(username, keyId);
+        const bytes = new Uint8Array(data);
+        try {
+            return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+        } catch (error) {
+            throw new Error('Decryption failed: the data is damaged or was encrypted with another key');
+        }
+    }
+
+    /**
+     * Encrypt a JSON value (metadata) to a base64 string
+     * @returns {Promise<Object>} { keyId, sealed }
+     */
+    async seal(username, value, keyId = this.currentKeyId(username)) {
+        const { data } = await this.encrypt(username, new TextEncoder().encode(JSON.stringify(value)), keyId);
+        return { keyId, sealed: this.toBase64(new Uint8Array(data)) };
+    }
+
+    async open(username, keyId, sealed) {
+        const data = await this.decrypt(username, keyId, this.fromBase64(sealed));
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    async getKey(username, keyId) {
+        const raw = (this.loadSessionKeys()[username] || {})[keyId];
+        if (!raw) {
+            throw FileEncryption.lockedError();
+        }
+        if (!this.importedKeys.has(raw)) {
+            this.importedKeys.set(raw, await crypto.subtle.importKey('raw', this.fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']));
+        }
+        return this.importedKeys.get(raw);
+    }
+
+    async createDataKey(username, wrappingKey) {
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const keyId = 'key_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.saveSessionKeys(username, { ...(this.loadSessionKeys()[username] || {}), [keyId]: this.toBase64(raw) });
+        return { keyId, ...(await this.wrap(wrappingKey, raw)) };
+    }
+
+    async deriveWrappingKey(pin, kdf) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async wrap(wrappingKey, raw) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, raw);
+        return { iv: this.toBase64(iv), wrapped: this.toBase64(new Uint8Array(wrapped)) };
+    }
+
+    async unwrap(wrappingKey, key) {
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(key.iv) }, wrappingKey, this.fromBase64(key.wrapped)));
+        } catch (error) {
+            throw new Error('Wrong PIN: the encryption keys could not be unlocked');
+        }
+    }
+
+    getKeyring(username) {
+        try {
+            return JSON.parse(localStorage.getItem(this.keyringKey) || '{}')[username] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveKeyring(username, keyring) {
+        const keyrings = JSON.parse(localStorage.getItem(this.keyringKey) || '{}');
+        keyrings[username] = keyring;
+        localStorage.setItem(this.keyringKey, JSON.stringify(keyrings));
+    }
+
+    removeKeyring(username) {
+        const keyrings = JSON.parse(localStorage.getItem(this.keyringKey) || '{}');
+        delete keyrings[username];
+        localStorage.setItem(this.keyringKey, JSON.stringify(keyrings));
+    }
+
+    loadSessionKeys() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.sessionKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveSessionKeys(username, keys) {
+        const sessionKeys = this.loadSessionKeys();
+        sessionKeys[username] = keys;
+        sessionStorage.setItem(this.sessionKey, JSON.stringify(sessionKeys));
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileEncryption;
+}
@@ -6,14 +6,59 @@
 class JSONConverter {
     constructor() {
         this.sqlTableCounter = 0;
+
+        // Target databases for generateSQLSchema/generateSQLInserts
+        this.sqlDialects = {
+            postgresql: {
+                label: 'PostgreSQL',
+                quote: name => `"${String(name).replace(/"/g, '""')}"`,
+                types: {
+                    INTEGER: 'BIGINT', REAL: 'DOUBLE PRECISION', BOOLEAN: 'BOOLEAN', DATETIME: 'TIMESTAMPTZ',
+                    VARCHAR: length => `VARCHAR(${length})`, TEXT: 'TEXT', JSON: 'JSONB'
+                }
+            },
+            mysql: {
+                label: 'MySQL',
+                quote: name => `\`${String(name).replace(/`/g, '``')}\``,
+                types: {
+                    INTEGER: 'BIGINT', REAL: 'DOUBLE', BOOLEAN: 'TINYINT(1)', DATETIME: 'DATETIME(3)',
+                    VARCHAR: length => `VARCHAR(${length})`, TEXT: 'TEXT', JSON: 'JSON'
+                }
+            },
+            sqlite: {
+                label: 'SQLite',
+                quote: name => `"${String(name).replace(/"/g, '""')}"`,
+                types: {
+                    INTEGER: 'INTEGER', REAL: 'REAL', BOOLEAN: 'INTEGER', DATETIME: 'TEXT',
+                    VARCHAR: () => 'TEXT', TEXT: 'TEXT', JSON: 'TEXT'
+                }
+            },
+            sqlserver: {
+                label: 'SQL Server',
+                quote: name => `[${String(name).replace(/]/g, ']]')}]`,
+                types: {
+                    INTEGER: 'BIGINT', REAL: 'FLOAT', BOOLEAN: 'BIT', DATETIME: 'DATETIME2',
+                    VARCHAR: length => `NVARCHAR(${length})`, TEXT: 'NVARCHAR(MAX)', JSON: 'NVARCHAR(MAX)'
+                }
+            }
+        };
+
+        // Schema inference: analyzeStructure reads every record unless given a sample size.
+        // Text columns with 2 to enumMaxValues distinct values are reported as enums once at
+        // least enumMinRows values were seen and each value repeats on average
+        this.analysisSampleSize = null;
+        this.enumMaxValues = 10;
+        this.enumMinRows = 20;
     }
 
     /**
      * Analyze JSON structure to determine best conversion strategy
      * @param {Object|Array} jsonData - The JSON data to analyze
-     * @returns {Object} Analysis results with structure type and recommendations
+     * @param {Object} options - { sampleSize: records to inspect (default every record) }
+     * @returns {Object} Analysis results with structure type, field profiles and recommendations
      */
-    analyzeStructure(jsonData) {
+    analyzeStructure(jsonData, options = {}) {
+        const sampleSize = options.sampleSize || this.analysisSampleSize;
         const analysis = {
             type: Array.isArray(jsonData) ? 'array' : typeof jsonData,
             isFlat: true,
@@ -25,27 +70,35 @@ class JSONConverter {
             complexity: 'simple',
             recommendation: 'nosql', // Default recommendation
             itemCount: 0,
-            fields: new Set()
+            sampledItems: 0,
+            fields: new Set(),
+            fieldProfiles: {}
         };
 
+        let records = [];
         if (Array.isArray(jsonData)) {
             analysis.itemCount = jsonData.length;
-            if (jsonData.length > 0) {
-                const depth = this._calculateDepth(jsonData[0]);
-                analysis.depth = depth;
-
-                // Analyze first few items for structure
-                const sampleSize = Math.min(10, jsonData.length);
-                for (let i = 0; i < sampleSize; i++) {
-                    this._analyzeObject(jsonData[i], analysis);
-                }
-            }
+            records = this._sampleRecords(jsonData, sampleSize);
         } else if (typeof jsonData === 'object' && jsonData !== null) {
             analysis.itemCount = 1;
-            analysis.depth = this._calculateDepth(jsonData);
-            this._analyzeObject(jsonData, analysis);
+            records = [jsonData];
         }
 
+        analysis.sampledItems = records.length;
+        records.forEach(record => {
+            analysis.depth = Math.max(analysis.depth, this._calculateDepth(record));
+            this._analyzeObject(record, analysis);
+        });
+
+        // Profile every top-level field across the sample; records missing a field count as null
+        const objectRecords = records.filter(record => typeof record === 'object' && record !== null && !Array.isArray(record));
+        analysis.fields.forEach(field => {
+            const values = objectRecords.map(record => record[field]);
+            if (values.some(value => value !== undefined && value !== null && !this._isComplexType(value))) {
+                analysis.fieldProfiles[field] = this._profileColumn(values);
+            }
+        });
+
         // Determine structure characteristics
         if (analysis.depth > 2) {
             analysis.isNested = true;
@@ -73,6 +126,16 @@ class JSONConverter {
         return analysis;
     }
 
+    /**
+     * Evenly spaced records so sorted data is sampled from start to end
+     */
+    _sampleRecords(array, sampleSize) {
+        if (!sampleSize || array.length <= sampleSize) return array;
+
+        const step = array.length / sampleSize;
+        return Array.from({ length: sampleSize }, (_, i) => array[Math.floor(i * step)]);
+    }
+
     /**
      * Calculate depth of nested structure
      */
@@ -106,7 +169,7 @@ class JSONConverter {
 
             if (Array.isArray(value)) {
                 analysis.hasArrays = true;
-                if (value.length > 0 && typeof value[0] === 'object') {
+                if (value.some(element => typeof element === 'object' && element !== null)) {
                     analysis.isNested = true;
                     analysis.isFlat = false;
                 }
@@ -122,190 +185,327 @@ class JSONConverter {
      * Convert JSON to SQL-friendly structure
      * @param {Object|Array} jsonData - The JSON data to convert
      * @param {String} rootTableName - Name for the root table
+     * @param {Object} options - { naturalKeys: column name (or list of names) to use as a
+     *                             table's primary key instead of the synthetic id.
+     *                             A source "id" column is always kept when it can be the key }
      * @returns {Object} SQL structure with tables and relationships
      */
-    convertToSQL(jsonData, rootTableName = 'main_table') {
-        this.sqlTableCounter = 0;
-        const tables = [];
-        const relationships = [];
-
+    convertToSQL(jsonData, rootTableName = 'main_table', options = {}) {
+        const builder = this.createSQLBuilder(rootTableName, options);
         if (Array.isArray(jsonData)) {
-            // Array of records - create a single table
-            const table = this._arrayToSQLTable(jsonData, rootTableName);
-            tables.push(table);
-
-            // Extract nested objects/arrays into separate tables
-            this._extractNestedTables(jsonData, rootTableName, tables, relationships);
-        } else if (typeof jsonData === 'object' && jsonData !== null) {
-            // Single object - create table with one row
-            const table = this._objectToSQLTable(jsonData, rootTableName);
-            tables.push(table);
-
-            // Extract nested structures
-            this._extractNestedTables([jsonData], rootTableName, tables, relationships);
-        } else {
-            // Primitive value - wrap in table
-            tables.push({
-                name: rootTableName,
-                columns: ['id', 'value'],
-                rows: [[1, jsonData]],
-                primaryKey: 'id'
-            });
+            jsonData.forEach(item => builder.add(item));
         }
+        return builder.finish(jsonData);
+    }
+
+    /**
+     * Incremental form of convertToSQL for streamed input: add() flattens each element of a
+     * root array into rows of the root and nested tables as soon as it is parsed, finish()
+     * picks the keys, links child rows to their parents and infers the column types
+     * @param {String} rootTableName - Name for the root table
+     * @param {Object} options - Same as convertToSQL
+     * @returns {Object} { add(item), finish(jsonData) }
+     */
+    createSQLBuilder(rootTableName = 'main_table', options = {}) {
+        // A natural key (or the records' own id) replaces the synthetic id column
+        const keyCandidates = [].concat(options.naturalKeys || []).filter(key => key).concat('id');
+        const root = this._createSQLNode(rootTableName, keyCandidates);
 
         return {
-            database: rootTableName + '_db',
-            tables: tables,
-            relationships: relationships,
-            metadata: {
-                tableCount: tables.length,
-                totalRows: tables.reduce((sum, t) => sum + t.rows.length, 0),
-                conversionDate: new Date().toISOString()
+            add: (item) => this._addSQLEntry(root, item, null),
+
+            finish: (jsonData) => {
+                this.sqlTableCounter = 0;
+                const tables = [];
+                const relationships = [];
+
+                if (!Array.isArray(jsonData) && (typeof jsonData !== 'object' || jsonData === null)) {
+                    // Primitive value - wrap in table
+                    tables.push({
+                        name: rootTableName,
+                        columns: ['id', 'value'],
+                        rows: [[1, jsonData]],
+                        primaryKey: 'id',
+                        syntheticKey: true
+                    });
+                } else {
+                    // Single object - create table with one row
+                    if (!Array.isArray(jsonData)) {
+                        this._addSQLEntry(root, jsonData, null);
+                    }
+
+                    const table = this._buildSQLTable(root);
+                    tables.push(table);
+
+                    // Nested objects/arrays become separate tables
+                    this._buildNestedTables(root, table, tables, relationships);
+                }
+
+                return {
+                    database: rootTableName + '_db',
+                    tables: tables,
+                    relationships: relationships,
+                    metadata: {
+                        tableCount: tables.length,
+                        totalRows: tables.reduce((sum, t) => sum + t.rows.length, 0),
+                        conversionDate: new Date().toISOString()
+                    }
+                };
             }
         };
     }
 
     /**
-     * Convert array of objects to SQL table
+     * Table under construction: one entry per element, the union of its keys (nested tables
+     * follow that order), its scalar columns and which key candidates are still unique
      */
-    _arrayToSQLTable(array, tableName) {
-        if (array.length === 0) {
-            return {
-                name: tableName,
-                columns: ['id'],
-                rows: [],
-                primaryKey: 'id'
-            };
-        }
+    _createSQLNode(name, keyCandidates) {
+        return {
+            name: name,
+            keyCandidates: keyCandidates,
+            entries: [],            // { row: scalar values by column index, value: non-object element, parent: parent entry index }
+            keys: new Set(),
+            columns: [],
+            columnIndexes: new Map(),
+            keyStates: keyCandidates.map(key => ({ key, seen: new Set(), valid: true })),
+            children: new Map(),    // key -> node
+            sawArray: false,        // some parent holds this key as an array (many-to-one rather than one-to-one)
+            objectCount: 0,
+            presentCount: 0
+        };
+    }
 
-        // Collect all unique columns from all objects
-        const columnsSet = new Set(['id']);
-        array.forEach(item => {
-            if (typeof item === 'object' && item !== null) {
-                Object.keys(item).forEach(key => {
-                    // Only include primitive values and exclude nested objects/arrays
-                    if (!this._isComplexType(item[key])) {
-                        columnsSet.add(key);
-                    }
-                });
+    /**
+     * Flatten one element into a node: scalar values fill its row, objects and arrays are
+     * added to the child node for their key, remembering this row as their parent
+     */
+    _addSQLEntry(node, item, parent) {
+        const entryIndex = node.entries.length;
+        const entry = { row: [], value: null, parent: parent };
+        node.entries.push(entry);
+
+        const isObject = typeof item === 'object' && item !== null;
+        if (item !== null && item !== undefined) node.presentCount++;
+
+        // Natural key candidates need a unique, non-null scalar in every record
+        node.keyStates.forEach(state => {
+            if (!state.valid) return;
+            const value = isObject ? item[state.key] : undefined;
+            const token = `${typeof value}:${value}`;
+            if (value === null || value === undefined || typeof value === 'boolean' || state.seen.has(token)) {
+                state.valid = false;
+                state.seen = null;
+            } else {
+                state.seen.add(token);
             }
         });
 
-        const columns = Array.from(columnsSet);
+        if (!isObject) {
+            entry.value = item;
+            return;
+        }
 
-        // Create rows
-        const rows = array.map((item, index) => {
-            const row = [index + 1]; // ID column
+        node.objectCount++;
+        Object.keys(item).forEach(key => {
+            node.keys.add(key);
+            const value = item[key];
 
-            columns.slice(1).forEach(col => {
-                if (typeof item === 'object' && item !== null) {
-                    const value = item[col];
-                    row.push(this._isComplexType(value) ? null : this._sanitizeSQLValue(value));
-                } else {
-                    row.push(null);
+            if (!this._isComplexType(value)) {
+                if (!node.columnIndexes.has(key)) {
+                    node.columnIndexes.set(key, node.columns.length);
+                    node.columns.push(key);
                 }
-            });
+                entry.row[node.columnIndexes.get(key)] = this._sanitizeSQLValue(value);
+                return;
+            }
 
-            return row;
-        });
+            if (!node.children.has(key)) {
+                node.children.set(key, this._createSQLNode(`${node.name}_${key}`, node.keyCandidates));
+            }
+            const child = node.children.get(key);
 
-        return {
-            name: tableName,
-            columns: columns,
-            rows: rows,
-            primaryKey: 'id',
-            columnTypes: this._inferColumnTypes(columns, rows)
-        };
+            // A lone object where other records have an array counts as a one-element array
+            if (Array.isArray(value)) {
+                child.sawArray = true;
+                value.forEach(element => this._addSQLEntry(child, element, entryIndex));
+            } else {
+                this._addSQLEntry(child, value, entryIndex);
+            }
+        });
     }
 
     /**
-     * Convert single object to SQL table
+     * SQL table from a node; the first still-valid key candidate becomes the primary key,
+     * otherwise rows are numbered from 1
      */
-    _objectToSQLTable(obj, tableName) {
-        const columns = ['id'];
-        const values = [1];
+    _buildSQLTable(node) {
+        if (node.entries.length === 0) {
+            return {
+                name: node.name,
+                columns: ['id'],
+                rows: [],
+                primaryKey: 'id',
+                syntheticKey: true
+            };
+        }
 
-        Object.keys(obj).forEach(key => {
-            if (!this._isComplexType(obj[key])) {
-                columns.push(key);
-                values.push(this._sanitizeSQLValue(obj[key]));
-            }
+        const keyState = node.keyStates.find(state => state.valid && node.columnIndexes.has(state.key));
+        const naturalKey = keyState ? keyState.key : null;
+        const primaryKey = naturalKey || 'id';
+        const valueColumns = node.columns.filter(col => col !== primaryKey);
+        const valueIndexes = valueColumns.map(col => node.columnIndexes.get(col));
+        const keyIndex = naturalKey ? node.columnIndexes.get(naturalKey) : -1;
+        const columns = [primaryKey, ...valueColumns];
+
+        const rows = node.entries.map((entry, index) => {
+            const row = [naturalKey ? entry.row[keyIndex] : index + 1];
+            valueIndexes.forEach(i => row.push(entry.row[i] === undefined ? null : entry.row[i]));
+            return row;
         });
 
+        const columnProfiles = this._profileColumns(columns, rows, !naturalKey);
+
         return {
-            name: tableName,
+            name: node.name,
             columns: columns,
-            rows: [values],
-            primaryKey: 'id',
-            columnTypes: this._inferColumnTypes(columns, [values])
+            rows: rows,
+            primaryKey: primaryKey,
+            syntheticKey: !naturalKey,
+            columnTypes: this._inferColumnTypes(columnProfiles),
+            columnProfiles: columnProfiles
         };
     }
 
     /**
-     * Extract nested objects and arrays into separate tables
+     * Tables for a node's nested objects and arrays, depth first in key order.
+     * Child rows carry the primary key of the parent row they came from
+     * @param {Object} node - Node that produced parentTable's rows, in the same order
+     * @param {Object} parentTable - SQL table built from node
      */
-    _extractNestedTables(dataArray, parentTableName, tables, relationships) {
-        if (!Array.isArray(dataArray) || dataArray.length === 0) return;
-
-        const firstItem = dataArray[0];
-        if (typeof firstItem !== 'object' || firstItem === null) return;
-
-        Object.keys(firstItem).forEach(key => {
-            const values = dataArray.map(item => item[key]).filter(v => v !== undefined);
-            if (values.length === 0) return;
-
-            const firstValue = values[0];
-
-            if (Array.isArray(firstValue)) {
-                // Nested array - create separate table
-                const nestedTableName = `${parentTableName}_${key}`;
-                const flatArray = values.flat();
+    _buildNestedTables(node, parentTable, tables, relationships) {
+        const parentTableName = parentTable.name;
+        const parentKey = parentTable.primaryKey;
+        const parentKeys = parentTable.rows.map(row => row[0]);
+        const foreignKey = `${parentTableName}_${parentKey}`;
+        const foreignKeyType = this._baseColumnType(parentTable, parentKey);
+
+        node.keys.forEach(key => {
+            const child = node.children.get(key);
+            if (!child) return;
+
+            const entryParents = child.entries.map(entry => parentKeys[entry.parent]);
+
+            if (child.sawArray) {
+                if (child.presentCount === 0) return;
+
+                if (child.objectCount === 0) {
+                    // Array of primitives (e.g. tags) - value table plus a many-to-many link table
+                    const elements = child.entries.map(entry => entry.value);
+                    this._extractPrimitiveArray(elements, entryParents, parentTable, child.name, tables, relationships);
+                    return;
+                }
+            }
 
-                if (flatArray.length > 0 && typeof flatArray[0] === 'object') {
-                    const nestedTable = this._arrayToSQLTable(flatArray, nestedTableName);
+            // Nested array or object - separate table with a foreign key column
+            const nestedTable = this._buildSQLTable(child);
+            nestedTable.columns.push(foreignKey);
+            nestedTable.rows.forEach((row, idx) => {
+                row.push(entryParents[idx]);
+            });
+            this._setColumnType(nestedTable, foreignKey, foreignKeyType);
 
-                    // Add foreign key column
-                    nestedTable.columns.push(`${parentTableName}_id`);
-                    nestedTable.rows.forEach((row, idx) => {
-                        row.push(Math.floor(idx / (flatArray.length / dataArray.length)) + 1);
-                    });
+            tables.push(nestedTable);
+            relationships.push(child.sawArray
+                ? { from: child.name, to: parentTableName, type: 'many-to-one', foreignKey: foreignKey, references: parentKey }
+                : { from: parentTableName, to: child.name, type: 'one-to-one', foreignKey: foreignKey, references: parentKey });
 
-                    tables.push(nestedTable);
-                    relationships.push({
-                        from: nestedTableName,
-                        to: parentTableName,
-                        type: 'many-to-one',
-                        foreignKey: `${parentTableName}_id`
-                    });
+            // Recursively build deeper nested structures
+            this._buildNestedTables(child, nestedTable, tables, relationships);
+        });
+    }
 
-                    // Recursively extract deeper nested structures
-                    this._extractNestedTables(flatArray, nestedTableName, tables, relationships);
-                }
-            } else if (typeof firstValue === 'object' && firstValue !== null) {
-                // Nested object - create separate table
-                const nestedTableName = `${parentTableName}_${key}`;
-                const nestedObjects = values.filter(v => typeof v === 'object' && v !== null);
+    /**
+     * FK columns are added after type inference; they share the type of the key they reference
+     */
+    _setColumnType(table, column, type) {
+        const index = table.columns.indexOf(column);
+        const profile = this._profileColumn(table.rows.map(row => row[index]));
 
-                const nestedTable = this._arrayToSQLTable(nestedObjects, nestedTableName);
+        table.columnTypes = Object.assign(table.columnTypes || {}, { [column]: type });
+        table.columnProfiles = Object.assign(table.columnProfiles || {}, {
+            [column]: { type, nullable: profile.nullable, maxLength: profile.maxLength }
+        });
+    }
 
-                // Add foreign key
-                nestedTable.columns.push(`${parentTableName}_id`);
-                nestedTable.rows.forEach((row, idx) => {
-                    row.push(idx + 1);
-                });
+    /**
+     * Arrays of primitives become a table of distinct values and a link table with one
+     * row per array element, so order and repeats survive (link ids follow array order)
+     */
+    _extractPrimitiveArray(elements, elementParents, parentTable, valueTableName, tables, relationships) {
+        const parentForeignKey = `${parentTable.name}_${parentTable.primaryKey}`;
+        const valueForeignKey = `${valueTableName}_id`;
+        const linkTableName = `${valueTableName}_link`;
+
+        const valueIds = new Map();
+        const valueRows = [];
+        const linkRows = [];
+
+        elements.forEach((element, idx) => {
+            const value = this._sanitizeSQLValue(element);
+            const token = `${typeof value}:${value}`;
+            if (!valueIds.has(token)) {
+                valueIds.set(token, valueRows.length + 1);
+                valueRows.push([valueRows.length + 1, value]);
+            }
+            linkRows.push([linkRows.length + 1, elementParents[idx], valueIds.get(token)]);
+        });
 
-                tables.push(nestedTable);
-                relationships.push({
-                    from: parentTableName,
-                    to: nestedTableName,
-                    type: 'one-to-one',
-                    foreignKey: `${parentTableName}_id`
-                });
+        const valueColumns = ['id', 'value'];
+        const valueProfiles = this._profileColumns(valueColumns, valueRows);
+        tables.push({
+            name: valueTableName,
+            columns: valueColumns,
+            rows: valueRows,
+            primaryKey: 'id',
+            syntheticKey: true,
+            columnTypes: this._inferColumnTypes(valueProfiles),
+            columnProfiles: valueProfiles
+        });
 
-                // Recursively extract
-                this._extractNestedTables(nestedObjects, nestedTableName, tables, relationships);
+        const linkTable = {
+            name: linkTableName,
+            columns: ['id', parentForeignKey, valueForeignKey],
+            rows: linkRows,
+            primaryKey: 'id',
+            syntheticKey: true
+        };
+        this._setColumnType(linkTable, 'id', 'INTEGER PRIMARY KEY');
+        this._setColumnType(linkTable, parentForeignKey, this._baseColumnType(parentTable, parentTable.primaryKey));
+        this._setColumnType(linkTable, valueForeignKey, 'INTEGER');
+        tables.push(linkTable);
+
+        relationships.push(
+            {
+                from: linkTableName,
+                to: parentTable.name,
+                type: 'many-to-one',
+                foreignKey: parentForeignKey,
+                references: parentTable.primaryKey
+            },
+            {
+                from: linkTableName,
+                to: valueTableName,
+                type: 'many-to-one',
+                foreignKey: valueForeignKey,
+                references: 'id'
+            },
+            {
+                from: parentTable.name,
+                to: valueTableName,
+                type: 'many-to-many',
+                through: linkTableName
             }
-        });
+        );
     }
 
     /**
@@ -315,54 +515,80 @@ class JSONConverter {
      * @returns {Object} NoSQL structure with collections and documents
      */
     convertToNoSQL(jsonData, collectionName = 'main_collection') {
-        const collections = [];
-
+        const builder = this.createNoSQLBuilder(collectionName);
         if (Array.isArray(jsonData)) {
-            // Array becomes a collection of documents
-            const documents = jsonData.map((item, index) =>
-                this._createNoSQLDocument(item, index)
-            );
-
-            collections.push({
-                name: collectionName,
-                documents: documents,
-                indexes: this._suggestNoSQLIndexes(documents)
-            });
-        } else if (typeof jsonData === 'object' && jsonData !== null) {
-            // Single object becomes a collection with one document
-            const document = this._createNoSQLDocument(jsonData, 0);
-
-            collections.push({
-                name: collectionName,
-                documents: [document],
-                indexes: this._suggestNoSQLIndexes([document])
-            });
-        } else {
-            // Primitive value
-            collections.push({
-                name: collectionName,
-                documents: [{
-                    _id: this._generateObjectId(),
-                    value: jsonData,
-                    _metadata: {
-                        type: typeof jsonData,
-                        createdAt: new Date().toISOString()
-                    }
-                }],
-                indexes: []
-            });
+            jsonData.forEach((item, index) => builder.add(item, index));
         }
+        return builder.finish(jsonData);
+    }
 
-        // Extract embedded arrays into separate collections if needed
-        this._extractEmbeddedCollections(jsonData, collectionName, collections);
+    /**
+     * Incremental form of convertToNoSQL for streamed input: add() turns each element of a
+     * root array into a document as soon as it is parsed, finish() builds the result
+     * @param {String} collectionName - Name for the collection
+     * @returns {Object} { add(item, index), finish(jsonData) }
+     */
+    createNoSQLBuilder(collectionName = 'main_collection') {
+        const documents = [];
+        const embeddedCollections = [];
 
         return {
-            database: collectionName + '_db',
-            collections: collections,
-            metadata: {
-                collectionCount: collections.length,
-                totalDocuments: collections.reduce((sum, c) => sum + c.documents.length, 0),
-                conversionDate: new Date().toISOString()
+            add: (item, index) => {
+                // Array becomes a collection of documents
+                documents.push(this._createNoSQLDocument(item, index));
+
+                // Extract embedded arrays into separate collections if needed
+                if (typeof item === 'object' && item !== null) {
+                    this._extractFromObject(item, collectionName, embeddedCollections);
+                }
+            },
+
+            finish: (jsonData) => {
+                const collections = [];
+
+                if (Array.isArray(jsonData)) {
+                    collections.push({
+                        name: collectionName,
+                        documents: documents,
+                        indexes: this._suggestNoSQLIndexes(documents)
+                    });
+                } else if (typeof jsonData === 'object' && jsonData !== null) {
+                    // Single object becomes a collection with one document
+                    const document = this._createNoSQLDocument(jsonData, 0);
+
+                    collections.push({
+                        name: collectionName,
+                        documents: [document],
+                        indexes: this._suggestNoSQLIndexes([document])
+                    });
+                    this._extractFromObject(jsonData, collectionName, embeddedCollections);
+                } else {
+                    // Primitive value
+                    collections.push({
+                        name: collectionName,
+                        documents: [{
+                            _id: this._generateObjectId(),
+                            value: jsonData,
+                            _metadata: {
+                                type: typeof jsonData,
+                                createdAt: new Date().toISOString()
+                            }
+                        }],
+                        indexes: []
+                    });
+                }
+
+                collections.push(...embeddedCollections);
+
+                return {
+                    database: collectionName + '_db',
+                    collections: collections,
+                    metadata: {
+                        collectionCount: collections.length,
+                        totalDocuments: collections.reduce((sum, c) => sum + c.documents.length, 0),
+                        conversionDate: new Date().toISOString()
+                    }
+                };
             }
         };
     }
@@ -418,21 +644,6 @@ class JSONConverter {
         }
     }
 
-    /**
-     * Extract embedded arrays into separate collections
-     */
-    _extractEmbeddedCollections(data, parentCollection, collections) {
-        if (Array.isArray(data)) {
-            data.forEach(item => {
-                if (typeof item === 'object' && item !== null) {
-                    this._extractFromObject(item, parentCollection, collections);
-                }
-            });
-        } else if (typeof data === 'object' && data !== null) {
-            this._extractFromObject(data, parentCollection, collections);
-        }
-    }
-
     /**
      * Extract arrays from object into collections
      */
@@ -509,40 +720,520 @@ class JSONConverter {
     }
 
     /**
-     * Infer SQL column types from data
+     * Rebuild nested JSON documents from SQL tables by following their relationships.
+     * Child tables are embedded as arrays (objects for one-to-one), link tables become
+     * arrays of values, and tables chosen for referencing stay separate collections
+     * @param {Object} sqlStructure - convertToSQL output, a stored JSON_SQL_CONVERTED structure
+     *                                or parseSQLFile output ({ name, type } columns, string cells)
+     * @param {Object} options - {
+     *     root: table the documents are built from (default: the parent table with most children),
+     *     embed: child tables to embed (default every child table),
+     *     reference: child tables to keep as their own collections, linked by key,
+     *     idField: field holding a collection document's primary key (default '_id', null keeps the column),
+     *     dropSurrogateKeys: leave out "id" keys numbered 1..n like the ones convertToSQL adds,
+     *     omitNulls: leave out null fields
+     * }
+     * @returns {Object} NoSQL structure: the root collection of nested documents first, then
+     *                   one collection per referenced (or unreachable) table
+     */
+    convertSQLToJSON(sqlStructure, options = {}) {
+        const tables = this._normalizeSQLTables(sqlStructure);
+        if (tables.length === 0) {
+            throw new Error('No tables to convert');
+        }
+
+        const idField = options.idField === undefined ? '_id' : options.idField;
+        const embedOnly = options.embed ? new Set(options.embed) : null;
+        const referenced = new Set(options.reference || []);
+        const embeds = table => !referenced.has(table.name) && (!embedOnly || embedOnly.has(table.name));
+
+        // Self references stay plain fields
+        const relationships = sqlStructure.relationships || [];
+        const foreignKeys = this._resolveForeignKeys({ tables, relationships }).filter(fk => fk.child !== fk.parent);
+        const oneToOne = new Set(relationships
+            .filter(rel => rel.type === 'one-to-one')
+            .map(rel => `${[rel.from, rel.to].sort().join('|')}|${rel.foreignKey}`));
+        const isOneToOne = fk => oneToOne.has(`${[fk.child.name, fk.parent.name].sort().join('|')}|${fk.column}`);
+
+        // Pure link tables (key plus two foreign keys) become arrays on their owning side
+        const links = [];
+        tables.forEach(table => {
+            const tableKeys = foreignKeys.filter(fk => fk.child === table);
+            const dataColumns = table.columns.filter(col => col !== table.primaryKey);
+            if (tableKeys.length !== 2 || dataColumns.length !== 2 ||
+                !dataColumns.every(col => tableKeys.some(fk => fk.column === col))) return;
+
+            // convertToSQL records the owner in a many-to-many relationship; otherwise the first key owns
+            let [ownerKey, valueKey] = tableKeys;
+            const manyToMany = relationships.find(rel => rel.type === 'many-to-many' && rel.through === table.name);
+            if (manyToMany ? manyToMany.from !== ownerKey.parent.name : valueKey.parent.name === options.root) {
+                [ownerKey, valueKey] = [valueKey, ownerKey];
+            }
+            links.push({ table, ownerKey, valueKey });
+        });
+        const linkTables = new Set(links.map(link => link.table));
+
+        const root = options.root ? tables.find(t => t.name === options.root) : this._findRootTable(tables, foreignKeys, linkTables);
+        if (!root) {
+            throw new Error(`Unknown root table "${options.root}"`);
+        }
+
+        // Each embedded table hangs off the parent of its first foreign key
+        const embedKey = new Map();
+        tables.forEach(table => {
+            if (table === root || linkTables.has(table) || !embeds(table)) return;
+            const fk = foreignKeys.find(key => key.child === table);
+            if (fk) embedKey.set(table, fk);
+        });
+        // A cycle of embedded tables would leave none of them as a collection
+        tables.forEach(table => {
+            const seen = new Set([table]);
+            for (let fk = embedKey.get(table); fk; fk = embedKey.get(fk.parent)) {
+                if (seen.has(fk.parent)) {
+                    embedKey.delete(table);
+                    break;
+                }
+                seen.add(fk.parent);
+            }
+        });
+        const embeddedThroughLink = new Set(links
+            .filter(link => link.valueKey.parent !== root && embeds(link.valueKey.parent) && !embedKey.has(link.valueKey.parent))
+            .map(link => link.valueKey.parent));
+
+        // Lookups from a key value to the rows holding it
+        const lookups = new Map();
+        const lookup = (table, column, value) => {
+            const id = `${table.name}.${column}`;
+            if (!lookups.has(id)) {
+                const index = new Map();
+                table.records.forEach(record => {
+                    const key = String(record[column]);
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push(record);
+                });
+                lookups.set(id, index);
+            }
+            return lookups.get(id).get(String(value)) || [];
+        };
+
+        const surrogate = new Set(options.dropSurrogateKeys ? tables.filter(t => this._hasSurrogateKey(t)) : []);
+
+        const buildDocument = (table, record, parentColumn, isCollection, ancestors) => {
+            const doc = {};
+            const path = new Set(ancestors).add(table);
+            const keyAsId = isCollection && idField && table.primaryKey && !surrogate.has(table);
+            if (keyAsId) doc[idField] = record[table.primaryKey];
+
+            table.columns.forEach(col => {
+                if (col === parentColumn) return;
+                if (col === table.primaryKey && (keyAsId || surrogate.has(table))) return;
+                if (record[col] === null && options.omitNulls) return;
+                doc[col] = record[col];
+            });
+
+            embedKey.forEach((fk, child) => {
+                if (fk.parent !== table || path.has(child)) return;
+                const children = lookup(child, fk.column, record[fk.references])
+                    .map(childRecord => buildDocument(child, childRecord, fk.column, false, path));
+                const field = this._embeddedFieldName(table.name, child.name);
+                if (!isOneToOne(fk)) {
+                    doc[field] = children;
+                } else if (children.length > 0) {
+                    doc[field] = children[0];
+                }
+            });
+
+            links.filter(link => link.ownerKey.parent === table).forEach(link => {
+                const valueTable = link.valueKey.parent;
+                const field = this._embeddedFieldName(table.name, valueTable.name);
+                const embedValues = embeddedThroughLink.has(valueTable) && !path.has(valueTable);
+                const valueColumns = valueTable.columns.filter(col => col !== valueTable.primaryKey);
+
+                doc[field] = lookup(link.table, link.ownerKey.column, record[link.ownerKey.references]).map(linkRecord => {
+                    const key = linkRecord[link.valueKey.column];
+                    const valueRecord = lookup(valueTable, link.valueKey.references, key)[0];
+                    if (!embedValues || !valueRecord) return key;
+                    // Value tables of primitive arrays (id, value) unwrap back to the values
+                    return valueColumns.length === 1 && valueColumns[0] === 'value'
+                        ? valueRecord.value
+                        : buildDocument(valueTable, valueRecord, null, false, path);
+                });
+            });
+
+            return doc;
+        };
+
+        const collectionTables = [root, ...tables.filter(table =>
+            table !== root && !linkTables.has(table) && !embedKey.has(table) && !embeddedThroughLink.has(table))];
+
+        const collections = collectionTables.map(table => {
+            const documents = table.records.map(record => buildDocument(table, record, null, true, new Set()));
+            return {
+                name: table.name,
+                documents: documents,
+                indexes: this._suggestNoSQLIndexes(documents)
+            };
+        });
+
+        return {
+            database: root.name + '_db',
+            collections: collections,
+            metadata: {
+                collectionCount: collections.length,
+                totalDocuments: collections.reduce((sum, c) => sum + c.documents.length, 0),
+                root: root.name,
+                embedded: [...embedKey.keys(), ...embeddedThroughLink].map(t => t.name),
+                referenced: collectionTables.slice(1).map(t => t.name),
+                conversionDate: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Tables as { name, columns, records, primaryKey }; parseSQLFile cells are typed from the column type
+     */
+    _normalizeSQLTables(sqlStructure) {
+        return (sqlStructure.tables || []).map(table => {
+            const columns = table.columns.map(col => (typeof col === 'string' ? col : col.name));
+            const types = table.columns.map(col => (typeof col === 'string' ? null : col.type || ''));
+
+            const records = table.rows.map(row => {
+                const record = {};
+                columns.forEach((col, i) => {
+                    record[col] = types[i] === null
+                        ? (row[i] === undefined ? null : row[i])
+                        : this._coerceSQLCell(row[i], types[i]);
+                });
+                return record;
+            });
+
+            return {
+                name: table.name,
+                columns: columns,
+                records: records,
+                primaryKey: table.primaryKey || (columns.includes('id') ? 'id' : null),
+                syntheticKey: table.syntheticKey
+            };
+        });
+    }
+
+    _coerceSQLCell(value, type) {
+        if (value === undefined || value === null || value === 'NULL') return null;
+        if (typeof value !== 'string') return value;
+
+        if (/BOOL|BIT|TINYINT\(1\)/i.test(type) && /^(true|false|1|0)$/i.test(value)) {
+            return /^(true|1)$/i.test(value);
+        }
+        if (/INT|DECIMAL|NUMERIC|REAL|FLOAT|DOUBLE|NUMBER/i.test(type) && value.trim() !== '' && !isNaN(value)) {
+            return Number(value);
+        }
+        if (/JSON/i.test(type)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Default root: a table without foreign keys of its own, preferring the one most tables point at
+     */
+    _findRootTable(tables, foreignKeys, linkTables) {
+        const candidates = tables.filter(table =>
+            !linkTables.has(table) && !foreignKeys.some(fk => fk.child === table));
+        if (candidates.length === 0) return tables[0];
+
+        const childCount = table => foreignKeys.filter(fk => fk.parent === table).length;
+        return candidates.reduce((best, table) => (childCount(table) > childCount(best) ? table : best));
+    }
+
+    // "id" numbered 1..n in row order, as convertToSQL generates for tables without a natural key.
+    // Structures from convertToSQL say so themselves; parsed SQL files are judged by their values
+    _hasSurrogateKey(table) {
+        if (table.syntheticKey !== undefined) return table.syntheticKey;
+        return table.primaryKey === 'id' && table.records.every((record, i) => record.id === i + 1);
+    }
+
+    // orders_items embedded in orders becomes "items"
+    _embeddedFieldName(parentName, childName) {
+        return childName.startsWith(`${parentName}_`) ? childName.slice(parentName.length + 1) : childName;
+    }
+
+    /**
+     * Rebuild JSON from a convertToSQL structure, reading every value back the way the
+     * dialect's generated INSERTs store it, and diff it against the original data
+     * @param {*} jsonData - Data the structure was converted from
+     * @param {Object} sqlStructure - convertToSQL output
+     * @param {Object} options - { dialect: database the INSERTs target (default 'sqlite') }
+     * @returns {Object} Fidelity report (see _compareRoundTrip)
+     */
+    checkSQLRoundTrip(jsonData, sqlStructure, options = {}) {
+        const dialect = this._getSQLDialect(options.dialect);
+        const dialectName = Object.keys(this.sqlDialects).find(key => this.sqlDialects[key] === dialect);
+        const foreignKeys = this._resolveForeignKeys(sqlStructure);
+
+        const stored = {
+            tables: sqlStructure.tables.map(table => {
+                const types = table.columns.map(col => this._columnBaseType(table, col, foreignKeys).toUpperCase());
+                return {
+                    ...table,
+                    rows: table.rows.map(row => row.map((value, i) =>
+                        this._readSQLLiteral(this._formatSQLValue(value, types[i], dialectName), dialectName)))
+                };
+            }),
+            relationships: sqlStructure.relationships
+        };
+
+        // Every table embedded back under the root; surrogate ids are extra fields the diff ignores
+        const documents = this.convertSQLToJSON(stored, { root: sqlStructure.tables[0].name, idField: null })
+            .collections[0].documents;
+
+        let rebuilt = documents;
+        if (!Array.isArray(jsonData)) {
+            rebuilt = typeof jsonData === 'object' && jsonData !== null ? documents[0] : documents[0] && documents[0].value;
+        }
+        return this._compareRoundTrip(jsonData, rebuilt, 'sql');
+    }
+
+    /**
+     * Diff the documents of a convertToNoSQL structure against the original data
+     * @param {*} jsonData - Data the structure was converted from
+     * @param {Object} nosqlStructure - convertToNoSQL output
+     * @returns {Object} Fidelity report (see _compareRoundTrip)
+     */
+    checkNoSQLRoundTrip(jsonData, nosqlStructure) {
+        const collection = nosqlStructure.collections[0];
+        const documents = collection ? collection.documents : [];
+
+        // Generated _id and _metadata are extra fields; they only count where they replaced original ones
+        let rebuilt = documents;
+        if (!Array.isArray(jsonData)) {
+            rebuilt = typeof jsonData === 'object' && jsonData !== null ? documents[0] : documents[0] && documents[0].value;
+        }
+        return this._compareRoundTrip(jsonData, rebuilt, 'nosql');
+    }
+
+    /**
+     * Walk the original data and report what the rebuilt copy lost or changed. Fields only the
+     * copy has (surrogate ids, _metadata) are ignored. Issues are grouped by JSON Pointer with
+     * array positions as "*", so a column coerced in every row is one entry with a count
+     * @returns {Object} {
+     *     conversion, passed, checkedAt, issueCount,
+     *     recordCount: { original, converted },
+     *     lostFields: [{ path, count }],
+     *     coercions: [{ path, from, to, count, example: { original, converted } }],
+     *     changedValues: [{ path, count, example: { original, converted } }],
+     *     countMismatches: [{ path, count, example: { original, converted } }],
+     *     truncated: more distinct paths than the report keeps
+     * }
+     */
+    _compareRoundTrip(original, rebuilt, conversion) {
+        const maxEntries = 50;
+        const report = {
+            conversion: conversion,
+            passed: true,
+            checkedAt: new Date().toISOString(),
+            issueCount: 0,
+            recordCount: {
+                original: Array.isArray(original) ? original.length : 1,
+                converted: Array.isArray(rebuilt) ? rebuilt.length : (rebuilt === undefined ? 0 : 1)
+            },
+            lostFields: [],
+            coercions: [],
+            changedValues: [],
+            countMismatches: [],
+            truncated: false
+        };
+        const entries = new Map();
+
+        const sample = value => (typeof value === 'object' && value !== null
+            ? JSON.stringify(value).slice(0, 80)
+            : value);
+
+        const addIssue = (kind, path, details = {}, example = null) => {
+            report.issueCount++;
+            const id = `${kind}|${path}|${details.from || ''}|${details.to || ''}`;
+            const entry = entries.get(id);
+            if (entry) {
+                entry.count++;
+                return;
+            }
+            if (report[kind].length >= maxEntries) {
+                report.truncated = true;
+                return;
+            }
+            const created = { path: path || '/', ...details, count: 1 };
+            if (example) created.example = example;
+            entries.set(id, created);
+            report[kind].push(created);
+        };
+
+        const walk = (a, b, path) => {
+            const typeA = this._jsonType(a);
+            const typeB = this._jsonType(b);
+
+            if (typeA !== typeB) {
+                addIssue('coercions', path, { from: typeA, to: typeB }, { original: sample(a), converted: sample(b) });
+            } else if (typeA === 'array') {
+                if (a.length !== b.length) {
+                    addIssue('countMismatches', path, {}, { original: a.length, converted: b.length });
+                }
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    walk(a[i], b[i], `${path}/*`);
+                }
+            } else if (typeA === 'object') {
+                Object.keys(a).forEach(key => {
+                    const keyPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+                    if (Object.prototype.hasOwnProperty.call(b, key)) {
+                        walk(a[key], b[key], keyPath);
+                    } else {
+                        addIssue('lostFields', keyPath);
+                    }
+                });
+            } else if (a !== b) {
+                addIssue('changedValues', path, {}, { original: a, converted: b });
+            }
+        };
+
+        walk(original, rebuilt, '');
+        report.passed = report.issueCount === 0;
+        return report;
+    }
+
+    _jsonType(value) {
+        if (value === null) return 'null';
+        if (value === undefined) return 'missing';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /**
+     * Value a database returns for a literal written by _formatSQLValue
+     */
+    _readSQLLiteral(literal, dialectName) {
+        if (literal === 'NULL') return null;
+        if (literal === 'TRUE' || literal === 'FALSE') return literal === 'TRUE';
+
+        const quoted = literal.match(/^N?'([\s\S]*)'$/);
+        if (quoted) {
+            let text = quoted[1].replace(/''/g, "'");
+            if (dialectName === 'mysql') {
+                text = text.replace(/\\(0|\\)/g, (match, char) => (char === '0' ? '\u0000' : '\\'));
+            }
+            return text;
+        }
+        return Number(literal);
+    }
+
+    /**
+     * Infer SQL column types from column profiles
      */
-    _inferColumnTypes(columns, rows) {
+    _inferColumnTypes(columnProfiles) {
         const types = {};
+        Object.keys(columnProfiles).forEach(col => {
+            types[col] = columnProfiles[col].type;
+        });
+        return types;
+    }
+
+    /**
+     * Profile every column of a table from all of its rows
+     * @param {Boolean} syntheticKey - "id" holds row numbers rather than source values
+     */
+    _profileColumns(columns, rows, syntheticKey = true) {
+        const profiles = {};
 
         columns.forEach((col, colIndex) => {
-            if (col === 'id') {
-                types[col] = 'INTEGER PRIMARY KEY';
+            if (col === 'id' && syntheticKey) {
+                profiles[col] = { type: 'INTEGER PRIMARY KEY', nullable: false, maxLength: 0 };
                 return;
             }
+            profiles[col] = this._profileColumn(rows.map(row => row[colIndex]));
+        });
 
-            const values = rows.map(row => row[colIndex]).filter(v => v !== null && v !== undefined);
+        return profiles;
+    }
 
-            if (values.length === 0) {
-                types[col] = 'TEXT';
+    /**
+     * Profile one column's values. The type widens as values disagree
+     * (BOOLEAN/INTEGER -> REAL -> VARCHAR(n) -> TEXT) instead of trusting the first value
+     * @param {Array} values - Every value of the column (missing keys as undefined)
+     * @returns {Object} { type, nullable, maxLength, enumValues? }
+     */
+    _profileColumn(values) {
+        let kind = null;
+        let nullable = values.length === 0;
+        let maxLength = 0;
+        let count = 0;
+        const distinct = new Map();
+
+        values.forEach(value => {
+            if (value === null || value === undefined || this._isComplexType(value)) {
+                nullable = true;
                 return;
             }
 
-            const firstValue = values[0];
-
-            if (typeof firstValue === 'number') {
-                types[col] = Number.isInteger(firstValue) ? 'INTEGER' : 'REAL';
-            } else if (typeof firstValue === 'boolean') {
-                types[col] = 'BOOLEAN';
-            } else if (this._isDate(firstValue)) {
-                types[col] = 'DATETIME';
-            } else if (this._isEmail(firstValue)) {
-                types[col] = 'VARCHAR(255)';
-            } else {
-                types[col] = 'TEXT';
+            const text = String(value);
+            count++;
+            maxLength = Math.max(maxLength, [...text].length);
+            if (distinct.size <= this.enumMaxValues) {
+                distinct.set(`${typeof value}:${text}`, value);
             }
+
+            const valueKind = this._valueKind(value);
+            kind = kind === null ? valueKind : this._widenKind(kind, valueKind);
         });
 
-        return types;
+        const profile = { type: this._kindToSQLType(kind, maxLength), nullable, maxLength };
+
+        // Low-cardinality text whose values repeat (status, currency, ...) is reported as an enum.
+        // A handful of rows or a single constant value says nothing about the allowed set
+        const labels = Array.from(distinct.values()).every(value => typeof value === 'string');
+        const enumLike = distinct.size >= 2 && distinct.size <= this.enumMaxValues &&
+            count >= Math.max(this.enumMinRows, distinct.size * 2);
+        if (kind === 'STRING' && labels && enumLike) {
+            profile.enumValues = Array.from(distinct.values()).sort();
+        }
+
+        return profile;
+    }
+
+    _valueKind(value) {
+        if (typeof value === 'boolean') return 'BOOLEAN';
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            return Number.isInteger(Number(value)) ? 'INTEGER' : 'REAL';
+        }
+        if (this._isDate(value)) return 'DATETIME';
+        if (this._isEmail(value)) return 'EMAIL';
+        return 'STRING';
+    }
+
+    _widenKind(current, next) {
+        if (current === next) return current;
+
+        const numeric = ['INTEGER', 'REAL'];
+        if (numeric.includes(current) && numeric.includes(next)) return 'REAL';
+
+        // Dates, emails, mixed numbers/booleans and text all end up as plain text
+        return 'STRING';
+    }
+
+    _kindToSQLType(kind, maxLength) {
+        switch (kind) {
+            case 'BOOLEAN':
+            case 'INTEGER':
+            case 'REAL':
+            case 'DATETIME':
+                return kind;
+            case 'EMAIL':
+                return 'VARCHAR(255)';
+            case 'STRING':
+                // Round the longest value up to a power of two for headroom; long text stays TEXT
+                return maxLength <= 255 ? `VARCHAR(${Math.min(255, Math.max(16, 2 ** Math.ceil(Math.log2(maxLength || 1))))})` : 'TEXT';
+            default:
+                return 'TEXT';
+        }
     }
 
     /**
@@ -553,12 +1244,11 @@ class JSONConverter {
     }
 
     /**
-     * Helper: Sanitize value for SQL
+     * Helper: Normalise a value for a SQL row. Strings and booleans stay raw here so
+     * column types can be inferred; quoting happens per dialect in generateSQLInserts
      */
     _sanitizeSQLValue(value) {
         if (value === null || value === undefined) return null;
-        if (typeof value === 'string') return value.replace(/'/g, "''");
-        if (typeof value === 'boolean') return value ? 1 : 0;
         return value;
     }
 
@@ -591,68 +1281,368 @@ class JSONConverter {
 
     /**
      * Generate SQL CREATE TABLE statements
+     * @param {Object} sqlStructure - Output of convertToSQL
+     * @param {Object} options - { dialect: 'postgresql' | 'mysql' | 'sqlite' | 'sqlserver',
+     *                             enumChecks: write profiled enums as CHECK constraints (default false) }
+     * @returns {String} DDL with PRIMARY KEY, FOREIGN KEY and CREATE INDEX statements
      */
-    generateSQLSchema(sqlStructure) {
-        const statements = [];
+    generateSQLSchema(sqlStructure, options = {}) {
+        const dialect = this._getSQLDialect(options.dialect);
+        const dialectName = Object.keys(this.sqlDialects).find(key => this.sqlDialects[key] === dialect);
+        const statements = [`-- Dialect: ${dialect.label}`];
+        const foreignKeys = this._resolveForeignKeys(sqlStructure);
+        const indexes = [];
 
-        sqlStructure.tables.forEach(table => {
-            let createTable = `CREATE TABLE ${table.name} (\n`;
+        this._orderTablesByDependency(sqlStructure.tables, foreignKeys).forEach(table => {
+            const tableForeignKeys = foreignKeys.filter(fk => fk.child === table);
+
+            const profiles = table.columnProfiles || {};
+            const checks = [];
 
             const columnDefs = table.columns.map(col => {
-                const type = table.columnTypes[col] || 'TEXT';
-                return `  ${col} ${type}`;
-            });
+                const isPrimaryKey = col === table.primaryKey;
+                const type = this._mapSQLType(this._columnBaseType(table, col, foreignKeys), dialect);
+                const profile = profiles[col];
+                const notNull = !isPrimaryKey && profile && profile.nullable === false ? ' NOT NULL' : '';
+
+                if (options.enumChecks && profile && profile.enumValues) {
+                    const allowed = profile.enumValues.map(value => this._quoteSQLString(String(value), dialectName)).join(', ');
+                    checks.push(
+                        `  CONSTRAINT ${dialect.quote(this._constraintName('chk', table.name, col))} ` +
+                        `CHECK (${dialect.quote(col)} IN (${allowed}))`
+                    );
+                }
 
-            createTable += columnDefs.join(',\n');
-            createTable += '\n);';
+                return `  ${dialect.quote(col)} ${type}${isPrimaryKey ? ' PRIMARY KEY' : ''}${notNull}`;
+            });
+            columnDefs.push(...checks);
+
+            tableForeignKeys.forEach(fk => {
+                const name = this._constraintName('fk', table.name, fk.column);
+                columnDefs.push(
+                    `  CONSTRAINT ${dialect.quote(name)} FOREIGN KEY (${dialect.quote(fk.column)}) ` +
+                    `REFERENCES ${dialect.quote(fk.parent.name)} (${dialect.quote(fk.references)})`
+                );
+
+                // Index every FK column so joins back to the parent don't scan the child
+                const indexName = this._constraintName('idx', table.name, fk.column);
+                indexes.push(`CREATE INDEX ${dialect.quote(indexName)} ON ${dialect.quote(table.name)} (${dialect.quote(fk.column)});`);
+            });
 
-            statements.push(createTable);
+            statements.push(`CREATE TABLE ${dialect.quote(table.name)} (\n${columnDefs.join(',\n')}\n);`);
         });
 
-        // Add relationship comments
-        if (sqlStructure.relationships.length > 0) {
-            statements.push('\n-- Relationships:');
-            sqlStructure.relationships.forEach(rel => {
-                statements.push(`-- ${rel.from}.${rel.foreignKey} -> ${rel.to}.id (${rel.type})`);
-            });
+        return statements.concat(indexes).join('\n\n');
+    }
+
+    /**
+     * Type names and identifier quoting per target database
+     */
+    _getSQLDialect(name = 'sqlite') {
+        const key = String(name).toLowerCase().replace(/[\s_-]/g, '');
+        const aliases = { postgres: 'postgresql', pg: 'postgresql', mssql: 'sqlserver', tsql: 'sqlserver', sqlite3: 'sqlite', mariadb: 'mysql' };
+        const dialect = this.sqlDialects[aliases[key] || key];
+
+        if (!dialect) {
+            throw new Error(`Unsupported SQL dialect "${name}". Use one of: ${Object.keys(this.sqlDialects).join(', ')}`);
         }
+        return dialect;
+    }
 
-        return statements.join('\n\n');
+    /**
+     * Converter type of a column; FK columns take the type of the key they reference
+     */
+    _columnBaseType(table, column, foreignKeys) {
+        const foreignKey = foreignKeys.find(fk => fk.child === table && fk.column === column);
+        return foreignKey
+            ? this._baseColumnType(foreignKey.parent, foreignKey.references)
+            : this._baseColumnType(table, column);
+    }
+
+    /**
+     * Converter column type without inline constraints (columnTypes marks id as 'INTEGER PRIMARY KEY')
+     */
+    _baseColumnType(table, column) {
+        const type = (table.columnTypes || {})[column] || (column === table.primaryKey ? 'INTEGER' : 'TEXT');
+        return type.replace(/\s+PRIMARY\s+KEY\b/i, '').trim();
+    }
+
+    _mapSQLType(baseType, dialect) {
+        const match = baseType.toUpperCase().match(/^(\w+)\s*(?:\(\s*(\d+)\s*\))?$/);
+        if (!match || !dialect.types[match[1]]) return baseType;
+
+        const mapped = dialect.types[match[1]];
+        return typeof mapped === 'function' ? mapped(match[2] ? parseInt(match[2]) : 255) : mapped;
+    }
+
+    /**
+     * Work out which table holds each relationship's FK column.
+     * many-to-one relationships point child -> parent; one-to-one point parent -> child
+     */
+    _resolveForeignKeys(sqlStructure) {
+        const tables = sqlStructure.tables;
+        const foreignKeys = [];
+
+        (sqlStructure.relationships || []).forEach(rel => {
+            const fromTable = tables.find(t => t.name === rel.from);
+            const toTable = tables.find(t => t.name === rel.to);
+            if (!fromTable || !toTable) return;
+
+            let child = null;
+            let parent = null;
+            if (fromTable.columns.includes(rel.foreignKey)) {
+                child = fromTable;
+                parent = toTable;
+            } else if (toTable.columns.includes(rel.foreignKey)) {
+                child = toTable;
+                parent = fromTable;
+            }
+            if (!child) return;
+
+            const references = rel.references || parent.primaryKey || 'id';
+            if (!foreignKeys.some(fk => fk.child === child && fk.column === rel.foreignKey)) {
+                foreignKeys.push({ child, parent, column: rel.foreignKey, references });
+            }
+        });
+
+        return foreignKeys;
+    }
+
+    /**
+     * Parents before children so inline REFERENCES always point at an existing table
+     */
+    _orderTablesByDependency(tables, foreignKeys) {
+        const ordered = [];
+        const visiting = new Set();
+
+        const visit = table => {
+            if (ordered.includes(table) || visiting.has(table)) return;
+            visiting.add(table);
+            foreignKeys
+                .filter(fk => fk.child === table && fk.parent !== table)
+                .forEach(fk => visit(fk.parent));
+            visiting.delete(table);
+            ordered.push(table);
+        };
+
+        tables.forEach(visit);
+        return ordered;
+    }
+
+    /**
+     * Constraint/index name kept under the 63-character limit (PostgreSQL, MySQL allow 64)
+     */
+    _constraintName(prefix, tableName, column) {
+        const name = `${prefix}_${tableName}_${column}`;
+        if (name.length <= 63) return name;
+
+        let hash = 5381;
+        for (let i = 0; i < name.length; i++) {
+            hash = ((hash * 33) ^ name.charCodeAt(i)) >>> 0;
+        }
+        return `${name.slice(0, 54)}_${hash.toString(16).padStart(8, '0')}`;
     }
 
     /**
      * Generate SQL INSERT statements
+     * @param {Object} sqlStructure - Output of convertToSQL
+     * @param {Object} options - { dialect, batchSize (rows per INSERT, default 100),
+     *                             onConflict: null | 'ignore' | 'update' }
+     * @returns {String} Multi-row INSERT (or upsert) statements, parents before children
      */
-    generateSQLInserts(sqlStructure) {
+    generateSQLInserts(sqlStructure, options = {}) {
+        const dialect = this._getSQLDialect(options.dialect);
+        const dialectName = Object.keys(this.sqlDialects).find(key => this.sqlDialects[key] === dialect);
+        const onConflict = options.onConflict || null;
+        let batchSize = options.batchSize === undefined ? 100 : options.batchSize;
+
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error('batchSize must be a positive integer');
+        }
+        if (onConflict !== null && onConflict !== 'ignore' && onConflict !== 'update') {
+            throw new Error(`Unsupported onConflict "${onConflict}". Use 'ignore' or 'update'`);
+        }
+        // SQL Server rejects more than 1000 rows in one VALUES list
+        if (dialectName === 'sqlserver') {
+            batchSize = Math.min(batchSize, 1000);
+        }
+
+        const foreignKeys = this._resolveForeignKeys(sqlStructure);
         const statements = [];
 
-        sqlStructure.tables.forEach(table => {
+        this._orderTablesByDependency(sqlStructure.tables, foreignKeys).forEach(table => {
             if (table.rows.length === 0) return;
 
-            const columns = table.columns.join(', ');
+            const types = table.columns.map(col => this._columnBaseType(table, col, foreignKeys).toUpperCase());
+            const columns = table.columns.map(col => dialect.quote(col));
+            const keyColumn = table.columns.includes(table.primaryKey) ? table.primaryKey : null;
 
-            table.rows.forEach(row => {
-                const values = row.map(val => {
-                    if (val === null || val === undefined) return 'NULL';
-                    if (typeof val === 'string') return `'${val}'`;
-                    return val;
-                }).join(', ');
+            for (let start = 0; start < table.rows.length; start += batchSize) {
+                const tuples = table.rows.slice(start, start + batchSize).map(row =>
+                    `(${table.columns.map((col, i) => this._formatSQLValue(row[i], types[i], dialectName)).join(', ')})`
+                );
 
-                statements.push(`INSERT INTO ${table.name} (${columns}) VALUES (${values});`);
-            });
+                statements.push(this._buildInsertStatement(dialectName, dialect, table, columns, tuples, keyColumn, onConflict));
+            }
         });
 
-        return statements.join('\n');
+        return statements.join('\n\n');
+    }
+
+    /**
+     * One INSERT for a batch of value tuples, with the dialect's conflict handling
+     */
+    _buildInsertStatement(dialectName, dialect, table, columns, tuples, keyColumn, onConflict) {
+        const tableName = dialect.quote(table.name);
+        const columnList = columns.join(', ');
+        const values = tuples.join(',\n  ');
+        const key = keyColumn ? dialect.quote(keyColumn) : null;
+        const updateColumns = columns.filter(col => col !== key);
+
+        // Upserts need a key to detect conflicts on; MySQL's INSERT IGNORE is the exception
+        if (!onConflict || (!key && !(dialectName === 'mysql' && onConflict === 'ignore'))) {
+            return `INSERT INTO ${tableName} (${columnList}) VALUES\n  ${values};`;
+        }
+
+        switch (dialectName) {
+            case 'mysql':
+                if (onConflict === 'ignore' || updateColumns.length === 0) {
+                    return `INSERT IGNORE INTO ${tableName} (${columnList}) VALUES\n  ${values};`;
+                }
+                return `INSERT INTO ${tableName} (${columnList}) VALUES\n  ${values}\n` +
+                    `ON DUPLICATE KEY UPDATE ${updateColumns.map(col => `${col} = VALUES(${col})`).join(', ')};`;
+
+            case 'sqlserver': {
+                // No ON CONFLICT in T-SQL; MERGE the batch against the key instead
+                const matched = onConflict === 'update' && updateColumns.length > 0
+                    ? `\nWHEN MATCHED THEN UPDATE SET ${updateColumns.map(col => `target.${col} = source.${col}`).join(', ')}`
+                    : '';
+                return `MERGE INTO ${tableName} AS target\n` +
+                    `USING (VALUES\n  ${values}\n) AS source (${columnList})\n` +
+                    `ON target.${key} = source.${key}${matched}\n` +
+                    `WHEN NOT MATCHED THEN INSERT (${columnList}) VALUES (${columns.map(col => `source.${col}`).join(', ')});`;
+            }
+
+            default: {
+                // PostgreSQL and SQLite share ON CONFLICT ... DO NOTHING / DO UPDATE
+                const action = onConflict === 'update' && updateColumns.length > 0
+                    ? `DO UPDATE SET ${updateColumns.map(col => `${col} = excluded.${col}`).join(', ')}`
+                    : 'DO NOTHING';
+                return `INSERT INTO ${tableName} (${columnList}) VALUES\n  ${values}\nON CONFLICT (${key}) ${action};`;
+            }
+        }
+    }
+
+    /**
+     * Render one value as a SQL literal for the column's converter type and dialect
+     */
+    _formatSQLValue(value, type, dialectName) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'number' && !Number.isFinite(value)) return 'NULL';
+
+        // Numbers and booleans in a column widened to text are written as text, so every
+        // row of a VALUES list has the column's type (SQL Server's MERGE source requires it)
+        if (/^(VARCHAR|TEXT)\b/.test(type) && ['number', 'bigint', 'boolean'].includes(typeof value)) {
+            return this._quoteSQLString(String(value), dialectName);
+        }
+        if (typeof value === 'bigint') return value.toString();
+
+        if (typeof value === 'boolean' || (type === 'BOOLEAN' && (value === 0 || value === 1))) {
+            const flag = value === true || value === 1;
+            // Only PostgreSQL has a real boolean type; the others store BIT/TINYINT/INTEGER
+            if (dialectName === 'postgresql' && type === 'BOOLEAN') return flag ? 'TRUE' : 'FALSE';
+            return flag ? '1' : '0';
+        }
+        if (typeof value === 'number') return String(value);
+
+        let text;
+        if (value instanceof Date) {
+            text = this._formatSQLDate(value, dialectName);
+        } else if (typeof value === 'object') {
+            text = JSON.stringify(value);
+        } else if (type === 'DATETIME' && this._isDate(value)) {
+            text = this._formatSQLDate(new Date(value), dialectName, value);
+        } else {
+            text = String(value);
+        }
+
+        return this._quoteSQLString(text, dialectName);
+    }
+
+    /**
+     * Dates as each database parses them: MySQL wants 'YYYY-MM-DD HH:MM:SS.fff' and SQL Server
+     * DATETIME2 has no zone, so both get UTC without the 'Z'; PostgreSQL and SQLite keep ISO 8601
+     */
+    _formatSQLDate(date, dialectName, original = null) {
+        if (isNaN(date.getTime())) return original || '';
+
+        const iso = date.toISOString();
+        if (dialectName === 'mysql') return iso.replace('T', ' ').replace('Z', '');
+        if (dialectName === 'sqlserver') return iso.replace('Z', '');
+        return original || iso;
+    }
+
+    _quoteSQLString(text, dialectName) {
+        let escaped = text.replace(/'/g, "''");
+        if (dialectName === 'mysql') {
+            // MySQL treats backslash as an escape character by default
+            escaped = escaped.replace(/\\/g, '\\\\').replace(/\u0000/g, '\\0');
+        }
+        // N'' keeps non-ASCII text intact in NVARCHAR columns
+        return dialectName === 'sqlserver' ? `N'${escaped}'` : `'${escaped}'`;
+    }
+
+    /**
+     * Export a convertToSQL table as JSON Lines: one { column: value } object per row
+     * @param {Object} table - Table from convertToSQL
+     * @returns {String} Newline-terminated NDJSON
+     */
+    tableToJSONLines(table) {
+        return this._toJSONLines(table.rows.map(row => {
+            const record = {};
+            table.columns.forEach((column, i) => {
+                record[column] = row[i] === undefined ? null : row[i];
+            });
+            return record;
+        }));
+    }
+
+    /**
+     * Export a convertToNoSQL collection as JSON Lines: one document per line
+     * @param {Object} collection - Collection from convertToNoSQL
+     * @returns {String} Newline-terminated NDJSON
+     */
+    collectionToJSONLines(collection) {
+        return this._toJSONLines(collection.documents);
+    }
+
+    _toJSONLines(records) {
+        return records.map(record => JSON.stringify(record) + '\n').join('');
+    }
+
+    /**
+     * Top-level shape of a document for the upload analysis
+     * @returns {Object} { isArray, keyCount: records (or top-level keys), sampleKeys: first keys of the first record }
+     */
+    summarizeDocument(jsonData) {
+        const isArray = Array.isArray(jsonData);
+        const first = isArray ? jsonData[0] : jsonData;
+        return {
+            isArray,
+            keyCount: isArray ? jsonData.length : Object.keys(jsonData || {}).length,
+            sampleKeys: Object.keys(first || {}).slice(0, 5)
+        };
     }
 
     /**
      * Generate preview summary
+     * @param {Number} size - Size of the original, when known (e.g. the file size of a streamed upload)
      */
-    generatePreview(jsonData, sqlStructure, nosqlStructure) {
+    generatePreview(jsonData, sqlStructure, nosqlStructure, size = null) {
         return {
             original: {
                 type: Array.isArray(jsonData) ? 'array' : typeof jsonData,
-                size: JSON.stringify(jsonData).length,
+                size: size !== null ? size : JSON.stringify(jsonData).length,
                 itemCount: Array.isArray(jsonData) ? jsonData.length : 1
             },
             sql: {
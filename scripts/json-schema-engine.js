@@ -0,0 +1,410 @@
+/**
+ * JSON Schema Engine
+ * Generates draft 2020-12 JSON Schemas from JSON data and validates documents against them
+ */
+
+class JSONSchemaEngine {
+    constructor() {
+        this.draft = 'https://json-schema.org/draft/2020-12/schema';
+
+        // String formats detected when generating and asserted when validating
+        this.formats = {
+            'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/.test(value) && !isNaN(Date.parse(value)),
+            'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+            'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+            'uri': value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value)
+        };
+
+        // Order used when a value can be several JSON types
+        this.typeOrder = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+    }
+
+    /**
+     * Generate a schema describing every value in the document. Arrays get one merged
+     * items schema; object keys present in every instance become required
+     * @param {*} data - Parsed JSON
+     * @param {Object} options - { title, description }
+     * @returns {Object} Draft 2020-12 schema
+     */
+    generate(data, options = {}) {
+        const shape = this._createShape();
+        this._observe(shape, data);
+
+        const schema = { $schema: this.draft };
+        if (options.title) schema.title = options.title;
+        if (options.description) schema.description = options.description;
+
+        return Object.assign(schema, this._shapeToSchema(shape));
+    }
+
+    /**
+     * Whether a parsed document is itself a JSON Schema (declares a json-schema.org $schema)
+     */
+    isSchemaDocument(data) {
+        return typeof data === 'object' && data !== null && !Array.isArray(data) &&
+            typeof data.$schema === 'string' && /json-schema\.org/.test(data.$schema);
+    }
+
+    /**
+     * Validate a document against a schema
+     * @param {*} data - Parsed JSON
+     * @param {Object|Boolean} schema - JSON Schema
+     * @param {Object} options - { maxErrors: errors kept in the report (default 100) }
+     * @returns {Object} { valid, errorCount, errors: [{ path, keyword, message }] }
+     */
+    validate(data, schema, options = {}) {
+        const context = {
+            root: schema,
+            errors: [],
+            errorCount: 0,
+            maxErrors: options.maxErrors || 100
+        };
+
+        this._validate(data, schema, '', context);
+
+        return {
+            valid: context.errorCount === 0,
+            errorCount: context.errorCount,
+            errors: context.errors
+        };
+    }
+
+    /**
+     * Validate a document against every schema attached to a category
+     * @param {*} data - Parsed JSON
+     * @param {Object} categorySchemas - { [category]: { schema, title } }
+     * @returns {Object} { [category]: { category, title, valid, errorCount, errors } }
+     */
+    validateCategories(data, categorySchemas = {}) {
+        const results = {};
+        Object.keys(categorySchemas).forEach(category => {
+            const attached = categorySchemas[category];
+            try {
+                results[category] = { category, title: attached.title, ...this.validate(data, attached.schema) };
+            } catch (error) {
+                results[category] = {
+                    category,
+                    title: attached.title,
+                    valid: false,
+                    errorCount: 1,
+                    errors: [{ path: '/', keyword: 'schema', message: `Schema could not be applied: ${error.message}` }]
+                };
+            }
+        });
+        return results;
+    }
+
+    // ==================== Generation ====================
+
+    _createShape() {
+        return {
+            types: new Set(),
+            objectCount: 0,
+            properties: new Map(),
+            items: null,
+            format: undefined
+        };
+    }
+
+    _observe(shape, value) {
+        const type = this._typeOf(value);
+        shape.types.add(type);
+
+        if (type === 'object') {
+            shape.objectCount++;
+            Object.keys(value).forEach(key => {
+                if (!shape.properties.has(key)) {
+                    shape.properties.set(key, { shape: this._createShape(), count: 0 });
+                }
+                const property = shape.properties.get(key);
+                property.count++;
+                this._observe(property.shape, value[key]);
+            });
+        } else if (type === 'array') {
+            if (!shape.items) shape.items = this._createShape();
+            value.forEach(element => this._observe(shape.items, element));
+        } else if (type === 'string') {
+            // Keep a format only while every string matches it
+            const format = Object.keys(this.formats).find(name => this.formats[name](value)) || null;
+            shape.format = shape.format === undefined || shape.format === format ? format : null;
+        }
+    }
+
+    _shapeToSchema(shape) {
+        if (shape.types.size === 0) return {};
+
+        const types = new Set(shape.types);
+        if (types.has('number')) types.delete('integer');
+        const ordered = this.typeOrder.filter(type => types.has(type));
+
+        const schema = { type: ordered.length === 1 ? ordered[0] : ordered };
+
+        if (types.has('object')) {
+            schema.properties = {};
+            const required = [];
+            shape.properties.forEach((property, key) => {
+                schema.properties[key] = this._shapeToSchema(property.shape);
+                if (property.count === shape.objectCount) required.push(key);
+            });
+            if (required.length > 0) schema.required = required;
+        }
+
+        if (types.has('array') && shape.items && shape.items.types.size > 0) {
+            schema.items = this._shapeToSchema(shape.items);
+        }
+
+        if (types.has('string') && shape.format) {
+            schema.format = shape.format;
+        }
+
+        return schema;
+    }
+
+    _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    // ==================== Validation ====================
+
+    _validate(value, schema, path, context) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            this._error(context, path, 'false', 'is not allowed here');
+            return;
+        }
+
+        if (typeof schema.$ref === 'string') {
+            this._validate(value, this._resolveRef(schema.$ref, context.root), path, context);
+        }
+
+        const type = this._typeOf(value);
+
+        if (schema.type !== undefined) {
+            const allowed = [].concat(schema.type);
+            const matches = allowed.some(expected =>
+                expected === type || (expected === 'number' && type === 'integer'));
+            if (!matches) {
+                this._error(context, path, 'type', `must be ${allowed.join(' or ')}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => this._deepEqual(option, value))) {
+            this._error(context, path, 'enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if ('const' in schema && !this._deepEqual(schema.const, value)) {
+            this._error(context, path, 'const', `must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (type === 'integer' || type === 'number') {
+            this._validateNumber(value, schema, path, context);
+        } else if (type === 'string') {
+            this._validateString(value, schema, path, context);
+        } else if (type === 'array') {
+            this._validateArray(value, schema, path, context);
+        } else if (type === 'object') {
+            this._validateObject(value, schema, path, context);
+        }
+
+        this._validateCombinators(value, schema, path, context);
+    }
+
+    _validateNumber(value, schema, path, context) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            this._error(context, path, 'minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            this._error(context, path, 'maximum', `must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            this._error(context, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            this._error(context, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined) {
+            const quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                this._error(context, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`);
+            }
+        }
+    }
+
+    _validateString(value, schema, path, context) {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            this._error(context, path, 'minLength', `must have at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            this._error(context, path, 'maxLength', `must have at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            this._error(context, path, 'pattern', `must match pattern ${schema.pattern}`);
+        }
+        if (schema.format && this.formats[schema.format] && !this.formats[schema.format](value)) {
+            this._error(context, path, 'format', `must be a valid ${schema.format}`);
+        }
+    }
+
+    _validateArray(value, schema, path, context) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            this._error(context, path, 'minItems', `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            this._error(context, path, 'maxItems', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems) {
+            const duplicate = value.findIndex((item, i) => value.slice(0, i).some(other => this._deepEqual(other, item)));
+            if (duplicate !== -1) {
+                this._error(context, `${path}/${duplicate}`, 'uniqueItems', 'duplicates an earlier item');
+            }
+        }
+
+        // 2020-12: prefixItems covers the leading positions, items everything after them
+        const prefix = schema.prefixItems || [];
+        value.forEach((item, i) => {
+            if (i < prefix.length) {
+                this._validate(item, prefix[i], `${path}/${i}`, context);
+            } else if (schema.items !== undefined) {
+                this._validate(item, schema.items, `${path}/${i}`, context);
+            }
+        });
+
+        if (schema.contains !== undefined) {
+            const matches = value.filter(item => this._isValid(item, schema.contains, context)).length;
+            const minContains = schema.minContains !== undefined ? schema.minContains : 1;
+            if (matches < minContains) {
+                this._error(context, path, 'contains', `must contain at least ${minContains} matching item(s)`);
+            }
+            if (schema.maxContains !== undefined && matches > schema.maxContains) {
+                this._error(context, path, 'maxContains', `must contain at most ${schema.maxContains} matching item(s)`);
+            }
+        }
+    }
+
+    _validateObject(value, schema, path, context) {
+        const keys = Object.keys(value);
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                this._error(context, `${path}/${this._escapePointer(key)}`, 'required', `must have required property '${key}'`);
+            }
+        });
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            this._error(context, path, 'minProperties', `must have at least ${schema.minProperties} properties`);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            this._error(context, path, 'maxProperties', `must have at most ${schema.maxProperties} properties`);
+        }
+
+        const properties = schema.properties || {};
+        const patterns = Object.keys(schema.patternProperties || {}).map(pattern => ({
+            regex: new RegExp(pattern, 'u'),
+            schema: schema.patternProperties[pattern]
+        }));
+
+        keys.forEach(key => {
+            const childPath = `${path}/${this._escapePointer(key)}`;
+            let matched = false;
+
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                matched = true;
+                this._validate(value[key], properties[key], childPath, context);
+            }
+            patterns.forEach(pattern => {
+                if (pattern.regex.test(key)) {
+                    matched = true;
+                    this._validate(value[key], pattern.schema, childPath, context);
+                }
+            });
+
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    this._error(context, childPath, 'additionalProperties', `must not have additional property '${key}'`);
+                } else {
+                    this._validate(value[key], schema.additionalProperties, childPath, context);
+                }
+            }
+        });
+    }
+
+    _validateCombinators(value, schema, path, context) {
+        if (schema.allOf) {
+            schema.allOf.forEach(subschema => this._validate(value, subschema, path, context));
+        }
+        if (schema.anyOf && !schema.anyOf.some(subschema => this._isValid(value, subschema, context))) {
+            this._error(context, path, 'anyOf', 'must match at least one schema in anyOf');
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(subschema => this._isValid(value, subschema, context)).length;
+            if (matches !== 1) {
+                this._error(context, path, 'oneOf', `must match exactly one schema in oneOf (matched ${matches})`);
+            }
+        }
+        if (schema.not !== undefined && this._isValid(value, schema.not, context)) {
+            this._error(context, path, 'not', 'must not match the schema in not');
+        }
+        if (schema.if !== undefined) {
+            const branch = this._isValid(value, schema.if, context) ? schema.then : schema.else;
+            if (branch !== undefined) this._validate(value, branch, path, context);
+        }
+    }
+
+    /**
+     * Run a subschema without reporting its errors (anyOf/oneOf/not/if/contains)
+     */
+    _isValid(value, schema, context) {
+        const trial = { root: context.root, errors: [], errorCount: 0, maxErrors: 1 };
+        this._validate(value, schema, '', trial);
+        return trial.errorCount === 0;
+    }
+
+    /**
+     * Local references only: "#", "#/$defs/name" or any JSON Pointer into the root schema
+     */
+    _resolveRef(ref, root) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $ref values are supported (got "${ref}")`);
+        }
+
+        const pointer = decodeURIComponent(ref.slice(1));
+        if (pointer === '') return root;
+
+        return pointer.split('/').slice(1).reduce((node, token) => {
+            const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (node === undefined || node === null || !(key in node)) {
+                throw new Error(`Cannot resolve $ref "${ref}"`);
+            }
+            return node[key];
+        }, root);
+    }
+
+    _error(context, path, keyword, message) {
+        context.errorCount++;
+        if (context.errors.length < context.maxErrors) {
+            context.errors.push({ path: path || '/', keyword, message });
+        }
+    }
+
+    _escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    _deepEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => this._deepEqual(a[key], b[key]));
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONSchemaEngine;
+}
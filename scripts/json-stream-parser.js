@@ -0,0 +1,355 @@
+/**
+ * JSON Stream Parser
+ * Incremental JSON tokenizer that builds values from text chunks, so large files can be
+ * read slice by slice (in a Web Worker or between event-loop turns) instead of in one
+ * readAsText + JSON.parse. Also reads newline-delimited JSON (NDJSON / JSON Lines).
+ */
+
+class JSONStreamParser {
+    /**
+     * @param {Object} options - {
+     *     onRecord: (value, index) called as each element of a root array completes,
+     *     retainRecords: keep root array elements in the result (default true),
+     *     lines: input is NDJSON, one value per line, parsed into an array of records
+     * }
+     */
+    constructor(options = {}) {
+        this.onRecord = options.onRecord || null;
+        this.retainRecords = options.retainRecords !== false;
+        this.lines = options.lines === true;
+
+        this.stack = [];          // Open containers: { container, key, index }
+        this.state = 'VALUE';     // What the grammar expects next
+        this.root = undefined;
+
+        // Partial tokens carried across chunk boundaries
+        this.string = null;       // { parts, isKey, escape }
+        this.number = null;
+        this.literal = null;
+
+        this.offset = 0;          // Characters consumed before the current chunk
+        this.line = 1;
+        this.maxDepth = 0;
+        this.recordCount = 0;
+
+        // NDJSON lines are elements of an implicit root array
+        if (this.lines) {
+            this.stack.push({ container: [], key: null, index: 0 });
+            this.maxDepth = 1;
+            this.state = 'LINE_START';
+        }
+    }
+
+    /**
+     * Parse a Blob/File in chunks
+     * @param {Blob} blob - File to read
+     * @param {Object} options - { chunkSize (default 1 MB), onProgress(loaded, total), onRecord, retainRecords, lines }
+     * @returns {Promise<*>} Parsed root value
+     */
+    static async parseBlob(blob, options = {}) {
+        const chunkSize = options.chunkSize || 1024 * 1024;
+        const parser = new JSONStreamParser(options);
+        const decoder = new TextDecoder('utf-8');
+
+        for (let start = 0; start < blob.size; start += chunkSize) {
+            const buffer = await blob.slice(start, start + chunkSize).arrayBuffer();
+            parser.write(decoder.decode(buffer, { stream: true }));
+
+            if (options.onProgress) {
+                options.onProgress(Math.min(start + chunkSize, blob.size), blob.size);
+            }
+        }
+
+        parser.write(decoder.decode());
+        return parser.end();
+    }
+
+    /**
+     * Feed the next chunk of text
+     */
+    write(text) {
+        let i = 0;
+        const length = text.length;
+
+        while (i < length) {
+            if (this.string) {
+                i = this._continueString(text, i);
+                continue;
+            }
+            if (this.number !== null) {
+                i = this._continueNumber(text, i);
+                if (this.number !== null) continue;
+            }
+            if (this.literal !== null) {
+                i = this._continueLiteral(text, i);
+                continue;
+            }
+            if (i >= length) break;
+
+            const code = text.charCodeAt(i);
+
+            // Whitespace: space, tab, newline, carriage return
+            if (code === 32 || code === 9 || code === 10 || code === 13) {
+                if (code === 10) {
+                    this.line++;
+                    if (this.state === 'LINE_END') this.state = 'LINE_START';
+                }
+                i++;
+                continue;
+            }
+
+            i = this._readStructural(text, i, code);
+        }
+
+        this.offset += length;
+    }
+
+    /**
+     * Signal end of input
+     * @returns {*} Parsed root value
+     */
+    end() {
+        if (this.number !== null) this._finishNumber(this.offset);
+        if (this.lines && this.stack.length === 1 && (this.state === 'LINE_START' || this.state === 'LINE_END') &&
+            !this.string && this.literal === null) {
+            this.root = this.stack.pop().container;
+            this.state = 'DONE';
+        }
+        if (this.string || this.literal !== null || this.stack.length > 0 || this.state !== 'DONE') {
+            throw new SyntaxError(`Unexpected end of JSON input at position ${this.offset}`);
+        }
+        return this.root;
+    }
+
+    _readStructural(text, i, code) {
+        const char = text[i];
+
+        switch (this.state) {
+            case 'VALUE':
+            case 'VALUE_OR_END':
+                if (char === ']' && this.state === 'VALUE_OR_END') {
+                    this._closeContainer(i);
+                } else {
+                    this._startValue(text, i, code);
+                }
+                return i + 1;
+
+            case 'KEY':
+            case 'KEY_OR_END':
+                if (char === '"') {
+                    this.string = { parts: [], isKey: true, escape: null };
+                } else if (char === '}' && this.state === 'KEY_OR_END') {
+                    this._closeContainer(i);
+                } else {
+                    this._error(`Expected property name but found '${char}'`, i);
+                }
+                return i + 1;
+
+            case 'LINE_START':
+                this._startValue(text, i, code);
+                return i + 1;
+
+            case 'LINE_END':
+                this._error(`Expected a newline after record ${this.recordCount}`, i);
+                break;
+
+            case 'COLON':
+                if (char !== ':') this._error(`Expected ':' but found '${char}'`, i);
+                this.state = 'VALUE';
+                return i + 1;
+
+            case 'COMMA_OR_END': {
+                const frame = this.stack[this.stack.length - 1];
+                const isArray = Array.isArray(frame.container);
+                if (char === ',') {
+                    this.state = isArray ? 'VALUE' : 'KEY';
+                } else if ((char === ']' && isArray) || (char === '}' && !isArray)) {
+                    this._closeContainer(i);
+                } else {
+                    this._error(`Expected ',' or '${isArray ? ']' : '}'}' but found '${char}'`, i);
+                }
+                return i + 1;
+            }
+
+            default:
+                this._error(`Unexpected '${char}' after end of JSON`, i);
+        }
+    }
+
+    _startValue(text, i, code) {
+        const char = text[i];
+
+        if (char === '{' || char === '[') {
+            this.stack.push({ container: char === '{' ? {} : [], key: null, index: 0 });
+            this.maxDepth = Math.max(this.maxDepth, this.stack.length);
+            this.state = char === '{' ? 'KEY_OR_END' : 'VALUE_OR_END';
+        } else if (char === '"') {
+            this.string = { parts: [], isKey: false, escape: null };
+        } else if (char === '-' || (code >= 48 && code <= 57)) {
+            this.number = char;
+        } else if (char === 't' || char === 'f' || char === 'n') {
+            this.literal = char;
+        } else {
+            this._error(`Unexpected '${char}'`, i);
+        }
+    }
+
+    _continueString(text, i) {
+        const string = this.string;
+        const length = text.length;
+
+        while (i < length) {
+            if (string.escape !== null) {
+                i = this._continueEscape(text, i);
+                continue;
+            }
+
+            // Copy the run of plain characters up to the next quote or backslash in one slice
+            let end = i;
+            while (end < length) {
+                const code = text.charCodeAt(end);
+                if (code === 34 || code === 92) break;
+                if (code < 32) this._error('Bad control character in string literal', end);
+                end++;
+            }
+            if (end > i) string.parts.push(text.slice(i, end));
+            if (end >= length) return end;
+
+            if (text.charCodeAt(end) === 92) {
+                string.escape = '';
+                i = end + 1;
+            } else {
+                this._finishString();
+                return end + 1;
+            }
+        }
+        return i;
+    }
+
+    _continueEscape(text, i) {
+        const string = this.string;
+
+        if (string.escape === '') {
+            const char = text[i];
+            const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }[char];
+            if (simple !== undefined) {
+                string.parts.push(simple);
+                string.escape = null;
+            } else if (char === 'u') {
+                string.escape = 'u';
+            } else {
+                this._error(`Bad escaped character '\\${char}'`, i);
+            }
+            return i + 1;
+        }
+
+        // \uXXXX: the four hex digits may be split across chunks
+        while (i < text.length && string.escape.length < 5) {
+            if (!/[0-9a-fA-F]/.test(text[i])) this._error('Bad Unicode escape', i);
+            string.escape += text[i++];
+        }
+        if (string.escape.length === 5) {
+            string.parts.push(String.fromCharCode(parseInt(string.escape.slice(1), 16)));
+            string.escape = null;
+        }
+        return i;
+    }
+
+    _finishString() {
+        const { parts, isKey } = this.string;
+        const value = parts.length === 1 ? parts[0] : parts.join('');
+        this.string = null;
+
+        if (isKey) {
+            this.stack[this.stack.length - 1].key = value;
+            this.state = 'COLON';
+        } else {
+            this._pushValue(value);
+        }
+    }
+
+    _continueNumber(text, i) {
+        const length = text.length;
+        let end = i;
+        while (end < length) {
+            const code = text.charCodeAt(end);
+            // Digits, '+', '-', '.', 'e', 'E'
+            if ((code >= 48 && code <= 57) || code === 43 || code === 45 || code === 46 || code === 101 || code === 69) {
+                end++;
+            } else {
+                break;
+            }
+        }
+        this.number += text.slice(i, end);
+        if (end < length) this._finishNumber(this.offset + end);
+        return end;
+    }
+
+    _finishNumber(position) {
+        const text = this.number;
+        this.number = null;
+        if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+            throw new SyntaxError(`Invalid number '${text}' at position ${position - text.length}`);
+        }
+        this._pushValue(Number(text));
+    }
+
+    _continueLiteral(text, i) {
+        const expected = { t: 'true', f: 'false', n: 'null' }[this.literal[0]];
+        while (i < text.length && this.literal.length < expected.length) {
+            this.literal += text[i];
+            if (!expected.startsWith(this.literal)) this._error(`Unexpected token '${this.literal}'`, i);
+            i++;
+        }
+        if (this.literal.length === expected.length) {
+            this.literal = null;
+            this._pushValue(expected === 'true' ? true : expected === 'false' ? false : null);
+        }
+        return i;
+    }
+
+    _closeContainer(i) {
+        const frame = this.stack.pop();
+        if (!frame) this._error('Unexpected closing bracket', i);
+        this._pushValue(frame.container);
+    }
+
+    _pushValue(value) {
+        const frame = this.stack[this.stack.length - 1];
+
+        if (!frame) {
+            this.root = value;
+            this.state = 'DONE';
+            return;
+        }
+
+        if (Array.isArray(frame.container)) {
+            if (this.stack.length === 1) {
+                // Element of the root array: hand it to the consumer as a record
+                this.recordCount++;
+                if (this.onRecord) this.onRecord(value, frame.index);
+                if (this.retainRecords) frame.container.push(value);
+            } else {
+                frame.container.push(value);
+            }
+            frame.index++;
+        } else if (frame.key === '__proto__') {
+            // Same as JSON.parse: an own property, not a prototype change
+            Object.defineProperty(frame.container, frame.key, { value, enumerable: true, configurable: true, writable: true });
+        } else {
+            frame.container[frame.key] = value;
+        }
+
+        this.state = this.lines && this.stack.length === 1 ? 'LINE_END' : 'COMMA_OR_END';
+    }
+
+    _error(message, i) {
+        const line = this.lines ? ` (line ${this.line})` : '';
+        throw new SyntaxError(`${message} at position ${this.offset + i}${line}`);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONStreamParser;
+}
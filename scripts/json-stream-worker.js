@@ -0,0 +1,88 @@
+/**
+ * JSON Stream Worker
+ * Parses large JSON uploads off the main thread: the file is streamed through JSONStreamParser,
+ * root array records are fed to the SQL and NoSQL builders as they complete and progress is
+ * posted back. Only the analysis and converted output go back to the page, never the parsed
+ * document, so a multi-hundred-MB upload is not structured-cloned onto the main thread.
+ * Runs only as a Worker (see IntelligentDataProcessor.parseJsonInWorker in main.js).
+ */
+
+importScripts('json-stream-parser.js', 'json-converter.js', 'json-schema-engine.js');
+
+/**
+ * Parse, analyse and optionally convert a JSON file in a single pass
+ * @param {File} file - JSON file
+ * @param {Object} options - {
+ *     chunkSize: bytes per read,
+ *     lines: file is NDJSON (one record per line),
+ *     sql: { tableName, naturalKeys, dialect } to build the SQL structure,
+ *     nosql: { collectionName } to build the NoSQL structure,
+ *     categorySchemas: schemas attached to categories, to validate the document against
+ * }
+ * @param {Function} onProgress - Called with { phase: 'parse' | 'analyze' | 'convert', loaded, total }
+ * @returns {Promise<Object>} Same shape as IntelligentDataProcessor.describeJsonData, without patternText
+ */
+async function processJsonStream(file, options = {}, onProgress = () => {}) {
+    const converter = new JSONConverter();
+    const schemaEngine = new JSONSchemaEngine();
+    const sqlBuilder = options.sql ? converter.createSQLBuilder(options.sql.tableName, { naturalKeys: options.sql.naturalKeys }) : null;
+    const nosqlBuilder = options.nosql ? converter.createNoSQLBuilder(options.nosql.collectionName) : null;
+
+    const data = await JSONStreamParser.parseBlob(file, {
+        chunkSize: options.chunkSize,
+        lines: options.lines,
+        onRecord: (record, index) => {
+            if (sqlBuilder) sqlBuilder.add(record);
+            if (nosqlBuilder) nosqlBuilder.add(record, index);
+        },
+        onProgress: (loaded, total) => onProgress({ phase: 'parse', loaded, total })
+    });
+
+    // The document itself stays in the worker: the schema, the category checks and the
+    // round-trip reports below all need every value of it
+    onProgress({ phase: 'analyze', loaded: file.size, total: file.size });
+    const isSchemaDocument = schemaEngine.isSchemaDocument(data);
+    const result = {
+        structureAnalysis: converter.analyzeStructure(data),
+        summary: converter.summarizeDocument(data),
+        isSchemaDocument,
+        // Uploaded JSON Schemas are kept as-is; any other document gets a generated schema
+        jsonSchema: isSchemaDocument
+            ? data
+            : schemaEngine.generate(data, { title: file.name, description: `Generated from ${file.name}` }),
+        schemaValidations: isSchemaDocument ? {} : schemaEngine.validateCategories(data, options.categorySchemas),
+        sqlStructure: null,
+        nosqlStructure: null,
+        sqlFidelity: null,
+        nosqlFidelity: null,
+        preview: null
+    };
+
+    onProgress({ phase: 'convert', loaded: file.size, total: file.size });
+    if (sqlBuilder) {
+        result.sqlStructure = sqlBuilder.finish(data);
+        result.sqlFidelity = converter.checkSQLRoundTrip(data, result.sqlStructure, { dialect: options.sql.dialect });
+    }
+    if (nosqlBuilder) {
+        result.nosqlStructure = nosqlBuilder.finish(data);
+        result.nosqlFidelity = converter.checkNoSQLRoundTrip(data, result.nosqlStructure);
+    }
+    if (sqlBuilder && nosqlBuilder) {
+        result.preview = converter.generatePreview(data, result.sqlStructure, result.nosqlStructure, file.size);
+    }
+
+    return result;
+}
+
+// { file, options } in; progress, then done or error messages out
+self.onmessage = async (event) => {
+    const { file, options } = event.data;
+    try {
+        const result = await processJsonStream(file, options, progress => {
+            self.postMessage({ type: 'progress', ...progress });
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -35,13 +35,25 @@ class IntelligentDataProcessor {
         this.userStorage = null;
         this.storageSystem = null;
         this.jsonConverter = new JSONConverter();
+        this.csvParser = new CSVParser();
+        this.schemaEngine = new JSONSchemaEngine();
+        this.versionDiff = new VersionDiff();
+
+        // JSON uploads at or above this size are streamed in a Web Worker; smaller ones are
+        // streamed on the main thread. Content scoring of streamed files reads only the first
+        // patternSampleSize bytes
+        this.streamingThreshold = 5 * 1024 * 1024;
+        this.patternSampleSize = 1024 * 1024;
+
+        // One parse per upload, shared by analysis, storage and conversion: File -> Promise
+        this.parsedJsonFiles = new WeakMap();
     }
 
     async init() {
         console.log('Initializing Data Processor...');
         
         // Check authentication first
-        this.userSession = AuthSystem.checkAuth();
+        this.userSession = authSystem.checkAndRedirect();
         if (!this.userSession) {
             console.log('No user session found');
             return;
@@ -54,6 +66,11 @@ class IntelligentDataProcessor {
         await this.loadStoredFiles();
         await this.updateStorageStats();
         await this.updateBackendInfo();
+
+        // Encrypted files show as placeholders until the PIN unlocks them in this tab
+        if (!this.storageSystem.getEncryptionStatus(this.userSession.username).unlocked) {
+            promptEncryptionUnlock();
+        }
         
         console.log('Data Processor initialized successfully');
     }
@@ -98,8 +115,8 @@ class IntelligentDataProcessor {
             }
         }
 
-        // Check for JSON files
-        if (file.type === 'application/json' || file.name.toLowerCase().endsWith('.json')) {
+        // Check for JSON files (including newline-delimited JSON)
+        if (file.type === 'application/json' || file.name.toLowerCase().endsWith('.json') || this.isJsonLinesFile(file)) {
             return {
                 mainType: 'json',
                 subType: 'unknown',
@@ -145,6 +162,7 @@ class IntelligentDataProcessor {
             'pdf': { mainType: 'document', subType: 'pdf', confidence: 80 },
             'txt': { mainType: 'document', subType: 'text', confidence: 80 },
             'csv': { mainType: 'document', subType: 'csv', confidence: 80 },
+            'tsv': { mainType: 'document', subType: 'tsv', confidence: 80 },
             'doc': { mainType: 'document', subType: 'word', confidence: 75 },
             'docx': { mainType: 'document', subType: 'word', confidence: 75 },
 
@@ -165,94 +183,254 @@ class IntelligentDataProcessor {
     }
 
     // Enhanced JSON content analysis with intelligent structure detection
-    async analyzeJsonContent(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
+    async analyzeJsonContent(file, options = {}) {
+        try {
+            const parsed = await this.parseJsonFile(file, options);
+            const structureAnalysis = parsed.structureAnalysis;
+
+            let sqlScore = 0;
+            let nosqlScore = 0;
+            // Streamed files are scored on their first bytes rather than re-serialising every record
+            const streamed = file.size >= this.streamingThreshold;
+            const jsonString = streamed
+                ? await file.slice(0, this.patternSampleSize).text()
+                : parsed.patternText;
+
+            // Analyze for SQL patterns
+            LLMRegexPatterns.jsonAnalysis.sql.forEach(pattern => {
+                const matches = jsonString.match(pattern);
+                if (matches) sqlScore += matches.length;
+            });
 
-            reader.onload = (e) => {
-                try {
-                    const content = e.target.result;
-                    const jsonData = JSON.parse(content);
+            // Analyze for NoSQL patterns
+            LLMRegexPatterns.jsonAnalysis.nosql.forEach(pattern => {
+                const matches = jsonString.match(pattern);
+                if (matches) nosqlScore += matches.length;
+            });
 
-                    // Use the new structure analyzer for comprehensive analysis
-                    const structureAnalysis = this.jsonConverter.analyzeStructure(jsonData);
+            // Determine JSON subtype based on structure analysis and pattern matching
+            let subType = 'generic';
+            if (structureAnalysis.recommendation === 'sql' || (sqlScore > nosqlScore && sqlScore > 0)) {
+                subType = 'sql';
+            } else if (structureAnalysis.recommendation === 'nosql' || (nosqlScore > sqlScore && nosqlScore > 0)) {
+                subType = 'nosql';
+            } else if (structureAnalysis.recommendation === 'both') {
+                subType = 'relational'; // Complex structure suitable for both
+            }
 
-                    let sqlScore = 0;
-                    let nosqlScore = 0;
-                    const jsonString = JSON.stringify(jsonData);
+            // Content-based categorization
+            let contentCategory = 'general';
+            for (const [category, pattern] of Object.entries(LLMRegexPatterns.contentCategories)) {
+                if (pattern.test(jsonString)) {
+                    contentCategory = category;
+                    break;
+                }
+            }
 
-                    // Analyze for SQL patterns
-                    LLMRegexPatterns.jsonAnalysis.sql.forEach(pattern => {
-                        const matches = jsonString.match(pattern);
-                        if (matches) sqlScore += matches.length;
-                    });
+            // Uploaded JSON Schemas are kept as-is; any other document is checked against
+            // the schema attached to its category
+            const isSchemaDocument = parsed.isSchemaDocument;
+            const category = this.generateCategory({ mainType: 'json', subType, contentCategory, isSchemaDocument });
 
-                    // Analyze for NoSQL patterns
-                    LLMRegexPatterns.jsonAnalysis.nosql.forEach(pattern => {
-                        const matches = jsonString.match(pattern);
-                        if (matches) nosqlScore += matches.length;
-                    });
+            return {
+                subType,
+                contentCategory,
+                format: this.isJsonLinesFile(file) ? 'ndjson' : 'json',
+                category,
+                isSchemaDocument,
+                jsonSchema: parsed.jsonSchema,
+                schemaValidation: isSchemaDocument ? null : parsed.schemaValidations[category] || null,
+                sqlScore,
+                nosqlScore,
+                size: streamed ? file.size : jsonString.length,
+                keyCount: parsed.summary.keyCount,
+                isArray: parsed.summary.isArray,
+                sampleKeys: parsed.summary.sampleKeys,
+                // Include structure analysis details
+                structureAnalysis: structureAnalysis,
+                complexity: structureAnalysis.complexity,
+                depth: structureAnalysis.depth,
+                recommendation: structureAnalysis.recommendation
+            };
 
-                    // Determine JSON subtype based on structure analysis and pattern matching
-                    let subType = 'generic';
-                    if (structureAnalysis.recommendation === 'sql' || (sqlScore > nosqlScore && sqlScore > 0)) {
-                        subType = 'sql';
-                    } else if (structureAnalysis.recommendation === 'nosql' || (nosqlScore > sqlScore && nosqlScore > 0)) {
-                        subType = 'nosql';
-                    } else if (structureAnalysis.recommendation === 'both') {
-                        subType = 'relational'; // Complex structure suitable for both
-                    }
+        } catch (error) {
+            return {
+                subType: 'invalid',
+                contentCategory: 'invalid',
+                error: error.message,
+                sqlScore: 0,
+                nosqlScore: 0
+            };
+        }
+    }
 
-                    // Content-based categorization
-                    let contentCategory = 'general';
-                    for (const [category, pattern] of Object.entries(LLMRegexPatterns.contentCategories)) {
-                        if (pattern.test(jsonString)) {
-                            contentCategory = category;
-                            break;
-                        }
-                    }
+    /**
+     * Parse a JSON upload once and share the result between analysis, storage and conversion.
+     * Large files are parsed in json-stream-worker.js, which posts back only the analysis and
+     * the converted output; the page never holds the parsed document of those
+     * @param {File} file - JSON file
+     * @param {Object} options - {
+     *     sql: { tableName, naturalKeys, dialect }, nosql: { collectionName } (see getStreamOptions),
+     *     onProgress: called with the completed fraction (0-1)
+     * }
+     * @returns {Promise<Object>} See describeJsonData
+     */
+    async parseJsonFile(file, options = {}) {
+        const { onProgress = () => {}, ...streamOptions } = options;
+        streamOptions.lines = this.isJsonLinesFile(file);
+        streamOptions.categorySchemas = this.getCategorySchemas();
+
+        // Conversions the first parse was not asked for need another pass over the file;
+        // it builds the earlier ones too so the cached result keeps covering them
+        let parsing = this.parsedJsonFiles.get(file);
+        if (parsing && !this.coversStreamOptions(parsing.options, streamOptions)) {
+            streamOptions.sql = streamOptions.sql || parsing.options.sql;
+            streamOptions.nosql = streamOptions.nosql || parsing.options.nosql;
+            parsing = null;
+        }
 
-                    resolve({
-                        subType,
-                        contentCategory,
-                        sqlScore,
-                        nosqlScore,
-                        size: jsonString.length,
-                        keyCount: Array.isArray(jsonData) ? jsonData.length : Object.keys(jsonData).length,
-                        isArray: Array.isArray(jsonData),
-                        sampleKeys: Array.isArray(jsonData) && jsonData.length > 0
-                            ? Object.keys(jsonData[0] || {}).slice(0, 5)
-                            : Object.keys(jsonData).slice(0, 5),
-                        // Include structure analysis details
-                        structureAnalysis: structureAnalysis,
-                        complexity: structureAnalysis.complexity,
-                        depth: structureAnalysis.depth,
-                        recommendation: structureAnalysis.recommendation
-                    });
+        if (!parsing) {
+            const reportProgress = progress => onProgress(this.getStreamProgress(progress));
+            const promise = typeof Worker !== 'undefined' && file.size >= this.streamingThreshold
+                ? this.parseJsonInWorker(file, streamOptions, reportProgress)
+                : this.parseJsonOnPage(file, streamOptions, reportProgress);
+            parsing = { options: streamOptions, promise };
+            this.parsedJsonFiles.set(file, parsing);
+        }
 
-                } catch (error) {
-                    resolve({
-                        subType: 'invalid',
-                        contentCategory: 'invalid',
-                        error: error.message,
-                        sqlScore: 0,
-                        nosqlScore: 0
-                    });
+        let result;
+        try {
+            result = await parsing.promise;
+        } catch (error) {
+            this.parsedJsonFiles.delete(file);
+            throw new Error(`Failed to parse JSON: ${error.message}`);
+        }
+
+        onProgress(1);
+        return result;
+    }
+
+    // Whether a parse made with one set of stream options also answers another
+    coversStreamOptions(parsedOptions, wanted) {
+        const sameSQL = !wanted.sql || JSON.stringify(wanted.sql) === JSON.stringify(parsedOptions.sql);
+        const sameNoSQL = !wanted.nosql || JSON.stringify(wanted.nosql) === JSON.stringify(parsedOptions.nosql);
+        return sameSQL && sameNoSQL;
+    }
+
+    // Smaller files (and pages that cannot start a worker) are read in chunks on the page
+    async parseJsonOnPage(file, options, onProgress) {
+        const data = await JSONStreamParser.parseBlob(file, {
+            lines: options.lines,
+            onProgress: (loaded, total) => onProgress({ phase: 'parse', loaded, total })
+        });
+
+        onProgress({ phase: 'analyze', loaded: file.size, total: file.size });
+        return this.describeJsonData(data, { ...options, title: file.name, patternText: file.size < this.streamingThreshold });
+    }
+
+    // Stream a large file through json-stream-worker.js so the page stays responsive
+    parseJsonInWorker(file, options, onProgress) {
+        let worker;
+        try {
+            worker = new Worker('scripts/json-stream-worker.js');
+        } catch (error) {
+            // Workers are unavailable from file:// pages; parse on the page instead
+            console.warn('JSON worker unavailable, parsing on the main thread:', error.message);
+            return this.parseJsonOnPage(file, options, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    onProgress(message);
+                    return;
+                }
+
+                worker.terminate();
+                if (message.type === 'done') {
+                    resolve(message.result);
+                } else {
+                    reject(new Error(message.message));
                 }
             };
 
-            reader.onerror = () => resolve({
-                subType: 'error',
-                contentCategory: 'error',
-                error: 'Failed to read file',
-                sqlScore: 0,
-                nosqlScore: 0
-            });
+            worker.onerror = (event) => {
+                worker.terminate();
+                reject(new Error(event.message || 'JSON worker failed'));
+            };
 
-            reader.readAsText(file);
+            worker.postMessage({ file, options });
         });
     }
 
+    /**
+     * Analysis, conversions and round-trip reports of a parsed document, in the shape
+     * json-stream-worker.js posts back for large files
+     * @param {*} jsonData - Parsed JSON (or CSV records)
+     * @param {Object} options - {
+     *     sql: { tableName, naturalKeys, dialect }, nosql: { collectionName },
+     *     categorySchemas: attached schemas to validate against, title: name for the generated schema,
+     *     patternText: include the document as compact JSON for content scoring
+     * }
+     * @returns {Object} { structureAnalysis, summary, isSchemaDocument, jsonSchema, schemaValidations,
+     *                     sqlStructure, nosqlStructure, sqlFidelity, nosqlFidelity, preview, patternText }
+     */
+    describeJsonData(jsonData, options = {}) {
+        const converter = this.jsonConverter;
+        const isSchemaDocument = this.schemaEngine.isSchemaDocument(jsonData);
+        const sqlStructure = options.sql
+            ? converter.convertToSQL(jsonData, options.sql.tableName, { naturalKeys: options.sql.naturalKeys })
+            : null;
+        const nosqlStructure = options.nosql ? converter.convertToNoSQL(jsonData, options.nosql.collectionName) : null;
+
+        return {
+            structureAnalysis: converter.analyzeStructure(jsonData),
+            summary: converter.summarizeDocument(jsonData),
+            isSchemaDocument,
+            // Uploaded JSON Schemas are kept as-is; any other document gets a generated schema
+            jsonSchema: isSchemaDocument
+                ? jsonData
+                : this.schemaEngine.generate(jsonData, { title: options.title, description: `Generated from ${options.title}` }),
+            schemaValidations: isSchemaDocument ? {} : this.schemaEngine.validateCategories(jsonData, options.categorySchemas),
+            sqlStructure,
+            nosqlStructure,
+            // Rebuild the data from the tables as the dialect stores them and diff it with the original
+            sqlFidelity: sqlStructure ? converter.checkSQLRoundTrip(jsonData, sqlStructure, { dialect: options.sql.dialect }) : null,
+            nosqlFidelity: nosqlStructure ? converter.checkNoSQLRoundTrip(jsonData, nosqlStructure) : null,
+            preview: sqlStructure && nosqlStructure ? converter.generatePreview(jsonData, sqlStructure, nosqlStructure) : null,
+            patternText: options.patternText ? JSON.stringify(jsonData) : null
+        };
+    }
+
+    // Reading is most of the work; analysis and SQL conversion take the last tenth
+    getStreamProgress(progress) {
+        if (progress.phase === 'parse') return progress.total > 0 ? (progress.loaded / progress.total) * 0.9 : 0.9;
+        return progress.phase === 'analyze' ? 0.9 : 0.95;
+    }
+
+    // Converter options for parseJsonFile, named after the uploaded file
+    getStreamOptions(file, conversions = {}) {
+        return {
+            sql: conversions.convertToSQL
+                ? {
+                    tableName: this.getTableName(file.name),
+                    naturalKeys: conversions.naturalKeys || [],
+                    dialect: conversions.sqlDialect || 'sqlite'
+                }
+                : null,
+            nosql: conversions.convertToNoSQL
+                ? { collectionName: this.getCollectionName(file.name) }
+                : null
+        };
+    }
+
+    // Drop a parsed upload once it has been stored
+    releaseParsedFile(file) {
+        this.parsedJsonFiles.delete(file);
+    }
+
     // Enhanced media analysis
     async analyzeMediaContent(file, fileType) {
         return new Promise((resolve) => {
@@ -295,15 +473,40 @@ class IntelligentDataProcessor {
         });
     }
 
+    // CSV/TSV analysis: parse once and run the same structure analyzer as JSON
+    async analyzeCsvContent(file) {
+        try {
+            const parsed = await this.readCsvFile(file);
+            const structureAnalysis = this.jsonConverter.analyzeStructure(parsed.records);
+
+            return {
+                rowCount: parsed.rowCount,
+                columns: parsed.columns,
+                columnTypes: parsed.columnTypes,
+                delimiter: parsed.delimiter,
+                hasHeader: parsed.hasHeader,
+                sampleKeys: parsed.columns.slice(0, 5),
+                structureAnalysis: structureAnalysis,
+                recommendation: structureAnalysis.recommendation
+            };
+        } catch (error) {
+            return {
+                error: error.message
+            };
+        }
+    }
+
     // Main analysis function
-    async analyzeFile(file) {
+    async analyzeFile(file, options = {}) {
         const fileType = this.detectFileType(file);
         let detailedAnalysis = {};
 
         if (fileType.mainType === 'json') {
-            detailedAnalysis = await this.analyzeJsonContent(file);
+            detailedAnalysis = await this.analyzeJsonContent(file, options);
         } else if (fileType.mainType === 'media') {
             detailedAnalysis = await this.analyzeMediaContent(file, fileType);
+        } else if (this.isDelimitedFile(file)) {
+            detailedAnalysis = await this.analyzeCsvContent(file);
         }
 
         return {
@@ -315,38 +518,253 @@ class IntelligentDataProcessor {
         };
     }
 
-    // Store file with intelligent categorization
-    async storeFile(file, metadata = {}) {
+    // Store file with intelligent categorization; options.onProgress follows chunked uploads
+    async storeFile(file, metadata = {}, options = {}) {
         const analysis = await this.analyzeFile(file);
 
         const category = this.generateCategory(analysis);
+        // The generated schema is stored as its own file rather than inside the metadata
+        const { jsonSchema, ...storedAnalysis } = analysis;
         const storedFile = await this.storageSystem.storeFile(
             this.userSession.username,
             file,
             category,
             {
                 ...metadata,
-                intelligentAnalysis: analysis,
+                intelligentAnalysis: storedAnalysis,
                 uploadedAt: new Date().toISOString()
-            }
+            },
+            options
         );
 
+        if (jsonSchema && !analysis.isSchemaDocument) {
+            storedFile.schemaFile = await this.storeJsonSchema(file, jsonSchema, storedFile.id);
+            await this.linkRelatedFiles(storedFile, [storedFile.schemaFile.id]);
+        }
+
         return storedFile;
     }
 
+    // Record parent/child links on both sides: the parent lists its children in relatedFiles,
+    // each child points back through originalFileId
+    async linkRelatedFiles(parentFile, childIds) {
+        const metadata = await this.storageSystem.updateFileMetadata(parentFile.id, current => ({
+            relatedFiles: [...new Set([...(current.relatedFiles || []), ...childIds])]
+        }));
+        for (const childId of childIds) {
+            await this.storageSystem.updateFileMetadata(childId, { originalFileId: parentFile.id });
+        }
+
+        parentFile.metadata = { ...parentFile.metadata, relatedFiles: metadata.relatedFiles };
+        return metadata.relatedFiles;
+    }
+
+    // Parent and children of a stored file. Children are the ids in relatedFiles plus any
+    // file pointing back through originalFileId; ids without a stored file are marked missing
+    async getFileLineage(fileId) {
+        const files = await this.getUserFiles();
+        const byId = new Map(files.map(f => [f.id, f]));
+        const file = byId.get(fileId);
+        if (!file) {
+            throw new Error('File not found');
+        }
+
+        const metadata = file.metadata || {};
+        const childIds = new Set(metadata.relatedFiles || []);
+        files.forEach(f => {
+            if (f.metadata && f.metadata.originalFileId === fileId) childIds.add(f.id);
+        });
+
+        return {
+            file,
+            parent: metadata.originalFileId ? byId.get(metadata.originalFileId) || { id: metadata.originalFileId, missing: true } : null,
+            children: [...childIds].map(id => byId.get(id) || { id, missing: true })
+        };
+    }
+
+    // Every stored version of a file, oldest first
+    async getFileVersions(fileId) {
+        const files = await this.getUserFiles();
+        const file = files.find(f => f.id === fileId);
+        if (!file) {
+            throw new Error('File not found');
+        }
+
+        const group = this.storageSystem.getVersionGroup(file);
+        return files
+            .filter(f => this.storageSystem.getVersionGroup(f) === group)
+            .sort((a, b) => ((a.metadata && a.metadata.version) || 1) - ((b.metadata && b.metadata.version) || 1));
+    }
+
+    // The newest version of each file, with versionCount set, for the file grid
+    latestVersions(files) {
+        const groups = new Map();
+
+        files.forEach(file => {
+            const group = this.storageSystem.getVersionGroup(file);
+            const entry = groups.get(group) || { latest: null, count: 0 };
+            entry.count++;
+            const version = (file.metadata && file.metadata.version) || 1;
+            if (!entry.latest || version > ((entry.latest.metadata && entry.latest.metadata.version) || 1)) {
+                entry.latest = file;
+            }
+            groups.set(group, entry);
+        });
+
+        return [...groups.values()].map(({ latest, count }) => ({ ...latest, versionCount: count }));
+    }
+
+    // Restoring stores the old version's content again as the newest version,
+    // so the history in between is kept
+    async restoreFileVersion(fileId) {
+        const versions = await this.getFileVersions(fileId);
+        const version = versions.find(f => f.id === fileId);
+        const fileData = await this.downloadFile(fileId);
+        // Chunked files come back as a stream URL rather than a Blob
+        const blob = fileData.blob || await (await fetch(fileData.url)).blob();
+        const file = new File([blob], version.filename, { type: fileData.filetype });
+
+        // Storage fields are filled in again by storeFile
+        const {
+            filename, size, filetype, versionGroup, version: number, originalSize, compressed, directory,
+            ...metadata
+        } = version.metadata || {};
+
+        return await this.storageSystem.storeFile(this.userSession.username, file, version.category, {
+            ...metadata,
+            restoredFromVersion: number || 1,
+            uploadedAt: new Date().toISOString()
+        });
+    }
+
+    // Structural diff of two versions: JSON (and JSON Lines) by path, SQL scripts and
+    // SQL conversions by table, column and row
+    async diffFileVersions(fromId, toId) {
+        const [before, after] = await Promise.all([this.readVersionContent(fromId), this.readVersionContent(toId)]);
+        if (!before || !after) {
+            throw new Error('Structural diff is only available for JSON and SQL files');
+        }
+        if (before.kind !== after.kind) {
+            throw new Error(`Cannot compare a ${before.kind.toUpperCase()} version with a ${after.kind.toUpperCase()} version`);
+        }
+
+        return before.kind === 'sql'
+            ? this.versionDiff.diffTables(before.tables, after.tables)
+            : this.versionDiff.diffJSON(before.data, after.data);
+    }
+
+    // Parsed content of a stored version: { kind: 'json', data } or { kind: 'sql', tables }, null for other files
+    async readVersionContent(fileId) {
+        const fileData = await this.downloadFile(fileId);
+        const filename = fileData.filename || '';
+
+        if (fileData.category === 'JSON_SQL_CONVERTED') {
+            return { kind: 'sql', tables: JSON.parse(await readFileDataText(fileData)).structure.tables };
+        }
+        if (/\.sql$/i.test(filename) || fileData.filetype === 'application/sql' || fileData.filetype === 'text/sql') {
+            return { kind: 'sql', tables: parseSQLFile(await readFileDataText(fileData)).tables };
+        }
+        if (/\.(ndjson|jsonl)$/i.test(filename)) {
+            const parser = new JSONStreamParser({ lines: true });
+            parser.write(await readFileDataText(fileData));
+            return { kind: 'json', data: parser.end() };
+        }
+        if (fileData.filetype === 'application/json' || /\.json$/i.test(filename)) {
+            return { kind: 'json', data: JSON.parse(await readFileDataText(fileData)) };
+        }
+        return null;
+    }
+
+    // Store a generated schema as a related file of the JSON it describes
+    async storeJsonSchema(file, schema, originalFileId) {
+        const schemaBlob = new Blob([JSON.stringify(schema, null, 2)], { type: 'application/json' });
+        const schemaFile = new File([schemaBlob], `${this.getBaseName(file.name)}.schema.json`, { type: 'application/json' });
+
+        return await this.storageSystem.storeFile(
+            this.userSession.username,
+            schemaFile,
+            'JSON_SCHEMA',
+            {
+                jsonFormat: 'schema',
+                originalFile: file.name,
+                originalFileId: originalFileId,
+                description: `JSON Schema (draft 2020-12) generated from ${file.name}`,
+                conversionType: 'schema'
+            }
+        );
+    }
+
+    // Schemas attached to categories: { [category]: { schema, title, schemaFileId, attachedAt } }
+    getCategorySchemas() {
+        return (this.userStorage && this.userStorage.get('categorySchemas')) || {};
+    }
+
+    // Validate later uploads of a category against a schema
+    attachCategorySchema(category, schema, schemaFileId = null) {
+        if (!this.userStorage) {
+            throw new Error('No user session');
+        }
+        if (typeof schema !== 'object' || schema === null) {
+            throw new Error('Schema must be a JSON object');
+        }
+
+        const schemas = this.getCategorySchemas();
+        schemas[category] = {
+            schema,
+            title: schema.title || category,
+            schemaFileId,
+            attachedAt: new Date().toISOString()
+        };
+        this.userStorage.set('categorySchemas', schemas);
+    }
+
+    detachCategorySchema(category) {
+        const schemas = this.getCategorySchemas();
+        if (!schemas[category]) return false;
+
+        delete schemas[category];
+        this.userStorage.set('categorySchemas', schemas);
+        return true;
+    }
+
     // Process JSON file with conversions
     async processJsonFile(file, options = {}) {
-        const { convertToSQL = false, convertToNoSQL = false, storeSeparately = true } = options;
-
-        // Read and parse JSON
-        const jsonData = await this.readJsonFile(file);
+        const {
+            convertToSQL = false,
+            convertToNoSQL = false,
+            storeSeparately = true,
+            sqlDialect = 'sqlite',
+            naturalKeys = [],
+            onProgress = () => {}
+        } = options;
+
+        // Read and parse once (CSV/TSV rows become an array of records); the conversions
+        // and their round-trip reports come back with the structure analysis
+        const streamOptions = this.getStreamOptions(file, { convertToSQL, convertToNoSQL, naturalKeys, sqlDialect });
+        let csvInfo = null;
+        let parsedJson;
+        if (this.isDelimitedFile(file)) {
+            const parsed = await this.readCsvFile(file);
+            csvInfo = {
+                delimiter: parsed.delimiter,
+                hasHeader: parsed.hasHeader,
+                columns: parsed.columns,
+                columnTypes: parsed.columnTypes,
+                rowCount: parsed.rowCount
+            };
+            parsedJson = this.describeJsonData(parsed.records, { ...streamOptions, title: file.name });
+        } else {
+            // Streamed once; the converters are fed while the file is read
+            parsedJson = await this.parseJsonFile(file, { ...streamOptions, onProgress });
+        }
 
         // Analyze JSON structure for intelligent processing
-        const structureAnalysis = this.jsonConverter.analyzeStructure(jsonData);
+        const { structureAnalysis, sqlStructure, nosqlStructure } = parsedJson;
         console.log('JSON Structure Analysis:', structureAnalysis);
 
         const results = {
             original: null,
+            schema: null,
             sql: null,
             nosql: null,
             analysis: structureAnalysis
@@ -358,30 +776,39 @@ class IntelligentDataProcessor {
         if (storeSeparately) {
             results.original = await this.storeFile(file, {
                 jsonFormat: 'original',
-                description: 'Original JSON file',
+                description: csvInfo ? 'Original CSV file' : this.isJsonLinesFile(file) ? 'Original JSON Lines file' : 'Original JSON file',
                 structureAnalysis: structureAnalysis,
+                csvInfo: csvInfo,
                 conversionType: null
             });
             console.log('Stored original JSON:', results.original.id);
+
+            // storeFile has already linked the schema to the original
+            if (results.original.schemaFile) {
+                results.schema = results.original.schemaFile;
+            }
         }
 
         // Convert to SQL format
         if (convertToSQL) {
-            const sqlStructure = this.jsonConverter.convertToSQL(jsonData, this.getTableName(file.name));
+            const fidelity = parsedJson.sqlFidelity;
             const sqlContent = {
-                schema: this.jsonConverter.generateSQLSchema(sqlStructure),
-                inserts: this.jsonConverter.generateSQLInserts(sqlStructure),
+                schema: this.jsonConverter.generateSQLSchema(sqlStructure, { dialect: sqlDialect }),
+                inserts: this.jsonConverter.generateSQLInserts(sqlStructure, { dialect: sqlDialect }),
                 structure: sqlStructure,
                 metadata: {
                     originalFile: file.name,
                     conversionDate: new Date().toISOString(),
-                    structureAnalysis: structureAnalysis
+                    sqlDialect: sqlDialect,
+                    naturalKeys: naturalKeys,
+                    structureAnalysis: structureAnalysis,
+                    csvInfo: csvInfo
                 }
             };
 
             // Create SQL file
             const sqlBlob = new Blob([JSON.stringify(sqlContent, null, 2)], { type: 'application/json' });
-            const sqlFile = new File([sqlBlob], file.name.replace('.json', '-sql.json'), { type: 'application/json' });
+            const sqlFile = new File([sqlBlob], `${this.getBaseName(file.name)}-sql.json`, { type: 'application/json' });
 
             results.sql = await this.storageSystem.storeFile(
                 this.userSession.username,
@@ -395,7 +822,8 @@ class IntelligentDataProcessor {
                     totalRows: sqlStructure.metadata.totalRows,
                     description: 'SQL-converted JSON structure',
                     conversionType: 'sql',
-                    structureAnalysis: structureAnalysis
+                    structureAnalysis: structureAnalysis,
+                    fidelity: fidelity
                 }
             );
             relatedFileIds.push(results.sql.id);
@@ -404,20 +832,21 @@ class IntelligentDataProcessor {
 
         // Convert to NoSQL format
         if (convertToNoSQL) {
-            const nosqlStructure = this.jsonConverter.convertToNoSQL(jsonData, this.getCollectionName(file.name));
+            const fidelity = parsedJson.nosqlFidelity;
             const nosqlContent = {
                 structure: nosqlStructure,
                 collections: nosqlStructure.collections,
                 metadata: {
                     originalFile: file.name,
                     conversionDate: new Date().toISOString(),
-                    structureAnalysis: structureAnalysis
+                    structureAnalysis: structureAnalysis,
+                    csvInfo: csvInfo
                 }
             };
 
             // Create NoSQL file
             const nosqlBlob = new Blob([JSON.stringify(nosqlContent, null, 2)], { type: 'application/json' });
-            const nosqlFile = new File([nosqlBlob], file.name.replace('.json', '-nosql.json'), { type: 'application/json' });
+            const nosqlFile = new File([nosqlBlob], `${this.getBaseName(file.name)}-nosql.json`, { type: 'application/json' });
 
             results.nosql = await this.storageSystem.storeFile(
                 this.userSession.username,
@@ -431,39 +860,38 @@ class IntelligentDataProcessor {
                     totalDocuments: nosqlStructure.metadata.totalDocuments,
                     description: 'NoSQL-converted JSON structure',
                     conversionType: 'nosql',
-                    structureAnalysis: structureAnalysis
+                    structureAnalysis: structureAnalysis,
+                    fidelity: fidelity
                 }
             );
             relatedFileIds.push(results.nosql.id);
             console.log('Stored NoSQL conversion:', results.nosql.id);
         }
 
-        // Update original file metadata with related file IDs
+        // Link the original and its conversions in both directions
         if (results.original && relatedFileIds.length > 0) {
-            // Note: This would require implementing an updateFileMetadata method
-            console.log('Related files for', results.original.id, ':', relatedFileIds);
+            await this.linkRelatedFiles(results.original, relatedFileIds);
+            console.log('Related files for', results.original.id, ':', results.original.metadata.relatedFiles);
         }
 
         // Generate preview
         if (convertToSQL && convertToNoSQL) {
-            const sqlStructure = this.jsonConverter.convertToSQL(jsonData, this.getTableName(file.name));
-            const nosqlStructure = this.jsonConverter.convertToNoSQL(jsonData, this.getCollectionName(file.name));
-            results.preview = this.jsonConverter.generatePreview(jsonData, sqlStructure, nosqlStructure);
+            results.preview = parsedJson.preview;
         }
 
         return results;
     }
 
-    // Read JSON file
-    async readJsonFile(file) {
+    // Read CSV/TSV file into typed records
+    async readCsvFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const jsonData = JSON.parse(e.target.result);
-                    resolve(jsonData);
+                    const delimiter = file.name.toLowerCase().endsWith('.tsv') ? '\t' : undefined;
+                    resolve(this.csvParser.parse(e.target.result, { delimiter }));
                 } catch (error) {
-                    reject(new Error(`Failed to parse JSON: ${error.message}`));
+                    reject(new Error(`Failed to parse CSV: ${error.message}`));
                 }
             };
             reader.onerror = () => reject(new Error('Failed to read file'));
@@ -471,20 +899,40 @@ class IntelligentDataProcessor {
         });
     }
 
+    // CSV/TSV files go through the same conversion path as JSON
+    isDelimitedFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.csv') || name.endsWith('.tsv') ||
+            file.type === 'text/csv' || file.type === 'text/tab-separated-values';
+    }
+
+    // Newline-delimited JSON (NDJSON / JSON Lines): one record per line
+    isJsonLinesFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.ndjson') || name.endsWith('.jsonl') ||
+            ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'].includes(file.type);
+    }
+
+    // Strip the extension of a source file (data.json, data.jsonl, data.csv -> data)
+    getBaseName(filename) {
+        return filename.replace(/\.(json|jsonl|ndjson|csv|tsv)$/i, '');
+    }
+
     // Get table name from filename
     getTableName(filename) {
-        return filename.replace('.json', '').replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+        return this.getBaseName(filename).replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
     }
 
     // Get collection name from filename
     getCollectionName(filename) {
-        return filename.replace('.json', '').replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+        return this.getBaseName(filename).replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
     }
 
     generateCategory(analysis) {
         if (analysis.mainType === 'media') {
             return `MEDIA_${analysis.subType.toUpperCase()}`;
         } else if (analysis.mainType === 'json') {
+            if (analysis.isSchemaDocument) return 'JSON_SCHEMA';
             return `JSON_${analysis.subType.toUpperCase()}_${analysis.contentCategory.toUpperCase()}`;
         } else if (analysis.mainType === 'database') {
             return `DATABASE_${analysis.subType.toUpperCase()}`;
@@ -544,6 +992,18 @@ class IntelligentDataProcessor {
                             <span class="stat-label">STORAGE_REMAINING:</span>
                             <span class="stat-value" id="storageRemaining">${storageRemaining}</span>
                         </div>
+                        ${stats.backends.filter(backend => backend.fileCount > 0 || backend.type === 'remote').map(backend => `
+                        <div class="stat-item">
+                            <span class="stat-label">${backend.type === 'remote' ? 'REMOTE_' + backend.provider.toUpperCase() : backend.type.toUpperCase()}:</span>
+                            <span class="stat-value">${backend.fileCount} / ${this.formatFileSize(backend.totalSize)}</span>
+                        </div>
+                        `).join('')}
+                        ${stats.deduplicatedBytes > 0 ? `
+                        <div class="stat-item">
+                            <span class="stat-label">SAVED_BY_DEDUP:</span>
+                            <span class="stat-value">${this.formatFileSize(stats.deduplicatedBytes)}</span>
+                        </div>
+                        ` : ''}
                     </div>
                 `;
             }
@@ -561,12 +1021,12 @@ class IntelligentDataProcessor {
                 backendsList.innerHTML = backends.map(backend => `
                     <div class="backend-item">
                         <div class="backend-info">
-                            <strong>${backend.type.toUpperCase()}</strong>
-                            <span class="backend-size">${this.formatFileSize(backend.maxSize)}</span>
+                            <strong>${backend.remote ? `${backend.provider.toUpperCase()} (REMOTE)` : backend.type.toUpperCase()}</strong>
+                            <span class="backend-size">${backend.remote ? escapeHtml(backend.location) : this.formatFileSize(backend.maxSize)}</span>
                         </div>
                         <div class="backend-status">
-                            <span class="status-indicator status-active"></span>
-                            <span>ACTIVE</span>
+                            <span class="status-indicator ${backend.available ? 'status-active' : ''}"></span>
+                            <span>${backend.available ? (backend.primary ? 'PRIMARY' : 'ACTIVE') : 'UNAVAILABLE'}</span>
                         </div>
                     </div>
                 `).join('');
@@ -584,12 +1044,60 @@ class IntelligentDataProcessor {
     // Download file
     async downloadFile(fileId) {
         const fileData = await this.storageSystem.getFile(fileId);
+
+        // Chunked files aren't loaded whole: the media stream service worker serves them by
+        // range. Without it (first visit, file://) the chunks are assembled into a Blob, as are
+        // encrypted files, since the worker has no keys
+        if (fileData.chunked && !fileData.blob) {
+            if (isMediaStreamAvailable() && !fileData.encrypted) {
+                fileData.url = `media-stream/${encodeURIComponent(fileId)}`;
+            } else {
+                fileData.blob = (await this.storageSystem.readRange(fileId, 0, fileData.size)).blob;
+                fileData.url = URL.createObjectURL(fileData.blob);
+            }
+        }
         return fileData;
     }
 
-    // Delete file
-    async deleteFile(fileId) {
-        return await this.storageSystem.deleteFile(fileId);
+    // Delete file; with cascade its derived files (schema, conversions) go too, with
+    // allVersions every version of the file. Returns the ids deleted
+    async deleteFile(fileId, options = {}) {
+        if (options.allVersions) {
+            const deletedIds = [];
+            for (const version of await this.getFileVersions(fileId)) {
+                if (deletedIds.includes(version.id)) continue;
+                deletedIds.push(...await this.deleteFile(version.id, { cascade: options.cascade }));
+            }
+            return deletedIds;
+        }
+
+        const lineage = await this.getFileLineage(fileId).catch(() => null);
+        const children = lineage ? lineage.children.filter(child => !child.missing) : [];
+        const deletedIds = [fileId, ...(options.cascade ? children.map(child => child.id) : [])];
+
+        for (const id of deletedIds) {
+            await this.storageSystem.deleteFile(id);
+        }
+
+        // Keep the links of the files that stay consistent
+        if (lineage) {
+            try {
+                if (lineage.parent && !lineage.parent.missing) {
+                    await this.storageSystem.updateFileMetadata(lineage.parent.id, current => ({
+                        relatedFiles: (current.relatedFiles || []).filter(id => id !== fileId)
+                    }));
+                }
+                if (!options.cascade) {
+                    for (const child of children) {
+                        await this.storageSystem.updateFileMetadata(child.id, { originalFileId: null });
+                    }
+                }
+            } catch (error) {
+                console.warn('Could not update related files after delete:', error);
+            }
+        }
+
+        return deletedIds;
     }
 
     // Load and display stored files
@@ -598,7 +1106,8 @@ class IntelligentDataProcessor {
             console.log('loadStoredFiles: Fetching user files...');
             const files = await this.getUserFiles();
             console.log('loadStoredFiles: Retrieved', files.length, 'files');
-            displayStoredFiles(files);
+            // One card per file; older versions are in its history
+            displayStoredFiles(this.latestVersions(files));
             await this.updateStorageStats();
         } catch (error) {
             console.error('Error loading stored files:', error);
@@ -630,10 +1139,10 @@ async function init() {
     console.log('Initializing main application...');
     
     // Check if user is authenticated
-    const currentUser = AuthSystem.checkAuth();
+    const currentUser = authSystem.checkAndRedirect();
     if (!currentUser) {
+        // checkAndRedirect is already on the way to the login page
         console.log('User not authenticated, redirecting to login...');
-        window.location.href = 'login.html';
         return;
     }
 
@@ -645,6 +1154,7 @@ async function init() {
 
     // Initialize storage system
     await authSystem.initStorageSystem();
+    registerMediaStreamWorker();
 
     // Initialize data processor (this will load stored files)
     dataProcessor = new IntelligentDataProcessor();
@@ -666,6 +1176,19 @@ async function init() {
     console.log('File input:', document.getElementById('fileInput'));
 }
 
+// Serves chunked files by byte range from IndexedDB (see media-stream-sw.js)
+function registerMediaStreamWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('media-stream-sw.js').catch(error => {
+        console.warn('Media stream service worker unavailable, large files will be read whole:', error);
+    });
+}
+
+function isMediaStreamAvailable() {
+    return 'serviceWorker' in navigator && !!navigator.serviceWorker.controller;
+}
+
 function initializeDOMElements() {
     console.log('Initializing DOM elements...');
     
@@ -786,19 +1309,11 @@ function setupEventListeners() {
     });
 
     // Add storage management event listeners
-    const optimizeStorageBtn = document.getElementById('optimizeStorageBtn');
     const clearCacheBtn = document.getElementById('clearCacheBtn');
-    const exportDataBtn = document.getElementById('exportDataBtn');
 
-    if (optimizeStorageBtn) {
-        optimizeStorageBtn.addEventListener('click', optimizeStorage);
-    }
     if (clearCacheBtn) {
         clearCacheBtn.addEventListener('click', clearCache);
     }
-    if (exportDataBtn) {
-        exportDataBtn.addEventListener('click', exportAllData);
-    }
 
     console.log('Event listeners setup complete');
 }
@@ -922,21 +1437,114 @@ async function processFiles(files) {
     }
 }
 
+// Conversion checkboxes and natural key input of the upload form
+function readConversionOptions() {
+    return {
+        convertToSQL: document.getElementById('convertToSQL')?.checked,
+        convertToNoSQL: document.getElementById('convertToNoSQL')?.checked,
+        storeOriginal: document.getElementById('storeOriginal')?.checked,
+        // Comma-separated columns (e.g. "orderId") to key tables by instead of the synthetic id
+        naturalKeys: (document.getElementById('sqlNaturalKeys')?.value || '')
+            .split(',')
+            .map(key => key.trim())
+            .filter(Boolean)
+    };
+}
+
+// Progress bar share of one file: analysis fills 0-50%, storage 50-100%, both weighted by file size
+function fileProgressReporter(files, file, completedBytes, start, span) {
+    const totalBytes = Array.from(files).reduce((sum, f) => sum + f.size, 0) || 1;
+    return fraction => updateProgress(start + span * (completedBytes + fraction * file.size) / totalBytes);
+}
+
 async function performIntelligentAnalysis(files) {
     setStatusActive(analyzingStatus, true);
-    updateProgress(25);
     
     const analysisContainer = analysisResults;
     analysisContainer.innerHTML = '';
-    
+
+    // JSON is parsed here once, with the selected conversions fed while streaming
+    const conversions = readConversionOptions();
+    let completedBytes = 0;
     for (const file of files) {
-        const analysis = await dataProcessor.analyzeFile(file);
+        const reportProgress = fileProgressReporter(files, file, completedBytes, 0, 50);
+        const analysis = await dataProcessor.analyzeFile(file, {
+            ...dataProcessor.getStreamOptions(file, conversions),
+            onProgress: reportProgress
+        });
+        reportProgress(1);
+        completedBytes += file.size;
         displayFileAnalysis(analysis, analysisContainer);
     }
     
     setStatusActive(analyzingStatus, false);
 }
 
+/**
+ * One-line summary of analyzeStructure field profiles, e.g. "status: VARCHAR(16) [open|closed], note: TEXT?"
+ * (? marks nullable fields)
+ */
+function formatFieldProfiles(fieldProfiles, limit = 8) {
+    const fields = Object.keys(fieldProfiles);
+    const summary = fields.slice(0, limit).map(field => {
+        const profile = fieldProfiles[field];
+        const enumValues = profile.enumValues ? ` [${profile.enumValues.join('|')}]` : '';
+        return `${field}: ${profile.type}${profile.nullable ? '?' : ''}${enumValues}`;
+    });
+    if (fields.length > limit) summary.push(`+${fields.length - limit} more`);
+    return escapeHtml(summary.join(', '));
+}
+
+/**
+ * Per-path error list for a category schema validation result
+ */
+function formatSchemaValidation(validation, limit = 20) {
+    const status = validation.valid
+        ? '<span style="color: #00ff00;">PASSED</span>'
+        : `<span style="color: #ff4444;">FAILED (${validation.errorCount} ERROR${validation.errorCount === 1 ? '' : 'S'})</span>`;
+
+    let html = `<strong>SCHEMA_VALIDATION:</strong> ${status} against ${escapeHtml(validation.title)} [${escapeHtml(validation.category)}]<br>`;
+    if (!validation.valid) {
+        html += `<ul style="margin: 4px 0 0 18px; padding: 0;">${validation.errors.slice(0, limit).map(error =>
+            `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`).join('')}</ul>`;
+        if (validation.errorCount > limit) {
+            html += `<em>+${validation.errorCount - limit} more error(s)</em><br>`;
+        }
+    }
+    return html;
+}
+
+// Attach/detach the analysed schema to a category from the analysis panel
+function bindSchemaControls(analysisItem, analysis) {
+    const categoryInput = analysisItem.querySelector('.schema-category-input');
+    const attachBtn = analysisItem.querySelector('.schema-attach-btn');
+    const detachBtn = analysisItem.querySelector('.schema-detach-btn');
+    if (!categoryInput || !attachBtn || !detachBtn) return;
+
+    attachBtn.addEventListener('click', () => {
+        const category = categoryInput.value.trim().toUpperCase();
+        if (!category) {
+            showNotification('ENTER_A_CATEGORY_TO_ATTACH_THE_SCHEMA_TO', 'error');
+            return;
+        }
+        try {
+            dataProcessor.attachCategorySchema(category, analysis.jsonSchema);
+            showNotification(`SCHEMA_ATTACHED_TO_${category}`, 'success');
+        } catch (error) {
+            showNotification(`SCHEMA_ATTACH_FAILED: ${error.message}`, 'error');
+        }
+    });
+
+    detachBtn.addEventListener('click', () => {
+        const category = categoryInput.value.trim().toUpperCase();
+        if (dataProcessor.detachCategorySchema(category)) {
+            showNotification(`SCHEMA_DETACHED_FROM_${category}`, 'success');
+        } else {
+            showNotification(`NO_SCHEMA_ATTACHED_TO_${category}`, 'error');
+        }
+    });
+}
+
 function displayFileAnalysis(analysis, container) {
     const analysisItem = document.createElement('div');
     analysisItem.className = 'analysis-item';
@@ -955,6 +1563,7 @@ function displayFileAnalysis(analysis, container) {
     if (analysis.mainType === 'json') {
         analysisHTML += `
             <strong>JSON_TYPE:</strong> ${analysis.subType.toUpperCase()}<br>
+            ${analysis.format === 'ndjson' ? `<strong>FORMAT:</strong> NDJSON (${analysis.keyCount} RECORDS)<br>` : ''}
             <strong>CONTENT_CATEGORY:</strong> ${analysis.contentCategory}<br>
             <strong>SQL_SCORE:</strong> ${analysis.sqlScore}<br>
             <strong>NOSQL_SCORE:</strong> ${analysis.nosqlScore}<br>
@@ -973,7 +1582,28 @@ function displayFileAnalysis(analysis, container) {
                     <strong>└─ IS_NESTED:</strong> ${sa.isNested ? 'YES' : 'NO'}<br>
                     <strong>└─ IS_RELATIONAL:</strong> ${sa.isRelational ? 'YES' : 'NO'}<br>
                     <strong>└─ RECOMMENDATION:</strong> ${sa.recommendation.toUpperCase()}<br>
-                    <strong>└─ ITEM_COUNT:</strong> ${sa.itemCount}<br>
+                    <strong>└─ ITEM_COUNT:</strong> ${sa.itemCount}${sa.sampledItems < sa.itemCount ? ` (SAMPLED ${sa.sampledItems})` : ''}<br>
+                    ${sa.fieldProfiles && Object.keys(sa.fieldProfiles).length > 0 ? `<strong>└─ FIELD_TYPES:</strong> ${formatFieldProfiles(sa.fieldProfiles)}<br>` : ''}
+                </div>
+            `;
+        }
+
+        // JSON Schema: generated (or uploaded) schema, category validation and attach controls
+        if (analysis.jsonSchema) {
+            const schema = analysis.jsonSchema;
+            const attached = dataProcessor.getCategorySchemas();
+            const targetCategory = analysis.isSchemaDocument ? '' : analysis.category;
+            analysisHTML += `
+                <div style="margin-top: 8px; padding: 8px; background: rgba(255,0,255,0.1); border-left: 3px solid #ff00ff;">
+                    <strong>JSON_SCHEMA:</strong> ${analysis.isSchemaDocument ? 'UPLOADED_SCHEMA_DOCUMENT' : 'GENERATED (DRAFT 2020-12)'}
+                    - ROOT_TYPE: ${escapeHtml([].concat(schema.type || 'any').join('|').toUpperCase())}<br>
+                    <strong>CATEGORY:</strong> ${escapeHtml(analysis.category)}${attached[analysis.category] ? ' (SCHEMA ATTACHED)' : ''}<br>
+                    ${analysis.schemaValidation ? formatSchemaValidation(analysis.schemaValidation) : ''}
+                    <div style="margin-top: 6px;">
+                        <input type="text" class="schema-category-input" value="${escapeHtml(targetCategory)}" placeholder="CATEGORY e.g. JSON_SQL_ECOMMERCE">
+                        <button type="button" class="cyber-btn schema-attach-btn">ATTACH_SCHEMA</button>
+                        <button type="button" class="cyber-btn schema-detach-btn">DETACH</button>
+                    </div>
                 </div>
             `;
         }
@@ -993,16 +1623,34 @@ function displayFileAnalysis(analysis, container) {
         if (analysis.duration) {
             analysisHTML += `<strong>DURATION:</strong> ${analysis.duration.toFixed(2)}s<br>`;
         }
+    } else if (analysis.columns) {
+        const delimiterLabel = analysis.delimiter === '\t' ? 'TAB' : analysis.delimiter;
+        analysisHTML += `
+            <strong>DELIMITER:</strong> ${delimiterLabel}<br>
+            <strong>HEADER_ROW:</strong> ${analysis.hasHeader ? 'YES' : 'NO'}<br>
+            <strong>ROWS:</strong> ${analysis.rowCount}<br>
+            <strong>COLUMNS:</strong> ${analysis.columns.map(col => `${col} (${analysis.columnTypes[col]})`).join(', ')}<br>
+        `;
+
+        if (analysis.recommendation) {
+            analysisHTML += `
+                <div style="margin-top: 8px; padding: 8px; background: rgba(255,215,0,0.1); border-left: 3px solid #ffd700;">
+                    <strong>💡 CONVERSION_RECOMMENDATION:</strong> ${analysis.recommendation.toUpperCase()}
+                </div>
+            `;
+        }
+    } else if (analysis.error) {
+        analysisHTML += `<strong>ERROR:</strong> ${analysis.error}<br>`;
     }
-    
+
     analysisHTML += `</div>`;
     analysisItem.innerHTML = analysisHTML;
+    if (analysis.jsonSchema) bindSchemaControls(analysisItem, analysis);
     container.appendChild(analysisItem);
 }
 
 async function storeAndProcessFiles(files) {
     setStatusActive(categorizingStatus, true);
-    updateProgress(50);
 
     const metadata = metadataInput?.value.trim() || '';
     const storageResults = [];
@@ -1025,6 +1673,7 @@ async function storeAndProcessFiles(files) {
         console.log('Total size:', dataProcessor.formatFileSize(totalSize));
 
         for (const file of files) {
+            dataProcessor.releaseParsedFile(file);
             storageResults.push({
                 success: false,
                 file: file,
@@ -1040,17 +1689,18 @@ async function storeAndProcessFiles(files) {
         return;
     }
 
+    let completedBytes = 0;
     for (const file of files) {
+        const reportProgress = fileProgressReporter(files, file, completedBytes, 50, 50);
         try {
             console.log('Storing file:', file.name);
 
-            // Check if it's a JSON file and if conversion is enabled
-            const isJSON = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+            // Check if it's a JSON/CSV file and if conversion is enabled
+            const isJSON = file.type === 'application/json' || file.name.toLowerCase().endsWith('.json') ||
+                dataProcessor.isJsonLinesFile(file) || dataProcessor.isDelimitedFile(file);
 
             if (isJSON) {
-                const convertToSQL = document.getElementById('convertToSQL')?.checked;
-                const convertToNoSQL = document.getElementById('convertToNoSQL')?.checked;
-                const storeOriginal = document.getElementById('storeOriginal')?.checked;
+                const { convertToSQL, convertToNoSQL, storeOriginal, naturalKeys } = readConversionOptions();
 
                 if (convertToSQL || convertToNoSQL) {
                     // Process with JSON conversion
@@ -1058,7 +1708,9 @@ async function storeAndProcessFiles(files) {
                     const results = await dataProcessor.processJsonFile(file, {
                         convertToSQL,
                         convertToNoSQL,
-                        storeSeparately: storeOriginal
+                        storeSeparately: storeOriginal,
+                        naturalKeys,
+                        onProgress: fraction => reportProgress(fraction * 0.5)
                     });
 
                     // Add results for each converted format
@@ -1068,6 +1720,12 @@ async function storeAndProcessFiles(files) {
                             file: results.original
                         });
                     }
+                    if (results.schema) {
+                        storageResults.push({
+                            success: true,
+                            file: results.schema
+                        });
+                    }
                     if (results.sql) {
                         storageResults.push({
                             success: true,
@@ -1098,13 +1756,19 @@ async function storeAndProcessFiles(files) {
                         success: true,
                         file: storedFile
                     });
+                    if (storedFile.schemaFile) {
+                        storageResults.push({
+                            success: true,
+                            file: storedFile.schemaFile
+                        });
+                    }
                 }
             } else {
-                // Store non-JSON files normally
+                // Store non-JSON files normally; large files are written in chunks
                 const storedFile = await dataProcessor.storeFile(file, {
                     description: metadata,
                     uploadedAt: new Date().toISOString()
-                });
+                }, { onProgress: reportProgress });
                 console.log('Successfully stored file:', file.name, 'with ID:', storedFile.id);
                 storageResults.push({
                     success: true,
@@ -1118,20 +1782,22 @@ async function storeAndProcessFiles(files) {
                 file: file,
                 error: error.message
             });
+        } finally {
+            dataProcessor.releaseParsedFile(file);
         }
+        reportProgress(1);
+        completedBytes += file.size;
     }
 
     console.log('=== STORED FILES: Completed storage, total results:', storageResults.length);
 
     setStatusActive(categorizingStatus, false);
     setStatusActive(storageStatus, true);
-    updateProgress(75);
 
     // Final processing
     setTimeout(() => {
         setStatusActive(storageStatus, false);
         setStatusActive(schemaStatus, true);
-        updateProgress(100);
 
         setTimeout(() => {
             setStatusActive(schemaStatus, false);
@@ -1162,6 +1828,17 @@ function displayProcessingResults(results) {
                     <strong>STORAGE:</strong> ${file.storage}<br>
                     <strong>SIZE:</strong> ${formatFileSize(file.size)}<br>
                     <strong>UPLOAD_TIME:</strong> ${new Date(file.uploadDate).toLocaleString()}
+                    ${file.encrypted ? '<br><strong>ENCRYPTED:</strong> AES-GCM' : ''}
+                    ${file.chunked ? `
+                        <br><strong>CHUNKS:</strong> ${file.chunkCount}
+                        ${file.resumedFromChunk > 0 ? ` (RESUMED_AT_CHUNK_${file.resumedFromChunk + 1})` : ''}
+                    ` : ''}
+                    ${file.deduplicated ? `
+                        <br><strong>DUPLICATE_CONTENT:</strong> <span style="color: #00ff88;">SAME_BYTES_AS
+                        ${file.duplicateOf.map(duplicate => escapeHtml(duplicate.filename)).join(', ')}
+                        (${formatFileSize(file.bytesSaved)} SAVED)</span>
+                    ` : ''}
+                    ${file.metadata && file.metadata.fidelity ? formatFidelityReport(file.metadata.fidelity) : ''}
                 </div>
             `;
         } else {
@@ -1175,6 +1852,52 @@ function displayProcessingResults(results) {
         
         resultsContainer.appendChild(resultItem);
     });
+
+    // Identical content is stored once and shared by reference
+    const duplicates = results.filter(result => result.success && result.file.deduplicated);
+    if (duplicates.length > 0) {
+        const bytesSaved = duplicates.reduce((sum, result) => sum + result.file.bytesSaved, 0);
+        const summaryItem = document.createElement('div');
+        summaryItem.className = 'result-item';
+        summaryItem.innerHTML = `
+            <div class="result-title">>_ DEDUPLICATION</div>
+            <div class="result-details">
+                <strong>DUPLICATE_FILES:</strong> ${duplicates.length}<br>
+                <strong>SPACE_SAVED:</strong> ${formatFileSize(bytesSaved)}
+            </div>
+        `;
+        resultsContainer.appendChild(summaryItem);
+    }
+}
+
+/**
+ * FORMAT FIDELITY REPORT
+ * Summary of a conversion's round-trip check (JSONConverter.checkSQLRoundTrip / checkNoSQLRoundTrip)
+ *
+ * @param {object} report - Fidelity report stored in the conversion's metadata
+ * @param {number} limit - Issues listed per kind
+ * @returns {string} HTML lines for the result details
+ */
+function formatFidelityReport(report, limit = 5) {
+    if (report.passed) {
+        return `<br><strong>ROUND_TRIP:</strong> <span style="color: #00ff88;">LOSSLESS</span>`;
+    }
+
+    const lines = [
+        ...report.countMismatches.map(issue =>
+            `COUNT ${issue.path}: ${issue.example.original} → ${issue.example.converted} (${issue.count}×)`),
+        ...report.lostFields.map(issue => `LOST ${issue.path} (${issue.count}×)`),
+        ...report.coercions.map(issue =>
+            `${issue.from.toUpperCase()}→${issue.to.toUpperCase()} ${issue.path} (${issue.count}×)`),
+        ...report.changedValues.map(issue => `CHANGED ${issue.path} (${issue.count}×)`)
+    ];
+    const more = lines.length > limit || report.truncated ? '<br>...' : '';
+
+    return `
+        <br><strong>ROUND_TRIP:</strong> <span style="color: #ffaa00;">${report.issueCount}_DIFFERENCES</span>
+        <br>RECORDS: ${report.recordCount.original} → ${report.recordCount.converted}
+        <br>${lines.slice(0, limit).map(escapeHtml).join('<br>')}${more}
+    `;
 }
 
 // Display stored files in the grid
@@ -1214,11 +1937,15 @@ function createFileCard(file) {
     // Check if file was compressed
     const compressionInfo = file.metadata?.compressed ?
         `<span class="compression-badge" title="Original: ${formatFileSize(file.metadata.originalSize)}">📦 COMPRESSED</span>` : '';
+    const versionInfo = file.versionCount > 1 ?
+        `<span class="version-badge" title="${file.versionCount} versions">v${file.metadata?.version || 1}</span>` : '';
+    const encryptionInfo = file.metadata?.encrypted ?
+        `<span class="encryption-badge" title="${file.metadata.locked ? 'Encrypted, locked: enter your PIN to read it' : 'Encrypted at rest (AES-GCM)'}">🔒</span>` : '';
 
     card.innerHTML = `
         <div class="file-icon">${getFileIcon(file.category)}</div>
         <div class="file-info">
-            <div class="file-name">${file.filename} ${compressionInfo}</div>
+            <div class="file-name">${file.filename} ${versionInfo} ${encryptionInfo} ${compressionInfo}</div>
             <div class="file-meta">
                 <span class="file-category">${formatCategoryLabel(file.category)}</span>
                 <span class="file-size">${formatFileSize(file.size)}</span>
@@ -1228,6 +1955,7 @@ function createFileCard(file) {
         <div class="file-actions">
             <button class="action-btn download-btn" onclick="downloadFile('${file.id}')" title="Download">↓</button>
             <button class="action-btn view-btn" onclick="viewFile('${file.id}')" title="View">👁</button>
+            <button class="action-btn history-btn" onclick="showVersionHistory('${file.id}')" title="Version history">🕘</button>
             <button class="action-btn delete-btn" onclick="deleteFile('${file.id}')" title="Delete">×</button>
         </div>
     `;
@@ -1263,6 +1991,7 @@ function formatCategoryLabel(category) {
     if (category.includes('MEDIA_')) return 'Media';
 
     // JSON files
+    if (category.includes('JSON_SCHEMA')) return 'JSON Schema';
     if (category.includes('JSON_SQL')) return 'JSON (SQL Format)';
     if (category.includes('JSON_NOSQL')) return 'JSON (NoSQL Format)';
     if (category.includes('JSON_GENERIC')) return 'JSON (Generic)';
@@ -1278,6 +2007,7 @@ function formatCategoryLabel(category) {
     if (category.includes('DOCUMENT_PDF')) return 'PDF Document';
     if (category.includes('DOCUMENT_TEXT')) return 'Text File';
     if (category.includes('DOCUMENT_CSV')) return 'CSV File';
+    if (category.includes('DOCUMENT_TSV')) return 'TSV File';
     if (category.includes('DOCUMENT_WORD')) return 'Word Document';
     if (category.includes('DOCUMENT_')) return 'Document';
 
@@ -1303,6 +2033,7 @@ function getFileIcon(category) {
     if (category.includes('AUDIO')) return '🎵';
 
     // JSON icons
+    if (category.includes('JSON_SCHEMA')) return '📐';
     if (category.includes('JSON')) return '📊';
 
     // Database icons
@@ -1312,6 +2043,7 @@ function getFileIcon(category) {
     if (category.includes('DOCUMENT_PDF')) return '📕';
     if (category.includes('DOCUMENT_TEXT')) return '📝';
     if (category.includes('DOCUMENT_CSV')) return '📈';
+    if (category.includes('DOCUMENT_TSV')) return '📈';
     if (category.includes('DOCUMENT')) return '📄';
 
     // Archive icons
@@ -1353,6 +2085,7 @@ async function viewFile(fileId) {
         const fileData = await dataProcessor.downloadFile(fileId);
         console.log('File category:', fileData.category);
         console.log('File type:', fileData.filetype);
+        const modalCount = document.querySelectorAll('.modal').length;
 
         // Step 2: Check file type and display appropriate viewer
         // For images - show image modal with preview
@@ -1367,6 +2100,10 @@ async function viewFile(fileId) {
         else if (fileData.filetype.startsWith('audio/')) {
             showAudioModal(fileData);
         }
+        // For JSON Lines files - show the records in the JSON viewer
+        else if (/\.(ndjson|jsonl)$/i.test(fileData.filename)) {
+            showJsonModal(fileData);
+        }
         // For JSON files - check if it's SQL/NoSQL converted or regular JSON
         else if (fileData.filetype === 'application/json') {
 
@@ -1375,24 +2112,17 @@ async function viewFile(fileId) {
             if (fileData.category === 'JSON_SQL_CONVERTED' || fileData.category.includes('JSON_SQL')) {
                 console.log('Detected SQL converted file, displaying SQL viewer');
 
-                // Step 4: Extract the JSON content from the file data
-                let content;
-                if (fileData.fileData) {
-                    // If file data is in binary format, decode it to text
-                    const decoder = new TextDecoder();
-                    content = decoder.decode(fileData.fileData);
-                } else {
-                    // If already in text format, use as-is
-                    content = fileData;
-                }
+                // Step 4: Extract the JSON content from the stored bytes
+                const content = await readFileDataText(fileData);
 
                 // Step 5: Display the interactive SQL table viewer
                 displaySQLData(content, fileData.filename);
             }
-            // For NoSQL converted files, show regular JSON viewer for now
+            // For NoSQL converted files, show the collection browser
             else if (fileData.category === 'JSON_NOSQL_CONVERTED' || fileData.category.includes('JSON_NOSQL')) {
-                console.log('Detected NoSQL converted file, displaying as JSON for now');
-                showJsonModal(fileData);
+                console.log('Detected NoSQL converted file, displaying collection browser');
+                const content = await readFileDataText(fileData);
+                displayNoSQLData(content, fileData.filename);
             }
             // For regular JSON files, show standard JSON viewer
             else {
@@ -1400,41 +2130,25 @@ async function viewFile(fileId) {
                 showJsonModal(fileData);
             }
         }
+        // For SQLite databases - read the file format directly and page through tables
+        else if (fileData.category === 'DATABASE_SQLITE' || /\.(db|sqlite3?)$/i.test(fileData.filename)) {
+            const buffer = await readFileDataBuffer(fileData);
+
+            if (SQLiteReader.isSQLiteFile(buffer)) {
+                console.log('Detected SQLite database, displaying table browser');
+                displaySQLiteFile(buffer, fileData.filename);
+            } else {
+                // .db is also used by non-SQLite formats
+                downloadFile(fileId);
+            }
+        }
         // For SQL files - parse and display in table format
         else if (fileData.filename.endsWith('.sql') || fileData.filetype === 'application/sql' || fileData.filetype === 'text/sql') {
             console.log('Detected SQL file, parsing and displaying as tables');
             console.log('File data structure:', fileData);
 
             // Extract SQL content from file data
-            let sqlContent = '';
-
-            // Try multiple ways to extract the content
-            if (fileData.data && fileData.data instanceof ArrayBuffer) {
-                // IndexedDB stores data as ArrayBuffer
-                const decoder = new TextDecoder();
-                sqlContent = decoder.decode(fileData.data);
-            } else if (fileData.blob) {
-                // If blob is available, read it as text
-                sqlContent = await fileData.blob.text();
-            } else if (fileData.url) {
-                // Try to fetch from Blob URL
-                try {
-                    const response = await fetch(fileData.url);
-                    sqlContent = await response.text();
-                } catch (e) {
-                    console.error('Error fetching SQL content from URL:', e);
-                }
-            } else if (typeof fileData.data === 'string') {
-                // LocalStorage stores as base64 string
-                // Check if it's a data URL
-                if (fileData.data.startsWith('data:')) {
-                    // Extract base64 content and decode
-                    const base64Content = fileData.data.split(',')[1];
-                    sqlContent = atob(base64Content);
-                } else {
-                    sqlContent = fileData.data;
-                }
-            }
+            const sqlContent = await readFileDataText(fileData);
 
             // Validate we have content
             if (!sqlContent || sqlContent.trim().length === 0) {
@@ -1453,6 +2167,13 @@ async function viewFile(fileId) {
         else {
             downloadFile(fileId);
         }
+
+        // Step 6: Show where the file came from and what was derived from it
+        const modals = document.querySelectorAll('.modal');
+        if (modals.length > modalCount) {
+            appendLineagePanel(fileId, modals[modals.length - 1])
+                .catch(error => console.warn('Could not load file lineage:', error));
+        }
     } catch (error) {
         // Handle any errors during file viewing
         console.error('View file error:', error);
@@ -1460,12 +2181,140 @@ async function viewFile(fileId) {
     }
 }
 
-async function deleteFile(fileId) {
-    if (confirm('ARE_YOU_SURE_YOU_WANT_TO_DELETE_THIS_FILE?')) {
+/**
+ * APPEND LINEAGE PANEL
+ * Lists the file a viewed file was derived from and the files derived from it
+ * (schema, SQL/NoSQL conversions); each entry opens that file's viewer
+ *
+ * @param {string} fileId - The viewed file
+ * @param {HTMLElement} modal - The viewer modal to add the panel to
+ */
+async function appendLineagePanel(fileId, modal) {
+    const lineage = await dataProcessor.getFileLineage(fileId);
+    if (!lineage.parent && lineage.children.length === 0) return;
+
+    const fileItem = file => (file.missing
+        ? `<li class="lineage-missing">${escapeHtml(file.id)} (deleted)</li>`
+        : `<li>
+                <a href="#" data-file-id="${escapeHtml(file.id)}">${getFileIcon(file.category)} ${escapeHtml(file.filename)}</a>
+                <span class="file-category">${formatCategoryLabel(file.category)}</span>
+           </li>`);
+
+    const panel = document.createElement('div');
+    panel.className = 'lineage-panel';
+    panel.innerHTML = `
+        <h3>Lineage</h3>
+        ${lineage.parent ? `<p><strong>Derived from:</strong></p><ul>${fileItem(lineage.parent)}</ul>` : ''}
+        ${lineage.children.length > 0 ? `<p><strong>Derived files:</strong></p><ul>${lineage.children.map(fileItem).join('')}</ul>` : ''}
+    `;
+
+    panel.querySelectorAll('a[data-file-id]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            modal.remove();
+            viewFile(link.dataset.fileId);
+        });
+    });
+
+    (modal.querySelector('.modal-content') || modal).appendChild(panel);
+}
+
+/**
+ * READ FILE DATA AS TEXT
+ * Stored files come back from different backends in different shapes:
+ * IndexedDB gives an ArrayBuffer, LocalStorage a base64 data URL, and both attach a blob/url.
+ *
+ * @param {object} fileData - Result of dataProcessor.downloadFile
+ * @returns {Promise<string>} The file content as text ('' if it could not be read)
+ */
+async function readFileDataText(fileData) {
+    if (fileData.data && fileData.data instanceof ArrayBuffer) {
+        // IndexedDB stores data as ArrayBuffer
+        return new TextDecoder().decode(fileData.data);
+    }
+    if (fileData.blob) {
+        // If blob is available, read it as text
+        return await fileData.blob.text();
+    }
+    if (fileData.url) {
+        // Try to fetch from Blob URL
+        try {
+            const response = await fetch(fileData.url);
+            return await response.text();
+        } catch (e) {
+            console.error('Error fetching file content from URL:', e);
+        }
+    }
+    if (typeof fileData.data === 'string') {
+        // LocalStorage stores as base64 data URL
+        if (fileData.data.startsWith('data:')) {
+            return atob(fileData.data.split(',')[1]);
+        }
+        return fileData.data;
+    }
+    return '';
+}
+
+/**
+ * READ FILE DATA AS BYTES
+ * Binary counterpart of readFileDataText for formats like SQLite
+ *
+ * @param {object} fileData - Result of dataProcessor.downloadFile
+ * @returns {Promise<ArrayBuffer>} The file content
+ */
+async function readFileDataBuffer(fileData) {
+    if (fileData.data && fileData.data instanceof ArrayBuffer) {
+        return fileData.data;
+    }
+    if (fileData.blob) {
+        return await fileData.blob.arrayBuffer();
+    }
+    if (fileData.url) {
+        try {
+            const response = await fetch(fileData.url);
+            return await response.arrayBuffer();
+        } catch (e) {
+            console.error('Error fetching file content from URL:', e);
+        }
+    }
+    if (typeof fileData.data === 'string' && fileData.data.startsWith('data:')) {
+        const binary = atob(fileData.data.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+    return new ArrayBuffer(0);
+}
+
+async function deleteFile(fileId, singleVersion = false) {
+    // The card stands for the file, so deleting it removes every version;
+    // the version history deletes single versions
+    const versions = singleVersion ? [] : await dataProcessor.getFileVersions(fileId).catch(() => []);
+    const question = versions.length > 1
+        ? `ARE_YOU_SURE_YOU_WANT_TO_DELETE_THIS_FILE_AND_ALL_${versions.length}_VERSIONS?`
+        : 'ARE_YOU_SURE_YOU_WANT_TO_DELETE_THIS_FILE?';
+
+    if (confirm(question)) {
         try {
             console.log('Deleting file:', fileId);
-            await dataProcessor.deleteFile(fileId);
-            showNotification('FILE_DELETED_SUCCESSFULLY', 'success');
+
+            // Offer to take the schema and SQL/NoSQL conversions with the original
+            const versionIds = versions.length > 1 ? versions.map(version => version.id) : [fileId];
+            const lineages = await Promise.all(versionIds.map(id => dataProcessor.getFileLineage(id).catch(() => null)));
+            const children = lineages
+                .flatMap(lineage => (lineage ? lineage.children : []))
+                .filter(child => !child.missing && !versionIds.includes(child.id));
+            const cascade = children.length > 0 && confirm(
+                `ALSO_DELETE_${children.length}_DERIVED_FILE(S)?\n\n${children.map(child => child.filename).join('\n')}`
+            );
+
+            const deletedIds = await dataProcessor.deleteFile(fileId, { cascade, allVersions: versions.length > 1 });
+            showNotification(
+                deletedIds.length > 1 ? `${deletedIds.length}_FILES_DELETED_SUCCESSFULLY` : 'FILE_DELETED_SUCCESSFULLY',
+                'success'
+            );
             dataProcessor.loadStoredFiles();
         } catch (error) {
             console.error('Delete file error:', error);
@@ -1474,6 +2323,187 @@ async function deleteFile(fileId) {
     }
 }
 
+/**
+ * SHOW VERSION HISTORY
+ * Lists every version of a file with view, download, restore and delete actions,
+ * and compares two versions structurally (JSON and SQL files)
+ *
+ * @param {string} fileId - Any version of the file
+ */
+async function showVersionHistory(fileId) {
+    try {
+        const versions = await dataProcessor.getFileVersions(fileId);
+        const latest = versions[versions.length - 1];
+        const versionLabel = version => `v${version.metadata?.version || 1}`;
+
+        const rows = versions.slice().reverse().map(version => `
+            <tr>
+                <td>
+                    ${versionLabel(version)}${version === latest ? ' (current)' : ''}
+                    ${version.metadata?.restoredFromVersion ? `<br><small>restored from v${version.metadata.restoredFromVersion}</small>` : ''}
+                </td>
+                <td>${new Date(version.uploadDate).toLocaleString()}</td>
+                <td>${formatFileSize(version.size)}</td>
+                <td class="version-actions">
+                    <button class="action-btn" data-action="view" data-file-id="${version.id}" title="View">👁</button>
+                    <button class="action-btn" data-action="download" data-file-id="${version.id}" title="Download">↓</button>
+                    ${version !== latest ? `<button class="action-btn" data-action="restore" data-file-id="${version.id}" title="Restore as current">⟲</button>` : ''}
+                    <button class="action-btn delete-btn" data-action="delete" data-file-id="${version.id}" title="Delete version">×</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const versionOptions = selected => versions.map(version =>
+            `<option value="${version.id}"${version === selected ? ' selected' : ''}>${versionLabel(version)}</option>`
+        ).join('');
+
+        const historyHTML = `
+            <div class="sql-viewer version-history">
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Version</th>
+                                <th>Uploaded</th>
+                                <th>Size</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+
+                ${versions.length > 1 ? `
+                    <div class="query-console">
+                        <h3>Compare Versions</h3>
+                        <div class="query-console-actions">
+                            <select id="diffFromSelect" class="dialect-select">${versionOptions(versions[versions.length - 2])}</select>
+                            <span>→</span>
+                            <select id="diffToSelect" class="dialect-select">${versionOptions(latest)}</select>
+                            <button class="cyber-btn" id="diffVersionsBtn">
+                                <span class="btn-text">DIFF</span>
+                            </button>
+                        </div>
+                        <div id="versionDiff" class="version-diff"></div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        showModal(historyHTML, `Versions: ${latest.filename}`);
+        const modals = document.querySelectorAll('.modal');
+        const modal = modals[modals.length - 1];
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const id = button.dataset.fileId;
+                const action = button.dataset.action;
+
+                if (action === 'view') {
+                    viewFile(id);
+                } else if (action === 'download') {
+                    downloadFile(id);
+                } else if (action === 'restore') {
+                    try {
+                        const restored = await dataProcessor.restoreFileVersion(id);
+                        showNotification(`VERSION_RESTORED_AS_V${restored.metadata?.version || ''}`, 'success');
+                        modal.remove();
+                        dataProcessor.loadStoredFiles();
+                        showVersionHistory(restored.id);
+                    } catch (error) {
+                        console.error('Restore version error:', error);
+                        showNotification(`RESTORE_FAILED: ${error.message}`, 'error');
+                    }
+                } else if (action === 'delete') {
+                    await deleteFile(id, true);
+                    modal.remove();
+                    const remaining = versions.filter(version => version.id !== id);
+                    if (remaining.length > 0) showVersionHistory(remaining[remaining.length - 1].id);
+                }
+            });
+        });
+
+        const diffButton = modal.querySelector('#diffVersionsBtn');
+        if (diffButton) {
+            diffButton.addEventListener('click', async () => {
+                const output = modal.querySelector('#versionDiff');
+                try {
+                    const diff = await dataProcessor.diffFileVersions(
+                        modal.querySelector('#diffFromSelect').value,
+                        modal.querySelector('#diffToSelect').value
+                    );
+                    output.innerHTML = renderVersionDiff(diff);
+                } catch (error) {
+                    console.error('Version diff error:', error);
+                    output.innerHTML = `<p class="query-status error">>_ ${escapeHtml(error.message)}</p>`;
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Version history error:', error);
+        showNotification(`HISTORY_FAILED: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * RENDER VERSION DIFF
+ * HTML for a VersionDiff result: changed paths for JSON, per-table changes for SQL
+ *
+ * @param {object} diff - Result of VersionDiff.diffJSON or diffTables
+ * @returns {string} HTML
+ */
+function renderVersionDiff(diff) {
+    const formatValue = value => escapeHtml(value === undefined ? '' : JSON.stringify(value).slice(0, 120));
+    const more = diff.truncated ? '<li>...</li>' : '';
+
+    if (diff.kind === 'json') {
+        const { added, removed, changed } = diff.summary;
+        if (added + removed + changed === 0) return '<p>>_ NO_DIFFERENCES</p>';
+
+        const items = diff.changes.map(change => {
+            if (change.type === 'added') return `<li class="diff-added">+ ${escapeHtml(change.path)}: ${formatValue(change.after)}</li>`;
+            if (change.type === 'removed') return `<li class="diff-removed">- ${escapeHtml(change.path)}: ${formatValue(change.before)}</li>`;
+            return `<li class="diff-changed">~ ${escapeHtml(change.path)}: ${formatValue(change.before)} → ${formatValue(change.after)}</li>`;
+        }).join('');
+
+        return `
+            <p><strong>${added}</strong> added, <strong>${removed}</strong> removed, <strong>${changed}</strong> changed</p>
+            <ul class="diff-list">${items}${more}</ul>
+        `;
+    }
+
+    const summary = diff.summary;
+    const changedTables = diff.tables.filter(table => table.status !== 'unchanged');
+    if (changedTables.length === 0) return '<p>>_ NO_DIFFERENCES</p>';
+
+    const tables = changedTables.map(table => {
+        const columnNotes = [
+            ...table.columns.added.map(col => `<li class="diff-added">+ column ${escapeHtml(col)}</li>`),
+            ...table.columns.removed.map(col => `<li class="diff-removed">- column ${escapeHtml(col)}</li>`),
+            ...table.columns.retyped.map(col =>
+                `<li class="diff-changed">~ column ${escapeHtml(col.column)}: ${escapeHtml(col.before)} → ${escapeHtml(col.after)}</li>`)
+        ].join('');
+        const rowNotes = table.changes.map(change => {
+            if (change.type === 'added') return `<li class="diff-added">+ row ${escapeHtml(change.key)}</li>`;
+            if (change.type === 'removed') return `<li class="diff-removed">- row ${escapeHtml(change.key)}</li>`;
+            return `<li class="diff-changed">~ row ${escapeHtml(change.key)} ${escapeHtml(change.column)}: ${formatValue(change.before)} → ${formatValue(change.after)}</li>`;
+        }).join('');
+
+        return `
+            <h4>${escapeHtml(table.name)} <small>(${table.status})</small></h4>
+            <p>Rows: +${table.rows.added} / -${table.rows.removed} / ~${table.rows.changed}</p>
+            <ul class="diff-list">${columnNotes}${rowNotes}</ul>
+        `;
+    }).join('');
+
+    return `
+        <p>Tables: +${summary.tablesAdded} / -${summary.tablesRemoved} / ~${summary.tablesChanged},
+           rows: +${summary.rowsAdded} / -${summary.rowsRemoved} / ~${summary.rowsChanged}</p>
+        ${tables}
+        ${diff.truncated ? '<p>...</p>' : ''}
+    `;
+}
+
 // Modal functions
 function showImageModal(fileData) {
     showMediaModal(fileData, 'img');
@@ -1532,7 +2562,17 @@ function showJsonModal(fileData) {
     try {
         if (fileData.fileData) {
             const decoder = new TextDecoder();
-            jsonContent = JSON.stringify(JSON.parse(decoder.decode(fileData.fileData)), null, 2);
+            const text = decoder.decode(fileData.fileData);
+            let parsed;
+            if (/\.(ndjson|jsonl)$/i.test(fileData.filename)) {
+                // JSON Lines: shown as the array of records it parses to
+                const parser = new JSONStreamParser({ lines: true });
+                parser.write(text);
+                parsed = parser.end();
+            } else {
+                parsed = JSON.parse(text);
+            }
+            jsonContent = JSON.stringify(parsed, null, 2);
         } else {
             jsonContent = JSON.stringify(fileData, null, 2);
         }
@@ -1609,6 +2649,12 @@ function displayRawSQLFile(sqlContent, filename) {
                     </select>
                 </div>
 
+                <!-- Query console -->
+                ${buildQueryConsoleHTML(parsedData.tables[0].name)}
+
+                <!-- Nested documents built from the foreign keys -->
+                ${buildDocumentExportHTML(parsedData.tables.map(table => table.name))}
+
                 <!-- Table Schema Section -->
                 <div class="table-schema" id="tableSchema" style="display: none;">
                     <h3>Schema for <span id="tableName"></span></h3>
@@ -1617,6 +2663,7 @@ function displayRawSQLFile(sqlContent, filename) {
                             <tr>
                                 <th>Column Name</th>
                                 <th>Data Type</th>
+                                <th>Primary Key</th>
                             </tr>
                         </thead>
                         <tbody></tbody>
@@ -1645,6 +2692,10 @@ function displayRawSQLFile(sqlContent, filename) {
         // Display in modal
         showModal(sqlViewerHTML, `SQL File: ${filename}`);
 
+        // Wire the query console to an engine over the parsed tables
+        setupQueryConsole(SQLQueryEngine.fromParsedSQL(parsedData));
+        setupDocumentExport(parsedData, filename);
+
         // Add event listener for table selection
         document.getElementById('tableSelect').addEventListener('change', function(e) {
             const tableIdx = e.target.value;
@@ -1690,15 +2741,17 @@ function displayRawSQLFile(sqlContent, filename) {
  * - Multiple value sets: INSERT INTO table VALUES (...), (...), (...)
  * - Various SQL dialects (MySQL, PostgreSQL, SQLite, etc.)
  * - Handles NULL, quoted strings, numbers, dates
+ * - PRIMARY KEY and FOREIGN KEY / REFERENCES constraints (as primaryKey and relationships)
+ * - Upserts: a trailing ON CONFLICT / ON DUPLICATE KEY clause is ignored
  *
  * PRIORITY: Always display data in structured table format, even if schema is incomplete
  *
  * @param {string} sqlContent - Raw SQL file content
- * @returns {object} - Parsed data with tables array
+ * @returns {object} - Parsed data with tables array and foreign key relationships
  */
 function parseSQLFile(sqlContent) {
     const tables = {};
-    const result = { tables: [] };
+    const result = { tables: [], relationships: [] };
 
     // Validate input
     if (!sqlContent || typeof sqlContent !== 'string') {
@@ -1721,13 +2774,21 @@ function parseSQLFile(sqlContent) {
             const tableName = createMatch[1];
             const columnsStr = createMatch[2];
 
-            // Extract column definitions
+            // Extract column definitions (commas inside DECIMAL(10,2) or CHECK (...) don't split)
             const columns = [];
-            const columnLines = columnsStr.split(',').map(c => c.trim());
+            const columnLines = splitTopLevel(columnsStr).map(c => c.trim());
+            let primaryKey = null;
 
             for (const line of columnLines) {
-                // Skip constraints like PRIMARY KEY, FOREIGN KEY, etc.
+                // Table constraints: keep keys, skip the rest (UNIQUE, CHECK, INDEX, ...)
                 if (line.match(/^\s*(PRIMARY|FOREIGN|UNIQUE|CHECK|CONSTRAINT|INDEX|KEY)/i)) {
+                    const keyMatch = line.match(/PRIMARY\s+KEY\s*\(\s*[`"\[]?(\w+)[`"\]]?\s*\)/i);
+                    if (keyMatch) primaryKey = keyMatch[1];
+
+                    const foreignKeyMatch = line.match(/FOREIGN\s+KEY\s*\(\s*[`"\[]?(\w+)[`"\]]?\s*\)\s*(REFERENCES[\s\S]*)/i);
+                    if (foreignKeyMatch) {
+                        addSQLRelationship(result, tableName, foreignKeyMatch[1], foreignKeyMatch[2]);
+                    }
                     continue;
                 }
 
@@ -1738,6 +2799,11 @@ function parseSQLFile(sqlContent) {
                         name: colMatch[1],
                         type: colMatch[2]
                     });
+
+                    // Inline constraints: id INTEGER PRIMARY KEY, user_id INT REFERENCES users(id)
+                    if (/\bPRIMARY\s+KEY\b/i.test(line)) primaryKey = colMatch[1];
+                    const referencesMatch = line.match(/REFERENCES[\s\S]*/i);
+                    if (referencesMatch) addSQLRelationship(result, tableName, colMatch[1], referencesMatch[0]);
                 }
             }
 
@@ -1746,6 +2812,7 @@ function parseSQLFile(sqlContent) {
                 name: tableName,
                 columns: columns,
                 rows: [],
+                primaryKey: primaryKey,
                 rawSql: statement
             };
         }
@@ -1754,11 +2821,12 @@ function parseSQLFile(sqlContent) {
         // Handle both formats:
         // INSERT INTO table VALUES (...)
         // INSERT INTO table (col1, col2) VALUES (...)
-        const insertMatch = statement.match(/INSERT\s+INTO\s+[`"\[]?(\w+)[`"\]]?\s*(\([^)]+\))?\s*VALUES\s*(.+)/i);
+        const insertMatch = statement.match(/INSERT\s+INTO\s+[`"\[]?(\w+)[`"\]]?\s*(\([^)]+\))?\s*VALUES\s*([\s\S]+)/i);
         if (insertMatch) {
             const tableName = insertMatch[1];
             const columnsPart = insertMatch[2]; // Optional column names
-            const valuesStr = insertMatch[3];
+            // Upsert clauses would otherwise read as another value set
+            const valuesStr = insertMatch[3].replace(/\)\s*ON\s+(?:CONFLICT|DUPLICATE\s+KEY)\b[\s\S]*$/i, ')');
 
             // Extract column names if specified
             let explicitColumns = [];
@@ -1773,6 +2841,7 @@ function parseSQLFile(sqlContent) {
                     name: tableName,
                     columns: [],
                     rows: [],
+                    primaryKey: null,
                     rawSql: statement
                 };
             }
@@ -1809,6 +2878,11 @@ function parseSQLFile(sqlContent) {
     // Convert tables object to array
     result.tables = Object.values(tables);
 
+    // "REFERENCES users" without a column points at the parent's primary key
+    result.relationships.forEach(rel => {
+        if (!rel.references) rel.references = (tables[rel.to] && tables[rel.to].primaryKey) || 'id';
+    });
+
     // If no tables found, create a generic table from any data we can find
     if (result.tables.length === 0 && sqlContent.trim().length > 0) {
         result.tables.push(createFallbackTable(sqlContent));
@@ -1817,6 +2891,54 @@ function parseSQLFile(sqlContent) {
     return result;
 }
 
+/**
+ * ADD A FOREIGN KEY RELATIONSHIP
+ * Reads "REFERENCES parent (column)"; a missing column is filled in once every table is known
+ */
+function addSQLRelationship(result, tableName, column, referencesClause) {
+    const match = referencesClause.match(/REFERENCES\s+[`"\[]?(\w+)[`"\]]?\s*(?:\(\s*[`"\[]?(\w+)[`"\]]?\s*\))?/i);
+    if (!match) return;
+
+    result.relationships.push({
+        from: tableName,
+        to: match[1],
+        type: 'many-to-one',
+        foreignKey: column,
+        references: match[2] || null
+    });
+}
+
+/**
+ * SPLIT ON TOP-LEVEL COMMAS
+ * "a INT, b DECIMAL(10,2), CHECK (c IN ('x', 'y'))" -> three parts
+ */
+function splitTopLevel(str) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    let quoteChar = '';
+
+    for (const char of str) {
+        if (quoteChar) {
+            if (char === quoteChar) quoteChar = '';
+        } else if (char === "'" || char === '"' || char === '`') {
+            quoteChar = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts;
+}
+
 /**
  * EXTRACT VALUE SETS FROM INSERT STATEMENT
  * Handles: VALUES (1,2,3), (4,5,6), (7,8,9)
@@ -1990,11 +3112,15 @@ function updateRawSQLTableView(table) {
     const schemaTbody = document.querySelector('#schemaTable tbody');
     schemaTbody.innerHTML = '';
 
+    // Same three cells as updateTableView, whose schema table the query console also fills;
+    // the key column stays empty for query results and tables without a known key
     for (const column of table.columns) {
+        const isKey = column.primaryKey === true || (!!table.primaryKey && column.name === table.primaryKey);
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${column.name}</td>
-            <td>${column.type}</td>
+            <td>${escapeHtml(column.name)}</td>
+            <td>${escapeHtml(column.type || '')}</td>
+            <td>${isKey ? 'Yes' : ''}</td>
         `;
         schemaTbody.appendChild(row);
     }
@@ -2019,7 +3145,7 @@ function updateRawSQLTableView(table) {
         const row = document.createElement('tr');
         for (let i = 0; i < table.columns.length; i++) {
             const td = document.createElement('td');
-            td.textContent = rowData[i] !== undefined ? rowData[i] : 'NULL';
+            td.textContent = rowData[i] !== undefined && rowData[i] !== null ? rowData[i] : 'NULL';
             row.appendChild(td);
         }
         dataTbody.appendChild(row);
@@ -2032,6 +3158,446 @@ function updateRawSQLTableView(table) {
 }
 
 /**
+ * BUILD QUERY CONSOLE HTML
+ * Markup for the SELECT console shown inside both SQL viewers
+ *
+ * @param {string} defaultTable - Table name used in the starter query
+ * @returns {string} HTML for the console section
+ */
+function buildQueryConsoleHTML(defaultTable) {
+    return `
+        <div class="query-console">
+            <h3>Query Console</h3>
+            <textarea id="sqlQueryInput" class="query-input" spellcheck="false" rows="4">SELECT * FROM ${escapeHtml(defaultTable)} LIMIT 50;</textarea>
+            <div class="query-console-actions">
+                <button class="cyber-btn" id="runQueryBtn">
+                    <span class="btn-text">RUN_QUERY</span>
+                </button>
+                <span class="query-status" id="queryStatus">>_ CTRL+ENTER_TO_RUN</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * SETUP QUERY CONSOLE
+ * Runs the console's SELECT through the engine and renders the result
+ * in the same grid updateRawSQLTableView uses for stored tables
+ *
+ * @param {SQLQueryEngine} engine - Engine loaded with the viewer's tables
+ */
+function setupQueryConsole(engine) {
+    const queryInput = document.getElementById('sqlQueryInput');
+    const runQueryBtn = document.getElementById('runQueryBtn');
+    const queryStatus = document.getElementById('queryStatus');
+
+    const runQuery = () => {
+        const sql = queryInput.value.trim();
+        if (!sql) return;
+
+        try {
+            const startTime = performance.now();
+            const result = engine.execute(sql);
+            const elapsed = (performance.now() - startTime).toFixed(1);
+
+            document.getElementById('tableSelect').value = '';
+            const relationshipsSection = document.getElementById('relationships');
+            if (relationshipsSection) relationshipsSection.style.display = 'none';
+
+            updateRawSQLTableView(result);
+            queryStatus.textContent = `>_ ${result.rows.length}_ROWS_IN_${elapsed}MS`;
+            queryStatus.classList.remove('error');
+        } catch (error) {
+            console.error('Query error:', error);
+            queryStatus.textContent = `>_ ${error.message}`;
+            queryStatus.classList.add('error');
+            showNotification(`QUERY_FAILED: ${error.message}`, 'error');
+        }
+    };
+
+    runQueryBtn.addEventListener('click', runQuery);
+    queryInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runQuery();
+        }
+    });
+}
+
+/**
+ * BUILD DOCUMENT EXPORT HTML
+ * Controls for rebuilding nested JSON documents from the viewer's tables:
+ * the root table, and whether each other table is embedded or referenced
+ *
+ * @param {array} tableNames - Names of the viewer's tables
+ * @returns {string} HTML for the documents section
+ */
+function buildDocumentExportHTML(tableNames) {
+    const options = tableNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+
+    return `
+        <div class="query-console document-export">
+            <h3>Nested Documents</h3>
+            <div class="query-console-actions">
+                <label for="documentRootSelect">Root Table:</label>
+                <select id="documentRootSelect" class="dialect-select">
+                    <option value="" selected>-- Auto --</option>
+                    ${options}
+                </select>
+            </div>
+            <div class="document-table-modes">
+                ${tableNames.map(name => `
+                    <label>${escapeHtml(name)}
+                        <select class="dialect-select" data-table="${escapeHtml(name)}">
+                            <option value="embed" selected>Embed</option>
+                            <option value="reference">Reference</option>
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="query-console-actions">
+                <button class="cyber-btn" id="viewDocumentsBtn">
+                    <span class="btn-text">VIEW_DOCUMENTS</span>
+                </button>
+                <button class="cyber-btn" id="exportDocumentsBtn">
+                    <span class="btn-text">EXPORT_JSON</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * SETUP DOCUMENT EXPORT
+ * Rebuilds nested documents with JSONConverter.convertSQLToJSON from the chosen
+ * root and embed/reference modes, then opens them in the NoSQL viewer or downloads them
+ *
+ * @param {object} sqlStructure - convertToSQL structure or parseSQLFile output
+ * @param {string} filename - Name of the viewed file (used for titles and the download name)
+ */
+function setupDocumentExport(sqlStructure, filename) {
+    const buildDocuments = () => {
+        const reference = Array.from(document.querySelectorAll('.document-table-modes select'))
+            .filter(select => select.value === 'reference')
+            .map(select => select.dataset.table);
+
+        return dataProcessor.jsonConverter.convertSQLToJSON(sqlStructure, {
+            root: document.getElementById('documentRootSelect').value || undefined,
+            reference: reference,
+            dropSurrogateKeys: true
+        });
+    };
+
+    document.getElementById('viewDocumentsBtn').addEventListener('click', () => {
+        try {
+            displayNoSQLData(buildDocuments(), `${filename} (documents)`);
+        } catch (error) {
+            console.error('Document rebuild error:', error);
+            showNotification(`CONVERSION_FAILED: ${error.message}`, 'error');
+        }
+    });
+    document.getElementById('exportDocumentsBtn').addEventListener('click', () => {
+        try {
+            exportNestedJSON(buildDocuments(), filename);
+        } catch (error) {
+            console.error('Document rebuild error:', error);
+            showNotification(`CONVERSION_FAILED: ${error.message}`, 'error');
+        }
+    });
+}
+
+/**
+ * DISPLAY SQLITE FILE FUNCTION/**
+ * DISPLAY SQLITE FILE FUNCTION
+ * Browses a real SQLite database: tables, indexes, views and their CREATE statements,
+ * with table rows read a page at a time straight from the file
+ *
+ * @param {ArrayBuffer} buffer - Raw database file
+ * @param {string} filename - Name of the database file
+ */
+function displaySQLiteFile(buffer, filename) {
+    const pageSize = 100;
+
+    try {
+        const reader = new SQLiteReader(buffer);
+        const info = reader.getInfo();
+        const tables = reader.getTables();
+        const indexes = reader.getIndexes();
+        const views = reader.getViews();
+        const rowCounts = {};
+        tables.forEach(table => {
+            rowCounts[table.name] = table.virtual ? 0 : reader.countRows(table.name);
+        });
+
+        const sqlViewerHTML = `
+            <div class="sql-viewer">
+                <div class="sql-info">
+                    <p><strong>Tables:</strong> ${tables.length} &nbsp; <strong>Indexes:</strong> ${indexes.length} &nbsp; <strong>Views:</strong> ${views.length}</p>
+                    <p><strong>Page Size:</strong> ${info.pageSize} &nbsp; <strong>Pages:</strong> ${info.pageCount} &nbsp; <strong>Encoding:</strong> ${info.encoding} &nbsp; <strong>SQLite:</strong> ${info.sqliteVersion}</p>
+                </div>
+
+                <!-- Table selector dropdown -->
+                <div class="table-selector">
+                    <label for="tableSelect">Select Table:</label>
+                    <select id="tableSelect">
+                        <option value="">-- Select a table --</option>
+                        ${tables.map((table, idx) =>
+                            `<option value="${idx}">${escapeHtml(table.name)} (${rowCounts[table.name]} rows)</option>`
+                        ).join('')}
+                    </select>
+                </div>
+
+                <!-- Table Schema Section -->
+                <div class="table-schema" id="tableSchema" style="display: none;">
+                    <h3>Schema for <span id="tableName"></span></h3>
+                    <table id="schemaTable">
+                        <thead>
+                            <tr>
+                                <th>Column Name</th>
+                                <th>Data Type</th>
+                                <th>Primary Key</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+
+                <!-- Table Data Section (one page of rows at a time) -->
+                <div class="table-data" id="tableData" style="display: none;">
+                    <h3>Data (<span id="rowCount">0</span> rows)</h3>
+                    <div class="query-console-actions sqlite-pager">
+                        <button class="cyber-btn" id="sqlitePrevPage"><span class="btn-text">PREV</span></button>
+                        <span class="query-status" id="sqlitePageStatus"></span>
+                        <button class="cyber-btn" id="sqliteNextPage"><span class="btn-text">NEXT</span></button>
+                    </div>
+                    <div class="table-container">
+                        <table id="dataTable">
+                            <thead></thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Indexes and views from sqlite_schema -->
+                <div class="relationships" id="relationships" style="display: none;">
+                    <h3>Indexes</h3>
+                    <ul id="relationshipsList"></ul>
+                </div>
+
+                ${views.length > 0 ? `
+                    <div class="relationships">
+                        <h3>Views</h3>
+                        <ul>${views.map(view => `<li><strong>${escapeHtml(view.name)}</strong>: ${escapeHtml(view.sql || '')}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+
+                <!-- CREATE TABLE statement -->
+                <div class="raw-sql-section" id="rawSql" style="display: none;">
+                    <h3>Schema SQL</h3>
+                    <pre id="rawSqlContent" style="background: #1a1a1a; padding: 15px; border-radius: 5px; overflow-x: auto; color: #00ff00;"></pre>
+                </div>
+            </div>
+        `;
+
+        showModal(sqlViewerHTML, `SQLite Database: ${filename}`);
+
+        let currentTable = null;
+        let currentOffset = 0;
+
+        const showPage = () => {
+            const total = rowCounts[currentTable.name];
+            const page = currentTable.virtual
+                ? { name: currentTable.name, columns: currentTable.columns, rows: [], rawSql: currentTable.sql }
+                : reader.readRows(currentTable.name, currentOffset, pageSize);
+            page.rows = page.rows.map(row => row.map(formatSQLiteValue));
+
+            updateRawSQLTableView(page);
+            document.getElementById('rowCount').textContent = total;
+            document.getElementById('sqlitePageStatus').textContent = currentTable.virtual
+                ? '>_ VIRTUAL_TABLE_ROWS_NOT_STORED_IN_FILE'
+                : `>_ ROWS ${total === 0 ? 0 : currentOffset + 1}-${currentOffset + page.rows.length} OF ${total}`;
+            document.getElementById('sqlitePrevPage').disabled = currentOffset === 0;
+            document.getElementById('sqliteNextPage').disabled = currentOffset + pageSize >= total;
+        };
+
+        document.getElementById('tableSelect').addEventListener('change', function(e) {
+            const tableIdx = e.target.value;
+            const relationshipsSection = document.getElementById('relationships');
+
+            if (tableIdx === '') {
+                document.getElementById('tableSchema').style.display = 'none';
+                document.getElementById('tableData').style.display = 'none';
+                document.getElementById('rawSql').style.display = 'none';
+                relationshipsSection.style.display = 'none';
+                return;
+            }
+
+            currentTable = tables[parseInt(tableIdx)];
+            currentOffset = 0;
+            showPage();
+
+            const tableIndexes = indexes.filter(index => index.tableName === currentTable.name);
+            document.getElementById('relationshipsList').innerHTML = tableIndexes.length > 0
+                ? tableIndexes.map(index => `<li><strong>${escapeHtml(index.name)}</strong>: ${index.automatic ? '(automatic index for PRIMARY KEY/UNIQUE)' : escapeHtml(index.sql)}</li>`).join('')
+                : '<li>No indexes</li>';
+            relationshipsSection.style.display = 'block';
+        });
+
+        document.getElementById('sqlitePrevPage').addEventListener('click', () => {
+            currentOffset = Math.max(0, currentOffset - pageSize);
+            showPage();
+        });
+
+        document.getElementById('sqliteNextPage').addEventListener('click', () => {
+            currentOffset += pageSize;
+            showPage();
+        });
+
+    } catch (error) {
+        console.error('Error displaying SQLite file:', error);
+        showModal(`<p style="color: #ff4444;">Error reading SQLite database: ${error.message}</p>`, `SQLite Database: ${filename}`);
+    }
+}
+
+/**
+ * Display form of a SQLite value (BLOBs as a truncated hex literal)
+ */
+function formatSQLiteValue(value) {
+    if (value instanceof Uint8Array) {
+        const shown = Array.from(value.subarray(0, 32), byte => byte.toString(16).padStart(2, '0')).join('');
+        return value.length > 32 ? `x'${shown}…' (${value.length} bytes)` : `x'${shown}'`;
+    }
+    return value;
+}
+
+/**
+ * Escape text from uploaded files before it is interpolated into viewer markup
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * EXPORT SQLITE FILE
+ * Writes a convertToSQL structure to a .sqlite database and downloads it
+ *
+ * @param {object} sqlStructure - { tables, relationships } from JSONConverter.convertToSQL
+ * @param {string} filename - Name of the converted file (used for the download name)
+ * @param {boolean} enumChecks - Restrict enum columns to their profiled values with CHECK constraints
+ */
+function exportSQLiteFile(sqlStructure, filename, enumChecks = false) {
+    try {
+        const bytes = new SQLiteWriter({ enumChecks }).write(sqlStructure);
+        const blob = new Blob([bytes], { type: 'application/vnd.sqlite3' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${filename.replace(/(-sql)?\.json$/i, '')}.sqlite`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showNotification(`SQLITE_EXPORTED: ${a.download}`, 'success');
+    } catch (error) {
+        console.error('SQLite export error:', error);
+        showNotification(`EXPORT_FAILED: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * EXPORT SQL SCRIPT
+ * Generates DDL plus batched INSERTs for the chosen dialect from a convertToSQL structure and downloads it
+ *
+ * @param {object} sqlStructure - { tables, relationships } from JSONConverter.convertToSQL
+ * @param {string} filename - Name of the converted file (used for the download name)
+ * @param {string} dialect - postgresql, mysql, sqlite or sqlserver
+ * @param {string|null} onConflict - null for plain INSERTs, 'ignore' or 'update' for upserts
+ * @param {boolean} enumChecks - Restrict enum columns to their profiled values with CHECK constraints
+ */
+function exportSQLScript(sqlStructure, filename, dialect, onConflict = null, enumChecks = false) {
+    try {
+        const converter = dataProcessor.jsonConverter;
+        const schema = converter.generateSQLSchema(sqlStructure, { dialect, enumChecks });
+        const inserts = converter.generateSQLInserts(sqlStructure, { dialect, onConflict });
+        const script = inserts ? `${schema}\n\n${inserts}` : schema;
+        const blob = new Blob([script + '\n'], { type: 'application/sql' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${filename.replace(/(-sql)?\.json$/i, '')}.${dialect}.sql`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showNotification(`SQL_EXPORTED: ${a.download}`, 'success');
+    } catch (error) {
+        console.error('SQL export error:', error);
+        showNotification(`EXPORT_FAILED: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * EXPORT JSON LINES
+ * Downloads one converted SQL table or NoSQL collection as newline-delimited JSON
+ *
+ * @param {string} content - NDJSON from JSONConverter.tableToJSONLines / collectionToJSONLines
+ * @param {string} filename - Name of the converted file (used for the download name)
+ * @param {string} name - Table or collection name
+ */
+function exportJSONLines(content, filename, name) {
+    try {
+        const blob = new Blob([content], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${filename.replace(/(-sql|-nosql)?\.json$/i, '')}.${name}.jsonl`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showNotification(`JSONL_EXPORTED: ${a.download}`, 'success');
+    } catch (error) {
+        console.error('JSON Lines export error:', error);
+        showNotification(`EXPORT_FAILED: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * EXPORT NESTED JSON
+ * Downloads documents rebuilt by JSONConverter.convertSQLToJSON: an array of the root
+ * documents, or an object keyed by collection name when tables were kept as references
+ *
+ * @param {object} documents - { collections } from convertSQLToJSON
+ * @param {string} filename - Name of the viewed file (used for the download name)
+ */
+function exportNestedJSON(documents, filename) {
+    const collections = documents.collections;
+    const content = collections.length === 1
+        ? collections[0].documents
+        : Object.fromEntries(collections.map(collection => [collection.name, collection.documents]));
+
+    const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${filename.replace(/(-sql)?\.(json|sql)$/i, '')}.documents.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification(`JSON_EXPORTED: ${a.download}`, 'success');
+}
+
+/**
+ * DISPLAY SQL DATA FUNCTION/**
  * DISPLAY SQL DATA FUNCTION
  * This is the main function for displaying SQL-converted JSON data as interactive tables
  * It creates a user-friendly interface to browse database tables, schemas, and relationships
@@ -2069,6 +3635,40 @@ function displaySQLData(content, filename) {
                     </select>
                 </div>
 
+                <!-- Download the converted tables as a SQL script or a real SQLite database -->
+                <div class="query-console-actions">
+                    <select id="sqlDialectSelect" class="dialect-select">
+                        <option value="postgresql">PostgreSQL</option>
+                        <option value="mysql">MySQL</option>
+                        <option value="sqlite" selected>SQLite</option>
+                        <option value="sqlserver">SQL Server</option>
+                    </select>
+                    <select id="sqlConflictSelect" class="dialect-select">
+                        <option value="" selected>Plain INSERT</option>
+                        <option value="ignore">Skip existing rows</option>
+                        <option value="update">Upsert existing rows</option>
+                    </select>
+                    <select id="sqlEnumSelect" class="dialect-select">
+                        <option value="" selected>Enums: report only</option>
+                        <option value="check">Enums: CHECK constraints</option>
+                    </select>
+                    <button class="cyber-btn" id="exportSQLBtn">
+                        <span class="btn-text">EXPORT_SQL</span>
+                    </button>
+                    <button class="cyber-btn" id="exportSQLiteBtn">
+                        <span class="btn-text">EXPORT_SQLITE</span>
+                    </button>
+                    <button class="cyber-btn" id="exportTableJSONLBtn">
+                        <span class="btn-text">EXPORT_TABLE_JSONL</span>
+                    </button>
+                </div>
+
+                <!-- Query console: run SELECT statements across all tables -->
+                ${buildQueryConsoleHTML(tables.length > 0 ? tables[0].name : 'table_name')}
+
+                <!-- Rebuild nested JSON documents by following the relationships -->
+                ${buildDocumentExportHTML(tables.map(table => table.name))}
+
                 <!-- Section 1: Table Schema (column definitions) - Initially hidden -->
                 <div class="table-schema" id="tableSchema" style="display: none;">
                     <h3>Schema for <span id="tableName"></span></h3>
@@ -2108,12 +3708,41 @@ function displaySQLData(content, filename) {
                         <!-- Relationship items will be populated dynamically -->
                     </ul>
                 </div>
+
+                <!-- Section 4: Query text for console results - Initially hidden -->
+                <div class="raw-sql-section" id="rawSql" style="display: none;">
+                    <h3>Query</h3>
+                    <pre id="rawSqlContent" style="background: #1a1a1a; padding: 15px; border-radius: 5px; overflow-x: auto; color: #00ff00;"></pre>
+                </div>
             </div>
         `;
 
         // Step 5: Display the SQL viewer in a modal popup
         showModal(sqlViewerHTML, `SQL View: ${filename}`);
 
+        // Step 5.1: Wire the query console to an engine over the converted tables
+        setupQueryConsole(SQLQueryEngine.fromConvertedStructure(sqlData.structure));
+        document.getElementById('exportSQLBtn').addEventListener('click', () =>
+            exportSQLScript(
+                sqlData.structure,
+                filename,
+                document.getElementById('sqlDialectSelect').value,
+                document.getElementById('sqlConflictSelect').value || null,
+                document.getElementById('sqlEnumSelect').value === 'check'
+            ));
+        document.getElementById('exportSQLiteBtn').addEventListener('click', () =>
+            exportSQLiteFile(sqlData.structure, filename, document.getElementById('sqlEnumSelect').value === 'check'));
+        setupDocumentExport(sqlData.structure, filename);
+        document.getElementById('exportTableJSONLBtn').addEventListener('click', () => {
+            const tableIdx = document.getElementById('tableSelect').value;
+            if (tableIdx === '') {
+                showNotification('SELECT_A_TABLE_TO_EXPORT', 'error');
+                return;
+            }
+            const table = tables[parseInt(tableIdx)];
+            exportJSONLines(dataProcessor.jsonConverter.tableToJSONLines(table), filename, table.name);
+        });
+
         // Step 6: Add interactivity - listen for table selection changes
         document.getElementById('tableSelect').addEventListener('change', function(e) {
             const tableIdx = e.target.value;  // Get selected table index
@@ -2126,6 +3755,7 @@ function displaySQLData(content, filename) {
                 document.getElementById('tableSchema').style.display = 'none';
                 document.getElementById('tableData').style.display = 'none';
                 document.getElementById('relationships').style.display = 'none';
+                document.getElementById('rawSql').style.display = 'none';
             }
         });
 
@@ -2261,6 +3891,179 @@ function updateTableView(table, relationships, tableName) {
     document.getElementById('relationships').style.display = 'block';
 }
 
+/**
+ * DISPLAY NOSQL DATA FUNCTION
+ * Collection browser for NoSQL-converted JSON: pick a collection, see its indexes,
+ * and run MongoDB-style find/aggregate commands against it
+ *
+ * @param {string|object} content - The NoSQL data (either JSON string or object)
+ * @param {string} filename - Name of the file being viewed
+ */
+function displayNoSQLData(content, filename) {
+    try {
+        const nosqlData = typeof content === 'string' ? JSON.parse(content) : content;
+        const collections = nosqlData.collections || (nosqlData.structure && nosqlData.structure.collections);
+
+        if (!collections || collections.length === 0) {
+            throw new Error('Invalid NoSQL converted file structure');
+        }
+
+        const engine = NoSQLQueryEngine.fromConvertedStructure(nosqlData);
+        const defaultCommand = `db.${collections[0].name}.find({}).limit(20)`;
+
+        const nosqlViewerHTML = `
+            <div class="sql-viewer nosql-viewer">
+                <div class="sql-info">
+                    <p><strong>Collections:</strong> ${collections.length}</p>
+                    <p><strong>Total Documents:</strong> ${collections.reduce((sum, c) => sum + c.documents.length, 0)}</p>
+                </div>
+
+                <!-- Collection selector -->
+                <div class="table-selector">
+                    <label for="collectionSelect">Select Collection:</label>
+                    <select id="collectionSelect">
+                        ${collections.map(collection =>
+                            `<option value="${collection.name}">${collection.name} (${collection.documents.length} docs)</option>`
+                        ).join('')}
+                    </select>
+                    <button class="cyber-btn" id="exportCollectionJSONLBtn">
+                        <span class="btn-text">EXPORT_JSONL</span>
+                    </button>
+                </div>
+
+                <!-- Indexes recorded by the converter for the selected collection -->
+                <div class="relationships">
+                    <h3>Indexes</h3>
+                    <ul id="indexList"></ul>
+                </div>
+
+                <!-- Query console -->
+                <div class="query-console">
+                    <h3>Query Console</h3>
+                    <textarea id="nosqlQueryInput" class="query-input" spellcheck="false" rows="4">${defaultCommand}</textarea>
+                    <div class="query-console-actions">
+                        <button class="cyber-btn" id="runNoSQLQueryBtn">
+                            <span class="btn-text">RUN_QUERY</span>
+                        </button>
+                        <span class="query-status" id="nosqlQueryStatus">>_ CTRL+ENTER_TO_RUN</span>
+                    </div>
+                </div>
+
+                <!-- Matching documents -->
+                <div class="table-data">
+                    <h3>Documents (<span id="documentCount">0</span>)</h3>
+                    <div class="document-list" id="documentResults"></div>
+                </div>
+            </div>
+        `;
+
+        showModal(nosqlViewerHTML, `NoSQL View: ${filename}`);
+
+        const collectionSelect = document.getElementById('collectionSelect');
+        const queryInput = document.getElementById('nosqlQueryInput');
+        const queryStatus = document.getElementById('nosqlQueryStatus');
+
+        const runQuery = () => {
+            try {
+                const startTime = performance.now();
+                const result = engine.run(queryInput.value);
+                const elapsed = (performance.now() - startTime).toFixed(1);
+
+                collectionSelect.value = result.command.collection;
+                renderIndexList(engine.getCollection(result.command.collection).indexes);
+                renderDocumentResults(result.documents);
+
+                const indexNote = result.stats.indexUsed
+                    ? `INDEX:${result.stats.indexUsed}`
+                    : 'COLLECTION_SCAN';
+                queryStatus.textContent = `>_ ${result.stats.returned}_DOCS_|_${indexNote}_|_EXAMINED:${result.stats.docsExamined}_|_${elapsed}MS`;
+                queryStatus.classList.remove('error');
+            } catch (error) {
+                console.error('NoSQL query error:', error);
+                queryStatus.textContent = `>_ ${error.message}`;
+                queryStatus.classList.add('error');
+                showNotification(`QUERY_FAILED: ${error.message}`, 'error');
+            }
+        };
+
+        collectionSelect.addEventListener('change', (e) => {
+            queryInput.value = `db.${e.target.value}.find({}).limit(20)`;
+            runQuery();
+        });
+        document.getElementById('runNoSQLQueryBtn').addEventListener('click', runQuery);
+        document.getElementById('exportCollectionJSONLBtn').addEventListener('click', () => {
+            const collection = collections.find(c => c.name === collectionSelect.value);
+            exportJSONLines(dataProcessor.jsonConverter.collectionToJSONLines(collection), filename, collection.name);
+        });
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                runQuery();
+            }
+        });
+
+        runQuery();
+    } catch (error) {
+        console.error('Error displaying NoSQL data:', error);
+        showModal(`<p>Error displaying NoSQL data: ${error.message}</p>`, `NoSQL View: ${filename}`);
+    }
+}
+
+/**
+ * Render the suggested indexes of a collection into the browser's index list
+ */
+function renderIndexList(indexes) {
+    const indexList = document.getElementById('indexList');
+    indexList.innerHTML = '';
+
+    if (!indexes || indexes.length === 0) {
+        indexList.innerHTML = '<li>No indexes</li>';
+        return;
+    }
+
+    indexes.forEach(index => {
+        const li = document.createElement('li');
+        li.textContent = index.type === 'composite'
+            ? `Composite: { ${index.fields.map(field => `${field}: 1`).join(', ')} }`
+            : `Single: { ${index.field}: 1 }${index.unique ? ' (unique)' : ''}`;
+        indexList.appendChild(li);
+    });
+}
+
+/**
+ * Render query results as document cards (capped to keep the modal responsive)
+ */
+function renderDocumentResults(documents) {
+    const maxDocuments = 100;
+    const container = document.getElementById('documentResults');
+    container.innerHTML = '';
+    document.getElementById('documentCount').textContent = documents.length;
+
+    documents.slice(0, maxDocuments).forEach((doc, idx) => {
+        const card = document.createElement('div');
+        card.className = 'document-card';
+
+        const header = document.createElement('div');
+        header.className = 'document-header';
+        header.textContent = doc && doc._id !== undefined ? `_id: ${JSON.stringify(doc._id)}` : `DOCUMENT_${idx + 1}`;
+
+        const body = document.createElement('pre');
+        body.className = 'document-content';
+        body.textContent = JSON.stringify(doc, null, 2);
+
+        card.appendChild(header);
+        card.appendChild(body);
+        container.appendChild(card);
+    });
+
+    if (documents.length > maxDocuments) {
+        const more = document.createElement('p');
+        more.className = 'more-docs';
+        more.textContent = `... and ${documents.length - maxDocuments} more documents (add .limit() to narrow)`;
+        container.appendChild(more);
+    }
+}
+
 /**
  * SHOW MODAL FUNCTION
  * Creates and displays a modal popup window to show content to the user
@@ -2400,7 +4203,7 @@ function addLogoutButton() {
             existingLogout.addEventListener('click', (e) => {
                 e.preventDefault();
                 console.log('Logout clicked');
-                AuthSystem.logout();
+                authSystem.logout();
             });
         }
         return;
@@ -2417,7 +4220,7 @@ function addLogoutButton() {
     logoutBtn.addEventListener('click', (e) => {
         e.preventDefault();
         console.log('Logout clicked');
-        AuthSystem.logout();
+        authSystem.logout();
     });
 
     header.style.position = 'relative';
@@ -2425,77 +4228,7 @@ function addLogoutButton() {
     console.log('Logout button added dynamically');
 }
 
-// Storage Management Functions
-async function optimizeStorage() {
-    showNotification('OPTIMIZING_STORAGE_PLEASE_WAIT', 'success');
-    // Add storage optimization logic here
-    setTimeout(() => {
-        showNotification('STORAGE_OPTIMIZATION_COMPLETE', 'success');
-    }, 2000);
-}
-
-async function clearCache() {
-    // First show storage quota info
-    const quotaInfo = await dataProcessor.storageSystem.checkStorageQuota();
-    let message = 'ARE_YOU_SURE_YOU_WANT_TO_CLEAR_ALL_CACHE?_THIS_WILL_NOT_DELETE_YOUR_FILES.';
-
-    if (quotaInfo) {
-        message += `\n\nCurrent storage usage: ${quotaInfo.percentUsed}% (${dataProcessor.formatFileSize(quotaInfo.usage)} of ${dataProcessor.formatFileSize(quotaInfo.quota)})`;
-    }
-
-    if (confirm(message)) {
-        try {
-            // Clear temporary data but keep user files
-            localStorage.removeItem('data_bhandaar_temp');
-
-            // Clear browser cache if available
-            if ('caches' in window) {
-                const cacheNames = await caches.keys();
-                await Promise.all(cacheNames.map(name => caches.delete(name)));
-            }
-
-            showNotification('CACHE_CLEARED_SUCCESSFULLY', 'success');
-
-            // Refresh storage stats
-            await dataProcessor.updateStorageStats();
-        } catch (error) {
-            showNotification(`CACHE_CLEAR_FAILED: ${error.message}`, 'error');
-        }
-    }
-}
-
-async function exportAllData() {
-    try {
-        const files = await dataProcessor.getUserFiles();
-        if (files.length === 0) {
-            showNotification('NO_FILES_TO_EXPORT', 'error');
-            return;
-        }
-
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            username: dataProcessor.userSession.username,
-            totalFiles: files.length,
-            files: files
-        };
-
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
-            type: 'application/json' 
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `data_bhandaar_export_${new Date().getTime()}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showNotification('DATA_EXPORTED_SUCCESSFULLY', 'success');
-    } catch (error) {
-        showNotification(`EXPORT_FAILED: ${error.message}`, 'error');
-    }
-}
+// Storage Management Functions (optimizeStorage, rebalanceStorage, clearCache, exportAllData and importBackup are in storage.js)
 
 // JSON Conversion Preview Functions
 function displayConversionPreview(preview) {
@@ -2612,7 +4345,11 @@ window.viewFile = viewFile;
 window.deleteFile = deleteFile;
 window.optimizeStorage = optimizeStorage;
 window.clearCache = clearCache;
+window.configureRemoteStorage = configureRemoteStorage;
+window.rebalanceStorage = rebalanceStorage;
 window.exportAllData = exportAllData;
+window.importBackup = importBackup;
+window.manageEncryption = manageEncryption;
 window.displayConversionPreview = displayConversionPreview;
 window.storeAndProcessFiles = storeAndProcessFiles;
 
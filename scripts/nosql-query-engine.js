@@ -0,0 +1,897 @@
+/**
+ * NoSQL Query Engine
+ * MongoDB-style find/aggregate over collections produced by JSONConverter.convertToNoSQL
+ */
+
+class NoSQLQueryEngine {
+    constructor(collections = []) {
+        this.collections = new Map();
+        collections.forEach(collection => this.registerCollection(collection));
+    }
+
+    /**
+     * Build an engine from a convertToNoSQL structure (or the stored file content)
+     * @param {Object} nosqlData - { collections } or { structure: { collections } }
+     * @returns {NoSQLQueryEngine}
+     */
+    static fromConvertedStructure(nosqlData) {
+        const collections = nosqlData.collections ||
+            (nosqlData.structure && nosqlData.structure.collections) || [];
+        return new NoSQLQueryEngine(collections);
+    }
+
+    /**
+     * Register a collection and build in-memory indexes for its suggested index fields
+     * @param {Object} collection - { name, documents, indexes }
+     */
+    registerCollection(collection) {
+        const entry = {
+            name: collection.name,
+            documents: collection.documents || [],
+            indexes: collection.indexes || [],
+            indexMaps: new Map()
+        };
+
+        entry.indexes.forEach(index => {
+            // Composite indexes are usable through their leading field
+            const field = index.field || (index.fields && index.fields[0]);
+            if (field && !entry.indexMaps.has(field)) {
+                entry.indexMaps.set(field, this._buildIndex(entry.documents, field));
+            }
+        });
+
+        this.collections.set(collection.name, entry);
+    }
+
+    getCollectionNames() {
+        return Array.from(this.collections.keys());
+    }
+
+    getCollection(name) {
+        const collection = this.collections.get(name);
+        if (!collection) {
+            throw new Error(`Unknown collection "${name}"`);
+        }
+        return collection;
+    }
+
+    _buildIndex(documents, field) {
+        const index = new Map();
+
+        documents.forEach(doc => {
+            // Multikey: arrays are indexed by the whole value and by each element
+            const keys = new Set();
+            this._resolvePath(doc, field).forEach(value => {
+                keys.add(this._indexKey(value));
+                if (Array.isArray(value)) {
+                    value.forEach(item => keys.add(this._indexKey(item)));
+                }
+            });
+            keys.forEach(key => {
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(doc);
+            });
+        });
+
+        return index;
+    }
+
+    _indexKey(value) {
+        return value === undefined ? 'null' : JSON.stringify(value);
+    }
+
+    // ==================== FIND ====================
+
+    /**
+     * Run a find query
+     * @param {String} collectionName - Collection to query
+     * @param {Object} filter - Query filter ({ field: value } or operator expressions)
+     * @param {Object} options - { projection, sort, skip, limit }
+     * @returns {Object} { documents, stats: { indexUsed, docsExamined, returned } }
+     */
+    find(collectionName, filter = {}, options = {}) {
+        const collection = this.getCollection(collectionName);
+        const plan = this._planQuery(collection, filter);
+
+        let documents = plan.candidates.filter(doc => this._matches(doc, filter));
+
+        if (options.sort) {
+            documents = this._sortDocuments(documents, options.sort);
+        }
+        if (options.skip) {
+            documents = documents.slice(options.skip);
+        }
+        if (options.limit) {
+            documents = documents.slice(0, options.limit);
+        }
+        if (options.projection && Object.keys(options.projection).length > 0) {
+            documents = documents.map(doc => this._project(doc, options.projection));
+        }
+
+        return {
+            documents,
+            stats: {
+                indexUsed: plan.indexUsed,
+                docsExamined: plan.candidates.length,
+                returned: documents.length
+            }
+        };
+    }
+
+    /**
+     * Pick the smallest candidate set an index can give for the top-level filter
+     */
+    _planQuery(collection, filter) {
+        let best = { candidates: collection.documents, indexUsed: null };
+
+        Object.keys(filter || {}).forEach(field => {
+            if (field.startsWith('$') || !collection.indexMaps.has(field)) return;
+
+            const index = collection.indexMaps.get(field);
+            const condition = filter[field];
+            let keys = null;
+
+            if (!this._isOperatorObject(condition) && !(condition instanceof RegExp)) {
+                keys = [condition];
+            } else if (this._isOperatorObject(condition) && '$eq' in condition) {
+                keys = [condition.$eq];
+            } else if (this._isOperatorObject(condition) && Array.isArray(condition.$in)) {
+                keys = condition.$in.filter(value => !(value instanceof RegExp));
+                if (keys.length !== condition.$in.length) return;
+            }
+            if (!keys) return;
+
+            const seen = new Set();
+            const candidates = [];
+            keys.forEach(key => {
+                (index.get(this._indexKey(key)) || []).forEach(doc => {
+                    if (!seen.has(doc)) {
+                        seen.add(doc);
+                        candidates.push(doc);
+                    }
+                });
+            });
+
+            if (candidates.length < best.candidates.length || best.indexUsed === null) {
+                best = { candidates, indexUsed: field };
+            }
+        });
+
+        if (best.indexUsed) {
+            // Keep natural (insertion) order for index scans
+            const order = new Map(collection.documents.map((doc, i) => [doc, i]));
+            best.candidates.sort((a, b) => order.get(a) - order.get(b));
+        }
+
+        return best;
+    }
+
+    /**
+     * Test a document against a filter
+     */
+    _matches(doc, filter) {
+        if (!filter || typeof filter !== 'object') return true;
+
+        return Object.keys(filter).every(key => {
+            const condition = filter[key];
+
+            switch (key) {
+                case '$and':
+                    return this._expectArray(condition, key).every(sub => this._matches(doc, sub));
+                case '$or':
+                    return this._expectArray(condition, key).some(sub => this._matches(doc, sub));
+                case '$nor':
+                    return !this._expectArray(condition, key).some(sub => this._matches(doc, sub));
+                default:
+                    if (key.startsWith('$')) {
+                        throw new Error(`Unknown top-level operator ${key}`);
+                    }
+                    return this._matchField(this._resolvePath(doc, key), condition);
+            }
+        });
+    }
+
+    _expectArray(value, operator) {
+        if (!Array.isArray(value)) {
+            throw new Error(`${operator} expects an array`);
+        }
+        return value;
+    }
+
+    /**
+     * Match the values found at a path against a field condition
+     */
+    _matchField(values, condition) {
+        if (condition instanceof RegExp) {
+            return this._anyCandidate(values, value => typeof value === 'string' && condition.test(value));
+        }
+
+        if (!this._isOperatorObject(condition)) {
+            return this._anyCandidate(values, value => this._equals(value, condition), true);
+        }
+
+        return Object.keys(condition).every(op => {
+            const operand = condition[op];
+
+            switch (op) {
+                case '$eq':
+                    return this._anyCandidate(values, value => this._equals(value, operand), true);
+                case '$ne':
+                    return !this._anyCandidate(values, value => this._equals(value, operand), true);
+                case '$gt':
+                    return this._anyCandidate(values, value => this._comparable(value, operand) && this._compare(value, operand) > 0);
+                case '$gte':
+                    return this._anyCandidate(values, value => this._comparable(value, operand) && this._compare(value, operand) >= 0);
+                case '$lt':
+                    return this._anyCandidate(values, value => this._comparable(value, operand) && this._compare(value, operand) < 0);
+                case '$lte':
+                    return this._anyCandidate(values, value => this._comparable(value, operand) && this._compare(value, operand) <= 0);
+                case '$in':
+                    return this._expectArray(operand, op).some(item => this._matchField(values, item instanceof RegExp ? item : { $eq: item }));
+                case '$nin':
+                    return !this._expectArray(operand, op).some(item => this._matchField(values, item instanceof RegExp ? item : { $eq: item }));
+                case '$exists':
+                    return values.some(value => value !== undefined) === Boolean(operand);
+                case '$regex': {
+                    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                    return this._anyCandidate(values, value => typeof value === 'string' && regex.test(value));
+                }
+                case '$options':
+                    return true;
+                case '$size':
+                    return values.some(value => Array.isArray(value) && value.length === operand);
+                case '$elemMatch':
+                    return values.some(value => Array.isArray(value) && value.some(item =>
+                        this._isOperatorObject(operand) && !this._isPlainObject(item)
+                            ? this._matchField([item], operand)
+                            : this._matches(item, operand)
+                    ));
+                case '$not':
+                    return !this._matchField(values, operand);
+                default:
+                    throw new Error(`Unknown operator ${op}`);
+            }
+        });
+    }
+
+    /**
+     * Mongo semantics: a condition on an array field matches if it matches the array itself or any element
+     */
+    _anyCandidate(values, predicate, matchMissingAsNull = false) {
+        return values.some(value => {
+            if (value === undefined) return matchMissingAsNull && predicate(null);
+            if (predicate(value)) return true;
+            return Array.isArray(value) && value.some(item => predicate(item));
+        });
+    }
+
+    /**
+     * Resolve a dotted path; arrays along the way fan out to every element
+     * @returns {Array} All values found (undefined when the path is missing)
+     */
+    _resolvePath(doc, path) {
+        const parts = path.split('.');
+        let current = [doc];
+
+        for (const part of parts) {
+            const next = [];
+            current.forEach(value => {
+                if (Array.isArray(value)) {
+                    if (/^\d+$/.test(part)) {
+                        next.push(value[Number(part)]);
+                    } else {
+                        value.forEach(item => {
+                            if (this._isPlainObject(item)) next.push(item[part]);
+                        });
+                    }
+                } else if (this._isPlainObject(value)) {
+                    next.push(value[part]);
+                } else {
+                    next.push(undefined);
+                }
+            });
+            current = next;
+        }
+
+        return current.length > 0 ? current : [undefined];
+    }
+
+    _getValue(doc, path) {
+        const parts = path.split('.');
+        let current = doc;
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            if (current === null || current === undefined) return undefined;
+            if (Array.isArray(current) && !/^\d+$/.test(part)) {
+                // "items.price" on an array yields the field from every element
+                const rest = parts.slice(i).join('.');
+                return current
+                    .map(item => this._getValue(item, rest))
+                    .filter(value => value !== undefined);
+            }
+            current = current[part];
+        }
+        return current;
+    }
+
+    _setValue(target, path, value) {
+        const parts = path.split('.');
+        let current = target;
+        parts.slice(0, -1).forEach(part => {
+            if (!this._isPlainObject(current[part])) current[part] = {};
+            current = current[part];
+        });
+        current[parts[parts.length - 1]] = value;
+    }
+
+    _project(doc, projection) {
+        const fields = Object.keys(projection);
+        const includeId = projection._id === undefined ? true : Boolean(projection._id);
+        const inclusive = fields.some(field => field !== '_id' &&
+            (projection[field] === 1 || projection[field] === true ||
+             (typeof projection[field] === 'string' && projection[field].startsWith('$'))));
+
+        if (inclusive) {
+            const result = {};
+            if (includeId && doc._id !== undefined) result._id = doc._id;
+
+            fields.forEach(field => {
+                if (field === '_id') return;
+                const spec = projection[field];
+                if (typeof spec === 'string' && spec.startsWith('$')) {
+                    this._setValue(result, field, this._getValue(doc, spec.slice(1)));
+                } else if (spec) {
+                    const value = this._getValue(doc, field);
+                    if (value !== undefined) this._setValue(result, field, value);
+                }
+            });
+            return result;
+        }
+
+        const result = JSON.parse(JSON.stringify(doc));
+        fields.forEach(field => {
+            if (projection[field]) return;
+            const parts = field.split('.');
+            let parent = result;
+            parts.slice(0, -1).forEach(part => { parent = parent ? parent[part] : undefined; });
+            if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+        });
+        if (!includeId) delete result._id;
+        return result;
+    }
+
+    _sortDocuments(documents, sortSpec) {
+        const fields = Object.keys(sortSpec);
+        return documents.slice().sort((a, b) => {
+            for (const field of fields) {
+                const cmp = this._compare(this._getValue(a, field), this._getValue(b, field));
+                if (cmp !== 0) return sortSpec[field] < 0 ? -cmp : cmp;
+            }
+            return 0;
+        });
+    }
+
+    // ==================== AGGREGATE ====================
+
+    /**
+     * Run an aggregation pipeline
+     * @param {String} collectionName - Collection to aggregate
+     * @param {Array} pipeline - Stages ($match, $group, $unwind, $project, $sort, $limit, $skip, $count)
+     * @returns {Object} { documents, stats }
+     */
+    aggregate(collectionName, pipeline = []) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('aggregate() expects an array of stages');
+        }
+
+        const collection = this.getCollection(collectionName);
+        let documents = collection.documents;
+        let indexUsed = null;
+        let docsExamined = collection.documents.length;
+
+        pipeline.forEach((stage, stageIndex) => {
+            const keys = Object.keys(stage || {});
+            if (keys.length !== 1) {
+                throw new Error(`Pipeline stage ${stageIndex + 1} must have exactly one operator`);
+            }
+            const [operator] = keys;
+            const spec = stage[operator];
+
+            switch (operator) {
+                case '$match':
+                    if (stageIndex === 0) {
+                        // A leading $match can use the collection indexes like find()
+                        const plan = this._planQuery(collection, spec);
+                        indexUsed = plan.indexUsed;
+                        docsExamined = plan.candidates.length;
+                        documents = plan.candidates.filter(doc => this._matches(doc, spec));
+                    } else {
+                        documents = documents.filter(doc => this._matches(doc, spec));
+                    }
+                    break;
+                case '$group':
+                    documents = this._group(documents, spec);
+                    break;
+                case '$unwind':
+                    documents = this._unwind(documents, spec);
+                    break;
+                case '$project':
+                    documents = documents.map(doc => this._projectStage(doc, spec));
+                    break;
+                case '$sort':
+                    documents = this._sortDocuments(documents, spec);
+                    break;
+                case '$limit':
+                    documents = documents.slice(0, spec);
+                    break;
+                case '$skip':
+                    documents = documents.slice(spec);
+                    break;
+                case '$count':
+                    documents = [{ [spec]: documents.length }];
+                    break;
+                default:
+                    throw new Error(`Unsupported pipeline stage ${operator}`);
+            }
+        });
+
+        return {
+            documents,
+            stats: { indexUsed, docsExamined, returned: documents.length }
+        };
+    }
+
+    _group(documents, spec) {
+        if (!spec || !('_id' in spec)) {
+            throw new Error('$group requires an _id expression');
+        }
+
+        const groups = new Map();
+        documents.forEach(doc => {
+            const id = this._evaluateExpression(spec._id, doc);
+            const key = JSON.stringify(id === undefined ? null : id);
+            if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, docs: [] });
+            groups.get(key).docs.push(doc);
+        });
+
+        const results = [];
+        groups.forEach(group => {
+            const result = { _id: group.id };
+
+            Object.keys(spec).forEach(field => {
+                if (field === '_id') return;
+                const accumulator = spec[field];
+                const [op] = Object.keys(accumulator || {});
+                const values = group.docs.map(doc => this._evaluateExpression(accumulator[op], doc));
+                const present = values.filter(value => value !== undefined && value !== null);
+
+                switch (op) {
+                    case '$sum':
+                        result[field] = values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+                        break;
+                    case '$avg': {
+                        const numbers = present.filter(value => typeof value === 'number');
+                        result[field] = numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+                        break;
+                    }
+                    case '$min':
+                        result[field] = present.length ? present.reduce((min, value) => this._compare(value, min) < 0 ? value : min) : null;
+                        break;
+                    case '$max':
+                        result[field] = present.length ? present.reduce((max, value) => this._compare(value, max) > 0 ? value : max) : null;
+                        break;
+                    case '$push':
+                        result[field] = values;
+                        break;
+                    case '$addToSet': {
+                        const seen = new Set();
+                        result[field] = values.filter(value => {
+                            const key = JSON.stringify(value);
+                            if (seen.has(key)) return false;
+                            seen.add(key);
+                            return true;
+                        });
+                        break;
+                    }
+                    case '$first':
+                        result[field] = values[0];
+                        break;
+                    case '$last':
+                        result[field] = values[values.length - 1];
+                        break;
+                    case '$count':
+                        result[field] = group.docs.length;
+                        break;
+                    default:
+                        throw new Error(`Unsupported $group accumulator ${op}`);
+                }
+            });
+
+            results.push(result);
+        });
+
+        return results;
+    }
+
+    _unwind(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        if (!options || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+            throw new Error('$unwind path must be a string starting with $');
+        }
+        const path = options.path.slice(1);
+        const results = [];
+
+        documents.forEach(doc => {
+            const value = this._getValue(doc, path);
+
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach(item => {
+                    const copy = JSON.parse(JSON.stringify(doc));
+                    this._setValue(copy, path, item);
+                    results.push(copy);
+                });
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                results.push(doc);
+            } else if (options.preserveNullAndEmptyArrays) {
+                results.push(doc);
+            }
+        });
+
+        return results;
+    }
+
+    _projectStage(doc, spec) {
+        const computed = Object.keys(spec).some(field =>
+            spec[field] !== 0 && spec[field] !== 1 && spec[field] !== true && spec[field] !== false
+        );
+        if (!computed) {
+            return this._project(doc, spec);
+        }
+
+        const result = {};
+        if (spec._id === undefined || spec._id) {
+            if (doc._id !== undefined) result._id = doc._id;
+        }
+        Object.keys(spec).forEach(field => {
+            if (field === '_id' && (spec._id === 0 || spec._id === false || spec._id === 1 || spec._id === true)) return;
+            const value = spec[field] === 1 || spec[field] === true
+                ? this._getValue(doc, field)
+                : this._evaluateExpression(spec[field], doc);
+            if (value !== undefined) this._setValue(result, field, value);
+        });
+        return result;
+    }
+
+    /**
+     * Evaluate an aggregation expression: "$path", literals, objects and a few operators
+     */
+    _evaluateExpression(expr, doc) {
+        if (typeof expr === 'string' && expr.startsWith('$')) {
+            return this._getValue(doc, expr.slice(1));
+        }
+        if (Array.isArray(expr)) {
+            return expr.map(item => this._evaluateExpression(item, doc));
+        }
+        if (!this._isPlainObject(expr)) {
+            return expr;
+        }
+
+        const keys = Object.keys(expr);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            const op = keys[0];
+            const args = Array.isArray(expr[op])
+                ? expr[op].map(arg => this._evaluateExpression(arg, doc))
+                : [this._evaluateExpression(expr[op], doc)];
+
+            switch (op) {
+                case '$add': return args.reduce((sum, value) => sum + (Number(value) || 0), 0);
+                case '$subtract': return (Number(args[0]) || 0) - (Number(args[1]) || 0);
+                case '$multiply': return args.reduce((product, value) => product * (Number(value) || 0), 1);
+                case '$divide': return Number(args[1]) ? Number(args[0]) / Number(args[1]) : null;
+                case '$concat': return args.some(value => value === null || value === undefined) ? null : args.join('');
+                case '$toUpper': return args[0] === null || args[0] === undefined ? '' : String(args[0]).toUpperCase();
+                case '$toLower': return args[0] === null || args[0] === undefined ? '' : String(args[0]).toLowerCase();
+                case '$size': return Array.isArray(args[0]) ? args[0].length : null;
+                case '$ifNull': return args[0] === null || args[0] === undefined ? args[1] : args[0];
+                case '$literal': return expr[op];
+                default:
+                    throw new Error(`Unsupported expression operator ${op}`);
+            }
+        }
+
+        const result = {};
+        keys.forEach(key => {
+            result[key] = this._evaluateExpression(expr[key], doc);
+        });
+        return result;
+    }
+
+    // ==================== SHELL PARSING ====================
+
+    /**
+     * Parse a shell-style command such as
+     *   db.orders.find({ status: "shipped" }, { orderId: 1 }).sort({ orderDate: -1 }).limit(5)
+     *   db.orders.aggregate([{ $unwind: "$items" }, { $group: { _id: "$status", n: { $sum: 1 } } }])
+     * @param {String} text - Command text
+     * @returns {Object} { collection, method, args, modifiers }
+     */
+    parseCommand(text) {
+        const source = text.trim().replace(/;$/, '');
+        const header = source.match(/^db\.([A-Za-z0-9_$]+)\.(find|findOne|aggregate|count|countDocuments)\s*\(/);
+        if (!header) {
+            throw new Error('Expected db.<collection>.find(...) or db.<collection>.aggregate([...])');
+        }
+
+        const parser = new RelaxedJSONParser(source, header[0].length);
+        const args = parser.parseArguments();
+        const modifiers = [];
+
+        parser.skipWhitespace();
+        while (!parser.atEnd()) {
+            parser.expect('.');
+            const name = parser.readIdentifier();
+            parser.skipWhitespace();
+            parser.expect('(');
+            const modifierArgs = parser.parseArguments();
+            if (!['sort', 'limit', 'skip', 'projection'].includes(name)) {
+                throw new Error(`Unsupported cursor method .${name}()`);
+            }
+            modifiers.push({ name, args: modifierArgs });
+            parser.skipWhitespace();
+        }
+
+        return { collection: header[1], method: header[2], args, modifiers };
+    }
+
+    /**
+     * Parse and run a shell-style command
+     * @param {String} text - Command text
+     * @returns {Object} { documents, stats, command }
+     */
+    run(text) {
+        const command = this.parseCommand(text);
+        let result;
+
+        if (command.method === 'aggregate') {
+            result = this.aggregate(command.collection, command.args[0] || []);
+        } else {
+            const options = { projection: command.args[1] };
+            command.modifiers.forEach(modifier => {
+                options[modifier.name] = modifier.args[0];
+            });
+            if (command.method === 'findOne') {
+                options.limit = 1;
+            }
+
+            result = this.find(command.collection, command.args[0] || {}, options);
+
+            if (command.method === 'count' || command.method === 'countDocuments') {
+                result = {
+                    documents: [{ count: result.documents.length }],
+                    stats: { ...result.stats, returned: 1 }
+                };
+            }
+        }
+
+        return { ...result, command };
+    }
+
+    // ==================== HELPERS ====================
+
+    _isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    _isOperatorObject(value) {
+        return this._isPlainObject(value) && Object.keys(value).length > 0 &&
+            Object.keys(value).every(key => key.startsWith('$'));
+    }
+
+    _equals(a, b) {
+        if (a === undefined) a = null;
+        if (b === undefined) b = null;
+        if (typeof a === 'object' || typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return a === b;
+    }
+
+    _comparable(a, b) {
+        const typeOf = value => (typeof value === 'string' && !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}/.test(value))
+            ? 'date' : typeof value;
+        return a !== null && a !== undefined && typeOf(a) === typeOf(b);
+    }
+
+    /**
+     * Order values the way Mongo does for mixed types: null < numbers < strings < objects < booleans
+     */
+    _compare(a, b) {
+        const rank = value => {
+            if (value === null || value === undefined) return 0;
+            if (typeof value === 'number') return 1;
+            if (typeof value === 'string') return 2;
+            if (typeof value === 'object') return 3;
+            if (typeof value === 'boolean') return 4;
+            return 5;
+        };
+
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+        if (rankA === 0) return 0;
+        if (rankA === 3) {
+            const strA = JSON.stringify(a);
+            const strB = JSON.stringify(b);
+            return strA === strB ? 0 : (strA < strB ? -1 : 1);
+        }
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+}
+
+/**
+ * Relaxed JSON parser for shell input
+ * Accepts unquoted keys, single-quoted strings, trailing commas and /regex/flags literals
+ */
+class RelaxedJSONParser {
+    constructor(text, position = 0) {
+        this.text = text;
+        this.pos = position;
+    }
+
+    atEnd() {
+        return this.pos >= this.text.length;
+    }
+
+    skipWhitespace() {
+        while (!this.atEnd() && /\s/.test(this.text[this.pos])) this.pos++;
+    }
+
+    expect(char) {
+        this.skipWhitespace();
+        if (this.text[this.pos] !== char) {
+            throw new Error(`Expected "${char}" at position ${this.pos + 1}`);
+        }
+        this.pos++;
+    }
+
+    readIdentifier() {
+        this.skipWhitespace();
+        const match = this.text.slice(this.pos).match(/^[A-Za-z_$][A-Za-z0-9_$.]*/);
+        if (!match) throw new Error(`Expected a name at position ${this.pos + 1}`);
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Parse comma-separated values up to the closing parenthesis
+     */
+    parseArguments() {
+        const args = [];
+        this.skipWhitespace();
+        if (this.text[this.pos] === ')') {
+            this.pos++;
+            return args;
+        }
+
+        while (true) {
+            args.push(this.parseValue());
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+                continue;
+            }
+            this.expect(')');
+            return args;
+        }
+    }
+
+    parseValue() {
+        this.skipWhitespace();
+        const char = this.text[this.pos];
+
+        if (char === '{') return this._parseObject();
+        if (char === '[') return this._parseArray();
+        if (char === '"' || char === "'") return this._parseString();
+        if (char === '/') return this._parseRegex();
+        if (char === '-' || /[0-9]/.test(char)) return this._parseNumber();
+
+        const word = this.text.slice(this.pos).match(/^[A-Za-z_]+/);
+        if (word) {
+            const literals = { true: true, false: false, null: null };
+            if (word[0] in literals) {
+                this.pos += word[0].length;
+                return literals[word[0]];
+            }
+        }
+
+        throw new Error(`Unexpected "${char || 'end of input'}" at position ${this.pos + 1}`);
+    }
+
+    _parseObject() {
+        const result = {};
+        this.pos++;
+
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.pos] === '}') {
+                this.pos++;
+                return result;
+            }
+
+            const key = this.text[this.pos] === '"' || this.text[this.pos] === "'"
+                ? this._parseString()
+                : this.readIdentifier();
+            this.expect(':');
+            result[key] = this.parseValue();
+
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== '}') {
+                throw new Error(`Expected "," or "}" at position ${this.pos + 1}`);
+            }
+        }
+    }
+
+    _parseArray() {
+        const result = [];
+        this.pos++;
+
+        while (true) {
+            this.skipWhitespace();
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return result;
+            }
+
+            result.push(this.parseValue());
+
+            this.skipWhitespace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== ']') {
+                throw new Error(`Expected "," or "]" at position ${this.pos + 1}`);
+            }
+        }
+    }
+
+    _parseString() {
+        const quote = this.text[this.pos++];
+        let result = '';
+
+        while (!this.atEnd() && this.text[this.pos] !== quote) {
+            if (this.text[this.pos] === '\\') {
+                const next = this.text[this.pos + 1];
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+                result += escapes[next] !== undefined ? escapes[next] : next;
+                this.pos += 2;
+            } else {
+                result += this.text[this.pos++];
+            }
+        }
+
+        if (this.atEnd()) throw new Error('Unterminated string');
+        this.pos++;
+        return result;
+    }
+
+    _parseRegex() {
+        const match = this.text.slice(this.pos).match(/^\/((?:\\.|[^\\/])+)\/([gimsuy]*)/);
+        if (!match) throw new Error(`Invalid regular expression at position ${this.pos + 1}`);
+        this.pos += match[0].length;
+        return new RegExp(match[1], match[2]);
+    }
+
+    _parseNumber() {
+        const match = this.text.slice(this.pos).match(/^-?\d*\.?\d+(?:[eE][+-]?\d+)?/);
+        if (!match) throw new Error(`Invalid number at position ${this.pos + 1}`);
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoSQLQueryEngine;
+    module.exports.RelaxedJSONParser = RelaxedJSONParser;
+}
@@ -0,0 +1,481 @@
+/**
+ * S3 Backend
+ * Remote storage backend for StorageManager against any S3-compatible API (AWS S3, MinIO,
+ * a local stand-in). Requests are signed with AWS Signature Version 4 in the browser.
+ *
+ * Bucket layout under the configured prefix:
+ *     objects/<fileId>                 File bytes (multipart upload above partSize)
+ *     records/<fileId>.json            File record: filename, type, size, category, metadata
+ *     users/<username>/<fileId>        Empty marker, so a user's files can be listed
+ *
+ * The bucket needs CORS for the page origin, allowing GET/PUT/POST/DELETE/HEAD and the
+ * Authorization, Range, Content-Type and x-amz-* headers, and exposing ETag.
+ */
+
+class S3Backend {
+    /**
+     * @param {Object} config - {
+     *     endpoint: e.g. 'http://localhost:9000',
+     *     bucket, region (default 'us-east-1'), accessKeyId, secretAccessKey,
+     *     prefix: key prefix inside the bucket (default 'data-bhandaar/'),
+     *     primary: store new uploads here instead of on the device
+     * }
+     */
+    constructor(config = {}) {
+        this.config = {
+            region: 'us-east-1',
+            prefix: 'data-bhandaar/',
+            ...config,
+            endpoint: (config.endpoint || '').replace(/\/+$/, '')
+        };
+        if (this.config.prefix && !this.config.prefix.endsWith('/')) this.config.prefix += '/';
+
+        this.type = 'remote';
+        this.provider = 's3';
+        this.maxSize = 5 * 1024 * 1024 * 1024 * 1024; // 5TB, the S3 object size limit
+        this.partSize = 8 * 1024 * 1024; // Multipart parts (S3 minimum is 5MB)
+        this.urlExpiry = 3600; // Seconds a presigned GET URL stays valid
+        this.available = false;
+    }
+
+    async init() {
+        const { endpoint, bucket, accessKeyId, secretAccessKey } = this.config;
+        if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('Remote storage needs an endpoint, bucket, access key and secret key');
+        }
+
+        // Cheapest authenticated request: proves the endpoint, credentials and CORS work
+        await this.listKeys(this.config.prefix, 1);
+        this.available = true;
+        return true;
+    }
+
+    async storeFile(username, file, category, metadata = {}, options = {}) {
+        const fileId = options.fileId || this.generateFileId();
+        const uploadDate = options.uploadDate || new Date().toISOString();
+        const onProgress = options.onProgress || (() => {});
+
+        if (file.size > this.partSize) {
+            await this.multipartUpload(this.objectKey(fileId), file, onProgress);
+        } else {
+            await this.send('PUT', this.objectKey(fileId), { body: file, contentType: file.type || 'application/octet-stream' });
+            onProgress(1);
+        }
+
+        const record = {
+            id: fileId,
+            username: username,
+            filename: file.name,
+            filetype: file.type,
+            size: file.size,
+            category: category,
+            uploadDate: uploadDate,
+            metadata: {
+                ...metadata,
+                filename: file.name,
+                size: file.size,
+                filetype: file.type
+            }
+        };
+
+        try {
+            await this.putRecord(record);
+            await this.send('PUT', this.userKey(username, fileId), { body: '' });
+        } catch (error) {
+            // A replaced file's objects are the only copy left: keep them
+            if (!options.replace) {
+                await this.deleteObjects([this.objectKey(fileId), this.recordKey(fileId)]).catch(() => {});
+            }
+            throw error;
+        }
+
+        return {
+            id: fileId,
+            filename: file.name,
+            filetype: file.type,
+            size: file.size,
+            category: category,
+            uploadDate: uploadDate,
+            username: username,
+            metadata: metadata,
+            storage: 'S3'
+        };
+    }
+
+    /**
+     * Upload in parts: create, upload each part (keeping its ETag), complete. A failed upload is
+     * aborted so the bucket doesn't keep orphaned parts
+     */
+    async multipartUpload(key, file, onProgress) {
+        const created = await this.send('POST', key, {
+            query: { uploads: '' },
+            contentType: file.type || 'application/octet-stream'
+        });
+        const uploadId = this.xmlValues(await created.text(), 'UploadId')[0];
+        if (!uploadId) {
+            throw new Error('Remote storage did not start the multipart upload');
+        }
+
+        try {
+            const parts = [];
+            const partCount = Math.ceil(file.size / this.partSize);
+            for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                const start = (partNumber - 1) * this.partSize;
+                const response = await this.send('PUT', key, {
+                    query: { partNumber: String(partNumber), uploadId },
+                    body: file.slice(start, start + this.partSize)
+                });
+                const etag = response.headers.get('ETag');
+                if (!etag) {
+                    throw new Error('Remote storage returned no ETag; expose the ETag header in the bucket CORS rules');
+                }
+                parts.push({ partNumber, etag });
+                onProgress(partNumber / partCount);
+            }
+
+            const body = '<CompleteMultipartUpload>' +
+                parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${this.escapeXml(part.etag)}</ETag></Part>`).join('') +
+                '</CompleteMultipartUpload>';
+            const completed = await this.send('POST', key, { query: { uploadId }, body, contentType: 'application/xml' });
+
+            // S3 can report a failed completion with status 200 and an Error body
+            const text = await completed.text();
+            if (/<Error>/.test(text)) {
+                throw new Error('Remote storage failed to complete the upload: ' + (this.xmlValues(text, 'Message')[0] || 'unknown error'));
+            }
+        } catch (error) {
+            await this.send('DELETE', key, { query: { uploadId } }).catch(() => {});
+            throw error;
+        }
+    }
+
+    async getUserFiles(username) {
+        const markerPrefix = this.userKey(username, '');
+        const fileIds = (await this.listKeys(markerPrefix)).map(key => key.slice(markerPrefix.length));
+
+        // Records are fetched a few at a time to keep the number of open requests down
+        const records = [];
+        for (let i = 0; i < fileIds.length; i += 8) {
+            const batch = await Promise.all(fileIds.slice(i, i + 8).map(id => this.getRecord(id).catch(() => null)));
+            records.push(...batch.filter(Boolean));
+        }
+
+        return records.map(item => ({
+            id: item.id,
+            filename: item.metadata?.intelligentAnalysis?.filename || item.metadata?.filename || item.filename || 'file',
+            filetype: item.metadata?.intelligentAnalysis?.mainType || item.metadata?.filetype || item.filetype || 'unknown',
+            size: item.metadata?.intelligentAnalysis?.size || item.metadata?.size || item.size || 0,
+            category: item.category,
+            uploadDate: item.uploadDate,
+            username: item.username,
+            metadata: item.metadata
+        }));
+    }
+
+    async getFile(fileId) {
+        const record = await this.getRecord(fileId);
+
+        // A presigned URL lets viewers and players read (and seek in) the object directly,
+        // without downloading it into memory first
+        return {
+            ...record,
+            ...record.metadata,
+            url: await this.presignedUrl(this.objectKey(fileId), {
+                'response-content-disposition': `attachment; filename="${record.filename.replace(/"/g, '')}"`,
+                'response-content-type': record.filetype || 'application/octet-stream'
+            }),
+            blob: null,
+            remote: true
+        };
+    }
+
+    /**
+     * Read bytes [start, end) with a Range request
+     * @returns {Promise<Object>} { blob, start, end, size, type }
+     */
+    async readRange(fileId, start = 0, end = Infinity) {
+        const record = await this.getRecord(fileId);
+        const size = record.size;
+        const rangeEnd = Math.min(end, size);
+        const rangeStart = Math.max(0, Math.min(start, rangeEnd));
+        const type = record.filetype;
+
+        if (rangeEnd === rangeStart) {
+            return { blob: new Blob([], { type }), start: rangeStart, end: rangeEnd, size, type };
+        }
+
+        const response = await this.send('GET', this.objectKey(fileId), {
+            headers: { Range: `bytes=${rangeStart}-${rangeEnd - 1}` }
+        });
+        const data = await response.arrayBuffer();
+        return { blob: new Blob([data], { type }), start: rangeStart, end: rangeStart + data.byteLength, size, type };
+    }
+
+    async updateFileMetadata(fileId, updates) {
+        const record = await this.getRecord(fileId);
+        const changes = typeof updates === 'function' ? updates(record.metadata || {}) : updates;
+        record.metadata = { ...record.metadata, ...changes };
+        await this.putRecord(record);
+        return record.metadata;
+    }
+
+    async deleteFile(fileId) {
+        const record = await this.getRecord(fileId);
+        await this.deleteObjects([
+            this.objectKey(fileId),
+            this.recordKey(fileId),
+            this.userKey(record.username, fileId)
+        ]);
+        return true;
+    }
+
+    async getStats(username) {
+        const files = await this.getUserFiles(username);
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+        return {
+            type: this.type,
+            provider: this.provider,
+            endpoint: this.config.endpoint,
+            bucket: this.config.bucket,
+            fileCount: files.length,
+            totalSize: totalSize,
+            maxSize: this.maxSize
+        };
+    }
+
+    // ---- Object keys ----
+
+    objectKey(fileId) {
+        return `${this.config.prefix}objects/${fileId}`;
+    }
+
+    recordKey(fileId) {
+        return `${this.config.prefix}records/${fileId}.json`;
+    }
+
+    userKey(username, fileId) {
+        return `${this.config.prefix}users/${encodeURIComponent(username)}/${fileId}`;
+    }
+
+    async getRecord(fileId) {
+        let response;
+        try {
+            response = await this.send('GET', this.recordKey(fileId));
+        } catch (error) {
+            throw new Error(error.status === 404 ? 'File not found in remote storage' : error.message);
+        }
+        return await response.json();
+    }
+
+    async putRecord(record) {
+        await this.send('PUT', this.recordKey(record.id), {
+            body: JSON.stringify(record),
+            contentType: 'application/json'
+        });
+    }
+
+    async listKeys(prefix, maxKeys = 1000) {
+        const keys = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix, 'max-keys': String(maxKeys) };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const xml = await (await this.send('GET', '', { query })).text();
+            keys.push(...this.xmlValues(xml, 'Key'));
+            continuationToken = this.xmlValues(xml, 'IsTruncated')[0] === 'true'
+                ? this.xmlValues(xml, 'NextContinuationToken')[0]
+                : null;
+        } while (continuationToken && keys.length < maxKeys);
+
+        return keys;
+    }
+
+    async deleteObjects(keys) {
+        for (const key of keys) {
+            try {
+                await this.send('DELETE', key);
+            } catch (error) {
+                // Already gone is what we wanted
+                if (error.status !== 404) throw error;
+            }
+        }
+    }
+
+    // ---- Requests ----
+
+    /**
+     * Send a signed request for a key in the bucket ('' for the bucket itself)
+     * @param {Object} options - { query, headers, body, contentType }
+     * @returns {Promise<Response>} Throws on a non-2xx status, with error.status set
+     */
+    async send(method, key, options = {}) {
+        const url = this.objectUrl(key, options.query);
+        const headers = { ...(options.headers || {}) };
+        if (options.contentType) headers['Content-Type'] = options.contentType;
+
+        const signed = await this.sign(method, url, headers);
+
+        let response;
+        try {
+            response = await fetch(url.toString(), { method, headers: signed, body: options.body });
+        } catch (error) {
+            throw new Error(`Remote storage unreachable at ${this.config.endpoint} (check the endpoint and bucket CORS): ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            const message = this.xmlValues(text, 'Message')[0] || this.xmlValues(text, 'Code')[0] || response.statusText;
+            const error = new Error(`Remote storage ${method} failed (${response.status}): ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    // Path-style URL (endpoint/bucket/key), which MinIO and other stand-ins expect
+    objectUrl(key, query = {}) {
+        const path = [this.config.bucket, ...key.split('/')].map(segment => this.encodeRfc3986(segment)).join('/');
+        const url = new URL(`${this.config.endpoint}/${path}`);
+        Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+        return url;
+    }
+
+    /**
+     * AWS Signature Version 4 header signing. Bodies are sent as UNSIGNED-PAYLOAD so large
+     * parts don't have to be hashed in the page
+     */
+    async sign(method, url, headers) {
+        const { amzDate, dateStamp } = this.timestamps();
+        const signedHeadersMap = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+            host: url.host,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+            'x-amz-date': amzDate
+        };
+        const names = Object.keys(signedHeadersMap).sort();
+        const signedHeaders = names.join(';');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            this.canonicalQuery(url),
+            names.map(name => `${name}:${signedHeadersMap[name]}\n`).join(''),
+            signedHeaders,
+            'UNSIGNED-PAYLOAD'
+        ].join('\n');
+
+        const scope = `${dateStamp}/${this.config.region}/s3/aws4_request`;
+        const signature = await this.signature(dateStamp, canonicalRequest, amzDate, scope);
+
+        // The browser sets Host itself
+        const { host, ...sendHeaders } = signedHeadersMap;
+        return {
+            ...sendHeaders,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${this.config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    // Query-string signed GET URL, usable by <video>, <img> and download links
+    async presignedUrl(key, query = {}) {
+        const { amzDate, dateStamp } = this.timestamps();
+        const scope = `${dateStamp}/${this.config.region}/s3/aws4_request`;
+        const url = this.objectUrl(key, {
+            ...query,
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.config.accessKeyId}/${scope}`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(this.urlExpiry),
+            'X-Amz-SignedHeaders': 'host'
+        });
+
+        const canonicalRequest = [
+            'GET',
+            url.pathname,
+            this.canonicalQuery(url),
+            `host:${url.host}\n`,
+            'host',
+            'UNSIGNED-PAYLOAD'
+        ].join('\n');
+
+        url.searchParams.set('X-Amz-Signature', await this.signature(dateStamp, canonicalRequest, amzDate, scope));
+        return url.toString();
+    }
+
+    async signature(dateStamp, canonicalRequest, amzDate, scope) {
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalRequest)))
+        ].join('\n');
+
+        let key = new TextEncoder().encode('AWS4' + this.config.secretAccessKey);
+        for (const part of [dateStamp, this.config.region, 's3', 'aws4_request']) {
+            key = await this.hmac(key, part);
+        }
+        return this.toHex(await this.hmac(key, stringToSign));
+    }
+
+    async hmac(key, message) {
+        const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message)));
+    }
+
+    canonicalQuery(url) {
+        return [...url.searchParams.entries()]
+            .map(([name, value]) => [this.encodeRfc3986(name), this.encodeRfc3986(value)])
+            .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+    }
+
+    timestamps() {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        return { amzDate, dateStamp: amzDate.slice(0, 8) };
+    }
+
+    encodeRfc3986(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    }
+
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // S3 responses are flat enough to read tag values without a full XML parser
+    xmlValues(xml, tag) {
+        const values = [];
+        const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+        let match;
+        while ((match = pattern.exec(xml || '')) !== null) {
+            values.push(match[1]
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, "'")
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&'));
+        }
+        return values;
+    }
+
+    escapeXml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    generateFileId() {
+        return 's3_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Make the backend available to StorageManager's remote storage settings
+if (typeof StorageManager !== 'undefined') {
+    StorageManager.registerRemoteBackend('s3', S3Backend);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = S3Backend;
+}
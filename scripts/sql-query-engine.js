@@ -0,0 +1,1106 @@
+/**
+ * SQL Query Engine
+ * Runs SELECT statements in the browser over tables produced by
+ * JSONConverter.convertToSQL or parseSQLFile
+ */
+
+class SQLQueryEngine {
+    constructor(tables = [], relationships = []) {
+        this.tables = new Map();
+        this.relationships = relationships;
+
+        tables.forEach(table => this.registerTable(table));
+    }
+
+    /**
+     * Build an engine from a convertToSQL structure (string columns, columnTypes map)
+     * @param {Object} sqlStructure - Output of JSONConverter.convertToSQL
+     * @returns {SQLQueryEngine}
+     */
+    static fromConvertedStructure(sqlStructure) {
+        const tables = (sqlStructure.tables || []).map(table => ({
+            name: table.name,
+            columns: table.columns.map(col => (
+                typeof col === 'string'
+                    ? { name: col, type: (table.columnTypes && table.columnTypes[col]) || 'TEXT' }
+                    : col
+            )),
+            rows: table.rows
+        }));
+
+        return new SQLQueryEngine(tables, sqlStructure.relationships || []);
+    }
+
+    /**
+     * Build an engine from parseSQLFile output ({ name, type } columns, string cells)
+     * @param {Object} parsedData - Output of parseSQLFile
+     * @returns {SQLQueryEngine}
+     */
+    static fromParsedSQL(parsedData) {
+        const tables = (parsedData.tables || []).map(table => ({
+            name: table.name,
+            columns: table.columns,
+            rows: table.rows.map(row => table.columns.map((col, i) =>
+                SQLQueryEngine._coerceParsedValue(row[i], col.type)
+            ))
+        }));
+
+        return new SQLQueryEngine(tables, parsedData.relationships || []);
+    }
+
+    /**
+     * Convert a raw parseSQLFile cell into a typed value
+     */
+    static _coerceParsedValue(value, type = '') {
+        if (value === undefined || value === null || value === 'NULL') return null;
+        if (typeof value !== 'string') return value;
+
+        if (/INT|DECIMAL|NUMERIC|REAL|FLOAT|DOUBLE|NUMBER/i.test(type) && value.trim() !== '' && !isNaN(value)) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Register (or replace) a table the engine can query
+     * @param {Object} table - { name, columns: [{ name, type }], rows: [[...]] }
+     */
+    registerTable(table) {
+        this.tables.set(table.name.toLowerCase(), table);
+    }
+
+    /**
+     * Execute a SELECT statement
+     * @param {String} sql - The query text
+     * @returns {Object} Result table: { name, columns: [{ name, type }], rows, rawSql }
+     */
+    execute(sql) {
+        const query = this.parse(sql);
+        const sources = this._resolveSources(query);
+        let rows = this._buildJoinedRows(query, sources);
+
+        if (query.where) {
+            rows = rows.filter(row => this._truthy(this._evaluate(query.where, row)));
+        }
+
+        const isAggregate = query.groupBy.length > 0 ||
+            query.columns.some(col => col.expr && this._containsAggregate(col.expr)) ||
+            (query.having && this._containsAggregate(query.having));
+
+        const outputColumns = this._expandSelectList(query.columns, sources);
+        let resultRows;
+
+        if (isAggregate) {
+            resultRows = this._executeGrouped(query, rows, outputColumns, sources);
+        } else {
+            resultRows = rows.map(row => ({
+                context: row,
+                values: outputColumns.map(col => this._evaluate(col.expr, row))
+            }));
+        }
+
+        if (query.distinct) {
+            const seen = new Set();
+            resultRows = resultRows.filter(result => {
+                const key = JSON.stringify(result.values);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (query.orderBy.length > 0) {
+            this._sortResults(resultRows, query.orderBy, outputColumns);
+        }
+
+        const offset = query.offset || 0;
+        if (query.limit !== null || offset > 0) {
+            const end = query.limit !== null ? offset + query.limit : undefined;
+            resultRows = resultRows.slice(offset, end);
+        }
+
+        const rowsOut = resultRows.map(result => result.values);
+
+        return {
+            name: 'query_result',
+            columns: outputColumns.map((col, i) => ({
+                name: col.name,
+                type: col.type || this._inferResultType(rowsOut, i)
+            })),
+            rows: rowsOut,
+            rawSql: sql.trim()
+        };
+    }
+
+    // ==================== PARSER ====================
+
+    /**
+     * Parse a SELECT statement into a query tree
+     */
+    parse(sql) {
+        this._tokens = this._tokenize(sql);
+        this._pos = 0;
+
+        this._expectKeyword('SELECT');
+        const query = {
+            distinct: false,
+            columns: [],
+            from: null,
+            joins: [],
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: null
+        };
+
+        if (this._matchKeyword('DISTINCT')) {
+            query.distinct = true;
+        }
+
+        query.columns = this._parseSelectList();
+
+        this._expectKeyword('FROM');
+        query.from = this._parseTableRef();
+
+        while (this._peekJoin()) {
+            query.joins.push(this._parseJoin());
+        }
+
+        if (this._matchKeyword('WHERE')) {
+            query.where = this._parseExpression();
+        }
+
+        if (this._matchKeyword('GROUP')) {
+            this._expectKeyword('BY');
+            do {
+                query.groupBy.push(this._parseExpression());
+            } while (this._matchPunct(','));
+        }
+
+        if (this._matchKeyword('HAVING')) {
+            query.having = this._parseExpression();
+        }
+
+        if (this._matchKeyword('ORDER')) {
+            this._expectKeyword('BY');
+            do {
+                const expr = this._parseExpression();
+                let direction = 'ASC';
+                if (this._matchKeyword('DESC')) direction = 'DESC';
+                else this._matchKeyword('ASC');
+                query.orderBy.push({ expr, direction });
+            } while (this._matchPunct(','));
+        }
+
+        if (this._matchKeyword('LIMIT')) {
+            query.limit = this._expectNumber();
+            if (this._matchKeyword('OFFSET')) {
+                query.offset = this._expectNumber();
+            } else if (this._matchPunct(',')) {
+                // MySQL form: LIMIT offset, count
+                query.offset = query.limit;
+                query.limit = this._expectNumber();
+            }
+        }
+
+        this._matchPunct(';');
+        if (this._pos < this._tokens.length) {
+            throw new Error(`Unexpected token "${this._tokens[this._pos].value}"`);
+        }
+
+        return query;
+    }
+
+    _tokenize(sql) {
+        const tokens = [];
+        const keywords = new Set([
+            'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC',
+            'LIMIT', 'OFFSET', 'JOIN', 'INNER', 'LEFT', 'OUTER', 'CROSS', 'ON', 'AS', 'AND', 'OR',
+            'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'TRUE', 'FALSE', 'CASE', 'WHEN', 'THEN',
+            'ELSE', 'END'
+        ]);
+        let i = 0;
+
+        while (i < sql.length) {
+            const char = sql[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '-' && sql[i + 1] === '-') {
+                while (i < sql.length && sql[i] !== '\n') i++;
+            } else if (char === "'") {
+                let value = '';
+                i++;
+                while (i < sql.length) {
+                    if (sql[i] === "'" && sql[i + 1] === "'") {
+                        value += "'";
+                        i += 2;
+                    } else if (sql[i] === "'") {
+                        break;
+                    } else {
+                        value += sql[i++];
+                    }
+                }
+                if (i >= sql.length) throw new Error('Unterminated string literal');
+                i++;
+                tokens.push({ type: 'string', value });
+            } else if (char === '"' || char === '`' || char === '[') {
+                const close = char === '[' ? ']' : char;
+                const end = sql.indexOf(close, i + 1);
+                if (end === -1) throw new Error('Unterminated quoted identifier');
+                tokens.push({ type: 'identifier', value: sql.slice(i + 1, end) });
+                i = end + 1;
+            } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1]))) {
+                const match = sql.slice(i).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+                tokens.push({ type: 'number', value: Number(match[0]) });
+                i += match[0].length;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = sql.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+                const word = match[0];
+                const upper = word.toUpperCase();
+                tokens.push(keywords.has(upper)
+                    ? { type: 'keyword', value: upper }
+                    : { type: 'identifier', value: word });
+                i += word.length;
+            } else {
+                const twoChar = sql.slice(i, i + 2);
+                if (['<=', '>=', '<>', '!=', '||'].includes(twoChar)) {
+                    tokens.push({ type: 'operator', value: twoChar });
+                    i += 2;
+                } else if ('=<>+-*/%'.includes(char)) {
+                    tokens.push({ type: 'operator', value: char });
+                    i++;
+                } else if ('(),.;'.includes(char)) {
+                    tokens.push({ type: 'punct', value: char });
+                    i++;
+                } else {
+                    throw new Error(`Unexpected character "${char}"`);
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    _peek(offset = 0) {
+        return this._tokens[this._pos + offset];
+    }
+
+    _isKeyword(token, keyword) {
+        return token && token.type === 'keyword' && token.value === keyword;
+    }
+
+    _matchKeyword(keyword) {
+        if (this._isKeyword(this._peek(), keyword)) {
+            this._pos++;
+            return true;
+        }
+        return false;
+    }
+
+    _expectKeyword(keyword) {
+        if (!this._matchKeyword(keyword)) {
+            const token = this._peek();
+            throw new Error(`Expected ${keyword} but found ${token ? `"${token.value}"` : 'end of query'}`);
+        }
+    }
+
+    _matchPunct(value) {
+        const token = this._peek();
+        if (token && token.type === 'punct' && token.value === value) {
+            this._pos++;
+            return true;
+        }
+        return false;
+    }
+
+    _expectPunct(value) {
+        if (!this._matchPunct(value)) {
+            const token = this._peek();
+            throw new Error(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of query'}`);
+        }
+    }
+
+    _matchOperator(...values) {
+        const token = this._peek();
+        if (token && token.type === 'operator' && values.includes(token.value)) {
+            this._pos++;
+            return token.value;
+        }
+        return null;
+    }
+
+    _expectNumber() {
+        const token = this._peek();
+        if (!token || token.type !== 'number') {
+            throw new Error('Expected a number');
+        }
+        this._pos++;
+        return token.value;
+    }
+
+    _expectIdentifier() {
+        const token = this._peek();
+        if (!token || token.type !== 'identifier') {
+            throw new Error(`Expected an identifier but found ${token ? `"${token.value}"` : 'end of query'}`);
+        }
+        this._pos++;
+        return token.value;
+    }
+
+    _parseSelectList() {
+        const columns = [];
+
+        do {
+            const token = this._peek();
+            if (token && token.type === 'operator' && token.value === '*') {
+                this._pos++;
+                columns.push({ star: true, table: null });
+                continue;
+            }
+
+            // table.* form
+            const next = this._peek(1);
+            const afterNext = this._peek(2);
+            if (token && token.type === 'identifier' && next && next.value === '.' &&
+                afterNext && afterNext.type === 'operator' && afterNext.value === '*') {
+                this._pos += 3;
+                columns.push({ star: true, table: token.value });
+                continue;
+            }
+
+            const expr = this._parseExpression();
+            let alias = null;
+            if (this._matchKeyword('AS')) {
+                alias = this._expectIdentifier();
+            } else if (this._peek() && this._peek().type === 'identifier') {
+                alias = this._expectIdentifier();
+            }
+            columns.push({ expr, alias });
+        } while (this._matchPunct(','));
+
+        return columns;
+    }
+
+    _parseTableRef() {
+        const name = this._expectIdentifier();
+        let alias = name;
+
+        if (this._matchKeyword('AS')) {
+            alias = this._expectIdentifier();
+        } else if (this._peek() && this._peek().type === 'identifier') {
+            alias = this._expectIdentifier();
+        }
+
+        return { name, alias };
+    }
+
+    _peekJoin() {
+        const token = this._peek();
+        return this._isKeyword(token, 'JOIN') || this._isKeyword(token, 'INNER') ||
+            this._isKeyword(token, 'LEFT') || this._isKeyword(token, 'CROSS');
+    }
+
+    _parseJoin() {
+        let type = 'INNER';
+
+        if (this._matchKeyword('LEFT')) {
+            type = 'LEFT';
+            this._matchKeyword('OUTER');
+        } else if (this._matchKeyword('CROSS')) {
+            type = 'CROSS';
+        } else {
+            this._matchKeyword('INNER');
+        }
+        this._expectKeyword('JOIN');
+
+        const table = this._parseTableRef();
+        let on = null;
+        if (type !== 'CROSS' && this._matchKeyword('ON')) {
+            on = this._parseExpression();
+        }
+
+        return { type, table, on };
+    }
+
+    _parseExpression() {
+        return this._parseOr();
+    }
+
+    _parseOr() {
+        let left = this._parseAnd();
+        while (this._matchKeyword('OR')) {
+            left = { type: 'binary', op: 'OR', left, right: this._parseAnd() };
+        }
+        return left;
+    }
+
+    _parseAnd() {
+        let left = this._parseNot();
+        while (this._matchKeyword('AND')) {
+            left = { type: 'binary', op: 'AND', left, right: this._parseNot() };
+        }
+        return left;
+    }
+
+    _parseNot() {
+        if (this._matchKeyword('NOT')) {
+            return { type: 'not', expr: this._parseNot() };
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parseAdditive();
+
+        const op = this._matchOperator('=', '!=', '<>', '<', '<=', '>', '>=');
+        if (op) {
+            return { type: 'binary', op: op === '<>' ? '!=' : op, left, right: this._parseAdditive() };
+        }
+
+        if (this._matchKeyword('IS')) {
+            const negate = this._matchKeyword('NOT');
+            this._expectKeyword('NULL');
+            return { type: 'isNull', expr: left, negate };
+        }
+
+        const negate = this._matchKeyword('NOT');
+
+        if (this._matchKeyword('IN')) {
+            this._expectPunct('(');
+            const list = [];
+            do {
+                list.push(this._parseExpression());
+            } while (this._matchPunct(','));
+            this._expectPunct(')');
+            return { type: 'in', expr: left, list, negate };
+        }
+
+        if (this._matchKeyword('BETWEEN')) {
+            const low = this._parseAdditive();
+            this._expectKeyword('AND');
+            const high = this._parseAdditive();
+            return { type: 'between', expr: left, low, high, negate };
+        }
+
+        if (this._matchKeyword('LIKE')) {
+            return { type: 'like', expr: left, pattern: this._parseAdditive(), negate };
+        }
+
+        if (negate) {
+            throw new Error('Expected IN, BETWEEN or LIKE after NOT');
+        }
+
+        return left;
+    }
+
+    _parseAdditive() {
+        let left = this._parseMultiplicative();
+        let op;
+        while ((op = this._matchOperator('+', '-', '||'))) {
+            left = { type: 'binary', op, left, right: this._parseMultiplicative() };
+        }
+        return left;
+    }
+
+    _parseMultiplicative() {
+        let left = this._parseUnary();
+        let op;
+        while ((op = this._matchOperator('*', '/', '%'))) {
+            left = { type: 'binary', op, left, right: this._parseUnary() };
+        }
+        return left;
+    }
+
+    _parseUnary() {
+        if (this._matchOperator('-')) {
+            return { type: 'negate', expr: this._parseUnary() };
+        }
+        this._matchOperator('+');
+        return this._parsePrimary();
+    }
+
+    _parsePrimary() {
+        const token = this._peek();
+        if (!token) throw new Error('Unexpected end of query');
+
+        if (token.type === 'number' || token.type === 'string') {
+            this._pos++;
+            return { type: 'literal', value: token.value };
+        }
+
+        if (this._matchKeyword('NULL')) return { type: 'literal', value: null };
+        if (this._matchKeyword('TRUE')) return { type: 'literal', value: true };
+        if (this._matchKeyword('FALSE')) return { type: 'literal', value: false };
+
+        if (this._matchKeyword('CASE')) {
+            return this._parseCase();
+        }
+
+        if (this._matchPunct('(')) {
+            const expr = this._parseExpression();
+            this._expectPunct(')');
+            return expr;
+        }
+
+        if (token.type === 'identifier') {
+            this._pos++;
+
+            // Function call
+            if (this._matchPunct('(')) {
+                const name = token.value.toUpperCase();
+                const call = { type: 'function', name, args: [], distinct: false, star: false };
+
+                if (this._matchOperator('*')) {
+                    call.star = true;
+                } else if (!this._matchPunct(')')) {
+                    call.distinct = this._matchKeyword('DISTINCT');
+                    do {
+                        call.args.push(this._parseExpression());
+                    } while (this._matchPunct(','));
+                    this._expectPunct(')');
+                    return call;
+                } else {
+                    return call;
+                }
+                this._expectPunct(')');
+                return call;
+            }
+
+            // Qualified column reference
+            if (this._matchPunct('.')) {
+                return { type: 'column', table: token.value, name: this._expectIdentifier() };
+            }
+
+            return { type: 'column', table: null, name: token.value };
+        }
+
+        throw new Error(`Unexpected token "${token.value}"`);
+    }
+
+    _parseCase() {
+        const node = { type: 'case', operand: null, branches: [], otherwise: null };
+
+        if (!this._isKeyword(this._peek(), 'WHEN')) {
+            node.operand = this._parseExpression();
+        }
+
+        while (this._matchKeyword('WHEN')) {
+            const when = this._parseExpression();
+            this._expectKeyword('THEN');
+            node.branches.push({ when, then: this._parseExpression() });
+        }
+
+        if (this._matchKeyword('ELSE')) {
+            node.otherwise = this._parseExpression();
+        }
+        this._expectKeyword('END');
+
+        return node;
+    }
+
+    // ==================== EXECUTION ====================
+
+    /**
+     * Look up every table referenced in FROM / JOIN
+     */
+    _resolveSources(query) {
+        const refs = [query.from, ...query.joins.map(join => join.table)];
+
+        return refs.map(ref => {
+            const table = this.tables.get(ref.name.toLowerCase());
+            if (!table) {
+                throw new Error(`Unknown table "${ref.name}"`);
+            }
+            return {
+                alias: ref.alias,
+                table: table,
+                columnNames: table.columns.map(col => col.name)
+            };
+        });
+    }
+
+    /**
+     * Produce the joined row set as { alias: { column: value } } contexts
+     */
+    _buildJoinedRows(query, sources) {
+        const toRecord = (source, row) => {
+            const record = {};
+            source.columnNames.forEach((name, i) => {
+                record[name] = row[i] !== undefined ? row[i] : null;
+            });
+            return record;
+        };
+
+        const nullRecord = (source) => {
+            const record = {};
+            source.columnNames.forEach(name => { record[name] = null; });
+            return record;
+        };
+
+        const base = sources[0];
+        let rows = base.table.rows.map(row => ({
+            __sources: sources.slice(0, 1),
+            [base.alias]: toRecord(base, row)
+        }));
+
+        query.joins.forEach((join, joinIndex) => {
+            const source = sources[joinIndex + 1];
+            const joinedSources = sources.slice(0, joinIndex + 2);
+            const condition = join.type === 'CROSS'
+                ? null
+                : (join.on || this._implicitJoinCondition(sources.slice(0, joinIndex + 1), source));
+            const rightRecords = source.table.rows.map(row => toRecord(source, row));
+            const nextRows = [];
+
+            rows.forEach(leftRow => {
+                let matched = false;
+
+                rightRecords.forEach(record => {
+                    const candidate = { ...leftRow, __sources: joinedSources, [source.alias]: record };
+                    if (!condition || this._truthy(this._evaluate(condition, candidate))) {
+                        nextRows.push(candidate);
+                        matched = true;
+                    }
+                });
+
+                if (!matched && join.type === 'LEFT') {
+                    nextRows.push({ ...leftRow, __sources: joinedSources, [source.alias]: nullRecord(source) });
+                }
+            });
+
+            rows = nextRows;
+        });
+
+        return rows;
+    }
+
+    /**
+     * Derive an ON clause from the converter's relationships when none is given
+     */
+    _implicitJoinCondition(leftSources, rightSource) {
+        const rightName = rightSource.table.name;
+
+        for (const left of leftSources) {
+            const leftName = left.table.name;
+            const relationship = this.relationships.find(rel =>
+                (rel.from === leftName && rel.to === rightName) ||
+                (rel.from === rightName && rel.to === leftName)
+            );
+            if (!relationship) continue;
+
+            const fk = relationship.foreignKey;
+            let child = null;
+            let parent = null;
+
+            if (rightSource.columnNames.includes(fk)) {
+                child = rightSource;
+                parent = left;
+            } else if (left.columnNames.includes(fk)) {
+                child = left;
+                parent = rightSource;
+            }
+
+            if (child) {
+                const parentKey = relationship.references || 'id';
+                return {
+                    type: 'binary',
+                    op: '=',
+                    left: { type: 'column', table: child.alias, name: fk },
+                    right: { type: 'column', table: parent.alias, name: parentKey }
+                };
+            }
+        }
+
+        throw new Error(`No relationship found to join "${rightName}"; add an ON clause`);
+    }
+
+    /**
+     * Expand * and table.* into concrete output columns
+     */
+    _expandSelectList(columns, sources) {
+        const output = [];
+
+        columns.forEach(col => {
+            if (col.star) {
+                const targets = col.table
+                    ? sources.filter(s => s.alias.toLowerCase() === col.table.toLowerCase())
+                    : sources;
+                if (targets.length === 0) {
+                    throw new Error(`Unknown table "${col.table}" in select list`);
+                }
+                targets.forEach(source => {
+                    source.table.columns.forEach(column => {
+                        output.push({
+                            name: sources.length > 1 && !col.table ? `${source.alias}.${column.name}` : column.name,
+                            type: column.type,
+                            expr: { type: 'column', table: source.alias, name: column.name }
+                        });
+                    });
+                });
+                return;
+            }
+
+            output.push({
+                name: col.alias || this._expressionLabel(col.expr),
+                type: col.expr.type === 'column' ? this._columnType(col.expr, sources) : null,
+                expr: col.expr
+            });
+        });
+
+        return output;
+    }
+
+    _columnType(ref, sources) {
+        const source = ref.table
+            ? sources.find(s => s.alias.toLowerCase() === ref.table.toLowerCase())
+            : sources.find(s => s.columnNames.includes(ref.name));
+        if (!source) return null;
+        const column = source.table.columns.find(col => col.name === ref.name);
+        return column ? column.type : null;
+    }
+
+    _expressionLabel(expr) {
+        switch (expr.type) {
+            case 'column':
+                return expr.name;
+            case 'function':
+                if (expr.star) return `${expr.name}(*)`;
+                return `${expr.name}(${expr.distinct ? 'DISTINCT ' : ''}${expr.args.map(arg => this._expressionLabel(arg)).join(', ')})`;
+            case 'literal':
+                return expr.value === null ? 'NULL' : String(expr.value);
+            case 'binary':
+                return `${this._expressionLabel(expr.left)} ${expr.op} ${this._expressionLabel(expr.right)}`;
+            default:
+                return 'expr';
+        }
+    }
+
+    _executeGrouped(query, rows, outputColumns, sources) {
+        const groups = new Map();
+
+        if (query.groupBy.length === 0) {
+            groups.set('__all__', rows);
+        } else {
+            rows.forEach(row => {
+                const key = JSON.stringify(query.groupBy.map(expr => this._evaluate(expr, row)));
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+        }
+
+        const results = [];
+        groups.forEach(groupRows => {
+            const emptyContext = { __sources: sources };
+            sources.forEach(source => {
+                emptyContext[source.alias] = {};
+                source.columnNames.forEach(name => { emptyContext[source.alias][name] = null; });
+            });
+
+            const context = {
+                ...(groupRows[0] || emptyContext),
+                __group: groupRows
+            };
+
+            if (query.having && !this._truthy(this._evaluate(query.having, context))) {
+                return;
+            }
+
+            results.push({
+                context,
+                values: outputColumns.map(col => this._evaluate(col.expr, context))
+            });
+        });
+
+        return results;
+    }
+
+    _sortResults(results, orderBy, outputColumns) {
+        const keyFor = (result, item) => {
+            const expr = item.expr;
+
+            // ORDER BY 2 refers to the second output column
+            if (expr.type === 'literal' && typeof expr.value === 'number') {
+                return result.values[expr.value - 1];
+            }
+
+            // ORDER BY alias
+            if (expr.type === 'column' && !expr.table) {
+                const index = outputColumns.findIndex(col => col.name === expr.name);
+                if (index !== -1) return result.values[index];
+            }
+
+            return this._evaluate(expr, result.context);
+        };
+
+        results.sort((a, b) => {
+            for (const item of orderBy) {
+                const cmp = this._compare(keyFor(a, item), keyFor(b, item));
+                if (cmp !== 0) return item.direction === 'DESC' ? -cmp : cmp;
+            }
+            return 0;
+        });
+    }
+
+    _containsAggregate(expr) {
+        if (!expr || typeof expr !== 'object') return false;
+        if (expr.type === 'function' && SQLQueryEngine.AGGREGATES.includes(expr.name)) return true;
+
+        return Object.values(expr).some(value => {
+            if (Array.isArray(value)) return value.some(item => this._containsAggregate(item));
+            return typeof value === 'object' && value !== null && this._containsAggregate(value);
+        });
+    }
+
+    /**
+     * Evaluate an expression node against a row context
+     */
+    _evaluate(expr, row) {
+        switch (expr.type) {
+            case 'literal':
+                return expr.value;
+
+            case 'column':
+                return this._resolveColumn(expr, row);
+
+            case 'negate': {
+                const value = this._evaluate(expr.expr, row);
+                return value === null ? null : -Number(value);
+            }
+
+            case 'not': {
+                const value = this._evaluate(expr.expr, row);
+                return value === null ? null : !this._truthy(value);
+            }
+
+            case 'isNull': {
+                const isNull = this._evaluate(expr.expr, row) === null;
+                return expr.negate ? !isNull : isNull;
+            }
+
+            case 'in': {
+                const value = this._evaluate(expr.expr, row);
+                if (value === null) return null;
+                const found = expr.list.some(item => this._compare(value, this._evaluate(item, row)) === 0);
+                return expr.negate ? !found : found;
+            }
+
+            case 'between': {
+                const value = this._evaluate(expr.expr, row);
+                if (value === null) return null;
+                const inRange = this._compare(value, this._evaluate(expr.low, row)) >= 0 &&
+                    this._compare(value, this._evaluate(expr.high, row)) <= 0;
+                return expr.negate ? !inRange : inRange;
+            }
+
+            case 'like': {
+                const value = this._evaluate(expr.expr, row);
+                const pattern = this._evaluate(expr.pattern, row);
+                if (value === null || pattern === null) return null;
+                const regex = new RegExp('^' + String(pattern)
+                    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                    .replace(/%/g, '.*')
+                    .replace(/_/g, '.') + '$', 'i');
+                const matches = regex.test(String(value));
+                return expr.negate ? !matches : matches;
+            }
+
+            case 'case':
+                return this._evaluateCase(expr, row);
+
+            case 'binary':
+                return this._evaluateBinary(expr, row);
+
+            case 'function':
+                return this._evaluateFunction(expr, row);
+
+            default:
+                throw new Error(`Unsupported expression "${expr.type}"`);
+        }
+    }
+
+    _resolveColumn(ref, row) {
+        const sources = row.__sources || [];
+
+        if (ref.table) {
+            const source = sources.find(s => s.alias.toLowerCase() === ref.table.toLowerCase());
+            if (!source) throw new Error(`Unknown table "${ref.table}"`);
+            if (!source.columnNames.includes(ref.name)) {
+                throw new Error(`Unknown column "${ref.table}.${ref.name}"`);
+            }
+            return row[source.alias][ref.name];
+        }
+
+        const matches = sources.filter(s => s.columnNames.includes(ref.name));
+        if (matches.length === 0) throw new Error(`Unknown column "${ref.name}"`);
+        if (matches.length > 1) throw new Error(`Column "${ref.name}" is ambiguous; qualify it with a table name`);
+
+        return row[matches[0].alias][ref.name];
+    }
+
+    _evaluateCase(expr, row) {
+        const operand = expr.operand ? this._evaluate(expr.operand, row) : undefined;
+
+        for (const branch of expr.branches) {
+            const when = this._evaluate(branch.when, row);
+            const hit = expr.operand ? this._compare(operand, when) === 0 && when !== null : this._truthy(when);
+            if (hit) return this._evaluate(branch.then, row);
+        }
+
+        return expr.otherwise ? this._evaluate(expr.otherwise, row) : null;
+    }
+
+    _evaluateBinary(expr, row) {
+        if (expr.op === 'AND') {
+            const left = this._evaluate(expr.left, row);
+            if (left !== null && !this._truthy(left)) return false;
+            const right = this._evaluate(expr.right, row);
+            if (right !== null && !this._truthy(right)) return false;
+            return left === null || right === null ? null : true;
+        }
+
+        if (expr.op === 'OR') {
+            const left = this._evaluate(expr.left, row);
+            if (left !== null && this._truthy(left)) return true;
+            const right = this._evaluate(expr.right, row);
+            if (right !== null && this._truthy(right)) return true;
+            return left === null || right === null ? null : false;
+        }
+
+        const left = this._evaluate(expr.left, row);
+        const right = this._evaluate(expr.right, row);
+        if (left === null || right === null) return null;
+
+        switch (expr.op) {
+            case '=': return this._compare(left, right) === 0;
+            case '!=': return this._compare(left, right) !== 0;
+            case '<': return this._compare(left, right) < 0;
+            case '<=': return this._compare(left, right) <= 0;
+            case '>': return this._compare(left, right) > 0;
+            case '>=': return this._compare(left, right) >= 0;
+            case '||': return String(left) + String(right);
+            case '+': return Number(left) + Number(right);
+            case '-': return Number(left) - Number(right);
+            case '*': return Number(left) * Number(right);
+            case '/': return Number(right) === 0 ? null : Number(left) / Number(right);
+            case '%': return Number(right) === 0 ? null : Number(left) % Number(right);
+            default:
+                throw new Error(`Unsupported operator "${expr.op}"`);
+        }
+    }
+
+    _evaluateFunction(expr, row) {
+        if (SQLQueryEngine.AGGREGATES.includes(expr.name)) {
+            return this._evaluateAggregate(expr, row);
+        }
+
+        const args = expr.args.map(arg => this._evaluate(arg, row));
+        const [first] = args;
+
+        switch (expr.name) {
+            case 'UPPER': return first === null ? null : String(first).toUpperCase();
+            case 'LOWER': return first === null ? null : String(first).toLowerCase();
+            case 'LENGTH': return first === null ? null : String(first).length;
+            case 'TRIM': return first === null ? null : String(first).trim();
+            case 'ABS': return first === null ? null : Math.abs(Number(first));
+            case 'ROUND': {
+                if (first === null) return null;
+                const factor = Math.pow(10, args[1] || 0);
+                return Math.round(Number(first) * factor) / factor;
+            }
+            case 'SUBSTR':
+            case 'SUBSTRING': {
+                if (first === null) return null;
+                const start = Math.max((args[1] || 1) - 1, 0);
+                return args[2] === undefined
+                    ? String(first).substr(start)
+                    : String(first).substr(start, args[2]);
+            }
+            case 'COALESCE':
+            case 'IFNULL': {
+                const value = args.find(arg => arg !== null);
+                return value === undefined ? null : value;
+            }
+            default:
+                throw new Error(`Unknown function "${expr.name}"`);
+        }
+    }
+
+    _evaluateAggregate(expr, row) {
+        const groupRows = row.__group;
+        if (!groupRows) {
+            throw new Error(`Aggregate ${expr.name}() is not allowed here`);
+        }
+
+        if (expr.star) {
+            if (expr.name !== 'COUNT') throw new Error(`${expr.name}(*) is not supported`);
+            return groupRows.length;
+        }
+
+        let values = groupRows
+            .map(groupRow => this._evaluate(expr.args[0], groupRow))
+            .filter(value => value !== null && value !== undefined);
+
+        if (expr.distinct) {
+            values = [...new Set(values.map(value => JSON.stringify(value)))].map(value => JSON.parse(value));
+        }
+
+        switch (expr.name) {
+            case 'COUNT':
+                return values.length;
+            case 'SUM':
+                return values.length === 0 ? null : values.reduce((sum, value) => sum + Number(value), 0);
+            case 'AVG':
+                return values.length === 0 ? null : values.reduce((sum, value) => sum + Number(value), 0) / values.length;
+            case 'MIN':
+                return values.length === 0 ? null : values.reduce((min, value) => this._compare(value, min) < 0 ? value : min);
+            case 'MAX':
+                return values.length === 0 ? null : values.reduce((max, value) => this._compare(value, max) > 0 ? value : max);
+            default:
+                throw new Error(`Unknown aggregate "${expr.name}"`);
+        }
+    }
+
+    /**
+     * Compare two values; numbers numerically, everything else as strings. NULLs sort first.
+     */
+    _compare(a, b) {
+        if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+        if (b === null || b === undefined) return 1;
+
+        if (typeof a === 'boolean') a = a ? 1 : 0;
+        if (typeof b === 'boolean') b = b ? 1 : 0;
+
+        const numA = typeof a === 'number' ? a : (a !== '' && !isNaN(a) ? Number(a) : NaN);
+        const numB = typeof b === 'number' ? b : (b !== '' && !isNaN(b) ? Number(b) : NaN);
+        if (!isNaN(numA) && !isNaN(numB)) {
+            return numA === numB ? 0 : (numA < numB ? -1 : 1);
+        }
+
+        const strA = String(a);
+        const strB = String(b);
+        return strA === strB ? 0 : (strA < strB ? -1 : 1);
+    }
+
+    _truthy(value) {
+        if (value === null || value === undefined) return false;
+        if (typeof value === 'string') return value !== '' && value !== '0';
+        return Boolean(value);
+    }
+
+    _inferResultType(rows, index) {
+        const value = rows.map(row => row[index]).find(v => v !== null && v !== undefined);
+        if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'REAL';
+        if (typeof value === 'boolean') return 'BOOLEAN';
+        return 'TEXT';
+    }
+}
+
+SQLQueryEngine.AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SQLQueryEngine;
+}
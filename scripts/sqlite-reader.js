@@ -0,0 +1,534 @@
+/**
+ * SQLite Reader Utility
+ * Pure-JS reader for the SQLite 3 database file format: lists tables, indexes
+ * and views from sqlite_schema and pages through table rows without loading
+ * the whole database into memory
+ */
+
+class SQLiteReader {
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw database file
+     */
+    constructor(buffer) {
+        this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+
+        if (!SQLiteReader.isSQLiteFile(this.bytes)) {
+            throw new Error('Not a SQLite 3 database file');
+        }
+
+        const rawPageSize = this.view.getUint16(16);
+        this.pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+        this.reservedBytes = this.bytes[20];
+        this.usableSize = this.pageSize - this.reservedBytes;
+        this.pageCount = Math.floor(this.bytes.length / this.pageSize);
+        this.sqliteVersion = this.view.getUint32(96);
+
+        const encoding = this.view.getUint32(56);
+        this.encoding = encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8';
+        this.textDecoder = new TextDecoder(this.encoding);
+
+        this.schema = this._readSchema();
+    }
+
+    /**
+     * Check the 16-byte magic header
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file bytes
+     * @returns {Boolean}
+     */
+    static isSQLiteFile(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (bytes.length < 100) return false;
+        const magic = 'SQLite format 3\u0000';
+        for (let i = 0; i < magic.length; i++) {
+            if (bytes[i] !== magic.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Summary of the file for the viewer header
+     */
+    getInfo() {
+        const version = this.sqliteVersion;
+        return {
+            pageSize: this.pageSize,
+            pageCount: this.pageCount,
+            encoding: this.encoding.toUpperCase(),
+            sqliteVersion: version
+                ? `${Math.floor(version / 1000000)}.${Math.floor(version / 1000) % 1000}.${version % 1000}`
+                : 'unknown'
+        };
+    }
+
+    /**
+     * Tables with their parsed column definitions
+     * @returns {Array} [{ name, rootPage, sql, columns, withoutRowid, virtual }]
+     */
+    getTables() {
+        return this.schema.filter(entry => entry.type === 'table').map(entry => this._describeTable(entry));
+    }
+
+    getIndexes() {
+        return this.schema
+            .filter(entry => entry.type === 'index')
+            .map(entry => ({
+                name: entry.name,
+                tableName: entry.tblName,
+                rootPage: entry.rootPage,
+                sql: entry.sql,
+                automatic: !entry.sql
+            }));
+    }
+
+    getViews() {
+        return this.schema
+            .filter(entry => entry.type === 'view')
+            .map(entry => ({ name: entry.name, sql: entry.sql }));
+    }
+
+    getTable(tableName) {
+        const entry = this.schema.find(item =>
+            item.type === 'table' && item.name.toLowerCase() === String(tableName).toLowerCase());
+        if (!entry) {
+            throw new Error(`Unknown table "${tableName}"`);
+        }
+        return this._describeTable(entry);
+    }
+
+    /**
+     * Count rows without decoding any records
+     */
+    countRows(tableName) {
+        const table = this.getTable(tableName);
+        if (!table.rootPage) return 0;
+        return this._countCells(table.rootPage, 0);
+    }
+
+    /**
+     * Read one page of rows in storage (rowid / primary key) order
+     * @param {String} tableName - Table to read
+     * @param {Number} offset - Rows to skip
+     * @param {Number} limit - Maximum rows to return
+     * @returns {Object} { name, columns: [{name, type}], rows, rawSql, offset }
+     */
+    readRows(tableName, offset = 0, limit = 100) {
+        const table = this.getTable(tableName);
+        const rows = [];
+        let index = 0;
+
+        if (table.rootPage) {
+            for (const row of this._iterateTableRows(table)) {
+                if (index++ < offset) continue;
+                rows.push(row);
+                if (rows.length >= limit) break;
+            }
+        }
+
+        return {
+            name: table.name,
+            columns: table.columns.map(column => ({ name: column.name, type: column.type || 'ANY' })),
+            rows,
+            rawSql: table.sql,
+            offset
+        };
+    }
+
+    /**
+     * Iterate every row of a table as an array ordered like table.columns
+     */
+    *iterateRows(tableName) {
+        const table = this.getTable(tableName);
+        if (table.rootPage) {
+            yield* this._iterateTableRows(table);
+        }
+    }
+
+    // ==================== Schema ====================
+
+    _readSchema() {
+        const entries = [];
+        for (const { payload } of this._walkBTree(1, 0)) {
+            const [type, name, tblName, rootPage, sql] = this._decodeRecord(payload);
+            entries.push({ type, name, tblName, rootPage: Number(rootPage) || 0, sql });
+        }
+        return entries;
+    }
+
+    _describeTable(entry) {
+        const definition = entry.sql ? this._parseCreateTable(entry.sql) : { columns: [], withoutRowid: false, primaryKey: [] };
+        return {
+            name: entry.name,
+            rootPage: entry.rootPage,
+            sql: entry.sql,
+            columns: definition.columns,
+            primaryKey: definition.primaryKey,
+            withoutRowid: definition.withoutRowid,
+            virtual: /^\s*CREATE\s+VIRTUAL\s+TABLE/i.test(entry.sql || '')
+        };
+    }
+
+    /**
+     * Pull column names/types and key information out of a CREATE TABLE statement
+     */
+    _parseCreateTable(sql) {
+        const open = sql.indexOf('(');
+        const close = this._matchingParen(sql, open);
+        const body = open === -1 || close === -1 ? '' : sql.slice(open + 1, close);
+        const withoutRowid = close !== -1 && /WITHOUT\s+ROWID/i.test(sql.slice(close));
+
+        const columns = [];
+        let primaryKey = [];
+        const constraintStart = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY)\b/i;
+        const typeStop = /^(CONSTRAINT|PRIMARY|NOT|NULL|UNIQUE|CHECK|DEFAULT|COLLATE|REFERENCES|GENERATED|AS)$/i;
+
+        this._splitTopLevel(body).forEach(part => {
+            const definition = part.trim();
+            if (!definition) return;
+
+            if (constraintStart.test(definition)) {
+                const pkMatch = definition.match(/PRIMARY\s+KEY\s*\(([^)]*)\)/i);
+                if (pkMatch) {
+                    primaryKey = this._splitTopLevel(pkMatch[1])
+                        .map(name => this._unquote(name.trim().split(/\s+/)[0]));
+                }
+                return;
+            }
+
+            const nameMatch = definition.match(/^("(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|'(?:[^']|'')*'|[^\s(]+)\s*([\s\S]*)$/);
+            const name = this._unquote(nameMatch[1]);
+            const words = nameMatch[2].split(/\s+/).filter(Boolean);
+
+            const typeWords = [];
+            for (const word of words) {
+                if (typeStop.test(word)) break;
+                typeWords.push(word);
+            }
+
+            const rest = nameMatch[2];
+            const isPrimaryKey = /\bPRIMARY\s+KEY\b/i.test(rest);
+            if (isPrimaryKey) primaryKey = [name];
+
+            columns.push({
+                name,
+                type: typeWords.join(' '),
+                primaryKey: isPrimaryKey,
+                // Virtual generated columns are computed on read and never stored in the record
+                generatedVirtual: /\bAS\s*\(/i.test(rest) && !/\bSTORED\b/i.test(rest)
+            });
+        });
+
+        // INTEGER PRIMARY KEY columns are aliases for the rowid and stored as NULL in the record
+        if (!withoutRowid && primaryKey.length === 1) {
+            const pkColumn = columns.find(column => column.name.toLowerCase() === primaryKey[0].toLowerCase());
+            if (pkColumn && pkColumn.type.toUpperCase() === 'INTEGER') {
+                pkColumn.rowidAlias = true;
+            }
+        }
+
+        return { columns, withoutRowid, primaryKey };
+    }
+
+    _matchingParen(text, open) {
+        if (open === -1) return -1;
+        let depth = 0;
+        let quote = null;
+        for (let i = open; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if (char === '[') {
+                quote = ']';
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    _splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'" || char === '`') {
+                quote = char;
+            } else if (char === '[') {
+                quote = ']';
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    _unquote(name) {
+        const first = name[0];
+        if (first === '"' || first === '`' || first === "'") {
+            return name.slice(1, -1).split(first + first).join(first);
+        }
+        if (first === '[') return name.slice(1, -1);
+        return name;
+    }
+
+    // ==================== Rows ====================
+
+    *_iterateTableRows(table) {
+        // Map stored record positions onto declared columns
+        const stored = table.columns.filter(column => !column.generatedVirtual);
+        let recordOrder = stored;
+        if (table.withoutRowid) {
+            const pkNames = table.primaryKey.map(name => name.toLowerCase());
+            const pkColumns = pkNames.map(name => stored.find(column => column.name.toLowerCase() === name)).filter(Boolean);
+            recordOrder = pkColumns.concat(stored.filter(column => !pkColumns.includes(column)));
+        }
+        const positions = new Map(recordOrder.map((column, i) => [column, i]));
+
+        for (const { rowid, payload } of this._walkBTree(table.rootPage, 0)) {
+            const values = this._decodeRecord(payload);
+            yield table.columns.map(column => {
+                if (column.rowidAlias) return rowid;
+                if (!positions.has(column)) return null;
+                const value = values[positions.get(column)];
+                // Columns added by ALTER TABLE are missing from older records
+                return value === undefined ? null : value;
+            });
+        }
+    }
+
+    _countCells(pageNumber, depth) {
+        this._assertDepth(depth);
+        const page = this._pageHeader(pageNumber);
+
+        if (page.type === 0x0D) return page.cellCount;
+        if (page.type === 0x0A) return page.cellCount;
+
+        let total = page.type === 0x02 ? page.cellCount : 0;
+        for (let i = 0; i < page.cellCount; i++) {
+            const cellOffset = this._cellOffset(page, i);
+            total += this._countCells(this.view.getUint32(cellOffset), depth + 1);
+        }
+        return total + this._countCells(page.rightPointer, depth + 1);
+    }
+
+    /**
+     * In-order walk of a table or index b-tree yielding { rowid, payload }
+     */
+    *_walkBTree(pageNumber, depth) {
+        this._assertDepth(depth);
+        const page = this._pageHeader(pageNumber);
+
+        for (let i = 0; i < page.cellCount; i++) {
+            let pos = this._cellOffset(page, i);
+
+            switch (page.type) {
+                case 0x0D: {
+                    // Table leaf: payload size, rowid, payload
+                    const size = this._readVarint(pos);
+                    const rowid = this._readVarint(pos + size.length);
+                    yield {
+                        rowid: rowid.value,
+                        payload: this._readPayload(pos + size.length + rowid.length, size.value, true)
+                    };
+                    break;
+                }
+                case 0x05:
+                    // Table interior: left child pointer, integer key
+                    yield* this._walkBTree(this.view.getUint32(pos), depth + 1);
+                    break;
+                case 0x0A: {
+                    // Index leaf (also WITHOUT ROWID tables): payload size, payload
+                    const size = this._readVarint(pos);
+                    yield { rowid: null, payload: this._readPayload(pos + size.length, size.value, false) };
+                    break;
+                }
+                case 0x02: {
+                    // Index interior: left child, then the separator key is itself a row
+                    yield* this._walkBTree(this.view.getUint32(pos), depth + 1);
+                    pos += 4;
+                    const size = this._readVarint(pos);
+                    yield { rowid: null, payload: this._readPayload(pos + size.length, size.value, false) };
+                    break;
+                }
+                default:
+                    throw new Error(`Corrupt database: page ${pageNumber} has unknown type ${page.type}`);
+            }
+        }
+
+        if (page.type === 0x05 || page.type === 0x02) {
+            yield* this._walkBTree(page.rightPointer, depth + 1);
+        }
+    }
+
+    _assertDepth(depth) {
+        // b-trees deeper than this only occur in corrupt files with page cycles
+        if (depth > 64) {
+            throw new Error('Corrupt database: b-tree is too deep');
+        }
+    }
+
+    _pageHeader(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.pageCount) {
+            throw new Error(`Corrupt database: page ${pageNumber} out of range`);
+        }
+        const pageStart = (pageNumber - 1) * this.pageSize;
+        const headerStart = pageNumber === 1 ? 100 : pageStart;
+        const type = this.bytes[headerStart];
+        const interior = type === 0x05 || type === 0x02;
+
+        return {
+            pageStart,
+            type,
+            cellCount: this.view.getUint16(headerStart + 3),
+            rightPointer: interior ? this.view.getUint32(headerStart + 8) : 0,
+            cellPointers: headerStart + (interior ? 12 : 8)
+        };
+    }
+
+    _cellOffset(page, index) {
+        return page.pageStart + this.view.getUint16(page.cellPointers + index * 2);
+    }
+
+    /**
+     * Collect a cell's payload, following the overflow page chain when it spills
+     */
+    _readPayload(offset, size, isTableLeaf) {
+        const usable = this.usableSize;
+        const maxLocal = isTableLeaf ? usable - 35 : Math.floor((usable - 12) * 64 / 255) - 23;
+
+        if (size <= maxLocal) {
+            return this.bytes.subarray(offset, offset + size);
+        }
+
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const surplus = minLocal + ((size - minLocal) % (usable - 4));
+        const localSize = surplus <= maxLocal ? surplus : minLocal;
+
+        const payload = new Uint8Array(size);
+        payload.set(this.bytes.subarray(offset, offset + localSize), 0);
+
+        let written = localSize;
+        let overflowPage = this.view.getUint32(offset + localSize);
+        let hops = 0;
+        while (written < size) {
+            if (overflowPage === 0 || hops++ > this.pageCount) {
+                throw new Error('Corrupt database: overflow chain ended early');
+            }
+            const pageStart = (overflowPage - 1) * this.pageSize;
+            const chunk = Math.min(size - written, usable - 4);
+            payload.set(this.bytes.subarray(pageStart + 4, pageStart + 4 + chunk), written);
+            written += chunk;
+            overflowPage = this.view.getUint32(pageStart);
+        }
+        return payload;
+    }
+
+    // ==================== Records ====================
+
+    /**
+     * Decode a record into JS values. Integers outside the safe range come back as strings,
+     * BLOBs as Uint8Array
+     */
+    _decodeRecord(payload) {
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const headerSize = this._readVarintFrom(payload, 0);
+        const serialTypes = [];
+
+        let pos = headerSize.length;
+        while (pos < headerSize.value) {
+            const serial = this._readVarintFrom(payload, pos);
+            serialTypes.push(serial.value);
+            pos += serial.length;
+        }
+
+        let dataPos = headerSize.value;
+        return serialTypes.map(serial => {
+            let value;
+            let length = 0;
+
+            switch (serial) {
+                case 0: value = null; break;
+                case 1: value = view.getInt8(dataPos); length = 1; break;
+                case 2: value = view.getInt16(dataPos); length = 2; break;
+                case 3: value = (view.getInt8(dataPos) * 65536) + view.getUint16(dataPos + 1); length = 3; break;
+                case 4: value = view.getInt32(dataPos); length = 4; break;
+                case 5: value = (view.getInt16(dataPos) * 4294967296) + view.getUint32(dataPos + 2); length = 6; break;
+                case 6: {
+                    const big = view.getBigInt64(dataPos);
+                    value = big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER)
+                        ? Number(big)
+                        : big.toString();
+                    length = 8;
+                    break;
+                }
+                case 7: value = view.getFloat64(dataPos); length = 8; break;
+                case 8: value = 0; break;
+                case 9: value = 1; break;
+                default:
+                    if (serial >= 12 && serial % 2 === 0) {
+                        length = (serial - 12) / 2;
+                        value = payload.slice(dataPos, dataPos + length);
+                    } else if (serial >= 13) {
+                        length = (serial - 13) / 2;
+                        value = this.textDecoder.decode(payload.subarray(dataPos, dataPos + length));
+                    } else {
+                        throw new Error(`Corrupt database: reserved serial type ${serial}`);
+                    }
+            }
+
+            dataPos += length;
+            return value;
+        });
+    }
+
+    _readVarint(offset) {
+        return this._readVarintFrom(this.bytes, offset);
+    }
+
+    /**
+     * SQLite varint: 1-9 bytes, big-endian, 7 bits per byte except a full 9th byte
+     * @returns {Object} { value, length }
+     */
+    _readVarintFrom(bytes, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = bytes[offset + i];
+            value = value * 128 + (byte & 0x7F);
+            if (byte < 0x80) {
+                return { value, length: i + 1 };
+            }
+        }
+
+        // Nine-byte form is a full 64-bit two's complement value
+        let big = 0n;
+        for (let i = 0; i < 8; i++) {
+            big = (big << 7n) | BigInt(bytes[offset + i] & 0x7F);
+        }
+        big = BigInt.asIntN(64, (big << 8n) | BigInt(bytes[offset + 8]));
+        return {
+            value: big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big.toString(),
+            length: 9
+        };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SQLiteReader;
+}
@@ -0,0 +1,620 @@
+/**
+ * SQLite Writer Utility
+ * Builds a SQLite 3 database file from a JSONConverter.convertToSQL structure
+ * so converted data can be opened with sqlite3 or any SQLite browser
+ */
+
+class SQLiteWriter {
+    /**
+     * @param {Object} options - { pageSize, enumChecks: write profiled enums as CHECK constraints }
+     */
+    constructor(options = {}) {
+        this.pageSize = options.pageSize || 4096;
+        this.enumChecks = Boolean(options.enumChecks);
+        this.textEncoder = new TextEncoder();
+    }
+
+    /**
+     * Write every table of a convertToSQL structure into a new database
+     * @param {Object} sqlStructure - { tables, relationships }
+     * @returns {Uint8Array} Database file bytes
+     */
+    write(sqlStructure) {
+        // Page 0 is unused so indexes match 1-based page numbers; page 1 holds sqlite_schema
+        this.pages = [null, new Uint8Array(this.pageSize)];
+
+        const relationships = sqlStructure.relationships || [];
+        const schemaRows = [];
+        sqlStructure.tables.forEach(table => {
+            const definition = this._tableDefinition(table, relationships, sqlStructure.tables);
+            const rootPage = this._buildTableTree(definition.cells);
+            schemaRows.push(['table', table.name, table.name, rootPage, definition.sql]);
+
+            // A PRIMARY KEY that is not the rowid is enforced by an automatic unique index
+            if (definition.autoIndex) {
+                const indexRoot = this._buildIndexTree(definition.autoIndex);
+                schemaRows.push(['index', `sqlite_autoindex_${table.name}_1`, table.name, indexRoot, null]);
+            }
+        });
+
+        const schemaCells = schemaRows.map((row, i) => this._tableLeafCell(i + 1, this._encodeRecord(row)));
+        this._buildTableTree(schemaCells, 1);
+
+        return this._assemble();
+    }
+
+    // ==================== Tables ====================
+
+    /**
+     * CREATE TABLE statement and b-tree cells for one converted table
+     */
+    _tableDefinition(table, relationships, tables) {
+        const columnTypes = table.columnTypes || {};
+        const pkIndex = table.primaryKey ? table.columns.indexOf(table.primaryKey) : -1;
+
+        // The converter's sequential ids can become the rowid when they are unique integers
+        const seen = new Set();
+        const rowidAlias = pkIndex !== -1 && table.rows.every(row => {
+            const value = row[pkIndex];
+            if (!Number.isSafeInteger(value) || value < 0 || seen.has(value)) return false;
+            seen.add(value);
+            return true;
+        });
+
+        const affinities = table.columns.map(column => this._affinity(this._declaredType(columnTypes[column])));
+        const records = table.rows.map((row, i) => ({
+            rowid: rowidAlias ? row[pkIndex] : i + 1,
+            values: table.columns.map((column, j) => this._applyAffinity(row[j], affinities[j]))
+        }));
+
+        // Other keys (e.g. a natural key like orderId) need unique, non-null values to be declared.
+        // A plain INTEGER declaration would turn the column into a rowid alias, so those stay undeclared
+        let autoIndex = null;
+        if (pkIndex !== -1 && !rowidAlias && !/^INTEGER$/i.test(this._declaredType(columnTypes[table.primaryKey]))) {
+            const entries = records
+                .map(record => ({ key: record.values[pkIndex], rowid: record.rowid }))
+                .sort((a, b) => this._compareValues(a.key, b.key) || a.rowid - b.rowid);
+            const unique = entries.every((entry, i) =>
+                entry.key !== null && entry.key !== undefined && !Number.isNaN(entry.key) &&
+                (i === 0 || this._compareValues(entries[i - 1].key, entry.key) !== 0));
+
+            if (unique) {
+                autoIndex = entries.map(entry => this._encodeRecord([entry.key, entry.rowid]));
+            }
+        }
+
+        const profiles = table.columnProfiles || {};
+        const definitions = table.columns.map((column, i) => {
+            if (i === pkIndex && rowidAlias) {
+                return `  ${this._quote(column)} INTEGER PRIMARY KEY`;
+            }
+            // Inline constraints in converter types ('INTEGER PRIMARY KEY') only apply to the rowid alias
+            const declared = `  ${this._quote(column)} ${this._declaredType(columnTypes[column])}`;
+            if (i === pkIndex && autoIndex) return `${declared} PRIMARY KEY`;
+            return declared + this._columnConstraints(column, profiles[column]);
+        });
+
+        relationships.forEach(rel => {
+            // The foreign key column lives on whichever side of the relationship has it
+            const fromTable = tables.find(t => t.name === rel.from);
+            const toTable = tables.find(t => t.name === rel.to);
+            let parent = null;
+            if (rel.from === table.name && table.columns.includes(rel.foreignKey)) {
+                parent = toTable;
+            } else if (rel.to === table.name && table.columns.includes(rel.foreignKey) &&
+                !(fromTable && fromTable.columns.includes(rel.foreignKey))) {
+                parent = fromTable;
+            }
+            if (parent) {
+                const references = rel.references || 'id';
+                definitions.push(`  FOREIGN KEY (${this._quote(rel.foreignKey)}) REFERENCES ${this._quote(parent.name)}(${this._quote(references)})`);
+            }
+        });
+
+        const sql = `CREATE TABLE ${this._quote(table.name)} (\n${definitions.join(',\n')}\n)`;
+
+        const cells = records.map(record => {
+            const values = rowidAlias ? record.values.map((value, j) => (j === pkIndex ? null : value)) : record.values;
+            return this._tableLeafCell(record.rowid, this._encodeRecord(values));
+        });
+
+        // Table b-tree cells must be in rowid order
+        if (rowidAlias) {
+            cells.sort((a, b) => a.rowid - b.rowid);
+        }
+
+        return { sql, cells, autoIndex };
+    }
+
+    /**
+     * NOT NULL and (when enabled) enum CHECK constraints from the converter's column profiles
+     */
+    _columnConstraints(column, profile) {
+        if (!profile) return '';
+
+        let constraints = profile.nullable === false ? ' NOT NULL' : '';
+        if (this.enumChecks && profile.enumValues) {
+            const allowed = profile.enumValues.map(value => `'${String(value).replace(/'/g, "''")}'`).join(', ');
+            constraints += ` CHECK (${this._quote(column)} IN (${allowed}))`;
+        }
+        return constraints;
+    }
+
+    _declaredType(type) {
+        return (type || 'TEXT').replace(/\s+PRIMARY\s+KEY\b/i, '').trim();
+    }
+
+    /**
+     * Column affinity from a declared type (SQLite rules 1-5, in order)
+     */
+    _affinity(type) {
+        const upper = type.toUpperCase();
+        if (upper.includes('INT')) return 'INTEGER';
+        if (/CHAR|CLOB|TEXT/.test(upper)) return 'TEXT';
+        if (upper === '' || upper.includes('BLOB')) return 'BLOB';
+        if (/REAL|FLOA|DOUB/.test(upper)) return 'REAL';
+        return 'NUMERIC';
+    }
+
+    /**
+     * Convert a value the way SQLite would on INSERT into a column of this affinity
+     */
+    _applyAffinity(value, affinity) {
+        if (value === null || value === undefined || value instanceof Uint8Array) return value;
+        const scalar = typeof value === 'boolean' ? Number(value) : value;
+
+        if (affinity === 'TEXT') {
+            // Booleans keep their JSON spelling in text columns
+            return typeof scalar === 'object' ? JSON.stringify(scalar) : String(value);
+        }
+        if (affinity === 'BLOB') return scalar;
+
+        if (typeof scalar === 'string' && /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(scalar)) {
+            const number = Number(scalar);
+            // Integers too large for a double stay text rather than losing digits
+            if (affinity === 'REAL' || !Number.isInteger(number) || Number.isSafeInteger(number)) return number;
+        }
+        return scalar;
+    }
+
+    /**
+     * SQLite's sort order for index keys: NULL, then numbers, then text (BINARY collation), then BLOBs
+     */
+    _compareValues(a, b) {
+        const rank = value => {
+            if (value === null || value === undefined) return 0;
+            if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') return 1;
+            return value instanceof Uint8Array ? 3 : 2;
+        };
+        const rankA = rank(a);
+        const rankB = rank(b);
+        if (rankA !== rankB) return rankA - rankB;
+        if (rankA === 0) return 0;
+        if (rankA === 1) {
+            const x = Number(a);
+            const y = Number(b);
+            return x < y ? -1 : x > y ? 1 : 0;
+        }
+
+        const bytesA = rankA === 2 ? this.textEncoder.encode(a) : a;
+        const bytesB = rankA === 2 ? this.textEncoder.encode(b) : b;
+        const length = Math.min(bytesA.length, bytesB.length);
+        for (let i = 0; i < length; i++) {
+            if (bytesA[i] !== bytesB[i]) return bytesA[i] - bytesB[i];
+        }
+        return bytesA.length - bytesB.length;
+    }
+
+    _quote(identifier) {
+        return `"${String(identifier).replace(/"/g, '""')}"`;
+    }
+
+    // ==================== B-trees ====================
+
+    /**
+     * Pack leaf cells into pages, adding interior levels until a single root remains
+     * @param {Array} cells - Leaf cells in rowid order
+     * @param {Number|null} rootPage - Fixed root page number (1 for sqlite_schema)
+     * @returns {Number} Root page number
+     */
+    _buildTableTree(cells, rootPage = null) {
+        const rootOffset = rootPage === 1 ? 100 : 0;
+        let entries = cells;
+        let leaf = true;
+
+        for (;;) {
+            const headerSize = leaf ? 8 : 12;
+
+            if (this._entriesSize(entries, leaf) <= this.pageSize - rootOffset - headerSize) {
+                const pageNumber = rootPage || this._allocatePage();
+                this._writeBTreePage(pageNumber, entries, leaf, rootOffset);
+                return pageNumber;
+            }
+
+            const groups = this._packEntries(entries, leaf, this.pageSize - headerSize);
+            entries = groups.map(group => {
+                const pageNumber = this._allocatePage();
+                this._writeBTreePage(pageNumber, group, leaf, 0);
+                return { pageNumber, rowid: group[group.length - 1].rowid };
+            });
+            leaf = false;
+        }
+    }
+
+    /**
+     * Index b-tree from records sorted by key. Unlike table b-trees every entry is stored once:
+     * the entry following each full page moves up into the parent as the divider
+     * @param {Array<Uint8Array>} records - Index records ([key, rowid]) in key order
+     * @returns {Number} Root page number
+     */
+    _buildIndexTree(records) {
+        let entries = records.map(payload => ({ payload, child: null }));
+        let rightChild = null;
+        let leaf = true;
+
+        for (;;) {
+            const capacity = this.pageSize - (leaf ? 8 : 12);
+            const cost = entry => this._indexCellSize(entry.payload, leaf) + 2;
+
+            if (entries.reduce((sum, entry) => sum + cost(entry), 0) <= capacity) {
+                const pageNumber = this._allocatePage();
+                this._writeIndexPage(pageNumber, entries, leaf, rightChild);
+                return pageNumber;
+            }
+
+            const dividers = [];
+            let current = [];
+            let used = 0;
+            const closePage = divider => {
+                const pageNumber = this._allocatePage();
+                // Everything left of the divider ends up under this page's right-most pointer
+                this._writeIndexPage(pageNumber, current, leaf, divider.child);
+                dividers.push({ payload: divider.payload, child: pageNumber });
+                current = [];
+                used = 0;
+            };
+
+            entries.forEach((entry, i) => {
+                if (current.length > 0 && used + cost(entry) > capacity) {
+                    if (i < entries.length - 1) {
+                        closePage(entry);
+                        return;
+                    }
+                    // The last entry must land in the final page, so promote the one before it
+                    closePage(current.pop());
+                }
+                current.push(entry);
+                used += cost(entry);
+            });
+
+            const lastPage = this._allocatePage();
+            this._writeIndexPage(lastPage, current, leaf, rightChild);
+
+            entries = dividers;
+            rightChild = lastPage;
+            leaf = false;
+        }
+    }
+
+    _writeIndexPage(pageNumber, entries, leaf, rightChild) {
+        const page = this.pages[pageNumber];
+        const view = new DataView(page.buffer);
+        const headerSize = leaf ? 8 : 12;
+        const cells = entries.map(entry => this._indexCell(entry, leaf));
+
+        page[0] = leaf ? 0x0A : 0x02;
+        view.setUint16(1, 0); // first freeblock
+        view.setUint16(3, cells.length);
+        if (!leaf) {
+            view.setUint32(8, rightChild);
+        }
+
+        let contentStart = this.pageSize;
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            page.set(cell, contentStart);
+            view.setUint16(headerSize + i * 2, contentStart);
+        });
+
+        view.setUint16(5, contentStart === 65536 ? 0 : contentStart);
+        page[7] = 0; // fragmented free bytes
+    }
+
+    /**
+     * Index cell: [left child page (interior only)], payload size, local payload, first overflow page
+     */
+    _indexCell(entry, leaf) {
+        const payload = entry.payload;
+        const localSize = this._indexLocalSize(payload.length);
+        const parts = [];
+
+        if (!leaf) {
+            const child = new Uint8Array(4);
+            new DataView(child.buffer).setUint32(0, entry.child);
+            parts.push(child);
+        }
+        parts.push(this._encodeVarint(payload.length), payload.subarray(0, localSize));
+        if (localSize < payload.length) {
+            const pointer = new Uint8Array(4);
+            new DataView(pointer.buffer).setUint32(0, this._writeOverflow(payload.subarray(localSize)));
+            parts.push(pointer);
+        }
+
+        return this._concat(parts);
+    }
+
+    _indexCellSize(payload, leaf) {
+        const localSize = this._indexLocalSize(payload.length);
+        return (leaf ? 0 : 4) + this._varintLength(payload.length) + localSize + (localSize < payload.length ? 4 : 0);
+    }
+
+    _indexLocalSize(payloadLength) {
+        const usable = this.pageSize;
+        const maxLocal = Math.floor((usable - 12) * 64 / 255) - 23;
+        if (payloadLength <= maxLocal) return payloadLength;
+
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const surplus = minLocal + ((payloadLength - minLocal) % (usable - 4));
+        return surplus <= maxLocal ? surplus : minLocal;
+    }
+
+    _entryCost(entry, leaf) {
+        // Cell bytes plus its 2-byte cell pointer
+        return leaf ? entry.bytes.length + 2 : 4 + this._varintLength(entry.rowid) + 2;
+    }
+
+    _entriesSize(entries, leaf) {
+        // The last child of an interior page goes in the header's right-most pointer
+        const counted = leaf ? entries : entries.slice(0, -1);
+        return counted.reduce((sum, entry) => sum + this._entryCost(entry, leaf), 0);
+    }
+
+    _packEntries(entries, leaf, capacity) {
+        const groups = [];
+        let current = [];
+        let used = 0;
+
+        entries.forEach(entry => {
+            const cost = this._entryCost(entry, leaf);
+            if (current.length > 0 && used + cost > capacity) {
+                groups.push(current);
+                current = [];
+                used = 0;
+            }
+            current.push(entry);
+            used += cost;
+        });
+        if (current.length > 0) groups.push(current);
+
+        // Avoid interior pages whose only child is the right-most pointer
+        if (!leaf && groups.length > 1 && groups[groups.length - 1].length === 1) {
+            groups[groups.length - 1].unshift(groups[groups.length - 2].pop());
+        }
+
+        return groups;
+    }
+
+    _writeBTreePage(pageNumber, entries, leaf, headerOffset) {
+        const page = this.pages[pageNumber];
+        const view = new DataView(page.buffer);
+        const headerSize = leaf ? 8 : 12;
+        const cells = leaf
+            ? entries.map(entry => entry.bytes)
+            : entries.slice(0, -1).map(entry => this._interiorCell(entry));
+
+        page[headerOffset] = leaf ? 0x0D : 0x05;
+        view.setUint16(headerOffset + 1, 0); // first freeblock
+        view.setUint16(headerOffset + 3, cells.length);
+        if (!leaf) {
+            view.setUint32(headerOffset + 8, entries[entries.length - 1].pageNumber);
+        }
+
+        let contentStart = this.pageSize;
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            page.set(cell, contentStart);
+            view.setUint16(headerOffset + headerSize + i * 2, contentStart);
+        });
+
+        view.setUint16(headerOffset + 5, contentStart === 65536 ? 0 : contentStart);
+        page[headerOffset + 7] = 0; // fragmented free bytes
+    }
+
+    _interiorCell(entry) {
+        const key = this._encodeVarint(entry.rowid);
+        const cell = new Uint8Array(4 + key.length);
+        new DataView(cell.buffer).setUint32(0, entry.pageNumber);
+        cell.set(key, 4);
+        return cell;
+    }
+
+    /**
+     * Table leaf cell: payload size, rowid, local payload and the first overflow page if it spills
+     */
+    _tableLeafCell(rowid, payload) {
+        const usable = this.pageSize;
+        const maxLocal = usable - 35;
+        let localSize = payload.length;
+        let overflowPage = 0;
+
+        if (payload.length > maxLocal) {
+            const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+            const surplus = minLocal + ((payload.length - minLocal) % (usable - 4));
+            localSize = surplus <= maxLocal ? surplus : minLocal;
+            overflowPage = this._writeOverflow(payload.subarray(localSize));
+        }
+
+        const parts = [this._encodeVarint(payload.length), this._encodeVarint(rowid), payload.subarray(0, localSize)];
+        if (overflowPage) {
+            const pointer = new Uint8Array(4);
+            new DataView(pointer.buffer).setUint32(0, overflowPage);
+            parts.push(pointer);
+        }
+
+        return { rowid, bytes: this._concat(parts) };
+    }
+
+    _writeOverflow(data) {
+        const chunkSize = this.pageSize - 4;
+        const pageNumbers = [];
+        for (let pos = 0; pos < data.length; pos += chunkSize) {
+            pageNumbers.push(this._allocatePage());
+        }
+
+        pageNumbers.forEach((pageNumber, i) => {
+            const page = this.pages[pageNumber];
+            new DataView(page.buffer).setUint32(0, pageNumbers[i + 1] || 0);
+            page.set(data.subarray(i * chunkSize, (i + 1) * chunkSize), 4);
+        });
+
+        return pageNumbers[0];
+    }
+
+    _allocatePage() {
+        this.pages.push(new Uint8Array(this.pageSize));
+        return this.pages.length - 1;
+    }
+
+    /**
+     * Fill in the 100-byte database header and join all pages
+     */
+    _assemble() {
+        const pageCount = this.pages.length - 1;
+        const header = this.pages[1];
+        const view = new DataView(header.buffer);
+
+        header.set(this.textEncoder.encode('SQLite format 3\u0000'), 0);
+        view.setUint16(16, this.pageSize === 65536 ? 1 : this.pageSize);
+        header[18] = 1; // file format write version (legacy journal)
+        header[19] = 1; // file format read version
+        header[20] = 0; // reserved bytes per page
+        header[21] = 64; // max embedded payload fraction
+        header[22] = 32; // min embedded payload fraction
+        header[23] = 32; // leaf payload fraction
+        view.setUint32(24, 1); // file change counter
+        view.setUint32(28, pageCount);
+        view.setUint32(40, 1); // schema cookie
+        view.setUint32(44, 4); // schema format number
+        view.setUint32(56, 1); // UTF-8
+        view.setUint32(92, 1); // version-valid-for (matches change counter)
+        view.setUint32(96, 3045000);
+
+        const file = new Uint8Array(pageCount * this.pageSize);
+        for (let i = 1; i <= pageCount; i++) {
+            file.set(this.pages[i], (i - 1) * this.pageSize);
+        }
+        return file;
+    }
+
+    // ==================== Records ====================
+
+    /**
+     * Encode values as a SQLite record (header of serial types, then the values)
+     */
+    _encodeRecord(values) {
+        const serialTypes = [];
+        const bodies = [];
+
+        values.forEach(raw => {
+            const { serial, body } = this._encodeValue(raw);
+            serialTypes.push(serial);
+            bodies.push(body);
+        });
+
+        const serialBytes = serialTypes.map(serial => this._encodeVarint(serial));
+        const serialLength = serialBytes.reduce((sum, bytes) => sum + bytes.length, 0);
+
+        // Header size counts its own varint
+        let headerSize = serialLength + 1;
+        while (this._varintLength(headerSize) + serialLength !== headerSize) {
+            headerSize = serialLength + this._varintLength(headerSize);
+        }
+
+        return this._concat([this._encodeVarint(headerSize), ...serialBytes, ...bodies]);
+    }
+
+    _encodeValue(value) {
+        if (value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value))) {
+            return { serial: 0, body: new Uint8Array(0) };
+        }
+        if (typeof value === 'boolean') {
+            return { serial: value ? 9 : 8, body: new Uint8Array(0) };
+        }
+        if (typeof value === 'bigint') {
+            const body = new Uint8Array(8);
+            new DataView(body.buffer).setBigInt64(0, BigInt.asIntN(64, value));
+            return { serial: 6, body };
+        }
+        if (typeof value === 'number') {
+            return Number.isSafeInteger(value) ? this._encodeInteger(value) : this._encodeFloat(value);
+        }
+        if (value instanceof Uint8Array) {
+            return { serial: value.length * 2 + 12, body: value };
+        }
+
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        const body = this.textEncoder.encode(text);
+        return { serial: body.length * 2 + 13, body };
+    }
+
+    _encodeInteger(value) {
+        if (value === 0) return { serial: 8, body: new Uint8Array(0) };
+        if (value === 1) return { serial: 9, body: new Uint8Array(0) };
+
+        const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+        for (const [serial, length] of sizes) {
+            const limit = 2 ** (length * 8 - 1);
+            if (value >= -limit && value < limit) {
+                const body = new Uint8Array(length);
+                let remaining = BigInt.asUintN(length * 8, BigInt(value));
+                for (let i = length - 1; i >= 0; i--) {
+                    body[i] = Number(remaining & 0xFFn);
+                    remaining >>= 8n;
+                }
+                return { serial, body };
+            }
+        }
+        return this._encodeFloat(value);
+    }
+
+    _encodeFloat(value) {
+        const body = new Uint8Array(8);
+        new DataView(body.buffer).setFloat64(0, value);
+        return { serial: 7, body };
+    }
+
+    /**
+     * SQLite varint for non-negative safe integers (at most 8 bytes below 2^56)
+     */
+    _encodeVarint(value) {
+        if (value <= 0x7F) return new Uint8Array([value]);
+
+        const groups = [];
+        let remaining = value;
+        while (remaining > 0) {
+            groups.unshift(remaining % 128);
+            remaining = Math.floor(remaining / 128);
+        }
+        return new Uint8Array(groups.map((group, i) => (i < groups.length - 1 ? group | 0x80 : group)));
+    }
+
+    _varintLength(value) {
+        return this._encodeVarint(value).length;
+    }
+
+    _concat(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SQLiteWriter;
+}
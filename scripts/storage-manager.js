@@ -3,6 +3,10 @@ class StorageManager {
     constructor() {
         this.backends = [];
         this.currentBackend = null;
+        // Optional per-user encryption at rest (file-encryption.js), used by IndexedDB and localStorage
+        this.encryption = typeof FileEncryption !== 'undefined' && FileEncryption.isSupported() ? new FileEncryption() : null;
+        // Per user, a promise of filename -> { versionGroup, version } of the newest stored version
+        this.versionIndexes = new Map();
         this.init();
     }
 
@@ -18,17 +22,40 @@ class StorageManager {
         // 1. IndexedDB (Primary - up to 50% of disk space)
         if (this.supportsIndexedDB()) {
             const indexedDBBackend = new IndexedDBBackend();
+            indexedDBBackend.encryption = this.encryption;
             await indexedDBBackend.init();
             this.backends.push(indexedDBBackend);
         }
 
-        // 2. LocalStorage (Fallback for metadata)
+        // 2. Origin Private File System (large binaries as real files, metadata in IndexedDB)
+        if (this.supportsIndexedDB() && await this.supportsOPFS()) {
+            try {
+                const opfsBackend = new OPFSBackend();
+                await opfsBackend.init();
+                this.backends.push(opfsBackend);
+            } catch (error) {
+                console.warn('Origin private file system unavailable:', error);
+            }
+        }
+
+        // 3. LocalStorage (Fallback for metadata)
         if (this.supportsLocalStorage()) {
             const localStorageBackend = new LocalStorageBackend();
+            localStorageBackend.encryption = this.encryption;
             await localStorageBackend.init();
             this.backends.push(localStorageBackend);
         }
 
+        // 4. Remote storage (S3-compatible), when configured
+        const remoteConfig = this.loadRemoteConfig();
+        if (remoteConfig) {
+            try {
+                await this.addRemoteBackend(remoteConfig);
+            } catch (error) {
+                console.warn('Remote storage unavailable:', error.message);
+            }
+        }
+
         // Set the primary backend
         this.currentBackend = this.backends[0];
 
@@ -59,6 +86,12 @@ class StorageManager {
         return 'indexedDB' in window;
     }
 
+    async supportsOPFS() {
+        // Writing from the page needs createWritable, which Safari only offers in workers
+        return 'storage' in navigator && 'getDirectory' in navigator.storage &&
+            typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype;
+    }
+
     supportsLocalStorage() {
         try {
             localStorage.setItem('test', 'test');
@@ -69,7 +102,10 @@ class StorageManager {
         }
     }
 
-    async storeFile(username, file, category, metadata = {}) {
+    /**
+     * @param {Object} options - { onProgress(fraction) while a chunked upload is written }
+     */
+    async storeFile(username, file, category, metadata = {}, options = {}) {
         // Compress file if it's an image to save storage space
         let processedFile = file;
         if (file.type.startsWith('image/') && file.size > 500 * 1024) { // Compress images > 500KB
@@ -85,13 +121,20 @@ class StorageManager {
         // Determine storage directory based on category
         const directory = this.determineDirectory(category, metadata);
 
+        // Re-uploading a file name adds a version to that file instead of an unrelated record.
+        // Conversions and writes that carry a recorded version (restores, copies) keep theirs
+        const { versionGroup, version } = metadata.originalFileId || metadata.version
+            ? { versionGroup: metadata.versionGroup || null, version: metadata.version || 1 }
+            : await this.resolveVersion(username, file.name);
+
         // Enhance metadata with version tracking and relationships
         const enhancedMetadata = {
             ...metadata,
             originalSize: file.size,
             compressed: processedFile !== file,
             directory: directory,
-            version: metadata.version || 1,
+            versionGroup: versionGroup, // ID of the file's first version (null for the first version itself)
+            version: version,
             relatedFiles: metadata.relatedFiles || [], // IDs of related files (e.g., SQL/NoSQL conversions)
             originalFileId: metadata.originalFileId || null, // ID of original JSON if this is a conversion
             conversionType: metadata.conversionType || null, // 'sql', 'nosql', or null
@@ -99,8 +142,62 @@ class StorageManager {
         };
 
         // Choose the best backend based on file size
-        const backend = this.selectBackendForFile(processedFile);
-        return await backend.storeFile(username, processedFile, category, enhancedMetadata);
+        const backend = this.selectBackendForFile(processedFile, { encrypted: this.isEncrypted(username) });
+        const stored = await backend.storeFile(username, processedFile, category, enhancedMetadata, options);
+
+        if (this.versionIndexes.has(username)) {
+            this.indexVersion(await this.versionIndexes.get(username), { id: stored.id, filename: file.name, metadata: enhancedMetadata });
+        }
+        return stored;
+    }
+
+    /**
+     * Version a new upload gets: one more than the highest stored version with the same
+     * file name, in that file's version group
+     * @returns {Promise<Object>} { versionGroup, version }
+     */
+    async resolveVersion(username, filename) {
+        const latest = (await this.getVersionIndex(username)).get(filename);
+        return latest
+            ? { versionGroup: latest.versionGroup, version: latest.version + 1 }
+            : { versionGroup: null, version: 1 };
+    }
+
+    /**
+     * Newest version of each of the user's file names, built from one listing of their files
+     * and updated as files are stored, so an upload doesn't list every backend. Deleting or
+     * importing files drops the index and the next upload builds it again
+     * @returns {Promise<Map>} filename -> { versionGroup, version }
+     */
+    async getVersionIndex(username) {
+        if (this.versionIndexes.has(username)) {
+            return await this.versionIndexes.get(username);
+        }
+
+        const building = this.getUserFiles(username).then(files => {
+            const index = new Map();
+            files.forEach(file => this.indexVersion(index, file));
+            return index;
+        });
+        // While encryption is locked the names can't be read, so that listing isn't kept
+        if (!this.isEncrypted(username) || this.encryption.isUnlocked(username)) {
+            this.versionIndexes.set(username, building);
+            building.catch(() => this.versionIndexes.delete(username));
+        }
+        return await building;
+    }
+
+    indexVersion(index, file) {
+        const version = (file.metadata && file.metadata.version) || 1;
+        const current = index.get(file.filename);
+        if (!current || version > current.version) {
+            index.set(file.filename, { versionGroup: this.getVersionGroup(file), version });
+        }
+    }
+
+    // Files without a versionGroup are the first version of their own group
+    getVersionGroup(file) {
+        return (file.metadata && file.metadata.versionGroup) || file.id;
     }
 
     determineDirectory(category, metadata = {}) {
@@ -110,6 +207,8 @@ class StorageManager {
                 return '/json-sql/';
             } else if (metadata.jsonFormat === 'nosql') {
                 return '/json-nosql/';
+            } else if (metadata.jsonFormat === 'schema' || category === 'JSON_SCHEMA') {
+                return '/json-schema/';
             } else {
                 return '/json/';
             }
@@ -175,20 +274,100 @@ class StorageManager {
         });
     }
 
-    selectBackendForFile(file) {
-        // Always prefer IndexedDB (backends[0]) if available, as it has much higher capacity (200GB)
+    /**
+     * @param {Object} options - {
+     *     local: ignore remote storage (rebalancing),
+     *     encrypted: the user encrypts their files, which only IndexedDB and localStorage do
+     * }
+     */
+    selectBackendForFile(file, options = {}) {
+        // Remote storage set as primary takes every upload
+        const remote = this.getBackend('remote');
+        if (remote && remote.config.primary && !options.local && !options.encrypted) {
+            return remote;
+        }
+
+        const indexedDB = this.getBackend('indexedDB');
+        const opfs = this.getBackend('opfs');
+        const localStorage = this.getBackend('localStorage');
+
+        // Large binaries (video, audio, archives...) go to OPFS as files on disk, where they
+        // are written and read as streams instead of IndexedDB records
+        if (opfs && !options.encrypted && file.size >= opfs.minFileSize && this.isBinaryFile(file)) {
+            return opfs;
+        }
+
+        // Otherwise prefer IndexedDB if available, as it has much higher capacity (200GB)
         // LocalStorage is only used as a fallback if IndexedDB is not available
-        if (this.backends[0]) {
-            return this.backends[0]; // IndexedDB - 200GB capacity
+        if (indexedDB) {
+            return indexedDB; // IndexedDB - 200GB capacity
         }
 
         // Fallback to LocalStorage only if IndexedDB is unavailable
-        if (this.backends[1] && file.size < 5 * 1024 * 1024) { // Only files < 5MB
-            return this.backends[1]; // LocalStorage - 10MB total capacity
+        if (localStorage && file.size < 5 * 1024 * 1024) { // Only files < 5MB
+            return localStorage; // LocalStorage - 10MB total capacity
         }
 
         // If no suitable backend, return the first available
-        return this.backends[0] || this.backends[1];
+        if (options.encrypted) return localStorage;
+        return options.local ? this.backends.find(backend => backend.type !== 'remote') : this.backends[0];
+    }
+
+    getBackend(type) {
+        return this.backends.find(backend => backend.type === type) || null;
+    }
+
+    /**
+     * Remote backends register their provider name and class (see s3-backend.js)
+     */
+    static registerRemoteBackend(provider, BackendClass) {
+        StorageManager.remoteBackendTypes[provider] = BackendClass;
+    }
+
+    loadRemoteConfig() {
+        try {
+            return JSON.parse(localStorage.getItem('data_bhandaar_remote_storage') || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Connect to remote storage and remember the settings. The connection is tested before
+     * anything is saved, so a wrong endpoint or key leaves the current setup alone
+     * @param {Object} config - { provider: 's3', endpoint, bucket, region, accessKeyId, secretAccessKey, prefix, primary }
+     */
+    async configureRemoteBackend(config) {
+        const backend = await this.addRemoteBackend(config);
+        localStorage.setItem('data_bhandaar_remote_storage', JSON.stringify(config));
+        this.versionIndexes.clear();
+        return backend;
+    }
+
+    // Forget the remote settings; files already stored remotely stay in the bucket
+    removeRemoteBackend() {
+        localStorage.removeItem('data_bhandaar_remote_storage');
+        this.backends = this.backends.filter(backend => backend.type !== 'remote');
+        this.versionIndexes.clear();
+    }
+
+    async addRemoteBackend(config) {
+        const BackendClass = StorageManager.remoteBackendTypes[config.provider || 's3'];
+        if (!BackendClass) {
+            throw new Error(`Unknown remote storage provider: ${config.provider}`);
+        }
+
+        const backend = new BackendClass(config);
+        await backend.init();
+        this.backends = [...this.backends.filter(b => b.type !== 'remote'), backend];
+        return backend;
+    }
+
+    // Text formats stay in IndexedDB, where they are deduplicated and read whole by the viewers
+    isBinaryFile(file) {
+        const textTypes = /^text\/|json|xml|javascript|sql|csv/i;
+        const textExtensions = /\.(json|ndjson|jsonl|csv|tsv|sql|txt|xml|md)$/i;
+        return !textTypes.test(file.type || '') && !textExtensions.test(file.name || '');
     }
 
     async getUserFiles(username) {
@@ -203,7 +382,8 @@ class StorageManager {
                     // Only add files we haven't seen before
                     if (!seenFileIds.has(file.id)) {
                         seenFileIds.add(file.id);
-                        allFiles.push(file);
+                        // Which backend holds it, for migration and rebalancing
+                        allFiles.push({ ...file, backend: backend.type });
                     }
                 }
             } catch (error) {
@@ -219,6 +399,34 @@ class StorageManager {
             try {
                 const file = await backend.getFile(fileId);
                 if (file) return file;
+            } catch (error) {
+                // Found but encrypted and locked: no other backend has it
+                if (error.name === 'EncryptionLockedError') throw error;
+                // Continue to next backend
+                continue;
+            }
+        }
+        throw new Error('File not found in any storage backend');
+    }
+
+    /**
+     * Read part of a stored file without loading the rest: chunked IndexedDB files only read
+     * the chunks the range covers
+     * @param {String} fileId - File to read
+     * @param {Number} start - First byte (inclusive)
+     * @param {Number} end - Last byte (exclusive), clamped to the file size
+     * @returns {Promise<Object>} { blob, start, end, size, type }
+     */
+    async readRange(fileId, start = 0, end = Infinity) {
+        for (const backend of this.backends) {
+            try {
+                if (backend.readRange) return await backend.readRange(fileId, start, end);
+
+                const file = await backend.getFile(fileId);
+                const size = file.blob.size;
+                const rangeEnd = Math.min(end, size);
+                const rangeStart = Math.min(start, rangeEnd);
+                return { blob: file.blob.slice(rangeStart, rangeEnd, file.filetype), start: rangeStart, end: rangeEnd, size, type: file.filetype };
             } catch (error) {
                 // Continue to next backend
                 continue;
@@ -227,7 +435,60 @@ class StorageManager {
         throw new Error('File not found in any storage backend');
     }
 
+    /**
+     * Stream a stored file chunk by chunk
+     * @returns {ReadableStream} Uint8Array chunks
+     */
+    createReadStream(fileId) {
+        const indexedDB = this.getBackend('indexedDB');
+        const chunkSize = (indexedDB && indexedDB.chunkSize) || 8 * 1024 * 1024;
+        let offset = 0;
+
+        return new ReadableStream({
+            pull: async (controller) => {
+                const range = await this.readRange(fileId, offset, offset + chunkSize);
+                if (range.end > range.start) {
+                    controller.enqueue(new Uint8Array(await range.blob.arrayBuffer()));
+                }
+                offset = range.end;
+                if (offset >= range.size) controller.close();
+            }
+        });
+    }
+
+    // Chunked uploads that were interrupted; uploading the same file again resumes them
+    async getPendingUploads(username) {
+        const backend = this.backends.find(b => b.getPendingUploads);
+        return backend ? await backend.getPendingUploads(username) : [];
+    }
+
+    async discardPendingUploads(username) {
+        const backend = this.backends.find(b => b.discardPendingUploads);
+        return backend ? await backend.discardPendingUploads(username) : 0;
+    }
+
+    /**
+     * Merge changes into a stored file's metadata on whichever backend holds it
+     * @param {String} fileId - File to update
+     * @param {Object|Function} updates - Fields to set, or (metadata) => fields for read-modify-write
+     * @returns {Promise<Object>} The updated metadata
+     */
+    async updateFileMetadata(fileId, updates) {
+        for (const backend of this.backends) {
+            try {
+                return await backend.updateFileMetadata(fileId, updates);
+            } catch (error) {
+                if (error.name === 'EncryptionLockedError') throw error;
+                // Continue to next backend
+                continue;
+            }
+        }
+        throw new Error('File not found in any storage backend');
+    }
+
     async deleteFile(fileId) {
+        this.versionIndexes.clear();
+
         // Try to delete from all backends
         let deleted = false;
         for (const backend of this.backends) {
@@ -242,6 +503,581 @@ class StorageManager {
         return deleted;
     }
 
+    /**
+     * Move a file to another backend, keeping its id, upload date, category and metadata (and
+     * with them its versions and relationships). The copy is read back and compared with the
+     * original by SHA-256 before the original is deleted; on a mismatch the copy is removed
+     * @param {Object} file - Entry from getUserFiles
+     * @param {String} targetType - Backend type: 'indexedDB', 'opfs', 'localStorage' or 'remote'
+     * @returns {Promise<Object>} { id, filename, from, to, size, checksum }
+     */
+    async migrateFile(file, targetType, options = {}) {
+        const source = this.getBackend(file.backend);
+        const target = this.getBackend(targetType);
+        if (!source) {
+            throw new Error(`File ${file.id} is not in an available backend`);
+        }
+        if (!target) {
+            throw new Error(`Storage backend not available: ${targetType}`);
+        }
+        if (source === target) {
+            return { id: file.id, filename: file.filename, from: source.type, to: target.type, size: 0, skipped: true };
+        }
+        if (this.isEncrypted(file.username) && !target.encryption) {
+            throw new Error(`Encrypted files can't be moved to ${target.type}: only IndexedDB and localStorage encrypt them`);
+        }
+
+        const blob = (await this.readFrom(source, file.id)).blob;
+        const checksum = await this.checksum(blob);
+
+        // contentHash, chunked and encrypted describe how the source stored the bytes; the target sets its own
+        const { contentHash, chunked, encrypted, locked, ...metadata } = file.metadata || {};
+        const filename = metadata.filename || file.filename;
+        const content = new File([blob], filename, { type: metadata.filetype || blob.type });
+
+        await target.storeFile(file.username, content, file.category, metadata, {
+            fileId: file.id,
+            uploadDate: file.uploadDate,
+            onProgress: options.onProgress
+        });
+
+        try {
+            if (await this.checksumFrom(target, file.id) !== checksum) {
+                throw new Error(`Checksum mismatch after copying ${filename} to ${target.type}`);
+            }
+        } catch (error) {
+            await target.deleteFile(file.id).catch(() => {});
+            throw error;
+        }
+
+        await source.deleteFile(file.id);
+        return { id: file.id, filename, from: source.type, to: target.type, size: blob.size, checksum };
+    }
+
+    /**
+     * Move files to the backend the size policy (selectBackendForFile) picks for them today,
+     * e.g. out of localStorage once IndexedDB is available, or large binaries into OPFS. With
+     * options.target every file goes to that backend instead. Remote storage only takes part
+     * when it is the target: the policy never moves files to or from the bucket on its own
+     * @param {Object} options - { target: backend type, onProgress({ done, total, file }) }
+     * @returns {Promise<Object>} { moved: [...], failed: [{ id, filename, error }], bytesMoved }
+     */
+    async rebalance(username, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const files = await this.getUserFiles(username);
+
+        const plan = files
+            .map(file => ({ file, target: options.target || this.policyBackendFor(file) }))
+            .filter(({ file, target }) => target && target !== file.backend &&
+                (options.target || file.backend !== 'remote'));
+
+        const report = { moved: [], failed: [], bytesMoved: 0 };
+        for (let i = 0; i < plan.length; i++) {
+            const { file, target } = plan[i];
+            onProgress({ done: i, total: plan.length, file });
+            try {
+                const result = await this.migrateFile(file, target);
+                report.moved.push(result);
+                report.bytesMoved += result.size;
+            } catch (error) {
+                report.failed.push({ id: file.id, filename: file.filename, from: file.backend, to: target, error: error.message });
+            }
+        }
+        onProgress({ done: plan.length, total: plan.length, file: null });
+
+        return report;
+    }
+
+    // Local backend the size policy would choose for a stored file
+    policyBackendFor(file) {
+        const metadata = file.metadata || {};
+        const backend = this.selectBackendForFile({
+            size: metadata.size || file.size,
+            type: metadata.filetype || '',
+            name: metadata.filename || file.filename
+        }, { local: true, encrypted: this.isEncrypted(file.username) });
+        return backend ? backend.type : null;
+    }
+
+    /**
+     * A stored file as one Blob. Backends with readRange are read one chunk-sized range at a
+     * time and the Blob is assembled from the pieces, so a chunked IndexedDB file never has
+     * all its chunks loaded and decrypted at once
+     */
+    async readFrom(backend, fileId) {
+        if (!backend.readRange) {
+            const file = await backend.getFile(fileId);
+            return { blob: file.blob, start: 0, end: file.blob.size, size: file.blob.size, type: file.filetype };
+        }
+
+        const chunkSize = backend.chunkSize || 8 * 1024 * 1024;
+        let range = await backend.readRange(fileId, 0, chunkSize);
+        if (range.end >= range.size) return range;
+        // Unchunked IndexedDB records are read whole by every readRange call
+        if (backend.chunkThreshold && range.size <= backend.chunkThreshold) {
+            return await backend.readRange(fileId, 0, Infinity);
+        }
+
+        const parts = [range.blob];
+        while (range.end < range.size) {
+            range = await backend.readRange(fileId, range.end, range.end + chunkSize);
+            if (range.end === range.start) {
+                throw new Error(`File ${fileId} ended early at ${range.start} of ${range.size} bytes`);
+            }
+            parts.push(range.blob);
+        }
+        const blob = new Blob(parts, { type: range.type });
+        return { blob, start: 0, end: blob.size, size: blob.size, type: range.type };
+    }
+
+    /**
+     * SHA-256 of a stored file, the same value checksum() gives for its Blob, hashed one
+     * range at a time without holding the file
+     */
+    async checksumFrom(backend, fileId) {
+        if (!backend.readRange) {
+            return await this.checksum((await backend.getFile(fileId)).blob);
+        }
+
+        const sliceSize = 8 * 1024 * 1024;
+        let range = await backend.readRange(fileId, 0, sliceSize);
+        if (range.end >= range.size) return await this.checksum(range.blob);
+
+        const hashes = [await this.checksum(range.blob)];
+        while (range.end < range.size) {
+            range = await backend.readRange(fileId, range.end, range.end + sliceSize);
+            if (range.end === range.start) {
+                throw new Error(`File ${fileId} ended early at ${range.start} of ${range.size} bytes`);
+            }
+            hashes.push(await this.checksum(range.blob));
+        }
+        return await this.checksum(new Blob([hashes.join('')]));
+    }
+
+    /**
+     * SHA-256 of a Blob as hex. Blobs over 8MB are hashed slice by slice and the slice hashes
+     * hashed together, so large files are never read into memory at once
+     */
+    async checksum(blob) {
+        const sliceSize = 8 * 1024 * 1024;
+        const sha256 = async data => Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', data)),
+            byte => byte.toString(16).padStart(2, '0')).join('');
+
+        if (blob.size <= sliceSize) {
+            return await sha256(await blob.arrayBuffer());
+        }
+        const hashes = [];
+        for (let start = 0; start < blob.size; start += sliceSize) {
+            hashes.push(await sha256(await blob.slice(start, start + sliceSize).arrayBuffer()));
+        }
+        return await sha256(new TextEncoder().encode(hashes.join('')));
+    }
+
+    /**
+     * Reclaim space: orphaned IndexedDB records, stale localStorage index entries, images stored
+     * without compression, and duplicate SQL/NoSQL conversions of the same original
+     * @returns {Promise<Object>} { orphans, staleIndexEntries, recompressedImages, duplicateConversions, bytesReclaimed, errors }
+     */
+    async optimizeStorage(username) {
+        const report = {
+            orphans: null,
+            staleIndexEntries: 0,
+            recompressedImages: [],
+            duplicateConversions: [],
+            bytesReclaimed: 0,
+            errors: []
+        };
+
+        const indexedDB = this.getBackend('indexedDB');
+        if (indexedDB) {
+            try {
+                report.orphans = await indexedDB.cleanOrphans();
+                report.bytesReclaimed += report.orphans.bytesReclaimed;
+            } catch (error) {
+                report.errors.push(`IndexedDB cleanup: ${error.message}`);
+            }
+        }
+
+        const localStorageBackend = this.getBackend('localStorage');
+        if (localStorageBackend) {
+            const stale = localStorageBackend.cleanStaleIndex();
+            report.staleIndexEntries = stale.removed;
+            report.bytesReclaimed += stale.bytesReclaimed;
+        }
+
+        const files = await this.getUserFiles(username);
+
+        // Images stored before compression existed, or that skipped it
+        for (const file of files) {
+            const metadata = file.metadata || {};
+            const type = metadata.filetype || '';
+            if (!type.startsWith('image/') || metadata.compressed || (metadata.size || file.size) <= 500 * 1024) continue;
+
+            try {
+                const saved = await this.recompressImage(file);
+                if (saved > 0) {
+                    report.recompressedImages.push({ id: file.id, filename: file.filename, bytesSaved: saved });
+                    report.bytesReclaimed += saved;
+                }
+            } catch (error) {
+                report.errors.push(`${file.filename}: ${error.message}`);
+            }
+        }
+
+        // Conversions of the same original with the same type and identical content: keep the newest
+        const groups = new Map();
+        files.forEach(file => {
+            const metadata = file.metadata || {};
+            if (!metadata.originalFileId || !metadata.conversionType) return;
+            const key = `${metadata.originalFileId}|${metadata.conversionType}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(file);
+        });
+
+        for (const group of groups.values()) {
+            if (group.length < 2) continue;
+
+            const byContent = new Map();
+            for (const file of group) {
+                try {
+                    const contentKey = (file.metadata && file.metadata.contentHash) || await this.checksumFrom(this.getBackend(file.backend), file.id);
+                    if (!byContent.has(contentKey)) byContent.set(contentKey, []);
+                    byContent.get(contentKey).push(file);
+                } catch (error) {
+                    report.errors.push(`${file.filename}: ${error.message}`);
+                }
+            }
+
+            for (const duplicates of byContent.values()) {
+                if (duplicates.length < 2) continue;
+                duplicates.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+
+                for (const duplicate of duplicates.slice(1)) {
+                    await this.getBackend(duplicate.backend).deleteFile(duplicate.id);
+                    await this.updateFileMetadata(duplicate.metadata.originalFileId, current => ({
+                        relatedFiles: (current.relatedFiles || []).filter(id => id !== duplicate.id)
+                    })).catch(() => {});
+
+                    // Deduplicated IndexedDB content is shared with the copy that stays
+                    const bytes = duplicate.metadata.contentHash && duplicate.backend === 'indexedDB' ? 0 : duplicate.size;
+                    report.duplicateConversions.push({ id: duplicate.id, filename: duplicate.filename, keptId: duplicates[0].id, bytesReclaimed: bytes });
+                    report.bytesReclaimed += bytes;
+                }
+            }
+        }
+        if (report.duplicateConversions.length > 0) this.versionIndexes.clear();
+
+        return report;
+    }
+
+    /**
+     * Replace a stored image with a compressed copy under the same id, when that is smaller
+     * @returns {Promise<Number>} Bytes saved (0 when compression didn't help)
+     */
+    async recompressImage(file) {
+        if (typeof Image === 'undefined') return 0;
+
+        const backend = this.getBackend(file.backend);
+        const blob = (await this.readFrom(backend, file.id)).blob;
+        const { contentHash, chunked, encrypted, locked, ...metadata } = file.metadata || {};
+        const original = new File([blob], metadata.filename || file.filename, { type: metadata.filetype || blob.type });
+
+        const compressed = await this.compressImage(original);
+        if (compressed === original || compressed.size >= original.size) return 0;
+
+        const options = { fileId: file.id, uploadDate: file.uploadDate };
+        await backend.deleteFile(file.id);
+        try {
+            await backend.storeFile(file.username, compressed, file.category, {
+                ...metadata,
+                compressed: true,
+                originalSize: original.size
+            }, options);
+        } catch (error) {
+            // Put the original back rather than lose the file
+            await backend.storeFile(file.username, original, file.category, metadata, options);
+            throw error;
+        }
+        return original.size - compressed.size;
+    }
+
+    /**
+     * Back up every file of a user as one ZIP archive: the bytes of each file under
+     * files/<id>/<filename>, plus manifest.json with each file's id, category, upload date,
+     * SHA-256 and metadata (versions and parent/child relationships live in the metadata).
+     * A file that can't be read is left out and listed under failed in the manifest
+     * @param {Object} options - { onProgress({ done, total, file }) }
+     * @returns {Promise<Object>} { archive: Blob (application/zip), exported, failed: [{ id, filename, error }] }
+     */
+    async exportBackup(username, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const files = await this.getUserFiles(username);
+        const entries = [];
+        const records = [];
+        const failed = [];
+        const categories = {};
+
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            onProgress({ done: i, total: files.length, file });
+
+            try {
+                const blob = (await this.readFrom(this.getBackend(file.backend), file.id)).blob;
+                const { contentHash, chunked, encrypted, locked, ...metadata } = file.metadata || {};
+                const filename = metadata.filename || file.filename;
+                const path = `files/${file.id}/${filename.replace(/[\\/]/g, '_')}`;
+
+                records.push({
+                    id: file.id,
+                    filename,
+                    filetype: metadata.filetype || blob.type,
+                    size: blob.size,
+                    category: file.category,
+                    uploadDate: file.uploadDate,
+                    backend: file.backend,
+                    path,
+                    checksum: await this.checksum(blob),
+                    metadata
+                });
+                entries.push({ name: path, data: blob, date: new Date(file.uploadDate) });
+                categories[file.category] = (categories[file.category] || 0) + 1;
+            } catch (error) {
+                failed.push({ id: file.id, filename: file.filename, error: error.message });
+            }
+        }
+        onProgress({ done: files.length, total: files.length, file: null });
+
+        const manifest = {
+            format: 'data-bhandaar-backup',
+            version: 1,
+            exportDate: new Date().toISOString(),
+            username,
+            totalFiles: records.length,
+            totalSize: records.reduce((sum, record) => sum + record.size, 0),
+            categories,
+            files: records,
+            failed
+        };
+
+        const archive = await ZipArchive.create([
+            { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+            ...entries
+        ]);
+        return { archive, exported: records.length, failed };
+    }
+
+    /**
+     * Restore a backup made by exportBackup for a user, keeping file ids, upload dates,
+     * categories and metadata. Each file is checked against its SHA-256 in the manifest
+     * @param {Blob} archive - Backup ZIP
+     * @param {Object} options - {
+     *     conflict: 'skip' (default) or 'overwrite' when a file with the same id already exists,
+     *     target: backend type to restore into (default: the size policy, as for new uploads),
+     *     onProgress({ done, total, file })
+     * }
+     * @returns {Promise<Object>} { imported: [...], overwritten: [...], skipped: [...], failed: [{ id, filename, error }], bytesImported }
+     */
+    async importBackup(username, archive, options = {}) {
+        const conflict = options.conflict || 'skip';
+        const onProgress = options.onProgress || (() => {});
+
+        const entries = await ZipArchive.read(archive);
+        const byName = new Map(entries.map(entry => [entry.name, entry]));
+        const manifestEntry = byName.get('manifest.json');
+        if (!manifestEntry) {
+            throw new Error('Not a Data Bhandaar backup: manifest.json is missing');
+        }
+        const manifest = JSON.parse(await (await manifestEntry.blob()).text());
+        if (manifest.format !== 'data-bhandaar-backup' || !Array.isArray(manifest.files)) {
+            throw new Error('Not a Data Bhandaar backup: unknown manifest format');
+        }
+
+        const target = options.target ? this.getBackend(options.target) : null;
+        if (options.target && !target) {
+            throw new Error(`Storage backend not available: ${options.target}`);
+        }
+        if (target && this.isEncrypted(username) && !target.encryption) {
+            throw new Error(`Encrypted files can't be restored to ${target.type}: only IndexedDB and localStorage encrypt them`);
+        }
+
+        const report = { imported: [], overwritten: [], skipped: [], failed: [], bytesImported: 0 };
+        const records = manifest.files;
+        // Where each of the user's files is stored, to overwrite it in place or remove it afterwards
+        const holders = new Map((await this.getUserFiles(username)).map(file => [file.id, file.backend]));
+
+        for (let i = 0; i < records.length; i++) {
+            const record = records[i];
+            onProgress({ done: i, total: records.length, file: record });
+
+            try {
+                const existing = await this.getFile(record.id).catch(() => null);
+                if (existing && conflict !== 'overwrite') {
+                    report.skipped.push({ id: record.id, filename: record.filename });
+                    continue;
+                }
+                if (existing && existing.username && existing.username !== username) {
+                    throw new Error('A file with this id belongs to another user');
+                }
+
+                const entry = byName.get(record.path);
+                if (!entry) {
+                    throw new Error(`${record.path} is missing from the archive`);
+                }
+                const blob = await entry.blob();
+                if (record.checksum && await this.checksum(blob) !== record.checksum) {
+                    throw new Error('Checksum mismatch: the archive is damaged');
+                }
+
+                const content = new File([blob], record.filename, { type: record.filetype || '' });
+                const backend = target || this.selectBackendForFile(content, { encrypted: this.isEncrypted(username) });
+                const previous = existing ? this.getBackend(holders.get(record.id)) : null;
+                if (existing && !previous) {
+                    throw new Error('The stored file with this id could not be located to overwrite it');
+                }
+
+                // The new copy is stored before the old one goes, so a failed store keeps the old file
+                await backend.storeFile(username, content, record.category, record.metadata || {}, {
+                    fileId: record.id,
+                    uploadDate: record.uploadDate,
+                    replace: previous === backend
+                });
+                if (previous && previous !== backend) {
+                    await previous.deleteFile(record.id);
+                }
+
+                const result = { id: record.id, filename: record.filename, backend: backend.type, size: blob.size };
+                report[existing ? 'overwritten' : 'imported'].push(result);
+                report.bytesImported += blob.size;
+            } catch (error) {
+                report.failed.push({ id: record.id, filename: record.filename, error: error.message });
+            }
+        }
+        onProgress({ done: records.length, total: records.length, file: null });
+        this.versionIndexes.clear();
+
+        return report;
+    }
+
+    isEncrypted(username) {
+        return !!this.encryption && this.encryption.isEnabled(username);
+    }
+
+    /**
+     * @returns {Object} { supported, enabled, unlocked, pending: encryption was turned off but some files are still encrypted }
+     */
+    getEncryptionStatus(username) {
+        if (!this.encryption) {
+            return { supported: false, enabled: false, unlocked: true, pending: false };
+        }
+        return {
+            supported: true,
+            enabled: this.encryption.isEnabled(username),
+            unlocked: this.encryption.isUnlocked(username),
+            pending: this.encryption.hasKeyring(username) && !this.encryption.isEnabled(username)
+        };
+    }
+
+    async unlockEncryption(username, pin) {
+        this.requireEncryption();
+        return await this.encryption.unlock(username, pin);
+    }
+
+    requireEncryption() {
+        if (!this.encryption) {
+            throw new Error('Encryption needs Web Crypto, which is only available on https:// or localhost');
+        }
+    }
+
+    /**
+     * Turn encryption on and encrypt the files already stored in IndexedDB and localStorage
+     * @returns {Promise<Object>} Report of reencryptFiles
+     */
+    async enableEncryption(username, pin, options = {}) {
+        this.requireEncryption();
+        await this.encryption.enable(username, pin);
+        return await this.reencryptFiles(username, options);
+    }
+
+    /**
+     * Turn encryption off and decrypt the stored files. The keys are kept until every file
+     * has been decrypted, so a failed file can still be read and retried
+     */
+    async disableEncryption(username, options = {}) {
+        this.requireEncryption();
+        if (!this.encryption.isUnlocked(username)) {
+            throw new Error('Unlock encryption with your PIN first');
+        }
+        this.encryption.disable(username);
+        return await this.reencryptFiles(username, options);
+    }
+
+    /**
+     * Encrypt every file again with a new data key
+     */
+    async rotateEncryptionKey(username, pin, options = {}) {
+        this.requireEncryption();
+        await this.encryption.rotate(username, pin);
+        return await this.reencryptFiles(username, options);
+    }
+
+    /**
+     * Bring every IndexedDB and localStorage file of the user to the current encryption
+     * state: encrypted with the current key, or in the clear when encryption is off. Keys no
+     * file uses any more are dropped from the keyring afterwards
+     * @param {Object} options - { onProgress({ done, total, file }) }
+     * @returns {Promise<Object>} { rewritten: [...], failed: [{ id, filename, error }], unencrypted: files in OPFS or remote storage }
+     */
+    async reencryptFiles(username, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const wanted = this.isEncrypted(username) ? this.encryption.currentKeyId(username) : null;
+        const files = await this.getUserFiles(username);
+
+        const encrypting = files.filter(file => this.getBackend(file.backend) && this.getBackend(file.backend).encryption);
+        const plan = encrypting.filter(file => ((file.metadata && file.metadata.encrypted) || null) !== wanted);
+        const report = {
+            rewritten: [],
+            failed: [],
+            unencrypted: wanted ? files.filter(file => !encrypting.includes(file)).map(file => ({ id: file.id, filename: file.filename, backend: file.backend })) : []
+        };
+
+        for (let i = 0; i < plan.length; i++) {
+            const file = plan[i];
+            onProgress({ done: i, total: plan.length, file });
+            try {
+                await this.rewriteFile(file);
+                report.rewritten.push({ id: file.id, filename: file.filename, backend: file.backend });
+            } catch (error) {
+                report.failed.push({ id: file.id, filename: file.filename, error: error.message });
+            }
+        }
+        onProgress({ done: plan.length, total: plan.length, file: null });
+
+        const usedKeyIds = (await this.getUserFiles(username))
+            .map(file => file.metadata && file.metadata.encrypted)
+            .filter(Boolean);
+        this.encryption.finish(username, usedKeyIds);
+
+        return report;
+    }
+
+    /**
+     * Store a file again in the same backend under the same id, which applies the current
+     * encryption state. The new record overwrites the old one in a single write (replace),
+     * so when storing fails the original is still there and the error goes to the caller
+     */
+    async rewriteFile(file) {
+        const backend = this.getBackend(file.backend);
+        const blob = (await this.readFrom(backend, file.id)).blob;
+        const { contentHash, chunked, encrypted, locked, ...metadata } = file.metadata || {};
+        const content = new File([blob], metadata.filename || file.filename, { type: metadata.filetype || blob.type });
+
+        await backend.storeFile(file.username, content, file.category, metadata, {
+            fileId: file.id,
+            uploadDate: file.uploadDate,
+            replace: true
+        });
+    }
+
     async searchFiles(username, query) {
         const files = await this.getUserFiles(username);
         const searchTerm = query.toLowerCase();
@@ -271,6 +1107,8 @@ class StorageManager {
         return {
             fileCount: files.length,
             totalSize: totalSize,
+            // Bytes not written because identical content was already stored
+            deduplicatedBytes: backendStats.reduce((sum, stats) => sum + (stats.deduplicatedBytes || 0), 0),
             usedPercentage: Math.min((totalSize / (1024 * 1024 * 1024)) * 100, 100).toFixed(1),
             categories: [...new Set(files.map(f => f.category))],
             backends: backendStats
@@ -282,7 +1120,12 @@ class StorageManager {
             name: backend.constructor.name,
             type: backend.type,
             maxSize: backend.maxSize,
-            available: true
+            available: backend.available !== false,
+            // Remote backends also say where the files go
+            remote: backend.type === 'remote',
+            provider: backend.provider || null,
+            location: backend.config ? `${backend.config.endpoint}/${backend.config.bucket}` : null,
+            primary: !!(backend.config && backend.config.primary)
         }));
     }
 
@@ -346,16 +1189,26 @@ class StorageManager {
     }
 }
 
+// Remote backend classes by provider name, filled by registerRemoteBackend
+StorageManager.remoteBackendTypes = {};
+
 // IndexedDB Backend with Large Capacity
 class IndexedDBBackend {
     constructor() {
         this.dbName = 'DataBhandaarDB';
-        this.version = 2;
+        this.version = 4;
         // Set theoretical max - actual limit is browser-dependent (typically 50% of disk)
         // Chrome: ~60% of disk space, Firefox: ~50% of disk space, Safari: ~1GB unless user approves more
         this.maxSize = 200 * 1024 * 1024 * 1024; // 200GB theoretical max
         this.type = 'indexedDB';
         this.db = null;
+        // Files above the threshold are written as fixed-size chunks instead of one ArrayBuffer,
+        // so neither storing nor reading them needs the whole file in memory
+        this.chunkSize = 8 * 1024 * 1024; // 8MB
+        this.chunkThreshold = 64 * 1024 * 1024; // 64MB
+        // FileEncryption, set by StorageManager; without it encrypted records can't be read
+        this.encryption = null;
+        this.sealedUpdates = new Map();
     }
 
     async init() {
@@ -382,66 +1235,142 @@ class IndexedDBBackend {
                     const store = db.createObjectStore('metadata', { keyPath: 'id' });
                     store.createIndex('username', 'username', { unique: false });
                 }
+
+                // Content-addressed file bodies: one record per distinct SHA-256, shared by every
+                // file with the same bytes. Files stored before version 3 keep their data inline
+                if (!db.objectStoreNames.contains('blobs')) {
+                    db.createObjectStore('blobs', { keyPath: 'hash' });
+                }
+                const fileStore = event.target.transaction.objectStore('files');
+                if (!fileStore.indexNames.contains('contentHash')) {
+                    fileStore.createIndex('contentHash', 'contentHash', { unique: false });
+                }
+
+                // Chunks of large files, keyed by [chunkSetId, index]; a chunked blob record
+                // names its chunk set instead of holding data
+                if (!db.objectStoreNames.contains('chunks')) {
+                    db.createObjectStore('chunks', { keyPath: ['setId', 'index'] });
+                }
+
+                // Progress of chunked uploads, so an interrupted upload resumes at its last chunk
+                if (!db.objectStoreNames.contains('uploads')) {
+                    const store = db.createObjectStore('uploads', { keyPath: 'id' });
+                    store.createIndex('username', 'username', { unique: false });
+                }
             };
         });
     }
 
-    async storeFile(username, file, category, metadata = {}) {
+    async storeFile(username, file, category, metadata = {}, options = {}) {
         if (!this.db) await this.init();
 
+        if (file.size > this.chunkThreshold) {
+            return await this.storeChunkedFile(username, file, category, metadata, options);
+        }
+
         // Convert file to ArrayBuffer BEFORE creating the transaction
         // This prevents the transaction from auto-committing while waiting for async operation
         const fileArrayBuffer = await this.fileToArrayBuffer(file);
-
+        const keyId = this.encryptionKeyFor(username);
+        // Encrypted bytes differ per key and IV, so encrypted files are stored inline, not deduplicated
+        const contentHash = keyId ? null : await this.hashContent(fileArrayBuffer);
+        const fullMetadata = {
+            ...metadata,
+            filename: file.name,
+            size: file.size,
+            filetype: file.type,
+            contentHash: contentHash
+        };
+        const encrypted = keyId ? {
+            data: (await this.encryption.encrypt(username, fileArrayBuffer, keyId)).data,
+            sealed: (await this.encryption.seal(username, fullMetadata, keyId)).sealed
+        } : null;
+
         return new Promise((resolve, reject) => {
             try {
-                const transaction = this.db.transaction(['files', 'metadata'], 'readwrite');
+                const transaction = this.db.transaction(['files', 'metadata', 'blobs', 'chunks'], 'readwrite');
 
-                const fileId = this.generateFileId();
+                const fileId = options.fileId || this.generateFileId();
+                const uploadDate = options.uploadDate || new Date().toISOString();
                 const fileData = {
                     id: fileId,
-                    filename: file.name,
-                    filetype: file.type,
+                    filename: encrypted ? '' : file.name,
+                    filetype: encrypted ? '' : file.type,
                     size: file.size,
                     category: category,
-                    uploadDate: new Date().toISOString(),
+                    uploadDate: uploadDate,
                     username: username,
-                    data: fileArrayBuffer
+                    contentHash: contentHash,
+                    encrypted: keyId,
+                    // Without a hash (no Web Crypto, or encrypted) the bytes are stored inline
+                    data: encrypted ? encrypted.data : (contentHash ? null : fileArrayBuffer)
                 };
 
+                // Encrypted metadata is sealed whole; only the size stays readable, for storage stats
                 const metadataRecord = {
                     id: fileId,
                     username: username,
-                    metadata: {
-                        ...metadata,
-                        filename: file.name,
-                        size: file.size,
-                        filetype: file.type
-                    },
+                    metadata: encrypted ? { size: file.size, encrypted: keyId } : fullMetadata,
+                    sealed: encrypted ? encrypted.sealed : null,
                     category: category,
-                    uploadDate: new Date().toISOString()
+                    uploadDate: uploadDate
                 };
 
                 const fileStore = transaction.objectStore('files');
                 const metadataStore = transaction.objectStore('metadata');
+                const blobStore = transaction.objectStore('blobs');
+                let duplicateOf = [];
+
+                if (contentHash) {
+                    // Same bytes already stored: count another reference instead of a second copy
+                    const blobRequest = blobStore.get(contentHash);
+                    blobRequest.onsuccess = () => {
+                        const blobRecord = blobRequest.result;
+                        if (blobRecord) {
+                            blobRecord.refCount++;
+                            blobStore.put(blobRecord);
+
+                            const duplicatesRequest = fileStore.index('contentHash').getAll(contentHash);
+                            duplicatesRequest.onsuccess = () => {
+                                duplicateOf = duplicatesRequest.result
+                                    .filter(record => record.id !== fileId)
+                                    .map(record => ({ id: record.id, filename: record.filename }));
+                            };
+                        } else {
+                            blobStore.add({ hash: contentHash, data: fileArrayBuffer, size: file.size, refCount: 1 });
+                        }
+                    };
+                }
 
-                const fileRequest = fileStore.add(fileData);
-                const metadataRequest = metadataStore.add(metadataRecord);
-
-                fileRequest.onsuccess = () => {
-                    metadataRequest.onsuccess = () => {
-                        resolve({
-                            id: fileId,
-                            filename: file.name,
-                            filetype: file.type,
-                            size: file.size,
-                            category: category,
-                            uploadDate: new Date().toISOString(),
-                            username: username,
-                            metadata: metadata,
-                            storage: 'IndexedDB'
-                        });
+                // Replacing: the old record is read before it is overwritten, and its content is
+                // released after the new content is counted, all in this transaction
+                if (options.replace) {
+                    const previousRequest = fileStore.get(fileId);
+                    previousRequest.onsuccess = () => {
+                        if (previousRequest.result) this.releaseContent(transaction, previousRequest.result.contentHash);
                     };
+                }
+
+                const fileRequest = options.replace ? fileStore.put(fileData) : fileStore.add(fileData);
+                const metadataRequest = options.replace ? metadataStore.put(metadataRecord) : metadataStore.add(metadataRecord);
+
+                transaction.oncomplete = () => {
+                    const deduplicated = duplicateOf.length > 0;
+                    resolve({
+                        id: fileId,
+                        filename: file.name,
+                        filetype: file.type,
+                        size: file.size,
+                        category: category,
+                        uploadDate: uploadDate,
+                        username: username,
+                        metadata: { ...metadata, contentHash: contentHash },
+                        storage: 'IndexedDB',
+                        encrypted: !!keyId,
+                        deduplicated: deduplicated,
+                        duplicateOf: duplicateOf,
+                        bytesSaved: deduplicated ? file.size : 0
+                    });
                 };
 
                 fileRequest.onerror = (event) => {
@@ -480,6 +1409,386 @@ class IndexedDBBackend {
         });
     }
 
+    /**
+     * SHA-256 of the file bytes as hex, or null where Web Crypto is unavailable (insecure origins)
+     */
+    async hashContent(buffer) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Store a large file as chunks, one transaction per chunk. Progress is kept in the uploads
+     * store under the file's name, size and modification time, so storing the same file again
+     * after an interruption continues with the first missing chunk.
+     *
+     * The content hash of a chunked file is the SHA-256 of its chunk hashes (Web Crypto can't
+     * hash a stream), which still identifies identical uploads for deduplication.
+     */
+    async storeChunkedFile(username, file, category, metadata = {}, options = {}) {
+        const uploadId = `${username}:${file.name}:${file.size}:${file.lastModified}`;
+        const keyId = this.encryptionKeyFor(username);
+        let upload = await this.runTransaction(['uploads'], 'readonly', stores => stores.uploads.get(uploadId));
+        // Chunks already written with another key (or none) can't be mixed with new ones
+        if (!upload || upload.chunkSize !== this.chunkSize || (upload.keyId || null) !== keyId) {
+            upload = {
+                id: uploadId,
+                username: username,
+                filename: file.name,
+                size: file.size,
+                chunkSize: this.chunkSize,
+                chunkSetId: 'chunks_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                chunkHashes: [],
+                keyId: keyId,
+                startedAt: new Date().toISOString()
+            };
+        }
+
+        const chunkCount = Math.ceil(file.size / upload.chunkSize);
+        const resumedFromChunk = upload.chunkHashes.length;
+        const onProgress = options.onProgress || (() => {});
+        onProgress(resumedFromChunk / chunkCount);
+
+        try {
+            for (let index = resumedFromChunk; index < chunkCount; index++) {
+                const start = index * upload.chunkSize;
+                const buffer = await this.fileToArrayBuffer(file.slice(start, start + upload.chunkSize));
+                upload.chunkHashes[index] = await this.hashContent(buffer);
+                // Each chunk is encrypted on its own, so ranges decrypt only the chunks they cover
+                const data = keyId ? (await this.encryption.encrypt(username, buffer, keyId)).data : buffer;
+
+                await this.runTransaction(['chunks', 'uploads'], 'readwrite', stores => {
+                    stores.chunks.put({ setId: upload.chunkSetId, index: index, data: data });
+                    stores.uploads.put(upload);
+                });
+                onProgress((index + 1) / chunkCount);
+            }
+        } catch (error) {
+            if (error.name === 'QuotaExceededError' || /quota/i.test(error.message)) {
+                throw new Error('Storage quota exceeded. Please delete some files or try a smaller file.');
+            }
+            throw error;
+        }
+
+        // Encrypted chunk sets are never shared, so they get a hash of their own
+        const hashed = upload.chunkHashes.every(Boolean);
+        let contentHash = `unhashed_${upload.chunkSetId}`;
+        if (keyId) {
+            contentHash = `encrypted_${upload.chunkSetId}`;
+        } else if (hashed) {
+            contentHash = await this.hashContent(new TextEncoder().encode(upload.chunkHashes.join('')));
+        }
+
+        const fileId = options.fileId || this.generateFileId();
+        const uploadDate = options.uploadDate || new Date().toISOString();
+        const fullMetadata = {
+            ...metadata,
+            filename: file.name,
+            size: file.size,
+            filetype: file.type,
+            contentHash: contentHash,
+            chunked: true
+        };
+        const sealed = keyId ? (await this.encryption.seal(username, fullMetadata, keyId)).sealed : null;
+        let duplicateOf = [];
+
+        await this.runTransaction(['files', 'metadata', 'blobs', 'chunks', 'uploads'], 'readwrite', stores => {
+            const blobRequest = stores.blobs.get(contentHash);
+            blobRequest.onsuccess = () => {
+                const blobRecord = blobRequest.result;
+                if (blobRecord) {
+                    // Already stored: keep the existing chunks and drop the ones just written
+                    blobRecord.refCount++;
+                    stores.blobs.put(blobRecord);
+                    stores.chunks.delete(this.chunkRange(upload.chunkSetId));
+
+                    const duplicatesRequest = stores.files.index('contentHash').getAll(contentHash);
+                    duplicatesRequest.onsuccess = () => {
+                        duplicateOf = duplicatesRequest.result
+                            .filter(record => record.id !== fileId)
+                            .map(record => ({ id: record.id, filename: record.filename }));
+                    };
+                } else {
+                    stores.blobs.add({
+                        hash: contentHash,
+                        size: file.size,
+                        refCount: 1,
+                        chunkSetId: upload.chunkSetId,
+                        chunkSize: upload.chunkSize,
+                        chunkCount: chunkCount
+                    });
+                }
+            };
+
+            if (options.replace) {
+                const previousRequest = stores.files.get(fileId);
+                previousRequest.onsuccess = () => {
+                    if (previousRequest.result) this.releaseContent(stores.blobs.transaction, previousRequest.result.contentHash);
+                };
+            }
+
+            const write = options.replace ? 'put' : 'add';
+            stores.files[write]({
+                id: fileId,
+                filename: keyId ? '' : file.name,
+                filetype: keyId ? '' : file.type,
+                size: file.size,
+                category: category,
+                uploadDate: uploadDate,
+                username: username,
+                contentHash: contentHash,
+                chunked: true,
+                encrypted: keyId,
+                data: null
+            });
+            stores.metadata[write]({
+                id: fileId,
+                username: username,
+                metadata: keyId ? { size: file.size, contentHash: contentHash, chunked: true, encrypted: keyId } : fullMetadata,
+                sealed: sealed,
+                category: category,
+                uploadDate: uploadDate
+            });
+            stores.uploads.delete(uploadId);
+        });
+
+        const deduplicated = duplicateOf.length > 0;
+        return {
+            id: fileId,
+            filename: file.name,
+            filetype: file.type,
+            size: file.size,
+            category: category,
+            uploadDate: uploadDate,
+            username: username,
+            metadata: { ...metadata, contentHash: contentHash, chunked: true },
+            storage: 'IndexedDB',
+            encrypted: !!keyId,
+            chunked: true,
+            chunkCount: chunkCount,
+            resumedFromChunk: resumedFromChunk,
+            deduplicated: deduplicated,
+            duplicateOf: duplicateOf,
+            bytesSaved: deduplicated ? file.size : 0
+        };
+    }
+
+    /**
+     * Read bytes [start, end) of a file. Chunked files read only the chunks the range covers
+     * @returns {Promise<Object>} { blob, start, end, size, type }
+     */
+    async readRange(fileId, start = 0, end = Infinity) {
+        if (!this.db) await this.init();
+
+        const { fileData, blobRecord, metadataRecord } = await this.runTransaction(['files', 'blobs', 'metadata'], 'readonly', stores => {
+            const result = { fileData: null, blobRecord: null, metadataRecord: null };
+            const fileRequest = stores.files.get(fileId);
+            fileRequest.onsuccess = () => {
+                result.fileData = fileRequest.result;
+                if (result.fileData && result.fileData.contentHash) {
+                    const blobRequest = stores.blobs.get(result.fileData.contentHash);
+                    blobRequest.onsuccess = () => { result.blobRecord = blobRequest.result; };
+                }
+                // The type of an encrypted file is in its sealed metadata
+                if (result.fileData && result.fileData.encrypted) {
+                    const metadataRequest = stores.metadata.get(fileId);
+                    metadataRequest.onsuccess = () => { result.metadataRecord = metadataRequest.result; };
+                }
+            };
+            return result;
+        });
+
+        if (!fileData || (fileData.contentHash && !blobRecord)) {
+            throw new Error('File not found in IndexedDB');
+        }
+
+        const keyId = fileData.encrypted;
+        const decrypt = data => (keyId ? this.decryptFor(fileData.username, keyId, data) : data);
+        const type = keyId ? (await this.openMetadataRecord(metadataRecord)).metadata.filetype : fileData.filetype;
+        const size = blobRecord ? blobRecord.size : fileData.size;
+        const rangeEnd = Math.min(end, size);
+        const rangeStart = Math.max(0, Math.min(start, rangeEnd));
+
+        if (!blobRecord || !blobRecord.chunkSetId) {
+            const data = await decrypt(blobRecord ? blobRecord.data : fileData.data);
+            return { blob: new Blob([data.slice(rangeStart, rangeEnd)], { type }), start: rangeStart, end: rangeEnd, size, type };
+        }
+        if (rangeEnd === rangeStart) {
+            return { blob: new Blob([], { type }), start: rangeStart, end: rangeEnd, size, type };
+        }
+
+        const chunkSize = blobRecord.chunkSize;
+        const first = Math.floor(rangeStart / chunkSize);
+        const last = Math.floor((rangeEnd - 1) / chunkSize);
+        const chunks = await this.runTransaction(['chunks'], 'readonly', stores =>
+            stores.chunks.getAll(IDBKeyRange.bound([blobRecord.chunkSetId, first], [blobRecord.chunkSetId, last])));
+
+        if (chunks.length !== last - first + 1) {
+            throw new Error('File chunks missing in IndexedDB');
+        }
+        const parts = [];
+        for (const chunk of chunks) {
+            const chunkStart = chunk.index * chunkSize;
+            const data = await decrypt(chunk.data);
+            parts.push(data.slice(Math.max(rangeStart - chunkStart, 0), Math.min(rangeEnd - chunkStart, data.byteLength)));
+        }
+
+        return { blob: new Blob(parts, { type }), start: rangeStart, end: rangeEnd, size, type };
+    }
+
+    async getPendingUploads(username) {
+        if (!this.db) await this.init();
+
+        const uploads = await this.runTransaction(['uploads'], 'readonly', stores =>
+            stores.uploads.index('username').getAll(username));
+        return uploads.map(upload => ({
+            id: upload.id,
+            filename: upload.filename,
+            size: upload.size,
+            storedBytes: Math.min(upload.chunkHashes.length * upload.chunkSize, upload.size),
+            startedAt: upload.startedAt
+        }));
+    }
+
+    // Remove interrupted uploads and the chunks they wrote
+    async discardPendingUploads(username) {
+        if (!this.db) await this.init();
+
+        const uploads = await this.runTransaction(['uploads'], 'readonly', stores =>
+            stores.uploads.index('username').getAll(username));
+        await this.runTransaction(['uploads', 'chunks'], 'readwrite', stores => {
+            uploads.forEach(upload => {
+                stores.chunks.delete(this.chunkRange(upload.chunkSetId));
+                stores.uploads.delete(upload.id);
+            });
+        });
+        return uploads.length;
+    }
+
+    /**
+     * Remove records nothing points to: files without metadata (and metadata without files),
+     * blobs no file references, chunks of deleted blobs or abandoned uploads. Blob reference
+     * counts are recounted from the file records
+     * @returns {Promise<Object>} { files, metadata, blobs, chunkSets, refCountsFixed, bytesReclaimed }
+     */
+    async cleanOrphans() {
+        if (!this.db) await this.init();
+
+        // Keys and small records only: file bodies stay on disk while the plan is made
+        const scan = await this.runTransaction(['files', 'metadata', 'blobs', 'chunks', 'uploads'], 'readonly', stores => {
+            const result = { fileIds: [], metadataIds: [], references: new Map(), blobs: [], chunkSetIds: new Set(), uploadSetIds: new Set() };
+
+            stores.files.getAllKeys().onsuccess = event => { result.fileIds = event.target.result; };
+            stores.metadata.getAllKeys().onsuccess = event => { result.metadataIds = event.target.result; };
+            stores.chunks.getAllKeys().onsuccess = event => {
+                event.target.result.forEach(([setId]) => result.chunkSetIds.add(setId));
+            };
+            stores.uploads.getAll().onsuccess = event => {
+                event.target.result.forEach(upload => result.uploadSetIds.add(upload.chunkSetId));
+            };
+
+            const referenceCursor = stores.files.index('contentHash').openKeyCursor();
+            referenceCursor.onsuccess = () => {
+                const cursor = referenceCursor.result;
+                if (!cursor) return;
+                result.references.set(cursor.primaryKey, cursor.key);
+                cursor.continue();
+            };
+
+            const blobCursor = stores.blobs.openCursor();
+            blobCursor.onsuccess = () => {
+                const cursor = blobCursor.result;
+                if (!cursor) return;
+                const { hash, refCount, size, chunkSetId } = cursor.value;
+                result.blobs.push({ hash, refCount, size, chunkSetId });
+                cursor.continue();
+            };
+            return result;
+        });
+
+        const metadataIds = new Set(scan.metadataIds);
+        const fileIds = new Set(scan.fileIds);
+        const orphanFiles = scan.fileIds.filter(id => !metadataIds.has(id));
+        const orphanMetadata = scan.metadataIds.filter(id => !fileIds.has(id));
+
+        // References that remain once the orphaned files are gone
+        const counts = new Map();
+        scan.references.forEach((hash, fileId) => {
+            if (!orphanFiles.includes(fileId)) counts.set(hash, (counts.get(hash) || 0) + 1);
+        });
+
+        const orphanBlobs = scan.blobs.filter(blob => !counts.has(blob.hash));
+        const miscounted = scan.blobs.filter(blob => counts.has(blob.hash) && counts.get(blob.hash) !== blob.refCount);
+        const liveSets = new Set(scan.blobs.filter(blob => counts.has(blob.hash) && blob.chunkSetId).map(blob => blob.chunkSetId));
+        const orphanSets = [...scan.chunkSetIds].filter(setId => !liveSets.has(setId) && !scan.uploadSetIds.has(setId));
+
+        const report = {
+            files: orphanFiles.length,
+            metadata: orphanMetadata.length,
+            blobs: orphanBlobs.length,
+            chunkSets: orphanSets.length,
+            refCountsFixed: miscounted.length,
+            bytesReclaimed: orphanBlobs.filter(blob => !blob.chunkSetId).reduce((sum, blob) => sum + (blob.size || 0), 0)
+        };
+
+        await this.runTransaction(['files', 'metadata', 'blobs', 'chunks'], 'readwrite', stores => {
+            orphanFiles.forEach(id => {
+                // Files stored before deduplication carry their bytes inline
+                const request = stores.files.get(id);
+                request.onsuccess = () => {
+                    if (request.result && request.result.data) report.bytesReclaimed += request.result.data.byteLength;
+                    stores.files.delete(id);
+                };
+            });
+            orphanMetadata.forEach(id => stores.metadata.delete(id));
+            orphanBlobs.forEach(blob => stores.blobs.delete(blob.hash));
+            miscounted.forEach(blob => {
+                const request = stores.blobs.get(blob.hash);
+                request.onsuccess = () => {
+                    stores.blobs.put({ ...request.result, refCount: counts.get(blob.hash) });
+                };
+            });
+            orphanSets.forEach(setId => {
+                const cursorRequest = stores.chunks.openCursor(this.chunkRange(setId));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    report.bytesReclaimed += cursor.value.data.byteLength;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+        });
+
+        return report;
+    }
+
+    chunkRange(chunkSetId) {
+        return IDBKeyRange.bound([chunkSetId, 0], [chunkSetId, Infinity]);
+    }
+
+    /**
+     * Run work(stores) in one transaction. Resolves when the transaction completes with the
+     * request's result if work returns a request, otherwise with what work returned
+     */
+    runTransaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = transaction.objectStore(name); });
+
+            const outcome = work(stores);
+            transaction.oncomplete = () => resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+            transaction.onerror = (event) => {
+                const error = event.target.error;
+                reject(error && error.name === 'QuotaExceededError' ? error : new Error('Transaction failed: ' + (error ? error.message : 'unknown error')));
+            };
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
     async fileToArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -492,90 +1801,255 @@ class IndexedDBBackend {
     async getUserFiles(username) {
         if (!this.db) await this.init();
         
-        return new Promise((resolve, reject) => {
+        const records = await new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['metadata'], 'readonly');
             const store = transaction.objectStore('metadata');
             const index = store.index('username');
             const request = index.getAll(username);
 
-            request.onsuccess = () => {
-                const results = request.result.map(item => ({
-                    id: item.id,
-                    filename: item.metadata?.intelligentAnalysis?.filename || item.metadata?.filename || 'file',
-                    filetype: item.metadata?.intelligentAnalysis?.mainType || item.metadata?.filetype || 'unknown',
-                    size: item.metadata?.intelligentAnalysis?.size || item.metadata?.size || 0,
-                    category: item.category,
-                    uploadDate: item.uploadDate,
-                    username: item.username,
-                    metadata: item.metadata
-                }));
-                resolve(results);
-            };
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(new Error('Failed to get user files from IndexedDB'));
         });
+
+        const items = await Promise.all(records.map(record => this.openMetadataRecord(record)));
+        return items.map(item => ({
+            id: item.id,
+            filename: item.metadata?.intelligentAnalysis?.filename || item.metadata?.filename || 'file',
+            filetype: item.metadata?.intelligentAnalysis?.mainType || item.metadata?.filetype || 'unknown',
+            size: item.metadata?.intelligentAnalysis?.size || item.metadata?.size || 0,
+            category: item.category,
+            uploadDate: item.uploadDate,
+            username: item.username,
+            metadata: item.metadata
+        }));
+    }
+
+    /**
+     * A metadata record with its sealed metadata decrypted. While the user's keys are locked
+     * the record is returned as an ENCRYPTED_FILE placeholder with metadata.locked set
+     */
+    async openMetadataRecord(record) {
+        const keyId = record && record.metadata && record.metadata.encrypted;
+        if (!keyId) return record;
+
+        try {
+            const metadata = await this.encryption.open(record.username, keyId, record.sealed);
+            return { ...record, metadata: { ...metadata, encrypted: keyId } };
+        } catch (error) {
+            return { ...record, metadata: { ...record.metadata, filename: 'ENCRYPTED_FILE', locked: true } };
+        }
+    }
+
+    // Key to encrypt a user's new files with, or null when they are stored in the clear
+    encryptionKeyFor(username) {
+        return this.encryption && this.encryption.isEnabled(username) ? this.encryption.currentKeyId(username) : null;
+    }
+
+    async decryptFor(username, keyId, data) {
+        if (!this.encryption) {
+            throw new Error('Encrypted file: this browser has no Web Crypto to decrypt it');
+        }
+        return await this.encryption.decrypt(username, keyId, data);
     }
 
     async getFile(fileId) {
         if (!this.db) await this.init();
         
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['files', 'metadata'], 'readonly');
+        const found = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['files', 'metadata', 'blobs'], 'readonly');
             const fileStore = transaction.objectStore('files');
             const metadataStore = transaction.objectStore('metadata');
+            const blobStore = transaction.objectStore('blobs');
 
             const fileRequest = fileStore.get(fileId);
             const metadataRequest = metadataStore.get(fileId);
+            let data = null;
 
             fileRequest.onsuccess = () => {
-                metadataRequest.onsuccess = () => {
-                    const fileData = fileRequest.result;
-                    const metadata = metadataRequest.result;
+                const fileData = fileRequest.result;
+                if (!fileData) return;
+
+                if (fileData.chunked) {
+                    // Chunked files are read with readRange / createReadStream, never whole
+                    data = null;
+                } else if (fileData.contentHash) {
+                    const blobRequest = blobStore.get(fileData.contentHash);
+                    blobRequest.onsuccess = () => {
+                        data = blobRequest.result ? blobRequest.result.data : null;
+                    };
+                } else {
+                    data = fileData.data;
+                }
+            };
 
-                    if (!fileData) {
-                        reject(new Error('File not found in IndexedDB'));
-                        return;
-                    }
+            transaction.oncomplete = () => {
+                const fileData = fileRequest.result;
+                if (fileData && !fileData.chunked && !data) {
+                    reject(new Error('File not found in IndexedDB'));
+                    return;
+                }
+                resolve(fileData ? { fileData, metadataRecord: metadataRequest.result, data } : null);
+            };
 
-                    const blob = new Blob([fileData.data], { type: fileData.filetype });
-                    const url = URL.createObjectURL(blob);
+            transaction.onerror = () => reject(new Error('Failed to get file from IndexedDB'));
+        });
 
-                    resolve({
-                        ...fileData,
-                        ...metadata.metadata,
-                        url: url,
-                        blob: blob
-                    });
-                };
+        if (!found) {
+            throw new Error('File not found in IndexedDB');
+        }
+
+        const { fileData } = found;
+        const metadata = (await this.openMetadataRecord(found.metadataRecord || { metadata: {} })).metadata;
+        if (metadata.locked) {
+            throw FileEncryption.lockedError();
+        }
+
+        if (fileData.chunked) {
+            return { ...fileData, ...metadata, chunked: true };
+        }
+
+        // Encrypted records keep their name and type in the sealed metadata
+        const data = fileData.encrypted ? await this.decryptFor(fileData.username, fileData.encrypted, found.data) : found.data;
+        const blob = new Blob([data], { type: metadata.filetype || fileData.filetype });
+        const url = URL.createObjectURL(blob);
+
+        return {
+            ...fileData,
+            ...metadata,
+            data: data,
+            url: url,
+            blob: blob
+        };
+    }
+
+    async updateFileMetadata(fileId, updates) {
+        if (!this.db) await this.init();
+
+        const stored = await this.runTransaction(['metadata'], 'readonly', stores => stores.metadata.get(fileId));
+        if (stored && stored.sealed) {
+            return await this.updateSealedMetadata(fileId, updates);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            const store = transaction.objectStore('metadata');
+            const request = store.get(fileId);
+            let record = null;
+
+            // Read and write in one transaction so concurrent updates don't overwrite each other
+            request.onsuccess = () => {
+                record = request.result;
+                if (!record) {
+                    reject(new Error('File not found in IndexedDB'));
+                    return;
+                }
+                const changes = typeof updates === 'function' ? updates(record.metadata || {}) : updates;
+                record.metadata = { ...record.metadata, ...changes };
+                store.put(record);
             };
 
-            fileRequest.onerror = () => reject(new Error('Failed to get file from IndexedDB'));
+            transaction.oncomplete = () => {
+                if (record) resolve(record.metadata);
+            };
+            transaction.onerror = () => reject(new Error('Failed to update metadata in IndexedDB'));
         });
     }
 
+    /**
+     * Decrypting and sealing can't happen inside a transaction, so updates of sealed metadata
+     * are queued per file instead
+     */
+    updateSealedMetadata(fileId, updates) {
+        const previous = this.sealedUpdates.get(fileId) || Promise.resolve();
+
+        const update = previous.catch(() => {}).then(async () => {
+            const record = await this.runTransaction(['metadata'], 'readonly', stores => stores.metadata.get(fileId));
+            if (!record) {
+                throw new Error('File not found in IndexedDB');
+            }
+            const { metadata } = await this.openMetadataRecord(record);
+            if (metadata.locked) {
+                throw FileEncryption.lockedError('change');
+            }
+
+            const { encrypted, ...current } = metadata;
+            const changes = typeof updates === 'function' ? updates(current) : updates;
+            const merged = { ...current, ...changes };
+            const { sealed } = await this.encryption.seal(record.username, merged, encrypted);
+
+            await this.runTransaction(['metadata'], 'readwrite', stores => stores.metadata.put({ ...record, sealed }));
+            return { ...merged, encrypted };
+        });
+
+        this.sealedUpdates.set(fileId, update);
+        update.catch(() => {}).then(() => {
+            if (this.sealedUpdates.get(fileId) === update) this.sealedUpdates.delete(fileId);
+        });
+        return update;
+    }
+
     async deleteFile(fileId) {
         if (!this.db) await this.init();
         
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['files', 'metadata'], 'readwrite');
+            const transaction = this.db.transaction(['files', 'metadata', 'blobs', 'chunks'], 'readwrite');
             const fileStore = transaction.objectStore('files');
             const metadataStore = transaction.objectStore('metadata');
 
-            fileStore.delete(fileId);
-            metadataStore.delete(fileId);
+            const fileRequest = fileStore.get(fileId);
+            fileRequest.onsuccess = () => {
+                const fileData = fileRequest.result;
+                if (fileData) this.releaseContent(transaction, fileData.contentHash);
+                fileStore.delete(fileId);
+                metadataStore.delete(fileId);
+            };
 
             transaction.oncomplete = () => resolve(true);
             transaction.onerror = () => reject(new Error('Failed to delete file from IndexedDB'));
         });
     }
 
+    // Drop a file's reference to its content inside a transaction on files, blobs and chunks;
+    // the bytes go with the last reference
+    releaseContent(transaction, contentHash) {
+        if (!contentHash) return;
+
+        const blobStore = transaction.objectStore('blobs');
+        const blobRequest = blobStore.get(contentHash);
+        blobRequest.onsuccess = () => {
+            const blobRecord = blobRequest.result;
+            if (!blobRecord) return;
+            if (--blobRecord.refCount <= 0) {
+                blobStore.delete(blobRecord.hash);
+                if (blobRecord.chunkSetId) {
+                    transaction.objectStore('chunks').delete(this.chunkRange(blobRecord.chunkSetId));
+                }
+            } else {
+                blobStore.put(blobRecord);
+            }
+        };
+    }
+
     async getStats(username) {
         const files = await this.getUserFiles(username);
         const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+        // Bytes actually written: each distinct content hash once, inline (pre-hash) files in full
+        const hashes = new Set();
+        const storedSize = files.reduce((sum, file) => {
+            const hash = file.metadata && file.metadata.contentHash;
+            if (!hash) return sum + file.size;
+            if (hashes.has(hash)) return sum;
+            hashes.add(hash);
+            return sum + file.size;
+        }, 0);
         
         return {
             type: this.type,
             fileCount: files.length,
             totalSize: totalSize,
+            storedSize: storedSize,
+            deduplicatedBytes: totalSize - storedSize,
             maxSize: this.maxSize
         };
     }
@@ -585,12 +2059,238 @@ class IndexedDBBackend {
     }
 }
 
+// Origin Private File System Backend for Large Binaries
+class OPFSBackend {
+    constructor() {
+        this.dbName = 'DataBhandaarOPFS';
+        this.version = 1;
+        // Bounded by the origin quota like IndexedDB
+        this.maxSize = 200 * 1024 * 1024 * 1024; // 200GB theoretical max
+        this.minFileSize = 16 * 1024 * 1024; // Binaries from 16MB are routed here
+        this.type = 'opfs';
+        this.db = null;
+        this.root = null;
+    }
+
+    async init() {
+        // File bytes live in OPFS under files/<fileId>; the records describing them in IndexedDB
+        const opfsRoot = await navigator.storage.getDirectory();
+        this.root = await opfsRoot.getDirectoryHandle('files', { create: true });
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onerror = () => reject(new Error('Failed to open OPFS metadata database'));
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('metadata')) {
+                    const store = db.createObjectStore('metadata', { keyPath: 'id' });
+                    store.createIndex('username', 'username', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * @param {Object} options - { fileId, uploadDate, onProgress(fraction), replace: overwrite the
+     *     file with this id; if writing the new bytes fails, the old file is left as it was }
+     */
+    async storeFile(username, file, category, metadata = {}, options = {}) {
+        if (!this.db) await this.init();
+
+        const fileId = options.fileId || this.generateFileId();
+        const uploadDate = options.uploadDate || new Date().toISOString();
+        const record = {
+            id: fileId,
+            username: username,
+            filename: file.name,
+            filetype: file.type,
+            size: file.size,
+            category: category,
+            uploadDate: uploadDate,
+            metadata: {
+                ...metadata,
+                filename: file.name,
+                size: file.size,
+                filetype: file.type
+            }
+        };
+
+        // Replacing: the new record goes in first and the old one is put back if the bytes fail.
+        // The old bytes survive a failed write, since a writable only swaps its data in on close
+        const previous = options.replace ? await this.request('readonly', store => store.get(fileId)) : null;
+        if (previous) {
+            await this.request('readwrite', store => store.put(record));
+        }
+
+        // Stream the file to disk instead of reading it into memory first
+        try {
+            const handle = await this.root.getFileHandle(fileId, { create: true });
+            const writable = await handle.createWritable();
+            let written = 0;
+            const progress = new TransformStream({
+                transform(chunk, controller) {
+                    written += chunk.byteLength;
+                    if (options.onProgress) options.onProgress(written / (file.size || 1));
+                    controller.enqueue(chunk);
+                }
+            });
+            await file.stream().pipeThrough(progress).pipeTo(writable);
+        } catch (error) {
+            if (previous) {
+                await this.request('readwrite', store => store.put(previous)).catch(() => {});
+            } else {
+                await this.root.removeEntry(fileId).catch(() => {});
+            }
+            if (error.name === 'QuotaExceededError') {
+                throw new Error('Storage quota exceeded. Please delete some files or try a smaller file.');
+            }
+            throw new Error('Failed to write file to the origin private file system: ' + error.message);
+        }
+
+        if (!previous) {
+            try {
+                await this.request('readwrite', store => store.add(record));
+            } catch (error) {
+                // Don't leave bytes without a record
+                await this.root.removeEntry(fileId).catch(() => {});
+                throw error;
+            }
+        }
+
+        return {
+            id: fileId,
+            filename: file.name,
+            filetype: file.type,
+            size: file.size,
+            category: category,
+            uploadDate: uploadDate,
+            username: username,
+            metadata: metadata,
+            storage: 'OPFS'
+        };
+    }
+
+    async getUserFiles(username) {
+        if (!this.db) await this.init();
+
+        const records = await this.request('readonly', store => store.index('username').getAll(username));
+        return records.map(item => ({
+            id: item.id,
+            filename: item.metadata?.intelligentAnalysis?.filename || item.metadata?.filename || item.filename || 'file',
+            filetype: item.metadata?.intelligentAnalysis?.mainType || item.metadata?.filetype || item.filetype || 'unknown',
+            size: item.metadata?.intelligentAnalysis?.size || item.metadata?.size || item.size || 0,
+            category: item.category,
+            uploadDate: item.uploadDate,
+            username: item.username,
+            metadata: item.metadata
+        }));
+    }
+
+    async getFile(fileId) {
+        if (!this.db) await this.init();
+
+        const record = await this.request('readonly', store => store.get(fileId));
+        if (!record) {
+            throw new Error('File not found in OPFS');
+        }
+
+        // getFile() returns a disk-backed File, so the object URL doesn't load the bytes
+        const handle = await this.root.getFileHandle(fileId);
+        const stored = await handle.getFile();
+        const blob = stored.type === record.filetype ? stored : stored.slice(0, stored.size, record.filetype);
+
+        return {
+            ...record,
+            ...record.metadata,
+            url: URL.createObjectURL(blob),
+            blob: blob
+        };
+    }
+
+    async updateFileMetadata(fileId, updates) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            const store = transaction.objectStore('metadata');
+            const request = store.get(fileId);
+            let record = null;
+
+            request.onsuccess = () => {
+                record = request.result;
+                if (!record) {
+                    reject(new Error('File not found in OPFS'));
+                    return;
+                }
+                const changes = typeof updates === 'function' ? updates(record.metadata || {}) : updates;
+                record.metadata = { ...record.metadata, ...changes };
+                store.put(record);
+            };
+
+            transaction.oncomplete = () => {
+                if (record) resolve(record.metadata);
+            };
+            transaction.onerror = () => reject(new Error('Failed to update metadata in OPFS backend'));
+        });
+    }
+
+    async deleteFile(fileId) {
+        if (!this.db) await this.init();
+
+        const record = await this.request('readonly', store => store.get(fileId));
+        if (!record) {
+            throw new Error('File not found in OPFS');
+        }
+
+        await this.root.removeEntry(fileId).catch(error => {
+            if (error.name !== 'NotFoundError') throw error;
+        });
+        await this.request('readwrite', store => store.delete(fileId));
+        return true;
+    }
+
+    async getStats(username) {
+        const files = await this.getUserFiles(username);
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+        return {
+            type: this.type,
+            fileCount: files.length,
+            totalSize: totalSize,
+            maxSize: this.maxSize
+        };
+    }
+
+    // One request against the metadata store, resolved with its result
+    request(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], mode);
+            const request = makeRequest(transaction.objectStore('metadata'));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error('OPFS metadata request failed: ' + (transaction.error ? transaction.error.message : 'unknown error')));
+        });
+    }
+
+    generateFileId() {
+        return 'opfs_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
 // Enhanced LocalStorage Backend
 class LocalStorageBackend {
     constructor() {
         this.maxSize = 10 * 1024 * 1024; // 10MB total (browser limit ~5-10MB)
         this.maxFileSize = 5 * 1024 * 1024; // 5MB per file (increased from 2MB)
         this.type = 'localStorage';
+        // FileEncryption, set by StorageManager
+        this.encryption = null;
     }
 
     async init() {
@@ -604,34 +2304,47 @@ class LocalStorageBackend {
         return true;
     }
 
-    async storeFile(username, file, category, metadata = {}) {
+    async storeFile(username, file, category, metadata = {}, options = {}) {
         if (file.size > this.maxFileSize) {
             throw new Error(`File too large for localStorage. Max: ${this.formatFileSize(this.maxFileSize)}`);
         }
 
         try {
-            const fileId = this.generateFileId();
+            const fileId = options.fileId || this.generateFileId();
+            const keyId = this.encryption && this.encryption.isEnabled(username) ? this.encryption.currentKeyId(username) : null;
+            const fullMetadata = {
+                ...metadata,
+                filename: file.name,
+                size: file.size,
+                filetype: file.type
+            };
             const fileData = {
                 id: fileId,
                 filename: file.name,
                 filetype: file.type,
                 size: file.size,
                 category: category,
-                uploadDate: new Date().toISOString(),
+                uploadDate: options.uploadDate || new Date().toISOString(),
                 username: username,
-                metadata: {
-                    ...metadata,
-                    filename: file.name,
-                    size: file.size,
-                    filetype: file.type
-                },
-                data: await this.fileToBase64(file)
+                metadata: fullMetadata,
+                data: keyId ? null : await this.fileToBase64(file)
             };
 
-            this.saveToLocalStorage(fileId, fileData, username);
+            // Encrypted: the data is base64 ciphertext instead of a data URL, and the metadata is sealed
+            const record = keyId ? {
+                ...fileData,
+                filename: '',
+                filetype: '',
+                metadata: { size: file.size, encrypted: keyId },
+                sealed: (await this.encryption.seal(username, fullMetadata, keyId)).sealed,
+                data: this.encryption.toBase64(new Uint8Array((await this.encryption.encrypt(username, await file.arrayBuffer(), keyId)).data))
+            } : fileData;
+
+            this.saveToLocalStorage(fileId, record, username, options.replace);
             return {
                 ...fileData,
-                storage: 'LocalStorage'
+                storage: 'LocalStorage',
+                encrypted: !!keyId
             };
         } catch (error) {
             if (error.name === 'QuotaExceededError' || error.code === 22) {
@@ -650,7 +2363,8 @@ class LocalStorageBackend {
         });
     }
 
-    saveToLocalStorage(fileId, fileData, username) {
+    // With replace, a record with the same id is swapped out in the same write
+    saveToLocalStorage(fileId, fileData, username, replace = false) {
         try {
             const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
             const index = JSON.parse(localStorage.getItem('data_bhandaar_file_index') || '{}');
@@ -659,6 +2373,9 @@ class LocalStorageBackend {
                 files[username] = [];
             }
 
+            if (replace) {
+                files[username] = files[username].filter(f => f.id !== fileId);
+            }
             files[username].push(fileData);
             index[fileId] = { username: username, backend: 'localStorage' };
 
@@ -674,7 +2391,7 @@ class LocalStorageBackend {
 
     async getUserFiles(username) {
         const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
-        const userFiles = files[username] || [];
+        const userFiles = await Promise.all((files[username] || []).map(file => this.openRecord(file)));
         
         // Ensure all files have proper filename, filetype, and size
         return userFiles.map(file => ({
@@ -705,18 +2422,93 @@ class LocalStorageBackend {
             throw new Error('File not found in localStorage');
         }
 
+        const opened = await this.openRecord(fileData);
+        if (opened.metadata.locked) {
+            throw FileEncryption.lockedError();
+        }
+
         // Convert base64 back to blob
-        const response = await fetch(fileData.data);
-        const blob = await response.blob();
+        let blob;
+        if (fileData.metadata.encrypted) {
+            const data = await this.encryption.decrypt(fileData.username, fileData.metadata.encrypted, this.encryption.fromBase64(fileData.data));
+            blob = new Blob([data], { type: opened.filetype });
+        } else {
+            const response = await fetch(fileData.data);
+            blob = await response.blob();
+        }
         const url = URL.createObjectURL(blob);
 
         return {
-            ...fileData,
+            ...opened,
             url: url,
             blob: blob
         };
     }
 
+    /**
+     * A stored record with its sealed metadata (and name and type) decrypted, or an
+     * ENCRYPTED_FILE placeholder with metadata.locked while the user's keys are locked
+     */
+    async openRecord(file) {
+        const keyId = file.metadata && file.metadata.encrypted;
+        if (!keyId) return file;
+
+        try {
+            const metadata = await this.encryption.open(file.username, keyId, file.sealed);
+            return { ...file, filename: metadata.filename, filetype: metadata.filetype, metadata: { ...metadata, encrypted: keyId } };
+        } catch (error) {
+            return { ...file, metadata: { ...file.metadata, filename: 'ENCRYPTED_FILE', locked: true } };
+        }
+    }
+
+    async updateFileMetadata(fileId, updates) {
+        const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
+        const index = JSON.parse(localStorage.getItem('data_bhandaar_file_index') || '{}');
+
+        const fileInfo = index[fileId];
+        if (!fileInfo || fileInfo.backend !== 'localStorage') {
+            throw new Error('File not found in localStorage');
+        }
+
+        const fileData = (files[fileInfo.username] || []).find(f => f.id === fileId);
+        if (!fileData) {
+            throw new Error('File not found in localStorage');
+        }
+
+        if (fileData.sealed) {
+            return await this.updateSealedMetadata(fileData, updates);
+        }
+
+        const changes = typeof updates === 'function' ? updates(fileData.metadata || {}) : updates;
+        fileData.metadata = { ...fileData.metadata, ...changes };
+        localStorage.setItem('data_bhandaar_files', JSON.stringify(files));
+
+        return fileData.metadata;
+    }
+
+    async updateSealedMetadata(fileData, updates) {
+        const { metadata } = await this.openRecord(fileData);
+        if (metadata.locked) {
+            throw FileEncryption.lockedError('change');
+        }
+
+        const { encrypted, ...current } = metadata;
+        const changes = typeof updates === 'function' ? updates(current) : updates;
+        const merged = { ...current, ...changes };
+        const { sealed } = await this.encryption.seal(fileData.username, merged, encrypted);
+
+        // Read again: other writes may have happened while sealing
+        const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
+        const record = (files[fileData.username] || []).find(f => f.id === fileData.id);
+        if (!record) {
+            throw new Error('File not found in localStorage');
+        }
+        record.sealed = sealed;
+        localStorage.setItem('data_bhandaar_files', JSON.stringify(files));
+
+        return { ...merged, encrypted };
+    }
+
     async deleteFile(fileId) {
         const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
         const index = JSON.parse(localStorage.getItem('data_bhandaar_file_index') || '{}');
@@ -753,6 +2545,28 @@ class LocalStorageBackend {
         };
     }
 
+    /**
+     * Drop data_bhandaar_file_index entries whose file is no longer stored
+     * @returns {Object} { removed, bytesReclaimed } (bytes of the index JSON)
+     */
+    cleanStaleIndex() {
+        const files = JSON.parse(localStorage.getItem('data_bhandaar_files') || '{}');
+        const index = JSON.parse(localStorage.getItem('data_bhandaar_file_index') || '{}');
+
+        const storedIds = new Set(Object.values(files).flat().map(file => file.id));
+        const stale = Object.keys(index).filter(fileId => index[fileId].backend === 'localStorage' && !storedIds.has(fileId));
+        if (stale.length === 0) {
+            return { removed: 0, bytesReclaimed: 0 };
+        }
+
+        const before = JSON.stringify(index).length;
+        stale.forEach(fileId => delete index[fileId]);
+        const after = JSON.stringify(index);
+        localStorage.setItem('data_bhandaar_file_index', after);
+
+        return { removed: stale.length, bytesReclaimed: before - after.length };
+    }
+
     generateFileId() {
         return 'ls_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
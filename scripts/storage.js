@@ -20,8 +20,8 @@ class FileStorageSystem {
         await this.storageManager.init();
     }
 
-    async storeFile(username, file, category, metadata = {}) {
-        return await this.storageManager.storeFile(username, file, category, metadata);
+    async storeFile(username, file, category, metadata = {}, options = {}) {
+        return await this.storageManager.storeFile(username, file, category, metadata, options);
     }
 
     async getUserFiles(username) {
@@ -36,6 +36,30 @@ class FileStorageSystem {
         return await this.storageManager.deleteFile(fileId);
     }
 
+    async readRange(fileId, start, end) {
+        return await this.storageManager.readRange(fileId, start, end);
+    }
+
+    createReadStream(fileId) {
+        return this.storageManager.createReadStream(fileId);
+    }
+
+    async getPendingUploads(username) {
+        return await this.storageManager.getPendingUploads(username);
+    }
+
+    async discardPendingUploads(username) {
+        return await this.storageManager.discardPendingUploads(username);
+    }
+
+    async updateFileMetadata(fileId, updates) {
+        return await this.storageManager.updateFileMetadata(fileId, updates);
+    }
+
+    getVersionGroup(file) {
+        return this.storageManager.getVersionGroup(file);
+    }
+
     async searchFiles(username, query) {
         return await this.storageManager.searchFiles(username, query);
     }
@@ -48,6 +72,58 @@ class FileStorageSystem {
         return await this.storageManager.getBackendInfo();
     }
 
+    async migrateFile(file, targetType, options = {}) {
+        return await this.storageManager.migrateFile(file, targetType, options);
+    }
+
+    async rebalance(username, options = {}) {
+        return await this.storageManager.rebalance(username, options);
+    }
+
+    async optimizeStorage(username) {
+        return await this.storageManager.optimizeStorage(username);
+    }
+
+    async exportBackup(username, options = {}) {
+        return await this.storageManager.exportBackup(username, options);
+    }
+
+    async importBackup(username, archive, options = {}) {
+        return await this.storageManager.importBackup(username, archive, options);
+    }
+
+    getEncryptionStatus(username) {
+        return this.storageManager.getEncryptionStatus(username);
+    }
+
+    async unlockEncryption(username, pin) {
+        return await this.storageManager.unlockEncryption(username, pin);
+    }
+
+    async enableEncryption(username, pin, options = {}) {
+        return await this.storageManager.enableEncryption(username, pin, options);
+    }
+
+    async disableEncryption(username, options = {}) {
+        return await this.storageManager.disableEncryption(username, options);
+    }
+
+    async rotateEncryptionKey(username, pin, options = {}) {
+        return await this.storageManager.rotateEncryptionKey(username, pin, options);
+    }
+
+    getRemoteConfig() {
+        return this.storageManager.loadRemoteConfig();
+    }
+
+    async configureRemoteBackend(config) {
+        return await this.storageManager.configureRemoteBackend(config);
+    }
+
+    removeRemoteBackend() {
+        this.storageManager.removeRemoteBackend();
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -63,24 +139,195 @@ class FileStorageSystem {
 // Storage Management Functions
 async function optimizeStorage() {
     showNotification('OPTIMIZING_STORAGE_PLEASE_WAIT', 'success');
-    // Add storage optimization logic here
-    setTimeout(() => {
+    try {
+        const report = await dataProcessor.storageSystem.optimizeStorage(dataProcessor.userSession.username);
+        const orphans = report.orphans || { files: 0, metadata: 0, blobs: 0, chunkSets: 0, refCountsFixed: 0 };
+        const list = items => items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+
+        showModal(`
+            <div class="storage-report">
+                <p><strong>SPACE_RECLAIMED:</strong> ${formatFileSize(report.bytesReclaimed)}</p>
+                <p><strong>ORPHANED_INDEXEDDB_RECORDS:</strong>
+                    ${orphans.files} files, ${orphans.metadata} metadata, ${orphans.blobs} blobs,
+                    ${orphans.chunkSets} chunk sets${orphans.refCountsFixed ? `, ${orphans.refCountsFixed} reference counts fixed` : ''}</p>
+                <p><strong>STALE_LOCALSTORAGE_INDEX_ENTRIES:</strong> ${report.staleIndexEntries}</p>
+                <p><strong>RECOMPRESSED_IMAGES:</strong> ${report.recompressedImages.length}</p>
+                <ul>${list(report.recompressedImages.map(image => `${image.filename}: ${formatFileSize(image.bytesSaved)} saved`))}</ul>
+                <p><strong>DUPLICATE_CONVERSIONS_REMOVED:</strong> ${report.duplicateConversions.length}</p>
+                <ul>${list(report.duplicateConversions.map(conversion => conversion.filename))}</ul>
+                ${report.errors.length ? `<p><strong>ERRORS:</strong></p><ul>${list(report.errors)}</ul>` : ''}
+            </div>
+        `, 'STORAGE_OPTIMIZATION');
+
         showNotification('STORAGE_OPTIMIZATION_COMPLETE', 'success');
-    }, 2000);
+        await dataProcessor.loadStoredFiles();
+    } catch (error) {
+        console.error('Storage optimization error:', error);
+        showNotification(`STORAGE_OPTIMIZATION_FAILED: ${error.message}`, 'error');
+    }
+}
+
+// Move files between backends: by the size policy, or all of them to one backend
+async function rebalanceStorage() {
+    const backends = await dataProcessor.getBackendInfo();
+    const targets = backends.map(backend =>
+        `<option value="${backend.type}">MOVE_ALL_TO_${(backend.remote ? backend.provider : backend.type).toUpperCase()}</option>`
+    ).join('');
+
+    showModal(`
+        <div class="storage-report">
+            <p>>_ MOVES_FILES_BETWEEN_BACKENDS_KEEPING_IDS_AND_METADATA. EACH_COPY_IS_VERIFIED_BY_SHA-256_BEFORE_THE_ORIGINAL_IS_REMOVED.</p>
+            <div class="query-console-actions">
+                <select id="rebalanceTarget" class="dialect-select">
+                    <option value="">BY_SIZE_POLICY</option>
+                    ${targets}
+                </select>
+                <button class="cyber-btn" id="rebalanceStartBtn"><span class="btn-text">START</span></button>
+            </div>
+            <div class="progress-container">
+                <div class="cyber-progress"><div class="progress-fill" id="rebalanceProgress"></div></div>
+                <span class="progress-text" id="rebalanceProgressText">0%</span>
+            </div>
+            <div id="rebalanceResult"></div>
+        </div>
+    `, 'REBALANCE_STORAGE');
+
+    const startButton = document.getElementById('rebalanceStartBtn');
+    startButton.addEventListener('click', async () => {
+        startButton.disabled = true;
+        const fill = document.getElementById('rebalanceProgress');
+        const text = document.getElementById('rebalanceProgressText');
+        const result = document.getElementById('rebalanceResult');
+
+        try {
+            const report = await dataProcessor.storageSystem.rebalance(dataProcessor.userSession.username, {
+                target: document.getElementById('rebalanceTarget').value || null,
+                onProgress: ({ done, total, file }) => {
+                    const percentage = total ? (done / total) * 100 : 100;
+                    fill.style.width = `${percentage}%`;
+                    text.textContent = `${Math.round(percentage)}%`;
+                    result.textContent = file ? `>_ MOVING ${file.filename} (${done + 1}/${total})` : '';
+                }
+            });
+
+            result.innerHTML = `
+                <p><strong>FILES_MOVED:</strong> ${report.moved.length} (${formatFileSize(report.bytesMoved)})</p>
+                <ul>${report.moved.map(move => `<li>${escapeHtml(move.filename)}: ${move.from} → ${move.to}</li>`).join('')}</ul>
+                ${report.failed.length ? `
+                    <p><strong>FAILED:</strong> ${report.failed.length}</p>
+                    <ul>${report.failed.map(failure => `<li>${escapeHtml(failure.filename)}: ${escapeHtml(failure.error)}</li>`).join('')}</ul>
+                ` : ''}
+            `;
+            showNotification(report.failed.length ? 'REBALANCE_FINISHED_WITH_ERRORS' : 'REBALANCE_COMPLETE', report.failed.length ? 'error' : 'success');
+            await dataProcessor.loadStoredFiles();
+        } catch (error) {
+            console.error('Rebalance error:', error);
+            showNotification(`REBALANCE_FAILED: ${error.message}`, 'error');
+        } finally {
+            startButton.disabled = false;
+        }
+    });
+}
+
+// Remote storage settings: connect an S3-compatible bucket (AWS S3, MinIO, ...)
+function configureRemoteStorage() {
+    const config = dataProcessor.storageSystem.loadRemoteConfig() || {};
+    const field = (id, label, value, type = 'text', placeholder = '') => `
+        <label for="${id}">${label}</label>
+        <input type="${type}" id="${id}" value="${escapeHtml(value || '')}" placeholder="${placeholder}" autocomplete="off">
+    `;
+
+    showModal(`
+        <form class="remote-storage-form" id="remoteStorageForm">
+            ${field('remoteEndpoint', 'ENDPOINT', config.endpoint, 'url', 'http://localhost:9000')}
+            ${field('remoteBucket', 'BUCKET', config.bucket, 'text', 'data-bhandaar')}
+            ${field('remoteRegion', 'REGION', config.region, 'text', 'us-east-1')}
+            ${field('remotePrefix', 'KEY_PREFIX', config.prefix, 'text', 'data-bhandaar/')}
+            ${field('remoteAccessKey', 'ACCESS_KEY', config.accessKeyId)}
+            ${field('remoteSecretKey', 'SECRET_KEY', config.secretAccessKey, 'password')}
+            <label class="remote-primary">
+                <input type="checkbox" id="remotePrimary" ${config.primary ? 'checked' : ''}>
+                STORE_NEW_UPLOADS_REMOTELY
+            </label>
+            <p class="remote-note">>_ THE_BUCKET_NEEDS_CORS_FOR_THIS_ORIGIN_AND_MUST_EXPOSE_THE_ETAG_HEADER</p>
+            <div class="remote-actions">
+                <button type="submit" class="cyber-btn"><span class="btn-text">CONNECT</span></button>
+                ${config.endpoint ? '<button type="button" class="cyber-btn" id="remoteDisconnectBtn"><span class="btn-text">DISCONNECT</span></button>' : ''}
+            </div>
+        </form>
+    `, 'REMOTE_STORAGE');
+
+    const form = document.getElementById('remoteStorageForm');
+    const modal = form.closest('.modal');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const value = id => document.getElementById(id).value.trim();
+        try {
+            await dataProcessor.storageSystem.configureRemoteBackend({
+                provider: 's3',
+                endpoint: value('remoteEndpoint'),
+                bucket: value('remoteBucket'),
+                region: value('remoteRegion') || 'us-east-1',
+                prefix: value('remotePrefix') || 'data-bhandaar/',
+                accessKeyId: value('remoteAccessKey'),
+                secretAccessKey: value('remoteSecretKey'),
+                primary: document.getElementById('remotePrimary').checked
+            });
+            modal.remove();
+            showNotification('REMOTE_STORAGE_CONNECTED', 'success');
+            await dataProcessor.updateBackendInfo();
+            await dataProcessor.loadStoredFiles();
+        } catch (error) {
+            showNotification(`REMOTE_STORAGE_FAILED: ${error.message}`, 'error');
+        }
+    });
+
+    const disconnect = document.getElementById('remoteDisconnectBtn');
+    if (disconnect) {
+        disconnect.addEventListener('click', async () => {
+            dataProcessor.storageSystem.removeRemoteBackend();
+            modal.remove();
+            showNotification('REMOTE_STORAGE_DISCONNECTED', 'success');
+            await dataProcessor.updateBackendInfo();
+            await dataProcessor.loadStoredFiles();
+        });
+    }
 }
 
 async function clearCache() {
-    if (confirm('ARE_YOU_SURE_YOU_WANT_TO_CLEAR_ALL_CACHE?_THIS_WILL_NOT_DELETE_YOUR_FILES.')) {
+    // First show storage quota info
+    const quotaInfo = await dataProcessor.storageSystem.checkStorageQuota();
+    let message = 'ARE_YOU_SURE_YOU_WANT_TO_CLEAR_ALL_CACHE?_THIS_WILL_NOT_DELETE_YOUR_FILES.';
+
+    if (quotaInfo) {
+        message += `\n\nCurrent storage usage: ${quotaInfo.percentUsed}% (${dataProcessor.formatFileSize(quotaInfo.usage)} of ${dataProcessor.formatFileSize(quotaInfo.quota)})`;
+    }
+
+    if (confirm(message)) {
         try {
             // Clear temporary data but keep user files
             localStorage.removeItem('data_bhandaar_temp');
-            showNotification('CACHE_CLEARED_SUCCESSFULLY', 'success');
+
+            // Clear browser cache if available
+            if ('caches' in window) {
+                const cacheNames = await caches.keys();
+                await Promise.all(cacheNames.map(name => caches.delete(name)));
+            }
+
+            // Chunks written by interrupted uploads are temporary too
+            const discarded = await dataProcessor.storageSystem.discardPendingUploads(dataProcessor.userSession.username);
+            showNotification(discarded > 0 ? `CACHE_CLEARED_AND_${discarded}_UNFINISHED_UPLOAD(S)_DISCARDED` : 'CACHE_CLEARED_SUCCESSFULLY', 'success');
+
+            // Refresh storage stats
+            await dataProcessor.updateStorageStats();
         } catch (error) {
             showNotification(`CACHE_CLEAR_FAILED: ${error.message}`, 'error');
         }
     }
 }
 
+// Full backup: every file's bytes with its metadata, categories and relationships, as one ZIP
 async function exportAllData() {
     try {
         const files = await dataProcessor.getUserFiles();
@@ -89,27 +336,264 @@ async function exportAllData() {
             return;
         }
 
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            username: dataProcessor.userSession.username,
-            totalFiles: files.length,
-            files: files
-        };
+        showNotification('CREATING_BACKUP_PLEASE_WAIT', 'success');
+        const { archive, exported, failed } = await dataProcessor.storageSystem.exportBackup(dataProcessor.userSession.username);
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
-            type: 'application/json' 
-        });
-        const url = URL.createObjectURL(blob);
+        const url = URL.createObjectURL(archive);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `data_bhandaar_export_${new Date().getTime()}.json`;
+        a.download = `data_bhandaar_backup_${new Date().getTime()}.zip`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        
-        showNotification('DATA_EXPORTED_SUCCESSFULLY', 'success');
+
+        if (failed.length > 0) {
+            console.warn('Files left out of the backup:', failed);
+            showNotification(`BACKUP_EXPORTED: ${exported} FILES (${formatFileSize(archive.size)}), ${failed.length} UNREADABLE FILE(S) LEFT OUT: ${failed.map(failure => escapeHtml(failure.filename)).join(', ')}`, 'error');
+        } else {
+            showNotification(`BACKUP_EXPORTED: ${exported} FILES (${formatFileSize(archive.size)})`, 'success');
+        }
     } catch (error) {
+        console.error('Export error:', error);
         showNotification(`EXPORT_FAILED: ${error.message}`, 'error');
     }
+}
+
+// Restore a backup made by exportAllData, into the backend of your choice
+async function importBackup() {
+    const backends = await dataProcessor.getBackendInfo();
+    const targets = backends.map(backend =>
+        `<option value="${backend.type}">RESTORE_TO_${(backend.remote ? backend.provider : backend.type).toUpperCase()}</option>`
+    ).join('');
+
+    showModal(`
+        <div class="storage-report">
+            <p>>_ RESTORES_FILES_FROM_A_BACKUP_ZIP_WITH_THEIR_IDS, METADATA, CATEGORIES_AND_RELATIONSHIPS. EACH_FILE_IS_VERIFIED_BY_SHA-256.</p>
+            <input type="file" id="backupFileInput" accept=".zip,application/zip">
+            <div class="query-console-actions">
+                <select id="backupConflict" class="dialect-select">
+                    <option value="skip">SKIP_EXISTING_IDS</option>
+                    <option value="overwrite">OVERWRITE_EXISTING_IDS</option>
+                </select>
+                <select id="backupTarget" class="dialect-select">
+                    <option value="">BY_SIZE_POLICY</option>
+                    ${targets}
+                </select>
+                <button class="cyber-btn" id="backupImportBtn"><span class="btn-text">IMPORT</span></button>
+            </div>
+            <div class="progress-container">
+                <div class="cyber-progress"><div class="progress-fill" id="backupProgress"></div></div>
+                <span class="progress-text" id="backupProgressText">0%</span>
+            </div>
+            <div id="backupResult"></div>
+        </div>
+    `, 'IMPORT_BACKUP');
+
+    const importButton = document.getElementById('backupImportBtn');
+    importButton.addEventListener('click', async () => {
+        const archive = document.getElementById('backupFileInput').files[0];
+        if (!archive) {
+            showNotification('SELECT_A_BACKUP_FILE', 'error');
+            return;
+        }
+
+        importButton.disabled = true;
+        const fill = document.getElementById('backupProgress');
+        const text = document.getElementById('backupProgressText');
+        const result = document.getElementById('backupResult');
+
+        try {
+            const report = await dataProcessor.storageSystem.importBackup(dataProcessor.userSession.username, archive, {
+                conflict: document.getElementById('backupConflict').value,
+                target: document.getElementById('backupTarget').value || null,
+                onProgress: ({ done, total, file }) => {
+                    const percentage = total ? (done / total) * 100 : 100;
+                    fill.style.width = `${percentage}%`;
+                    text.textContent = `${Math.round(percentage)}%`;
+                    result.textContent = file ? `>_ RESTORING ${file.filename} (${done + 1}/${total})` : '';
+                }
+            });
+
+            const list = items => items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+            result.innerHTML = `
+                <p><strong>FILES_IMPORTED:</strong> ${report.imported.length} (${formatFileSize(report.bytesImported)})</p>
+                <p><strong>FILES_OVERWRITTEN:</strong> ${report.overwritten.length}</p>
+                <p><strong>FILES_SKIPPED:</strong> ${report.skipped.length}</p>
+                <ul>${list(report.skipped.map(file => file.filename))}</ul>
+                ${report.failed.length ? `
+                    <p><strong>FAILED:</strong> ${report.failed.length}</p>
+                    <ul>${list(report.failed.map(failure => `${failure.filename}: ${failure.error}`))}</ul>
+                ` : ''}
+            `;
+            showNotification(report.failed.length ? 'IMPORT_FINISHED_WITH_ERRORS' : 'BACKUP_IMPORTED', report.failed.length ? 'error' : 'success');
+            await dataProcessor.loadStoredFiles();
+        } catch (error) {
+            console.error('Import error:', error);
+            showNotification(`IMPORT_FAILED: ${error.message}`, 'error');
+        } finally {
+            importButton.disabled = false;
+        }
+    });
+}
+
+// Encryption at rest: turn it on or off, rotate the data key, change the PIN
+function manageEncryption() {
+    const username = dataProcessor.userSession.username;
+    const status = dataProcessor.storageSystem.getEncryptionStatus(username);
+
+    let state = status.enabled ? 'ON' : 'OFF';
+    if (!status.unlocked) state += '_(LOCKED)';
+    if (status.pending) state += '_(SOME_FILES_STILL_ENCRYPTED)';
+
+    let actions = '';
+    if (!status.supported) {
+        actions = '<p class="remote-note">>_ ENCRYPTION_NEEDS_WEB_CRYPTO: OPEN_THE_APP_OVER_HTTPS_OR_LOCALHOST</p>';
+    } else if (!status.unlocked) {
+        actions = '<button type="button" class="cyber-btn" data-action="unlock"><span class="btn-text">UNLOCK</span></button>';
+    } else if (status.enabled) {
+        actions = `
+            <button type="button" class="cyber-btn" data-action="rotate"><span class="btn-text">ROTATE_DATA_KEY</span></button>
+            <button type="button" class="cyber-btn" data-action="disable"><span class="btn-text">DISABLE</span></button>
+        `;
+    } else {
+        actions = `
+            <button type="button" class="cyber-btn" data-action="enable"><span class="btn-text">ENABLE</span></button>
+            ${status.pending ? '<button type="button" class="cyber-btn" data-action="disable"><span class="btn-text">FINISH_DECRYPTING</span></button>' : ''}
+        `;
+    }
+
+    showModal(`
+        <div class="storage-report">
+            <p><strong>ENCRYPTION_AT_REST:</strong> ${state}</p>
+            <p class="remote-note">>_ FILES_AND_METADATA_IN_INDEXEDDB_AND_LOCALSTORAGE_ARE_ENCRYPTED_WITH_AES-GCM.
+                THE_KEY_IS_PROTECTED_BY_YOUR_PIN_(PBKDF2). OPFS_AND_REMOTE_STORAGE_ARE_NOT_USED_WHILE_IT_IS_ON.</p>
+            <form class="encryption-form" id="encryptionForm">
+                <label for="encryptionPin">PIN</label>
+                <input type="password" id="encryptionPin" inputmode="numeric" maxlength="4" autocomplete="current-password">
+                <div class="remote-actions">${actions}</div>
+            </form>
+
+            <h4>>_ CHANGE_PIN</h4>
+            <form class="encryption-form" id="changePinForm">
+                <label for="currentPin">CURRENT_PIN</label>
+                <input type="password" id="currentPin" inputmode="numeric" maxlength="4" autocomplete="current-password">
+                <label for="newPin">NEW_PIN</label>
+                <input type="password" id="newPin" inputmode="numeric" maxlength="4" autocomplete="new-password">
+                <label for="confirmNewPin">CONFIRM_NEW_PIN</label>
+                <input type="password" id="confirmNewPin" inputmode="numeric" maxlength="4" autocomplete="new-password">
+                <div class="remote-actions">
+                    <button type="submit" class="cyber-btn"><span class="btn-text">CHANGE_PIN</span></button>
+                </div>
+            </form>
+
+            <div class="progress-container">
+                <div class="cyber-progress"><div class="progress-fill" id="encryptionProgress"></div></div>
+                <span class="progress-text" id="encryptionProgressText">0%</span>
+            </div>
+            <div id="encryptionResult"></div>
+        </div>
+    `, 'ENCRYPTION');
+
+    const form = document.getElementById('encryptionForm');
+    const modal = form.closest('.modal');
+    const fill = document.getElementById('encryptionProgress');
+    const text = document.getElementById('encryptionProgressText');
+    const result = document.getElementById('encryptionResult');
+    const onProgress = ({ done, total, file }) => {
+        const percentage = total ? (done / total) * 100 : 100;
+        fill.style.width = `${percentage}%`;
+        text.textContent = `${Math.round(percentage)}%`;
+        result.textContent = file ? `>_ REWRITING ${file.filename} (${done + 1}/${total})` : '';
+    };
+
+    form.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const pin = document.getElementById('encryptionPin').value.trim();
+            const action = button.dataset.action;
+            const storage = dataProcessor.storageSystem;
+
+            form.querySelectorAll('button').forEach(b => { b.disabled = true; });
+            try {
+                const auth = await authSystem.authenticateUser(username, pin);
+                if (!auth.success) {
+                    throw new Error(auth.message);
+                }
+
+                let report = null;
+                if (action === 'unlock') await storage.unlockEncryption(username, pin);
+                if (action === 'enable') report = await storage.enableEncryption(username, pin, { onProgress });
+                if (action === 'disable') report = await storage.disableEncryption(username, { onProgress });
+                if (action === 'rotate') report = await storage.rotateEncryptionKey(username, pin, { onProgress });
+
+                if (report) {
+                    const list = items => items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+                    result.innerHTML = `
+                        <p><strong>FILES_REWRITTEN:</strong> ${report.rewritten.length}</p>
+                        ${report.unencrypted.length ? `
+                            <p><strong>NOT_ENCRYPTED_(OPFS_OR_REMOTE):</strong> ${report.unencrypted.length} — REBALANCE_THEM_TO_INDEXEDDB_TO_ENCRYPT_THEM</p>
+                            <ul>${list(report.unencrypted.map(file => `${file.filename} (${file.backend})`))}</ul>
+                        ` : ''}
+                        ${report.failed.length ? `
+                            <p><strong>FAILED:</strong> ${report.failed.length}</p>
+                            <ul>${list(report.failed.map(failure => `${failure.filename}: ${failure.error}`))}</ul>
+                        ` : ''}
+                    `;
+                } else {
+                    modal.remove();
+                }
+                showNotification(report && report.failed.length ? 'ENCRYPTION_FINISHED_WITH_ERRORS' : `ENCRYPTION_${action.toUpperCase()}_COMPLETE`,
+                    report && report.failed.length ? 'error' : 'success');
+                await dataProcessor.loadStoredFiles();
+            } catch (error) {
+                showNotification(`ENCRYPTION_FAILED: ${error.message}`, 'error');
+            } finally {
+                form.querySelectorAll('button').forEach(b => { b.disabled = false; });
+            }
+        });
+    });
+
+    document.getElementById('changePinForm').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const value = id => document.getElementById(id).value.trim();
+        if (value('newPin') !== value('confirmNewPin')) {
+            showNotification('PINS_DO_NOT_MATCH', 'error');
+            return;
+        }
+
+        const outcome = await authSystem.changePin(username, value('currentPin'), value('newPin'));
+        if (outcome.success) {
+            modal.remove();
+            showNotification('PIN_CHANGED', 'success');
+        } else {
+            showNotification(`PIN_CHANGE_FAILED: ${outcome.message}`, 'error');
+        }
+    });
+}
+
+// Asked on page load when encrypted files can't be read in this tab yet (e.g. a new tab)
+function promptEncryptionUnlock() {
+    showModal(`
+        <form class="encryption-form" id="unlockForm">
+            <p class="remote-note">>_ YOUR_FILES_ARE_ENCRYPTED. ENTER_YOUR_PIN_TO_READ_THEM_IN_THIS_TAB.</p>
+            <label for="unlockPin">PIN</label>
+            <input type="password" id="unlockPin" inputmode="numeric" maxlength="4" autocomplete="current-password">
+            <div class="remote-actions">
+                <button type="submit" class="cyber-btn"><span class="btn-text">UNLOCK</span></button>
+            </div>
+        </form>
+    `, 'UNLOCK_ENCRYPTED_FILES');
+
+    const form = document.getElementById('unlockForm');
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        try {
+            await dataProcessor.storageSystem.unlockEncryption(dataProcessor.userSession.username, document.getElementById('unlockPin').value.trim());
+            form.closest('.modal').remove();
+            showNotification('FILES_UNLOCKED', 'success');
+            await dataProcessor.loadStoredFiles();
+        } catch (error) {
+            showNotification(`UNLOCK_FAILED: ${error.message}`, 'error');
+        }
+    });
 }
\ No newline at end of file
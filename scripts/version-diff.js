@@ -0,0 +1,301 @@
+/**
+ * Version Diff
+ * Structural differences between two versions of a stored file: JSON values are compared
+ * path by path, SQL tables by their columns and by rows matched on the primary key.
+ */
+
+class VersionDiff {
+    /**
+     * @param {Object} options - { maxChanges: changes listed before the result is truncated (default 200) }
+     */
+    constructor(options = {}) {
+        this.maxChanges = options.maxChanges || 200;
+        // Array elements are matched on the first of these keys that is unique in both versions
+        this.elementKeys = ['id', '_id', 'uuid', 'key'];
+    }
+
+    /**
+     * Compare two JSON values
+     * @returns {Object} {
+     *     kind: 'json',
+     *     summary: { added, removed, changed },
+     *     changes: [{ type: 'added' | 'removed' | 'changed', path, before, after }],
+     *     truncated: more changes than maxChanges
+     * }
+     */
+    diffJSON(before, after) {
+        const result = {
+            kind: 'json',
+            summary: { added: 0, removed: 0, changed: 0 },
+            changes: [],
+            truncated: false
+        };
+
+        this._walk(before, after, '', result);
+        return result;
+    }
+
+    /**
+     * Compare two sets of SQL tables ({ name, columns, rows, primaryKey }). Columns may be
+     * names (convertToSQL) or { name, type } (parseSQLFile); rows are matched on the primary
+     * key when both versions have it, otherwise by position
+     * @returns {Object} {
+     *     kind: 'sql',
+     *     summary: { tablesAdded, tablesRemoved, tablesChanged, rowsAdded, rowsRemoved, rowsChanged },
+     *     tables: [{ name, status: 'added' | 'removed' | 'changed' | 'unchanged',
+     *                columns: { added, removed, retyped }, rows: { added, removed, changed },
+     *                changes: [{ type, key, column, before, after }] }],
+     *     truncated
+     * }
+     */
+    diffTables(beforeTables, afterTables) {
+        const result = {
+            kind: 'sql',
+            summary: { tablesAdded: 0, tablesRemoved: 0, tablesChanged: 0, rowsAdded: 0, rowsRemoved: 0, rowsChanged: 0 },
+            tables: [],
+            truncated: false
+        };
+
+        const beforeByName = new Map(beforeTables.map(table => [table.name, table]));
+        const afterByName = new Map(afterTables.map(table => [table.name, table]));
+        const names = [...new Set([...beforeByName.keys(), ...afterByName.keys()])];
+
+        names.forEach(name => {
+            const before = beforeByName.get(name);
+            const after = afterByName.get(name);
+
+            if (!before || !after) {
+                const table = before || after;
+                const status = before ? 'removed' : 'added';
+                result.summary[before ? 'tablesRemoved' : 'tablesAdded']++;
+                result.summary[before ? 'rowsRemoved' : 'rowsAdded'] += table.rows.length;
+                result.tables.push({
+                    name,
+                    status,
+                    columns: { added: before ? [] : this._columnNames(table), removed: before ? this._columnNames(table) : [], retyped: [] },
+                    rows: { added: before ? 0 : table.rows.length, removed: before ? table.rows.length : 0, changed: 0 },
+                    changes: []
+                });
+                return;
+            }
+
+            const tableDiff = this._diffTable(before, after, result);
+            result.summary.rowsAdded += tableDiff.rows.added;
+            result.summary.rowsRemoved += tableDiff.rows.removed;
+            result.summary.rowsChanged += tableDiff.rows.changed;
+            if (tableDiff.status === 'changed') result.summary.tablesChanged++;
+            result.tables.push(tableDiff);
+        });
+
+        return result;
+    }
+
+    _diffTable(before, after, result) {
+        const beforeColumns = this._columnNames(before);
+        const afterColumns = this._columnNames(after);
+        const beforeTypes = this._columnTypes(before);
+        const afterTypes = this._columnTypes(after);
+
+        const columns = {
+            added: afterColumns.filter(col => !beforeColumns.includes(col)),
+            removed: beforeColumns.filter(col => !afterColumns.includes(col)),
+            retyped: afterColumns
+                .filter(col => beforeColumns.includes(col) && beforeTypes[col] && afterTypes[col] && beforeTypes[col] !== afterTypes[col])
+                .map(col => ({ column: col, before: beforeTypes[col], after: afterTypes[col] }))
+        };
+        const shared = afterColumns.filter(col => beforeColumns.includes(col));
+
+        const tableDiff = { name: after.name, status: 'unchanged', columns, rows: { added: 0, removed: 0, changed: 0 }, changes: [] };
+        const addChange = change => {
+            if (this._countChanges(result) + tableDiff.changes.length >= this.maxChanges) {
+                result.truncated = true;
+                return;
+            }
+            tableDiff.changes.push(change);
+        };
+
+        const beforeRows = this._keyRows(before, beforeColumns);
+        const afterRows = this._keyRows(after, afterColumns);
+        // Positions are only comparable when neither version has a usable key
+        const useKeys = beforeRows.keyed && afterRows.keyed;
+        const beforeMap = useKeys ? beforeRows.byKey : beforeRows.byIndex;
+        const afterMap = useKeys ? afterRows.byKey : afterRows.byIndex;
+
+        beforeMap.forEach((row, key) => {
+            if (!afterMap.has(key)) {
+                tableDiff.rows.removed++;
+                addChange({ type: 'removed', key });
+            }
+        });
+        afterMap.forEach((row, key) => {
+            const previous = beforeMap.get(key);
+            if (!previous) {
+                tableDiff.rows.added++;
+                addChange({ type: 'added', key });
+                return;
+            }
+
+            let rowChanged = false;
+            shared.forEach(col => {
+                const oldValue = previous[beforeColumns.indexOf(col)];
+                const newValue = row[afterColumns.indexOf(col)];
+                if (!this._sameValue(oldValue, newValue)) {
+                    rowChanged = true;
+                    addChange({ type: 'changed', key, column: col, before: oldValue, after: newValue });
+                }
+            });
+            if (rowChanged) tableDiff.rows.changed++;
+        });
+
+        const { added, removed, changed } = tableDiff.rows;
+        if (columns.added.length || columns.removed.length || columns.retyped.length || added || removed || changed) {
+            tableDiff.status = 'changed';
+        }
+        return tableDiff;
+    }
+
+    /**
+     * Rows by primary key value (when every row has a distinct one) and by position
+     */
+    _keyRows(table, columns) {
+        const keyIndex = table.primaryKey ? columns.indexOf(table.primaryKey) : -1;
+        const byKey = new Map();
+        const byIndex = new Map();
+        let keyed = keyIndex !== -1;
+
+        table.rows.forEach((row, i) => {
+            byIndex.set(`#${i + 1}`, row);
+            if (!keyed) return;
+
+            const key = row[keyIndex];
+            if (key === null || key === undefined || key === 'NULL' || byKey.has(`${table.primaryKey}=${key}`)) {
+                keyed = false;
+                return;
+            }
+            byKey.set(`${table.primaryKey}=${key}`, row);
+        });
+
+        return { keyed, byKey, byIndex };
+    }
+
+    _columnNames(table) {
+        return table.columns.map(col => (typeof col === 'string' ? col : col.name));
+    }
+
+    _columnTypes(table) {
+        const types = {};
+        table.columns.forEach(col => {
+            if (typeof col === 'string') {
+                types[col] = (table.columnTypes || {})[col] || null;
+            } else {
+                types[col.name] = col.type || null;
+            }
+        });
+        return types;
+    }
+
+    _countChanges(result) {
+        return result.tables.reduce((sum, table) => sum + table.changes.length, 0);
+    }
+
+    _walk(before, after, path, result) {
+        if (before === undefined) {
+            this._addChange(result, 'added', path, undefined, after);
+            return;
+        }
+        if (after === undefined) {
+            this._addChange(result, 'removed', path, before, undefined);
+            return;
+        }
+
+        const typeBefore = this._type(before);
+        if (typeBefore !== this._type(after)) {
+            this._addChange(result, 'changed', path, before, after);
+        } else if (typeBefore === 'array') {
+            this._walkArray(before, after, path, result);
+        } else if (typeBefore === 'object') {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            keys.forEach(key => {
+                const segment = key.replace(/~/g, '~0').replace(/\//g, '~1');
+                this._walk(
+                    Object.prototype.hasOwnProperty.call(before, key) ? before[key] : undefined,
+                    Object.prototype.hasOwnProperty.call(after, key) ? after[key] : undefined,
+                    `${path}/${segment}`,
+                    result
+                );
+            });
+        } else if (before !== after) {
+            this._addChange(result, 'changed', path, before, after);
+        }
+    }
+
+    /**
+     * Records with an id are matched on it, so an inserted element doesn't show every later
+     * element as changed; other arrays are compared position by position
+     */
+    _walkArray(before, after, path, result) {
+        const key = this._findElementKey(before, after);
+
+        if (!key) {
+            for (let i = 0; i < Math.max(before.length, after.length); i++) {
+                this._walk(before[i], after[i], `${path}/${i}`, result);
+            }
+            return;
+        }
+
+        const afterByKey = new Map(after.map(element => [String(element[key]), element]));
+        const beforeKeys = new Set(before.map(element => String(element[key])));
+
+        before.forEach(element => {
+            const id = String(element[key]);
+            this._walk(element, afterByKey.get(id), `${path}/[${key}=${id}]`, result);
+        });
+        after.forEach(element => {
+            const id = String(element[key]);
+            if (!beforeKeys.has(id)) this._walk(undefined, element, `${path}/[${key}=${id}]`, result);
+        });
+    }
+
+    _findElementKey(before, after) {
+        const elements = before.concat(after);
+        if (elements.length === 0 || !elements.every(element => this._type(element) === 'object')) return null;
+
+        return this.elementKeys.find(key => [before, after].every(list => {
+            const seen = new Set();
+            return list.every(element => {
+                const value = element[key];
+                if (value === null || value === undefined || typeof value === 'object') return false;
+                if (seen.has(String(value))) return false;
+                seen.add(String(value));
+                return true;
+            });
+        })) || null;
+    }
+
+    _addChange(result, type, path, before, after) {
+        result.summary[type]++;
+        if (result.changes.length >= this.maxChanges) {
+            result.truncated = true;
+            return;
+        }
+        result.changes.push({ type, path: path || '/', before, after });
+    }
+
+    _sameValue(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return false;
+    }
+
+    _type(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersionDiff;
+}
@@ -0,0 +1,258 @@
+/**
+ * ZIP Archive
+ * Writes and reads ZIP files in the browser without loading them whole: entries are stored
+ * (not compressed) and assembled as a Blob of slices, and reading returns each entry as a
+ * slice of the archive. ZIP64 is used when an entry or the archive passes 4GB. Reading also
+ * accepts deflated entries, as written by desktop zip tools, where DecompressionStream exists.
+ */
+
+class ZipArchive {
+    /**
+     * Build an archive
+     * @param {Array} entries - [{ name, data: Blob | string, date: Date }]
+     * @param {Function} onProgress - Called with (bytesDone, bytesTotal) while checksums are computed
+     * @returns {Promise<Blob>} application/zip
+     */
+    static async create(entries, onProgress = () => {}) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        const blobs = entries.map(entry => (entry.data instanceof Blob ? entry.data : new Blob([entry.data])));
+        const total = blobs.reduce((sum, blob) => sum + blob.size, 0);
+        let done = 0;
+
+        for (let i = 0; i < entries.length; i++) {
+            const name = encoder.encode(entries[i].name);
+            const blob = blobs[i];
+            const crc = await ZipArchive.crc32(blob, bytes => onProgress(done + bytes, total));
+            done += blob.size;
+            const { time, date } = ZipArchive.dosDateTime(entries[i].date || new Date());
+            const zip64 = blob.size >= 0xFFFFFFFF || offset >= 0xFFFFFFFF;
+
+            // Local header; with ZIP64 the sizes move to the extra field
+            const localExtra = zip64 ? ZipArchive.zip64Extra([blob.size, blob.size]) : new Uint8Array(0);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, zip64 ? 45 : 20, true);     // Version needed
+            local.setUint16(6, 0x0800, true);              // UTF-8 names
+            local.setUint16(8, 0, true);                   // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, zip64 ? 0xFFFFFFFF : blob.size, true);
+            local.setUint32(22, zip64 ? 0xFFFFFFFF : blob.size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, localExtra.length, true);
+            parts.push(local.buffer, name, localExtra, blob);
+
+            central.push({ name, crc, size: blob.size, offset, time, date });
+            offset += 30 + name.length + localExtra.length + blob.size;
+        }
+
+        const centralStart = offset;
+        for (const entry of central) {
+            const zip64 = entry.size >= 0xFFFFFFFF || entry.offset >= 0xFFFFFFFF;
+            const extra = zip64 ? ZipArchive.zip64Extra([entry.size, entry.size, entry.offset]) : new Uint8Array(0);
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, zip64 ? 45 : 20, true);    // Version made by
+            header.setUint16(6, zip64 ? 45 : 20, true);    // Version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, zip64 ? 0xFFFFFFFF : entry.size, true);
+            header.setUint32(24, zip64 ? 0xFFFFFFFF : entry.size, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint16(30, extra.length, true);
+            header.setUint32(42, zip64 ? 0xFFFFFFFF : entry.offset, true);
+            parts.push(header.buffer, entry.name, extra);
+            offset += 46 + entry.name.length + extra.length;
+        }
+        const centralSize = offset - centralStart;
+
+        if (central.length >= 0xFFFF || centralStart >= 0xFFFFFFFF || centralSize >= 0xFFFFFFFF) {
+            // ZIP64 end of central directory record and locator
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064b50, true);
+            record.setBigUint64(4, 44n, true);
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            record.setBigUint64(24, BigInt(central.length), true);
+            record.setBigUint64(32, BigInt(central.length), true);
+            record.setBigUint64(40, BigInt(centralSize), true);
+            record.setBigUint64(48, BigInt(centralStart), true);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            locator.setBigUint64(8, BigInt(offset), true);
+            locator.setUint32(16, 1, true);
+            parts.push(record.buffer, locator.buffer);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(central.length, 0xFFFF), true);
+        end.setUint16(10, Math.min(central.length, 0xFFFF), true);
+        end.setUint32(12, Math.min(centralSize, 0xFFFFFFFF), true);
+        end.setUint32(16, Math.min(centralStart, 0xFFFFFFFF), true);
+        parts.push(end.buffer);
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+
+    /**
+     * List the entries of an archive. Entry data is read on demand with entry.blob()
+     * @param {Blob} archive - ZIP file
+     * @returns {Promise<Array>} [{ name, size, crc, method, blob: () => Promise<Blob> }]
+     */
+    static async read(archive) {
+        // The end of central directory record is in the last 64KB + 22 bytes (comment included)
+        const tailStart = Math.max(0, archive.size - 65557);
+        const tail = new DataView(await archive.slice(tailStart).arrayBuffer());
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        let count = tail.getUint16(endOffset + 10, true);
+        let centralSize = tail.getUint32(endOffset + 12, true);
+        let centralStart = tail.getUint32(endOffset + 16, true);
+
+        // ZIP64 locator right before the end record points to the ZIP64 end record
+        if (endOffset >= 20 && tail.getUint32(endOffset - 20, true) === 0x07064b50) {
+            const recordOffset = Number(tail.getBigUint64(endOffset - 12, true));
+            const record = new DataView(await archive.slice(recordOffset, recordOffset + 56).arrayBuffer());
+            if (record.getUint32(0, true) !== 0x06064b50) {
+                throw new Error('Corrupt ZIP64 archive');
+            }
+            count = Number(record.getBigUint64(32, true));
+            centralSize = Number(record.getBigUint64(40, true));
+            centralStart = Number(record.getBigUint64(48, true));
+        }
+
+        const directory = new DataView(await archive.slice(centralStart, centralStart + centralSize).arrayBuffer());
+        const decoder = new TextDecoder();
+        const entries = [];
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const method = directory.getUint16(position + 10, true);
+            const crc = directory.getUint32(position + 16, true);
+            let compressedSize = directory.getUint32(position + 20, true);
+            let size = directory.getUint32(position + 24, true);
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const commentLength = directory.getUint16(position + 32, true);
+            let localOffset = directory.getUint32(position + 42, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+
+            // ZIP64 extra field: only the values that overflowed, in this order
+            let extraPosition = position + 46 + nameLength;
+            const extraEnd = extraPosition + extraLength;
+            while (extraPosition + 4 <= extraEnd) {
+                const id = directory.getUint16(extraPosition, true);
+                const length = directory.getUint16(extraPosition + 2, true);
+                if (id === 0x0001) {
+                    let field = extraPosition + 4;
+                    if (size === 0xFFFFFFFF) { size = Number(directory.getBigUint64(field, true)); field += 8; }
+                    if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(directory.getBigUint64(field, true)); field += 8; }
+                    if (localOffset === 0xFFFFFFFF) { localOffset = Number(directory.getBigUint64(field, true)); }
+                }
+                extraPosition += 4 + length;
+            }
+            position = extraEnd + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory entry
+
+            entries.push({
+                name,
+                size,
+                crc,
+                method,
+                blob: () => ZipArchive.readEntry(archive, { name, method, localOffset, compressedSize })
+            });
+        }
+
+        return entries;
+    }
+
+    static async readEntry(archive, entry) {
+        const local = new DataView(await archive.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+        if (local.getUint32(0, true) !== 0x04034b50) {
+            throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+        }
+        const dataStart = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = archive.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+            return await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        }
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+    }
+
+    /**
+     * CRC-32 of a Blob, read in 8MB slices
+     */
+    static async crc32(blob, onProgress = () => {}) {
+        const table = ZipArchive.crcTable || (ZipArchive.crcTable = ZipArchive.buildCrcTable());
+        const sliceSize = 8 * 1024 * 1024;
+        let crc = 0xFFFFFFFF;
+
+        for (let start = 0; start < blob.size; start += sliceSize) {
+            const bytes = new Uint8Array(await blob.slice(start, start + sliceSize).arrayBuffer());
+            for (let i = 0; i < bytes.length; i++) {
+                crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            onProgress(Math.min(start + sliceSize, blob.size));
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static buildCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    static zip64Extra(values) {
+        const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+        extra.setUint16(0, 0x0001, true);
+        extra.setUint16(2, values.length * 8, true);
+        values.forEach((value, i) => extra.setBigUint64(4 + i * 8, BigInt(value), true));
+        return new Uint8Array(extra.buffer);
+    }
+
+    // MS-DOS time and date fields (2-second resolution, years from 1980)
+    static dosDateTime(value) {
+        const date = isNaN(value.getTime()) || value.getFullYear() < 1980 ? new Date(1980, 0, 1) : value;
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}